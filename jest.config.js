@@ -10,7 +10,8 @@ const baseConfig = {
     [
       './lib/custom-reporter.js',
       {
-        outputDir: './reports',
+        // scripts/run-matrix.js gives each image its own reports directory
+        outputDir: process.env.SIGNALK_REPORTS_DIR || './reports',
       },
     ],
   ],
@@ -0,0 +1,5 @@
+// Unit tests of the lib modules - no Docker, no server, default reporter
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['**/tests/unit/*.test.js'],
+};
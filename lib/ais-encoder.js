@@ -0,0 +1,370 @@
+/**
+ * AisEncoder - AIS 6-bit payload encoding
+ *
+ * Builds ITU-R M.1371 message bit fields from plain target data and
+ * armors them into !AIVDM sentences, splitting long payloads (type 5)
+ * across several sentences.
+ *
+ * Supported types: 1/2/3 (Class A position), 5 (static and voyage),
+ * 18 (Class B position), 19 (extended Class B), 21 (aid to navigation),
+ * 24 (Class B static data, parts A and B).
+ */
+
+// Payload characters per sentence; keeps sentences well under 82 chars
+const MAX_PAYLOAD_CHARS = 60;
+
+// "Not available" values defined by the standard
+const NOT_AVAILABLE = {
+  lon: 181,
+  lat: 91,
+  sog: 1023,
+  cog: 3600,
+  heading: 511,
+  timestamp: 60,
+  rot: -128,
+};
+
+const NAV_STATUS = {
+  'under way using engine': 0,
+  'at anchor': 1,
+  'not under command': 2,
+  'restricted manoeuverability': 3,
+  'constrained by draught': 4,
+  moored: 5,
+  aground: 6,
+  'engaged in fishing': 7,
+  'under way sailing': 8,
+  'not defined': 15,
+};
+
+/**
+ * Field layouts per message type: [key, bits, kind]
+ * kind: 'u' unsigned, 'i' signed, 't' 6-bit text, 'b' boolean
+ * Values come from AisEncoder.fields(); missing keys are written as 0.
+ */
+const AIS_LAYOUTS = {
+  position: [
+    ['type', 6, 'u'],
+    ['repeat', 2, 'u'],
+    ['mmsi', 30, 'u'],
+    ['navStatus', 4, 'u'],
+    ['rot', 8, 'i'],
+    ['sog', 10, 'u'],
+    ['accuracy', 1, 'b'],
+    ['lon', 28, 'i'],
+    ['lat', 27, 'i'],
+    ['cog', 12, 'u'],
+    ['heading', 9, 'u'],
+    ['timestamp', 6, 'u'],
+    ['maneuver', 2, 'u'],
+    ['spare', 3, 'u'],
+    ['raim', 1, 'b'],
+    ['radio', 19, 'u'],
+  ],
+  5: [
+    ['type', 6, 'u'],
+    ['repeat', 2, 'u'],
+    ['mmsi', 30, 'u'],
+    ['aisVersion', 2, 'u'],
+    ['imo', 30, 'u'],
+    ['callsign', 42, 't'],
+    ['name', 120, 't'],
+    ['shipType', 8, 'u'],
+    ['toBow', 9, 'u'],
+    ['toStern', 9, 'u'],
+    ['toPort', 6, 'u'],
+    ['toStarboard', 6, 'u'],
+    ['epfd', 4, 'u'],
+    ['month', 4, 'u'],
+    ['day', 5, 'u'],
+    ['hour', 5, 'u'],
+    ['minute', 6, 'u'],
+    ['draught', 8, 'u'],
+    ['destination', 120, 't'],
+    ['dte', 1, 'b'],
+    ['spare', 1, 'u'],
+  ],
+  18: [
+    ['type', 6, 'u'],
+    ['repeat', 2, 'u'],
+    ['mmsi', 30, 'u'],
+    ['reserved', 8, 'u'],
+    ['sog', 10, 'u'],
+    ['accuracy', 1, 'b'],
+    ['lon', 28, 'i'],
+    ['lat', 27, 'i'],
+    ['cog', 12, 'u'],
+    ['heading', 9, 'u'],
+    ['timestamp', 6, 'u'],
+    ['regional', 2, 'u'],
+    ['csUnit', 1, 'b'],
+    ['display', 1, 'b'],
+    ['dsc', 1, 'b'],
+    ['band', 1, 'b'],
+    ['msg22', 1, 'b'],
+    ['assigned', 1, 'b'],
+    ['raim', 1, 'b'],
+    ['radio', 20, 'u'],
+  ],
+  19: [
+    ['type', 6, 'u'],
+    ['repeat', 2, 'u'],
+    ['mmsi', 30, 'u'],
+    ['reserved', 8, 'u'],
+    ['sog', 10, 'u'],
+    ['accuracy', 1, 'b'],
+    ['lon', 28, 'i'],
+    ['lat', 27, 'i'],
+    ['cog', 12, 'u'],
+    ['heading', 9, 'u'],
+    ['timestamp', 6, 'u'],
+    ['regional', 4, 'u'],
+    ['name', 120, 't'],
+    ['shipType', 8, 'u'],
+    ['toBow', 9, 'u'],
+    ['toStern', 9, 'u'],
+    ['toPort', 6, 'u'],
+    ['toStarboard', 6, 'u'],
+    ['epfd', 4, 'u'],
+    ['raim', 1, 'b'],
+    ['dte', 1, 'b'],
+    ['assigned', 1, 'b'],
+    ['spare', 4, 'u'],
+  ],
+  21: [
+    ['type', 6, 'u'],
+    ['repeat', 2, 'u'],
+    ['mmsi', 30, 'u'],
+    ['aidType', 5, 'u'],
+    ['name', 120, 't'],
+    ['accuracy', 1, 'b'],
+    ['lon', 28, 'i'],
+    ['lat', 27, 'i'],
+    ['toBow', 9, 'u'],
+    ['toStern', 9, 'u'],
+    ['toPort', 6, 'u'],
+    ['toStarboard', 6, 'u'],
+    ['epfd', 4, 'u'],
+    ['timestamp', 6, 'u'],
+    ['offPosition', 1, 'b'],
+    ['regional', 8, 'u'],
+    ['raim', 1, 'b'],
+    ['virtualAid', 1, 'b'],
+    ['assigned', 1, 'b'],
+    ['spare', 1, 'u'],
+  ],
+  '24A': [
+    ['type', 6, 'u'],
+    ['repeat', 2, 'u'],
+    ['mmsi', 30, 'u'],
+    ['partNumber', 2, 'u'],
+    ['name', 120, 't'],
+  ],
+  '24B': [
+    ['type', 6, 'u'],
+    ['repeat', 2, 'u'],
+    ['mmsi', 30, 'u'],
+    ['partNumber', 2, 'u'],
+    ['shipType', 8, 'u'],
+    ['vendorId', 42, 't'],
+    ['callsign', 42, 't'],
+    ['toBow', 9, 'u'],
+    ['toStern', 9, 'u'],
+    ['toPort', 6, 'u'],
+    ['toStarboard', 6, 'u'],
+    ['spare', 6, 'u'],
+  ],
+};
+
+class AisEncoder {
+  /**
+   * Message types the encoder can build
+   */
+  static get supportedTypes() {
+    return [1, 2, 3, 5, 18, 19, 21, 24];
+  }
+
+  /**
+   * Encode a target into one or more !AIVDM sentences
+   *
+   * @param {object} message - { type, mmsi, lat, lon, sog, cog, heading, name, ... }
+   * @param {object} options - { channel, sequenceId, talker }
+   */
+  static encode(message, options = {}) {
+    const type = message.type || 1;
+
+    // Type 24 is always sent as two single-sentence parts
+    if (type === 24) {
+      return [
+        ...AisEncoder.encode({ ...message, type: '24A' }, options),
+        ...AisEncoder.encode({ ...message, type: '24B' }, options),
+      ];
+    }
+
+    const bits = AisEncoder.toBits(type, message);
+    const { payload, fillBits } = AisEncoder.armor(bits);
+    return AisEncoder.toSentences(payload, fillBits, options);
+  }
+
+  /**
+   * Build the bit string for a message type
+   */
+  static toBits(type, message) {
+    const layout = [1, 2, 3].includes(type) ? AIS_LAYOUTS.position : AIS_LAYOUTS[type];
+    if (!layout) {
+      throw new Error(`Unsupported AIS message type: ${type}`);
+    }
+
+    const values = AisEncoder.fields(type, message);
+    return layout.map(([key, bits, kind]) => AisEncoder.encodeField(values[key], bits, kind)).join('');
+  }
+
+  /**
+   * Map plain target data to raw field values (scaled integers)
+   */
+  static fields(type, message) {
+    const dims = message.dimensions || {};
+    const eta = message.eta ? new Date(message.eta) : null;
+    const navStatus =
+      typeof message.navStatus === 'string' ? NAV_STATUS[message.navStatus] : message.navStatus;
+    const messageType = typeof type === 'string' ? 24 : type;
+
+    return {
+      type: messageType,
+      repeat: message.repeat || 0,
+      mmsi: Number(message.mmsi),
+      navStatus: navStatus ?? 15,
+      rot: message.rot === undefined ? NOT_AVAILABLE.rot : AisEncoder.rotIndicator(message.rot),
+      sog: message.sog === undefined ? NOT_AVAILABLE.sog : Math.min(Math.round(message.sog * 10), 1022),
+      accuracy: message.accuracy ?? true,
+      lon: Math.round((message.lon ?? NOT_AVAILABLE.lon) * 600000),
+      lat: Math.round((message.lat ?? NOT_AVAILABLE.lat) * 600000),
+      cog: message.cog === undefined ? NOT_AVAILABLE.cog : Math.round((((message.cog % 360) + 360) % 360) * 10),
+      heading:
+        message.heading === undefined ? NOT_AVAILABLE.heading : Math.round(((message.heading % 360) + 360) % 360) % 360,
+      timestamp: message.timestamp ?? new Date().getUTCSeconds(),
+      raim: message.raim ?? false,
+      aisVersion: 0,
+      imo: message.imo || 0,
+      callsign: message.callsign || '',
+      name: message.name || '',
+      shipType: message.shipType || 0,
+      toBow: dims.toBow || 0,
+      toStern: dims.toStern || 0,
+      toPort: dims.toPort || 0,
+      toStarboard: dims.toStarboard || 0,
+      epfd: message.epfd ?? 1,
+      month: eta ? eta.getUTCMonth() + 1 : 0,
+      day: eta ? eta.getUTCDate() : 0,
+      hour: eta ? eta.getUTCHours() : 24,
+      minute: eta ? eta.getUTCMinutes() : 60,
+      draught: Math.round((message.draught || 0) * 10),
+      destination: message.destination || '',
+      dte: false,
+      csUnit: true,
+      display: false,
+      dsc: true,
+      band: true,
+      msg22: true,
+      assigned: false,
+      aidType: message.aidType ?? 1,
+      offPosition: message.offPosition ?? false,
+      virtualAid: message.virtualAid ?? false,
+      partNumber: type === '24B' ? 1 : 0,
+      vendorId: message.vendorId || '',
+    };
+  }
+
+  /**
+   * ROT indicator from degrees per minute (ROT_AIS = 4.733 * sqrt(ROT))
+   */
+  static rotIndicator(rot) {
+    const indicator = Math.round(4.733 * Math.sqrt(Math.abs(rot)));
+    return Math.sign(rot) * Math.min(indicator, 126);
+  }
+
+  /**
+   * Encode one field as a big-endian bit string
+   */
+  static encodeField(value, bits, kind) {
+    if (kind === 't') {
+      return AisEncoder.encodeText(value || '', bits / 6);
+    }
+
+    let raw = kind === 'b' ? (value ? 1 : 0) : Math.trunc(value || 0);
+    if (kind === 'i' && raw < 0) {
+      raw += 2 ** bits;
+    }
+    return raw.toString(2).padStart(bits, '0').slice(-bits);
+  }
+
+  /**
+   * Encode text in the AIS 6-bit character set, padded with '@'
+   */
+  static encodeText(text, length) {
+    return text
+      .toUpperCase()
+      .padEnd(length, '@')
+      .substring(0, length)
+      .split('')
+      .map((char) => {
+        const code = char.charCodeAt(0);
+        // '@'..'_' map to 0-31, ' '..'?' to 32-63; anything else becomes a space
+        const value = code >= 64 && code < 96 ? code - 64 : code >= 32 && code < 64 ? code : 32;
+        return value.toString(2).padStart(6, '0');
+      })
+      .join('');
+  }
+
+  /**
+   * Armor a bit string into AIS payload characters
+   */
+  static armor(bits) {
+    const fillBits = (6 - (bits.length % 6)) % 6;
+    const padded = bits + '0'.repeat(fillBits);
+
+    let payload = '';
+    for (let i = 0; i < padded.length; i += 6) {
+      const value = parseInt(padded.substring(i, i + 6), 2);
+      payload += String.fromCharCode(value < 40 ? value + 48 : value + 56);
+    }
+
+    return { payload, fillBits };
+  }
+
+  /**
+   * Split a payload into checksummed !AIVDM sentences
+   */
+  static toSentences(payload, fillBits, options = {}) {
+    const talker = options.talker || 'AIVDM';
+    const channel = options.channel || 'A';
+    const parts = [];
+    for (let i = 0; i < payload.length; i += MAX_PAYLOAD_CHARS) {
+      parts.push(payload.substring(i, i + MAX_PAYLOAD_CHARS));
+    }
+
+    // Sequential message ID only identifies multi-sentence groups
+    const sequenceId = parts.length > 1 ? (options.sequenceId ?? 0) % 10 : '';
+
+    return parts.map((part, i) => {
+      const fill = i === parts.length - 1 ? fillBits : 0;
+      return AisEncoder.addChecksum(
+        `!${talker},${parts.length},${i + 1},${sequenceId},${channel},${part},${fill}`
+      );
+    });
+  }
+
+  /**
+   * Append the NMEA XOR checksum
+   */
+  static addChecksum(sentence) {
+    const data = sentence.substring(1);
+    let checksum = 0;
+    for (let i = 0; i < data.length; i++) {
+      checksum ^= data.charCodeAt(i);
+    }
+    return `${sentence}*${checksum.toString(16).toUpperCase().padStart(2, '0')}`;
+  }
+}
+
+module.exports = { AisEncoder, AIS_LAYOUTS, NAV_STATUS };
@@ -0,0 +1,442 @@
+/**
+ * Benchmark - Compare server performance between two images
+ *
+ * Runs a fixed set of workloads against a baseline and a candidate image:
+ *
+ *   ingest        NMEA 0183 sentences/s over TCP until the last delta arrives
+ *   deltaLatency  median time from a sentence write to its WebSocket delta
+ *   restLatency   p95 of concurrent GETs of /vessels/self
+ *   memory        container RSS after `minutes` of steady input
+ *
+ * Each image is started `runs` times, alternating which goes first so
+ * drift on the host hits both alike, and every workload except memory is
+ * repeated `rounds` times per container. The per-round values of the two
+ * images are compared with Welch's t-test; a workload regresses when the
+ * candidate is worse by more than its `maxRegression` percentage and the
+ * difference is significant at `alpha`.
+ *
+ * Settings come from config/benchmark.json (or SIGNALK_BENCHMARK_CONFIG).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { ContainerManager } = require('./container-manager');
+const { LogMonitor } = require('./log-monitor');
+const { NmeaFeeder } = require('./nmea-feeder');
+const { LatencyProbe } = require('./latency-probe');
+const { ResourceSampler } = require('./resource-sampler');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'benchmark.json');
+
+const DEFAULT_CONFIG = {
+  runs: 2,
+  rounds: 5,
+  alpha: 0.05,
+  seed: 1,
+  workloads: {
+    ingest: { sentences: 2000, maxRegression: 10 },
+    deltaLatency: { probes: 50, interval: 100, maxRegression: 25 },
+    restLatency: { requests: 200, concurrency: 4, maxRegression: 20 },
+    memory: { minutes: 2, rate: 20, maxRegression: 15 },
+  },
+};
+
+// What each workload measures and which direction is better
+const WORKLOADS = {
+  ingest: { title: 'NMEA ingest', unit: 'sentences/s', better: 'higher' },
+  deltaLatency: { title: 'Delta latency to WebSocket (p50)', unit: 'ms', better: 'lower' },
+  restLatency: { title: 'REST latency (p95)', unit: 'ms', better: 'lower' },
+  memory: { title: 'Memory after load (RSS)', unit: 'MB', better: 'lower' },
+};
+
+// Provider id of the TCP input in ContainerManager's default settings
+const TCP_SOURCE = 'nmea-tcp-input';
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+class Benchmark {
+  /**
+   * @param {object} options
+   * @param {object} options.config - settings (default: loadConfig())
+   * @param {function} options.log - progress output (default console.log)
+   */
+  constructor(options = {}) {
+    this.config = options.config || Benchmark.loadConfig();
+    this.log = options.log || console.log;
+  }
+
+  /**
+   * Read benchmark settings over the defaults
+   */
+  static loadConfig(file = process.env.SIGNALK_BENCHMARK_CONFIG || DEFAULT_CONFIG_PATH) {
+    let config = {};
+    if (fs.existsSync(file)) {
+      try {
+        config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch (e) {
+        throw new Error(`Invalid benchmark config ${file}: ${e.message}`);
+      }
+    }
+    const workloads = {};
+    for (const name of Object.keys(DEFAULT_CONFIG.workloads)) {
+      workloads[name] = { ...DEFAULT_CONFIG.workloads[name], ...config.workloads?.[name] };
+    }
+    return { ...DEFAULT_CONFIG, ...config, workloads };
+  }
+
+  /**
+   * Benchmark both images; returns { baseline, candidate, comparison }
+   */
+  async run(baselineImage, candidateImage) {
+    const results = {
+      baseline: { image: baselineImage, version: null, samples: {} },
+      candidate: { image: candidateImage, version: null, samples: {} },
+    };
+
+    for (let run = 0; run < this.config.runs; run++) {
+      const order = run % 2 === 0 ? ['baseline', 'candidate'] : ['candidate', 'baseline'];
+      for (const role of order) {
+        this.log(`Run ${run + 1}/${this.config.runs}: ${role} ${results[role].image}`);
+        const { version, samples } = await this.runImage(results[role].image, `${role}-${run + 1}`);
+        results[role].version = results[role].version || version;
+        for (const [workload, values] of Object.entries(samples)) {
+          (results[role].samples[workload] = results[role].samples[workload] || []).push(...values);
+        }
+      }
+    }
+
+    return {
+      ...results,
+      comparison: Benchmark.compare(results.baseline.samples, results.candidate.samples, this.config),
+    };
+  }
+
+  /**
+   * Start a fresh container of an image and run every workload on it
+   */
+  async runImage(image, label) {
+    const logMonitor = new LogMonitor({ knownIssues: false });
+    const manager = new ContainerManager({ image, logMonitor, resourceSampling: false, watchdog: false });
+    const samples = {};
+    try {
+      const info = await manager.start();
+      // Same seed for every container, so both images get the same input
+      const feeder = new NmeaFeeder({ tcpPort: info.tcpPort, seed: this.config.seed });
+      const probe = new LatencyProbe({ feeder, wsUrl: info.wsUrl, logMonitor });
+      const context = { manager, info, feeder, probe };
+      const { workloads } = this.config;
+      const measure = {
+        ingest: () => this.measureIngest(context, workloads.ingest),
+        deltaLatency: () => this.measureDeltaLatency(context, workloads.deltaLatency),
+        restLatency: () => this.measureRestLatency(context, workloads.restLatency),
+      };
+      await sleep(2000);
+
+      for (const name of Object.keys(measure)) {
+        logMonitor.setPhase(`benchmark-${name}`);
+        samples[name] = [];
+        for (let round = 0; round < this.config.rounds; round++) {
+          samples[name].push(Math.round((await measure[name]()) * 100) / 100);
+        }
+        this.log(`  ${label} ${name}: ${samples[name].join(', ')} ${WORKLOADS[name].unit}`);
+      }
+
+      logMonitor.setPhase('benchmark-memory');
+      samples.memory = [Math.round((await this.measureMemory(context, workloads.memory)) * 10) / 10];
+      this.log(`  ${label} memory: ${samples.memory[0]} MB`);
+
+      return { version: manager.serverVersion || null, samples };
+    } finally {
+      await manager.remove(true);
+    }
+  }
+
+  /**
+   * Open the delta stream; onDelta gets every message after the hello
+   */
+  async openStream(wsUrl, onDelta) {
+    const ws = new WebSocket(`${wsUrl}?subscribe=self`);
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('WebSocket hello timeout')), 10000);
+      ws.once('error', reject);
+      ws.on('message', (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (e) {
+          return;
+        }
+        if (message.self && !message.updates) {
+          clearTimeout(timer);
+          resolve();
+        } else if (message.updates) {
+          onDelta(message, Date.now());
+        }
+      });
+    });
+    return ws;
+  }
+
+  /**
+   * Sentences/s from the first write until the last delta they caused
+   */
+  async measureIngest({ info, feeder }, options) {
+    let first = 0;
+    let last = 0;
+    const ws = await this.openStream(info.wsUrl, (delta, time) => {
+      if (delta.updates.some((u) => u.$source?.startsWith(TCP_SOURCE))) {
+        last = time;
+      }
+    });
+    try {
+      const sentences = feeder.generateNavigationBurst(options.sentences);
+      first = Date.now();
+      await feeder.sendTcp(sentences, { delay: 0, timeout: 60000 });
+      const sent = Date.now();
+
+      // Done once deltas stop arriving for a second
+      while (Date.now() - Math.max(last, sent) < 1000) {
+        await sleep(100);
+      }
+      if (!last) {
+        throw new Error('Ingest: no deltas from the TCP input');
+      }
+      return sentences.length / ((last - first) / 1000);
+    } finally {
+      ws.close();
+    }
+  }
+
+  /**
+   * Median ms from writing a depth sentence with a unique value to its delta
+   */
+  async measureDeltaLatency({ probe }, options) {
+    const result = await probe.measure({ rate: 1000 / options.interval, count: options.probes, subscribers: 1 });
+    if (result.count === 0) {
+      throw new Error('Delta latency: no probe came back as a delta');
+    }
+    return result.p50;
+  }
+
+  /**
+   * p95 ms of GET /vessels/self with `concurrency` requests in flight
+   */
+  async measureRestLatency({ info }, options) {
+    const url = `${info.apiUrl}/vessels/self`;
+    const latencies = [];
+    let remaining = options.requests;
+
+    const worker = async () => {
+      while (remaining > 0) {
+        remaining--;
+        const start = performance.now();
+        const res = await fetch(url);
+        await res.arrayBuffer();
+        if (!res.ok) {
+          throw new Error(`REST latency: ${url} returned ${res.status}`);
+        }
+        latencies.push(performance.now() - start);
+      }
+    };
+    await Promise.all(Array.from({ length: options.concurrency }, worker));
+    return Benchmark.percentile(latencies, 95);
+  }
+
+  /**
+   * RSS in MB after `minutes` of navigation data at `rate` sentences/s
+   */
+  async measureMemory({ manager, feeder }, options) {
+    const end = Date.now() + options.minutes * 60000;
+    const batch = Math.max(1, Math.round(options.rate));
+    while (Date.now() < end) {
+      const started = Date.now();
+      await feeder.sendTcp(feeder.generateNavigationBurst(batch), { delay: 0 });
+      await sleep(Math.max(0, 1000 - (Date.now() - started)));
+    }
+    await sleep(5000);
+
+    const usage = ResourceSampler.parseStats(await manager.container.stats({ stream: false }));
+    if (!usage) {
+      throw new Error('Memory: no container stats');
+    }
+    return usage.memoryRss / 1024 / 1024;
+  }
+
+  /**
+   * Value below which `p` percent of the values fall (nearest rank)
+   */
+  static percentile(values, p) {
+    return LatencyProbe.percentile(values, p);
+  }
+
+  /**
+   * Count, mean, standard deviation, median, min and max
+   */
+  static summarize(values) {
+    const n = values.length;
+    if (n === 0) {
+      return { n: 0, mean: null, stddev: null, median: null, min: null, max: null };
+    }
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const median = n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+    return { n, mean, stddev: Math.sqrt(variance), median, min: sorted[0], max: sorted[n - 1] };
+  }
+
+  /**
+   * Welch's t-test of two samples: { t, df, p } with the two-sided p-value,
+   * or null when either side has fewer than two values
+   */
+  static welch(a, b) {
+    const x = Benchmark.summarize(a);
+    const y = Benchmark.summarize(b);
+    if (x.n < 2 || y.n < 2) {
+      return null;
+    }
+    const vx = x.stddev ** 2 / x.n;
+    const vy = y.stddev ** 2 / y.n;
+    if (vx + vy === 0) {
+      // No spread at all: any difference is certain, none is no evidence
+      return { t: x.mean === y.mean ? 0 : Infinity, df: x.n + y.n - 2, p: x.mean === y.mean ? 1 : 0 };
+    }
+    const t = (y.mean - x.mean) / Math.sqrt(vx + vy);
+    const df = (vx + vy) ** 2 / (vx ** 2 / (x.n - 1) + vy ** 2 / (y.n - 1));
+    const p = incompleteBeta(df / (df + t * t), df / 2, 0.5);
+    return { t, df, p };
+  }
+
+  /**
+   * Compare per-workload samples of the baseline and candidate
+   *
+   * change is the candidate's mean relative to the baseline in percent;
+   * regression is the same change signed so that positive is worse.
+   */
+  static compare(baseline, candidate, config = DEFAULT_CONFIG) {
+    const alpha = config.alpha ?? DEFAULT_CONFIG.alpha;
+    const workloads = Object.keys(WORKLOADS).filter((name) => baseline[name] || candidate[name]);
+
+    const results = workloads.map((name) => {
+      const { title, unit, better } = WORKLOADS[name];
+      const threshold = config.workloads?.[name]?.maxRegression ?? DEFAULT_CONFIG.workloads[name].maxRegression;
+      const before = Benchmark.summarize(baseline[name] || []);
+      const after = Benchmark.summarize(candidate[name] || []);
+      const test = Benchmark.welch(baseline[name] || [], candidate[name] || []);
+
+      const change = before.mean ? ((after.mean - before.mean) / before.mean) * 100 : null;
+      const regression = change === null ? null : better === 'higher' ? -change : change;
+      // Too few values for a test: fall back to the threshold alone
+      const significant = test ? test.p < alpha : true;
+
+      let status = 'ok';
+      if (regression !== null && significant && Math.abs(regression) > threshold) {
+        status = regression > 0 ? 'regression' : 'improvement';
+      }
+
+      return {
+        workload: name,
+        title,
+        unit,
+        better,
+        threshold,
+        baseline: before,
+        candidate: after,
+        change,
+        regression,
+        p: test ? test.p : null,
+        significant,
+        status,
+      };
+    });
+
+    return {
+      alpha,
+      regressions: results.filter((r) => r.status === 'regression').length,
+      workloads: results,
+    };
+  }
+
+  /**
+   * Markdown report for a run() result; `heading` is the title's level
+   */
+  static formatReport(result, heading = '#') {
+    const image = (side) => `\`${side.image}\`${side.version ? ` (${side.version})` : ''}`;
+    const num = (value) => (value === null ? '-' : Number(value.toFixed(value >= 100 ? 0 : 2)));
+    const icon = { regression: '❌', improvement: '🚀', ok: '✅' };
+    const { comparison } = result;
+
+    let report = `${heading} Performance Comparison\n\n`;
+    report += `**Baseline:** ${image(result.baseline)}  \n`;
+    report += `**Candidate:** ${image(result.candidate)}\n\n`;
+    report += `| | Workload | Baseline | Candidate | Change | Threshold | p |\n`;
+    report += `|---|----------|----------|-----------|--------|-----------|---|\n`;
+    for (const w of comparison.workloads) {
+      const side = (s) => `${num(s.mean)} ± ${num(s.stddev)} ${w.unit} (n=${s.n})`;
+      const change = w.change === null ? '-' : `${w.change >= 0 ? '+' : ''}${w.change.toFixed(1)}%`;
+      const p = w.p === null ? 'n/a' : w.p < 0.001 ? '<0.001' : w.p.toFixed(3);
+      report += `| ${icon[w.status]} | ${w.title} | ${side(w.baseline)} | ${side(w.candidate)} | ${change} | ${w.better === 'higher' ? '-' : '+'}${w.threshold}% | ${p} |\n`;
+    }
+    report += '\n';
+    report += `Mean ± standard deviation of the per-round values. A workload regresses when the candidate is worse than the threshold and Welch's t-test gives p < ${comparison.alpha}.\n\n`;
+
+    if (comparison.regressions > 0) {
+      report += `**${comparison.regressions} performance regression(s) against the baseline.**\n`;
+    } else {
+      report += `No performance regressions against the baseline.\n`;
+    }
+    return report;
+  }
+}
+
+/**
+ * ln Γ(x) (Lanczos approximation)
+ */
+function logGamma(x) {
+  const c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2,
+    -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of c) {
+    series += coefficient / ++y;
+  }
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b) (continued fraction)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  // The fraction converges fast below (a + 1) / (a + b + 2); use symmetry above
+  if (x > (a + 1) / (a + b + 2)) {
+    return 1 - incompleteBeta(1 - x, b, a);
+  }
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let f = d;
+  for (let m = 1; m <= 200; m++) {
+    for (const numerator of [
+      (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m)),
+      -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1)),
+    ]) {
+      d = 1 + numerator * d;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = 1 + numerator / c;
+      c = Math.abs(c) < tiny ? tiny : c;
+      f *= c * d;
+    }
+    if (Math.abs(c * d - 1) < 1e-12) break;
+  }
+  return (front * f) / a;
+}
+
+module.exports = { Benchmark, WORKLOADS };
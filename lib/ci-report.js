@@ -0,0 +1,219 @@
+/**
+ * CiReport - JUnit XML and TAP versions of the validation results
+ *
+ * Jenkins, GitLab and Buildkite read JUnit XML natively, and TAP
+ * consumers (prove, tap-parser, most CI log viewers) read TAP. Both are
+ * built from the results CustomReporter writes to results.json: one
+ * testsuite per test file, one testcase per test, with durations and
+ * failure messages. Server errors LogMonitor recorded while a file ran
+ * are attached to its testsuite as system-err, per phase. A test that
+ * passed on retry keeps its earlier failures as flakyFailure (the
+ * Surefire convention Jenkins reads); a quarantined failure is a TAP TODO.
+ *
+ * mergeJUnit() combines the junit.xml files of several jobs into one,
+ * the way scripts/generate-report.js merges their results.json.
+ */
+
+const SUITES_NAME = 'SignalK Server Release Validation';
+
+// Jest colors its failure messages; neither format wants the escapes
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\x00-\x08\x0b\x0c\x0e-\x1f\ufffe\uffff]/g;
+
+// A whole testsuite element, empty or not
+const SUITE_PATTERN = /<testsuite\b[^>]*?\/>|<testsuite\b[^>]*>[\s\S]*?<\/testsuite>/g;
+
+class CiReport {
+  /**
+   * Escape text for an XML attribute or element
+   */
+  static escapeXml(value) {
+    return String(value ?? '')
+      .replace(ANSI_PATTERN, '')
+      .replace(INVALID_XML_CHARS, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Milliseconds as JUnit seconds ('1.234')
+   */
+  static seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+  }
+
+  /**
+   * Server log errors as system-err text, grouped by phase
+   */
+  static formatLogErrors(logErrors = []) {
+    const byPhase = new Map();
+    for (const error of logErrors) {
+      const phase = error.phase || 'unknown';
+      if (!byPhase.has(phase)) byPhase.set(phase, []);
+      byPhase.get(phase).push(error);
+    }
+
+    const sections = [];
+    for (const [phase, errors] of byPhase) {
+      const lines = [`Phase ${phase}: ${errors.length} server error(s)`];
+      for (const e of errors) {
+        lines.push(`  [${e.timestamp || '-'}] ${e.level || 'error'} ${e.source || 'core'}: ${e.line}`);
+        for (const frame of e.stack || []) {
+          lines.push(`    ${frame.trim()}`);
+        }
+      }
+      sections.push(lines.join('\n'));
+    }
+    return sections.join('\n\n');
+  }
+
+  /**
+   * JUnit XML for a results.json object
+   */
+  static toJUnit(results) {
+    const escape = CiReport.escapeXml;
+    const suites = [];
+
+    for (const testFile of results.tests || []) {
+      const tests = testFile.tests || [];
+      const failures = tests.filter((t) => t.status === 'failed').length;
+      const skipped = tests.filter((t) => !['passed', 'flaky', 'failed'].includes(t.status)).length;
+
+      let xml = `  <testsuite name="${escape(testFile.category)}" file="${escape(testFile.file)}"`;
+      xml += ` tests="${tests.length}" failures="${failures}" errors="0" skipped="${skipped}"`;
+      xml += ` time="${CiReport.seconds(testFile.duration)}">\n`;
+      xml += `    <properties>\n`;
+      xml += `      <property name="image" value="${escape(results.image)}"/>\n`;
+      if (results.seed) {
+        xml += `      <property name="seed" value="${escape(results.seed)}"/>\n`;
+      }
+      xml += `    </properties>\n`;
+
+      for (const t of tests) {
+        const attributes =
+          `name="${escape(t.fullName || t.name)}" classname="${escape(testFile.category)}"` +
+          ` file="tests/${escape(testFile.file)}" time="${CiReport.seconds(t.duration)}"`;
+        if (t.status === 'passed') {
+          xml += `    <testcase ${attributes}/>\n`;
+        } else if (t.status === 'flaky') {
+          xml += `    <testcase ${attributes}>\n`;
+          for (const reason of t.retryReasons || []) {
+            const text = reason.replace(ANSI_PATTERN, '');
+            xml += `      <flakyFailure message="${escape(text.split('\n')[0])}" type="AssertionError">${escape(text)}</flakyFailure>\n`;
+          }
+          xml += `    </testcase>\n`;
+        } else if (t.status === 'failed') {
+          const messages = (t.failureMessages || []).map((m) => m.replace(ANSI_PATTERN, ''));
+          let message = (messages[0] || 'Test failed').split('\n')[0];
+          if (t.quarantine) {
+            message = `[quarantined: ${t.quarantine.issue}] ${message}`;
+          }
+          xml += `    <testcase ${attributes}>\n`;
+          xml += `      <failure message="${escape(message)}" type="AssertionError">${escape(messages.join('\n\n'))}</failure>\n`;
+          xml += `    </testcase>\n`;
+        } else {
+          xml += `    <testcase ${attributes}>\n      <skipped/>\n    </testcase>\n`;
+        }
+      }
+
+      if (testFile.logErrors?.length > 0) {
+        xml += `    <system-err>${escape(CiReport.formatLogErrors(testFile.logErrors))}</system-err>\n`;
+      }
+      xml += `  </testsuite>`;
+      suites.push(xml);
+    }
+
+    return CiReport.wrapSuites(suites, results.startTime);
+  }
+
+  /**
+   * <testsuites> document around testsuite elements, with their totals
+   */
+  static wrapSuites(suites, timestamp) {
+    const totals = { tests: 0, failures: 0, errors: 0, skipped: 0, time: 0 };
+    for (const suite of suites) {
+      const open = suite.match(/^\s*<testsuite\b[^>]*>/)[0];
+      for (const key of Object.keys(totals)) {
+        const value = open.match(new RegExp(`\\s${key}="([\\d.]+)"`));
+        totals[key] += value ? Number(value[1]) : 0;
+      }
+    }
+
+    let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    xml += `<testsuites name="${SUITES_NAME}" tests="${totals.tests}" failures="${totals.failures}"`;
+    xml += ` errors="${totals.errors}" skipped="${totals.skipped}" time="${totals.time.toFixed(3)}"`;
+    if (timestamp) {
+      xml += ` timestamp="${CiReport.escapeXml(timestamp)}"`;
+    }
+    xml += `>\n`;
+    for (const suite of suites) {
+      xml += `${suite.replace(/^\s*/, '  ')}\n`;
+    }
+    return xml + `</testsuites>\n`;
+  }
+
+  /**
+   * Combine JUnit documents (one per job) into one; each document's
+   * testsuite elements are kept as they are and the totals recounted
+   */
+  static mergeJUnit(documents, timestamp = null) {
+    const suites = documents.flatMap((doc) => doc.match(SUITE_PATTERN) || []);
+    return CiReport.wrapSuites(suites, timestamp);
+  }
+
+  /**
+   * TAP version 13 for a results.json object; failures go in the YAML
+   * diagnostics block of the failing test, server errors in comments
+   */
+  static toTAP(results) {
+    const tests = (results.tests || []).flatMap((testFile) =>
+      (testFile.tests || []).map((t) => ({ ...t, category: testFile.category }))
+    );
+    const lines = ['TAP version 13', `1..${tests.length}`];
+    const yamlString = (text) => JSON.stringify(String(text).replace(ANSI_PATTERN, ''));
+
+    tests.forEach((t, i) => {
+      const description = `${t.category} > ${t.fullName || t.name}`.replace(/#/g, '\\#');
+      if (t.status === 'passed') {
+        lines.push(`ok ${i + 1} - ${description}`);
+      } else if (t.status === 'flaky') {
+        lines.push(`ok ${i + 1} - ${description} (flaky: passed on attempt ${t.attempts})`);
+      } else if (t.status === 'failed') {
+        // A TODO failure does not fail the run, like a quarantined test
+        const todo = t.quarantine ? ` # TODO quarantined: ${t.quarantine.reason}`.replace(/\n/g, ' ') : '';
+        lines.push(`not ok ${i + 1} - ${description}${todo}`);
+        lines.push('  ---');
+        lines.push(`  message: ${yamlString((t.failureMessages?.[0] || 'Test failed').split('\n')[0])}`);
+        lines.push(`  duration_ms: ${t.duration || 0}`);
+        if (t.failureMessages?.length > 0) {
+          lines.push('  stack: |-');
+          for (const line of t.failureMessages.join('\n\n').replace(ANSI_PATTERN, '').split('\n')) {
+            lines.push(`    ${line}`);
+          }
+        }
+        lines.push('  ...');
+      } else {
+        lines.push(`ok ${i + 1} - ${description} # SKIP`);
+      }
+    });
+
+    // Server errors are not tests of their own; TAP keeps them as comments
+    for (const testFile of results.tests || []) {
+      if (testFile.logErrors?.length > 0) {
+        lines.push(`# ${testFile.category}: server log errors`);
+        for (const line of CiReport.formatLogErrors(testFile.logErrors).split('\n')) {
+          lines.push(`# ${line}`);
+        }
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = { CiReport };
@@ -0,0 +1,159 @@
+/**
+ * CompatibilityMatrix - Tests by images grid for matrix runs
+ *
+ * scripts/run-matrix.js (or the matrix workflow) runs the suite once per
+ * image; scripts/generate-report.js --matrix groups the results.json files
+ * by the image they ran against and builds one row per test and one
+ * column per image. Images are listed oldest first, so a cell is a
+ * regression when an image to its left passed the test and this one
+ * failed it.
+ *
+ * Cell status is the reporter's test status: passed, flaky (passed on
+ * retry), failed, skipped (pending, skipped and todo), or null when the
+ * test did not run against that image.
+ */
+
+const STATUS_ICONS = {
+  passed: '✅',
+  flaky: '🔁',
+  failed: '❌',
+  skipped: '⏭️',
+};
+
+const PASSED = ['passed', 'flaky'];
+
+class CompatibilityMatrix {
+  /**
+   * @param {Array} resultFiles - results.json objects, one or more per image
+   * @param {string[]} images - column order, oldest first (default: order
+   *   of first appearance)
+   */
+  static build(resultFiles, images = []) {
+    const order = [...images];
+    for (const result of resultFiles) {
+      if (result.image && !order.includes(result.image)) {
+        order.push(result.image);
+      }
+    }
+
+    const rows = new Map();
+    for (const result of resultFiles) {
+      const column = order.indexOf(result.image);
+      if (column < 0) continue;
+
+      for (const testFile of result.tests || []) {
+        for (const t of testFile.tests || []) {
+          const key = `${testFile.file} › ${t.fullName || t.name}`;
+          if (!rows.has(key)) {
+            rows.set(key, {
+              key,
+              file: testFile.file,
+              category: testFile.category,
+              name: t.fullName || t.name,
+              cells: order.map(() => null),
+            });
+          }
+          const status = t.status in STATUS_ICONS ? t.status : 'skipped';
+          rows.get(key).cells[column] = { status, regression: false };
+        }
+      }
+    }
+
+    const tests = [...rows.values()].sort((a, b) => a.file.localeCompare(b.file));
+    for (const row of tests) {
+      let passedBefore = null;
+      row.cells.forEach((cell, column) => {
+        if (!cell) return;
+        if (cell.status === 'failed' && passedBefore !== null) {
+          cell.regression = true;
+          cell.passedOn = order[passedBefore];
+        }
+        if (PASSED.includes(cell.status)) {
+          passedBefore = column;
+        }
+      });
+      row.differs = new Set(row.cells.filter(Boolean).map((c) => (PASSED.includes(c.status) ? 'passed' : c.status))).size > 1;
+    }
+
+    const columns = order.map((image, column) => {
+      const cells = tests.map((row) => row.cells[column]).filter(Boolean);
+      const count = (status) => cells.filter((c) => c.status === status).length;
+      const files = resultFiles.filter((r) => r.image === image);
+      return {
+        image,
+        seeds: [...new Set(files.map((r) => r.seed).filter(Boolean))],
+        total: cells.length,
+        passed: count('passed') + count('flaky'),
+        flaky: count('flaky'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        regressions: cells.filter((c) => c.regression).length,
+        success: files.length > 0 && files.every((r) => r.summary?.success),
+      };
+    });
+
+    return { images: order, columns, tests };
+  }
+
+  /**
+   * Short column title: the tag, or the whole reference when several
+   * images share a tag
+   */
+  static label(image, images = []) {
+    const tag = image.split('@')[0].match(/:([^/:]+)$/)?.[1] || image;
+    const sameTag = images.filter((other) => other !== image && other.endsWith(`:${tag}`));
+    return sameTag.length > 0 ? image : tag;
+  }
+
+  static icon(cell) {
+    return cell ? STATUS_ICONS[cell.status] : '·';
+  }
+
+  /**
+   * Markdown report; with `changedOnly` only tests whose status differs
+   * between images are listed in the grid
+   */
+  static formatReport(matrix, options = {}) {
+    const { images, columns, tests } = matrix;
+    const labels = images.map((image) => CompatibilityMatrix.label(image, images));
+    const regressions = tests.filter((row) => row.cells.some((c) => c?.regression));
+    const rows = options.changedOnly ? tests.filter((row) => row.differs) : tests;
+
+    let md = `# Compatibility Matrix\n\n`;
+    md += `| Image | Passed | Flaky | Failed | Skipped | Regressions | Status |\n`;
+    md += `|-------|--------|-------|--------|---------|-------------|--------|\n`;
+    for (const c of columns) {
+      md += `| \`${c.image}\` | ${c.passed}/${c.total} | ${c.flaky} | ${c.failed} | ${c.skipped} | ${c.regressions} | ${c.success ? '✅' : '❌'} |\n`;
+    }
+    md += '\n';
+
+    if (regressions.length > 0) {
+      md += `## ❌ Regressions\n\n`;
+      md += `Tests an older image passed and a newer one fails.\n\n`;
+      for (const row of regressions) {
+        row.cells.forEach((cell, column) => {
+          if (cell?.regression) {
+            md += `- **${row.category}** › ${row.name}: passes on \`${CompatibilityMatrix.label(cell.passedOn, images)}\`, fails on \`${labels[column]}\`\n`;
+          }
+        });
+      }
+      md += '\n';
+    }
+
+    md += `## Tests by Image\n\n`;
+    if (options.changedOnly) {
+      md += `${rows.length} of ${tests.length} tests differ between images; the rest have the same result everywhere.\n\n`;
+    }
+    md += `| Category | Test | ${labels.join(' | ')} |\n`;
+    md += `|----------|------|${labels.map(() => '---').join('|')}|\n`;
+    for (const row of rows) {
+      const cells = row.cells.map((cell) => (cell?.regression ? `**${CompatibilityMatrix.icon(cell)}**` : CompatibilityMatrix.icon(cell)));
+      md += `| ${row.category} | ${row.name} | ${cells.join(' | ')} |\n`;
+    }
+    md += `\n✅ passed · 🔁 passed on retry · ❌ failed (**bold**: an older image passed) · ⏭️ skipped · \`·\` not run\n`;
+
+    return md;
+  }
+}
+
+module.exports = { CompatibilityMatrix };
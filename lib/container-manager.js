@@ -8,6 +8,61 @@
 const Docker = require('dockerode');
 const path = require('path');
 const fs = require('fs-extra');
+const { ContainerWatchdog } = require('./container-watchdog');
+const { ResourceSampler } = require('./resource-sampler');
+const { NodeProfiler } = require('./node-profiler');
+
+/**
+ * NMEA 2000 input presets, keyed by N2kSimulator wire format.
+ * Each preset listens on its own container port and decodes the stream
+ * into canboat JSON before n2k-signalk.
+ */
+const N2K_INPUT_PRESETS = {
+  'canboat-json': {
+    id: 'n2k-canboat-json-input',
+    portKey: 'n2k',
+    port: 2597,
+    decoder: [{ type: 'providers/liner' }, { type: 'providers/from_json' }],
+  },
+  actisense: {
+    id: 'n2k-actisense-input',
+    portKey: 'n2kActisense',
+    port: 2598,
+    decoder: [{ type: 'providers/liner' }, { type: 'providers/canboatjs' }],
+  },
+  'actisense-ngt1': {
+    id: 'n2k-ngt1-input',
+    portKey: 'n2kNgt1',
+    port: 2599,
+    decoder: [
+      { type: 'providers/actisense-serial', options: { fromFile: true, plainText: true } },
+      { type: 'providers/canboatjs' },
+    ],
+  },
+  ydraw: {
+    id: 'n2k-ydraw-input',
+    portKey: 'n2kYdraw',
+    port: 2600,
+    decoder: [{ type: 'providers/liner' }, { type: 'providers/canboatjs' }],
+  },
+  candump: {
+    id: 'n2k-candump-input',
+    portKey: 'n2kCandump',
+    port: 2601,
+    decoder: [{ type: 'providers/liner' }, { type: 'providers/canboatjs' }],
+  },
+};
+
+const DEFAULT_N2K_INPUTS = ['canboat-json', 'actisense'];
+
+/**
+ * IEC 61162-450 defaults: the NAVD transmission group
+ * (239.192.0.2:60002) used for navigation sentences
+ */
+const NMEA450_DEFAULTS = {
+  group: '239.192.0.2',
+  port: 60002,
+};
 
 class ContainerManager {
   constructor(options = {}) {
@@ -15,18 +70,95 @@ class ContainerManager {
     this.image = options.image || process.env.SIGNALK_IMAGE || 'signalk/signalk-server:latest';
     this.container = null;
     this.logMonitor = options.logMonitor;
-    this.dataDir = options.dataDir || '/tmp/signalk-test-data-' + Date.now();
-    this.containerName = options.containerName || 'signalk-test-' + Date.now();
-    
+    this.instanceId = `${Date.now()}-${process.pid}-${process.env.JEST_WORKER_ID || 0}`;
+    this.dataDir = options.dataDir || '/tmp/signalk-test-data-' + this.instanceId;
+    this.containerName = options.containerName || 'signalk-test-' + this.instanceId;
+
+    // Dynamic mode lets several containers run side by side: Docker assigns
+    // the host ports on every (re)start and the mapping is read back from it
+    this.dynamicPorts = options.dynamicPorts ?? process.env.SIGNALK_DYNAMIC_PORTS === 'true';
+
+    // NMEA 2000 input presets to configure (see N2K_INPUT_PRESETS)
+    this.n2kInputs = options.n2kInputs || DEFAULT_N2K_INPUTS;
+    const unknown = this.n2kInputs.filter((format) => !N2K_INPUT_PRESETS[format]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown NMEA 2000 input preset(s): ${unknown.join(', ')}`);
+    }
+
+    // Ports the server listens on inside the container
+    this.containerPorts = {
+      http: 3000,
+      https: 3443,
+      tcp: this.dynamicPorts ? 10110 : options.tcpPort || 10110,
+      udp: this.dynamicPorts ? 10111 : options.udpPort || 10111,
+    };
+
+    // Ports published on the host (what clients connect to)
     this.ports = {
       http: options.httpPort || 3000,
       https: options.httpsPort || 3443,
       tcp: options.tcpPort || 10110,
       udp: options.udpPort || 10111,
     };
-    
+
+    const n2kPortOptions = {
+      n2k: options.n2kPort,
+      n2kActisense: options.n2kActisensePort,
+      ...options.n2kPorts,
+    };
+    for (const format of this.n2kInputs) {
+      const { portKey, port } = N2K_INPUT_PRESETS[format];
+      this.containerPorts[portKey] = this.dynamicPorts ? port : n2kPortOptions[portKey] || port;
+      this.ports[portKey] = n2kPortOptions[portKey] || port;
+    }
+
+    // IEC 61162-450 UDP input (UdPbC datagrams), off unless requested.
+    // Docker does not forward multicast from the host into a bridged
+    // container, so the listener also accepts datagrams on the published
+    // port; true multicast needs host networking.
+    this.nmea450 = options.nmea450
+      ? { ...NMEA450_DEFAULTS, ...(options.nmea450 === true ? {} : options.nmea450) }
+      : null;
+    if (this.nmea450) {
+      this.containerPorts.nmea450 = this.dynamicPorts ? NMEA450_DEFAULTS.port : this.nmea450.port;
+      this.ports.nmea450 = this.nmea450.port;
+    }
+
+    // Node.js inspector for heap snapshots and CPU profiles (NodeProfiler),
+    // off unless requested; it accepts connections from anywhere, which is
+    // fine for a throwaway test container but nothing else
+    this.inspect = options.inspect ?? process.env.SIGNALK_INSPECT === 'true';
+    if (this.inspect) {
+      this.containerPorts.inspector = 9229;
+      this.ports.inspector = options.inspectorPort || 9229;
+    }
+
     this.configPath = options.configPath;
     this.startTimeout = options.startTimeout || 60000;
+
+    // Docker events (die, oom, restart, health) recorded in the background;
+    // watchdog: false turns it off
+    this.watchdog =
+      options.watchdog === false
+        ? null
+        : new ContainerWatchdog({
+            docker: this.docker,
+            logMonitor: this.logMonitor,
+            name: this.containerName,
+            image: this.image,
+          });
+
+    // CPU/memory/network/IO time series for the whole run;
+    // resourceSampling: false turns it off
+    this.sampler =
+      options.resourceSampling === false
+        ? null
+        : new ResourceSampler({
+            logMonitor: this.logMonitor,
+            name: this.containerName,
+            image: this.image,
+            interval: options.resourceInterval,
+          });
   }
 
   /**
@@ -81,7 +213,7 @@ class ContainerManager {
               {
                 type: 'providers/udp',
                 options: {
-                  port: this.ports.udp,
+                  port: this.containerPorts.udp,
                 },
               },
               {
@@ -90,6 +222,8 @@ class ContainerManager {
             ],
             enabled: true,
           },
+          ...this.getN2kProviders(),
+          ...this.getNmea450Providers(),
         ],
       };
       await fs.writeJson(settingsPath, defaultSettings, { spaces: 2 });
@@ -138,6 +272,99 @@ class ContainerManager {
     await fs.chmod(securityPath, 0o666);
   }
 
+  /**
+   * NMEA 2000 input providers, one per enabled preset
+   *
+   * SignalK has no generic listening TCP provider, so each pipeline runs a
+   * tiny node TCP listener through providers/execute and reads its stdout.
+   * - n2k-canboat-json-input: canboat JSON lines (N2kSimulator default format)
+   * - n2k-actisense-input: Actisense/canboat plain text lines, decoded by canboatjs
+   * - n2k-ngt1-input: binary Actisense NGT-1 frames, unwrapped by actisense-serial
+   * - n2k-ydraw-input: Yacht Devices YDWG-02 RAW lines
+   * - n2k-candump-input: SocketCAN candump log lines
+   */
+  getN2kProviders() {
+    const listen = (port) =>
+      `node -e "require('net').createServer((s) => s.pipe(process.stdout, { end: false })).listen(${port})"`;
+
+    return this.n2kInputs.map((format) => {
+      const preset = N2K_INPUT_PRESETS[format];
+      return {
+        id: preset.id,
+        pipeElements: [
+          {
+            type: 'providers/execute',
+            options: {
+              command: listen(this.containerPorts[preset.portKey]),
+            },
+          },
+          ...preset.decoder,
+          {
+            type: 'providers/n2k-signalk',
+          },
+        ],
+        enabled: true,
+      };
+    });
+  }
+
+  /**
+   * IEC 61162-450 input provider, when enabled
+   *
+   * providers/udp neither joins multicast groups nor understands the
+   * UdPbC header, so like the N2K inputs this runs a small node listener
+   * through providers/execute. It joins the group, drops datagrams
+   * without the "UdPbC\0" header and passes the TAG-block sentences on
+   * to nmea0183-signalk, which reads source (s:) and time (c:) from them.
+   */
+  getNmea450Providers() {
+    if (!this.nmea450) {
+      return [];
+    }
+
+    const { group } = this.nmea450;
+    const port = this.containerPorts.nmea450;
+    const listener = [
+      "const s = require('dgram').createSocket({ type: 'udp4', reuseAddr: true });",
+      's.on(\'message\', (m) => {',
+      "if (m.subarray(0, 5).toString() !== 'UdPbC' || m[5] !== 0) return;",
+      'const t = m.subarray(6).toString().trim();',
+      'if (t) process.stdout.write(t + String.fromCharCode(10));',
+      '});',
+      `s.bind(${port}, () => { try { s.addMembership('${group}'); } catch (e) {} });`,
+    ].join(' ');
+
+    return [
+      {
+        id: 'nmea-450-input',
+        pipeElements: [
+          {
+            type: 'providers/execute',
+            options: {
+              command: `node -e "${listener}"`,
+            },
+          },
+          {
+            type: 'providers/liner',
+          },
+          {
+            type: 'providers/nmea0183-signalk',
+          },
+        ],
+        enabled: true,
+      },
+    ];
+  }
+
+  /**
+   * Host port for each enabled NMEA 2000 input, keyed by wire format
+   */
+  getN2kPorts() {
+    return Object.fromEntries(
+      this.n2kInputs.map((format) => [format, this.ports[N2K_INPUT_PRESETS[format].portKey]])
+    );
+  }
+
   /**
    * Start the container
    */
@@ -146,6 +373,9 @@ class ContainerManager {
 
     await this.prepare();
 
+    // The previous container's removal is not an incident
+    this.watchdog?.unwatch();
+
     // Remove existing container with same name if exists
     try {
       const existing = this.docker.getContainer(this.containerName);
@@ -154,27 +384,26 @@ class ContainerManager {
       // Container doesn't exist, which is fine
     }
 
+    const portSpecs = this.getPortSpecs();
+
     const containerConfig = {
       Image: this.image,
       name: this.containerName,
       Env: [
         'SIGNALK_NODE_SETTINGS=/home/node/.signalk/settings.json',
-        `NMEA0183PORT=${this.ports.tcp}`,
+        `NMEA0183PORT=${this.containerPorts.tcp}`,
+        ...(this.inspect ? [`NODE_OPTIONS=--inspect=0.0.0.0:${this.containerPorts.inspector}`] : []),
         ...(config.env || []),
       ],
-      ExposedPorts: {
-        '3000/tcp': {},
-        '3443/tcp': {},
-        [`${this.ports.tcp}/tcp`]: {},
-        [`${this.ports.udp}/udp`]: {},
-      },
+      ExposedPorts: Object.fromEntries(portSpecs.map(({ spec }) => [spec, {}])),
       HostConfig: {
-        PortBindings: {
-          '3000/tcp': [{ HostPort: String(this.ports.http) }],
-          '3443/tcp': [{ HostPort: String(this.ports.https) }],
-          [`${this.ports.tcp}/tcp`]: [{ HostPort: String(this.ports.tcp) }],
-          [`${this.ports.udp}/udp`]: [{ HostPort: String(this.ports.udp) }],
-        },
+        // An empty HostPort lets Docker pick a free port as it binds it
+        PortBindings: Object.fromEntries(
+          portSpecs.map(({ spec, key }) => {
+            const hostPort = this.dynamicPorts ? '' : String(this.ports[key]);
+            return [spec, [{ HostPort: hostPort }]];
+          })
+        ),
         RestartPolicy: { Name: 'no' },
         NetworkMode: config.networkMode || 'bridge',
       },
@@ -189,25 +418,79 @@ class ContainerManager {
 
     this.container = await this.docker.createContainer(containerConfig);
 
+    if (this.watchdog) {
+      this.watchdog.logMonitor = this.logMonitor || null;
+      await this.watchdog.watch(this.container).catch(() => {});
+    }
+
     // Attach log monitor before starting
     if (this.logMonitor) {
+      this.logMonitor.setServerInfo({ image: this.image });
       await this.logMonitor.attachToContainer(this.container);
     }
 
     await this.container.start();
 
+    if (this.sampler) {
+      this.sampler.logMonitor = this.logMonitor || null;
+      this.sampler.start(this.container);
+    }
+
     // Copy settings.json into container (avoids Windows permission issues)
     await this.copySettingsToContainer();
 
     // Restart to pick up the new settings
+    this.watchdog?.expect('die', 'restart');
     await this.container.restart({ t: 5 });
 
+    // Record the host ports Docker actually published
+    await this.refreshPortMappings();
+
     // Wait for server to be ready
     await this.waitForReady();
 
     return this.getConnectionInfo();
   }
 
+  /**
+   * Container port specs ('3000/tcp', ...) keyed to entries in this.ports
+   */
+  getPortSpecs() {
+    return [
+      { key: 'http', spec: `${this.containerPorts.http}/tcp` },
+      { key: 'https', spec: `${this.containerPorts.https}/tcp` },
+      { key: 'tcp', spec: `${this.containerPorts.tcp}/tcp` },
+      { key: 'udp', spec: `${this.containerPorts.udp}/udp` },
+      ...this.n2kInputs.map((format) => {
+        const { portKey } = N2K_INPUT_PRESETS[format];
+        return { key: portKey, spec: `${this.containerPorts[portKey]}/tcp` };
+      }),
+      ...(this.nmea450 ? [{ key: 'nmea450', spec: `${this.containerPorts.nmea450}/udp` }] : []),
+      ...(this.inspect ? [{ key: 'inspector', spec: `${this.containerPorts.inspector}/tcp` }] : []),
+    ];
+  }
+
+  /**
+   * Update this.ports from the container's published port mapping
+   */
+  async refreshPortMappings() {
+    if (!this.container) return this.ports;
+
+    const info = await this.container.inspect().catch(() => null);
+    const published = info?.NetworkSettings?.Ports || {};
+
+    for (const { key, spec } of this.getPortSpecs()) {
+      const binding = (published[spec] || []).find((b) => b.HostPort);
+      if (binding) {
+        this.ports[key] = parseInt(binding.HostPort, 10);
+      } else if (this.dynamicPorts) {
+        throw new Error(`Docker published no host port for ${spec}`);
+      }
+    }
+
+    return this.ports;
+  }
+
   /**
    * Copy settings.json and security.json into the container
    */
@@ -251,6 +534,9 @@ class ContainerManager {
         if (res.ok) {
           const data = await res.json();
           if (data.endpoints) {
+            // Known-issue entries scoped to a version range need the version
+            this.serverVersion = data.server?.version || null;
+            this.logMonitor?.setServerInfo({ version: this.serverVersion });
             // HTTP is ready, now wait for TCP provider
             break;
           }
@@ -267,14 +553,48 @@ class ContainerManager {
     if (!tcpReady) {
       const status = await this.getStatus();
       const logs = await this.getLogs(500);
+      const incidents = (this.watchdog?.incidents || []).map((e) => ContainerWatchdog.describe(e));
       throw new Error(
-        `TCP port ${this.ports.tcp} not ready within timeout.\nContainer state: ${JSON.stringify(status)}\nLast logs:\n${logs}`
+        `TCP port ${this.ports.tcp} not ready within timeout.\nContainer state: ${JSON.stringify(status)}\n` +
+          (incidents.length > 0 ? `Container events: ${incidents.join('; ')}\n` : '') +
+          `Last logs:\n${logs}`
       );
     }
 
+    if (this.logMonitor) {
+      await this.reportPlugins();
+    }
     return true;
   }
 
+  /**
+   * Tell the log monitor which plugins the server loaded, so it can tell
+   * their app.error() lines from other `<module>: <message>` output
+   */
+  async reportPlugins() {
+    const baseUrl = `http://localhost:${this.ports.http}`;
+    try {
+      // The plugin list needs the admin user from security.json
+      const login = await fetch(`${baseUrl}/signalk/v1/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password: 'admin123' }),
+        signal: AbortSignal.timeout(5000),
+      });
+      const { token } = login.ok ? await login.json() : {};
+      const res = await fetch(`${baseUrl}/skServer/plugins`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        signal: AbortSignal.timeout(5000),
+      });
+      if (res.ok) {
+        const plugins = await res.json();
+        this.logMonitor.setServerInfo({ plugins: plugins.map((p) => p.id) });
+      }
+    } catch (e) {
+      // Without the list only tagged lines with a level count as plugin errors
+    }
+  }
+
   /**
    * Wait for TCP port to be listening
    */
@@ -324,6 +644,7 @@ class ContainerManager {
     if (this.container) {
       const info = await this.container.inspect().catch(() => null);
       if (info?.State?.Running) {
+        this.watchdog?.expect('die');
         await this.container.stop({ t: timeout });
       }
     }
@@ -336,7 +657,9 @@ class ContainerManager {
     this.logMonitor?.setPhase('container-restart');
 
     if (this.container) {
+      this.watchdog?.expect('die', 'restart');
       await this.container.restart({ t: timeout });
+      await this.refreshPortMappings();
       await this.waitForReady();
     }
   }
@@ -348,6 +671,7 @@ class ContainerManager {
     this.logMonitor?.setPhase('container-kill');
 
     if (this.container) {
+      this.watchdog?.expect('die');
       await this.container.kill({ signal });
     }
   }
@@ -359,6 +683,8 @@ class ContainerManager {
     if (this.logMonitor) {
       this.logMonitor.detach();
     }
+    this.watchdog?.unwatch();
+    this.sampler?.stop();
 
     if (this.container) {
       try {
@@ -437,6 +763,21 @@ class ContainerManager {
     return lines.join('\n');
   }
 
+  /**
+   * Connect a NodeProfiler to the server's inspector (needs inspect: true)
+   */
+  async connectProfiler(options = {}) {
+    if (!this.inspect) {
+      throw new Error('Server was not started with inspect: true (or SIGNALK_INSPECT=true)');
+    }
+    const profiler = new NodeProfiler({
+      port: this.ports.inspector,
+      logMonitor: this.logMonitor,
+      ...options,
+    });
+    return profiler.connect();
+  }
+
   /**
    * Get container status
    */
@@ -469,7 +810,15 @@ class ContainerManager {
       apiUrl: `http://localhost:${this.ports.http}/signalk/v1/api`,
       tcpPort: this.ports.tcp,
       udpPort: this.ports.udp,
+      n2kPort: this.ports.n2k,
+      n2kActisensePort: this.ports.n2kActisense,
+      n2kPorts: this.getN2kPorts(),
+      nmea450Port: this.ports.nmea450,
+      nmea450Group: this.nmea450?.group,
+      inspectorPort: this.ports.inspector,
       httpsPort: this.ports.https,
+      httpPort: this.ports.http,
+      ports: { ...this.ports },
       dataDir: this.dataDir,
       containerId: this.container?.id,
     };
@@ -551,4 +900,4 @@ class ContainerManager {
   }
 }
 
-module.exports = { ContainerManager };
+module.exports = { ContainerManager, N2K_INPUT_PRESETS, NMEA450_DEFAULTS };
@@ -0,0 +1,224 @@
+/**
+ * ContainerWatchdog - Records Docker events for the container under test
+ *
+ * A server that crashes mid-run (or is OOM-killed, or restarted by Docker)
+ * otherwise only shows up as fetch errors in later tests. The watchdog
+ * follows Docker's event stream for the container and records die, oom,
+ * restart and health_status events with their time and the LogMonitor
+ * phase they happened in.
+ *
+ * ContainerManager announces the stops, kills and restarts it does itself
+ * with expect(), so a test's deliberate crash is not reported as an
+ * incident. Everything else that takes the server down is.
+ *
+ * Records are written to SIGNALK_CONTAINER_EVENTS (set by CustomReporter)
+ * as <container name>.json after every event, so they survive a worker
+ * that crashes before teardown.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const WATCHED_EVENTS = ['die', 'oom', 'restart', 'health_status'];
+
+class ContainerWatchdog extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {Docker} options.docker - dockerode instance
+   * @param {LogMonitor} options.logMonitor - source of the current phase
+   * @param {string} options.name - container name, used for the output file
+   * @param {string} options.image - image under test, for the report
+   * @param {string} options.outputDir - where records are written
+   *   (default SIGNALK_CONTAINER_EVENTS; none when unset)
+   */
+  constructor(options = {}) {
+    super();
+    this.docker = options.docker;
+    this.logMonitor = options.logMonitor || null;
+    this.name = options.name || null;
+    this.image = options.image || null;
+    this.outputDir = options.outputDir || process.env.SIGNALK_CONTAINER_EVENTS || null;
+    this.events = [];
+    this.expected = {};
+    this.stream = null;
+    this.buffer = '';
+  }
+
+  /**
+   * Follow events for a container; replaces any previous subscription
+   * (ContainerManager creates a new container on every start)
+   */
+  async watch(container) {
+    this.unwatch();
+    this.expected = {};
+
+    const stream = await this.docker.getEvents({
+      filters: { type: ['container'], container: [container.id] },
+    });
+    this.stream = stream;
+    this.buffer = '';
+
+    stream.on('data', (chunk) => {
+      // Events arrive as JSON objects, one per line
+      this.buffer += chunk.toString('utf8');
+      const lines = this.buffer.split('\n');
+      this.buffer = lines.pop();
+      for (const line of lines) {
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (e) {
+          continue; // blank or partial line
+        }
+        this.handleEvent(event);
+      }
+    });
+    stream.on('error', (err) => this.emit('stream-error', err));
+    return stream;
+  }
+
+  /**
+   * Stop following events
+   */
+  unwatch() {
+    if (this.stream) {
+      this.stream.destroy?.();
+      this.stream = null;
+    }
+  }
+
+  /**
+   * Announce events the test suite causes itself (stop, kill, restart);
+   * each call covers one occurrence of each event
+   */
+  expect(...events) {
+    for (const event of events) {
+      this.expected[event] = (this.expected[event] || 0) + 1;
+    }
+  }
+
+  /**
+   * Record a Docker event; returns the record, or null for events that
+   * are not watched
+   */
+  handleEvent(event) {
+    const action = event.Action || event.status || '';
+    const [name, detail] = action.split(/:\s*/);
+    if (!WATCHED_EVENTS.includes(name)) {
+      return null;
+    }
+
+    const attributes = event.Actor?.Attributes || {};
+    const record = {
+      time: ContainerWatchdog.eventTime(event),
+      event: name,
+      container: attributes.name || this.name,
+      phase: this.logMonitor?.currentPhase || null,
+      expected: false,
+    };
+    if (detail) record.status = detail;
+    if (attributes.exitCode !== undefined) record.exitCode = Number(attributes.exitCode);
+
+    if (this.expected[name] > 0) {
+      this.expected[name]--;
+      record.expected = true;
+    }
+
+    this.events.push(record);
+    this.emit('event', record);
+    if (ContainerWatchdog.isIncident(record)) {
+      this.emit('incident', record);
+    }
+    this.save();
+    return record;
+  }
+
+  /**
+   * Events nobody asked for that mean the server went down or is unwell
+   */
+  static isIncident(record) {
+    if (record.expected) return false;
+    if (record.event === 'health_status') return record.status === 'unhealthy';
+    return true;
+  }
+
+  get incidents() {
+    return this.events.filter(ContainerWatchdog.isIncident);
+  }
+
+  /**
+   * ISO time of a Docker event (timeNano when present)
+   */
+  static eventTime(event) {
+    if (event.timeNano) {
+      return new Date(Number(BigInt(event.timeNano) / 1000000n)).toISOString();
+    }
+    if (event.time) {
+      return new Date(event.time * 1000).toISOString();
+    }
+    return new Date().toISOString();
+  }
+
+  /**
+   * Event with its detail: 'die (exit 137)', 'health_status (unhealthy)'
+   */
+  static label(record) {
+    let text = record.event;
+    if (record.status) text += ` (${record.status})`;
+    if (record.exitCode !== undefined) text += ` (exit ${record.exitCode})`;
+    return text;
+  }
+
+  /**
+   * One-line description: 'die (exit 137) in phase nmea-tcp at <time>'
+   */
+  static describe(record) {
+    return `${ContainerWatchdog.label(record)} in phase ${record.phase || 'unknown'} at ${record.time}`;
+  }
+
+  toJSON() {
+    return {
+      container: this.name,
+      image: this.image,
+      events: this.events,
+      incidents: this.incidents,
+    };
+  }
+
+  /**
+   * Write the records to outputDir/<name>.json
+   */
+  save() {
+    if (!this.outputDir || !this.name) return;
+    try {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+      fs.writeFileSync(path.join(this.outputDir, `${this.name}.json`), JSON.stringify(this, null, 2));
+    } catch (e) {
+      // Reporting only; never fail a test over it
+    }
+  }
+
+  /**
+   * Read the records all watchdogs wrote to a directory
+   */
+  static load(dir) {
+    if (!dir || !fs.existsSync(dir)) {
+      return [];
+    }
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith('.json'))
+      .sort()
+      .map((f) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8'));
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = { ContainerWatchdog };
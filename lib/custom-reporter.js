@@ -7,6 +7,15 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+const { LogBaseline } = require('./log-baseline');
+const { ContainerWatchdog } = require('./container-watchdog');
+const { ResourceSampler } = require('./resource-sampler');
+const { NodeProfiler } = require('./node-profiler');
+const { LatencyProbe } = require('./latency-probe');
+const { CiReport } = require('./ci-report');
+const { FailFast } = require('./fail-fast');
+const { Quarantine } = require('./quarantine');
 
 class CustomReporter {
   constructor(globalConfig, options) {
@@ -14,17 +23,87 @@ class CustomReporter {
     this._options = options || {};
     this.outputDir = options.outputDir || './reports';
     this.isGitHubActions = !!process.env.GITHUB_ACTIONS;
+
+    // One simulation seed per run. Workers inherit it through the
+    // environment, so re-running with SIGNALK_SEED reproduces generated data.
+    if (!process.env.SIGNALK_SEED) {
+      process.env.SIGNALK_SEED = String(crypto.randomInt(0, 2 ** 31));
+    }
+
+    // Every LogMonitor in the workers writes a snapshot on detach; its
+    // errors go into the JUnit and TAP output, and with SIGNALK_LOG_BASELINE
+    // set the run's logs are compared with the baseline at the end
+    this.logBaseline = process.env.SIGNALK_LOG_BASELINE || null;
+    if (!process.env.SIGNALK_LOG_SNAPSHOTS) {
+      process.env.SIGNALK_LOG_SNAPSHOTS = path.join(this.outputDir, 'logs', 'snapshots');
+      this.ownSnapshotDir = true;
+    }
+
+    // Whether server log errors alone block the release verdict:
+    // off (default), critical (fatal, crash and uncaught lines) or error
+    this.logVerdict = CustomReporter.logVerdictPolicy(process.env.SIGNALK_LOG_VERDICT);
+
+    // Retries happen in the workers (tests/setup.js); known-flaky tests in
+    // the quarantine list report their failures without blocking the verdict
+    this.retries = Number(process.env.SIGNALK_RETRIES) || 0;
+    this.quarantine = Quarantine.loadDefault();
+
+    // Container watchdogs in the workers record Docker events here
+    if (!process.env.SIGNALK_CONTAINER_EVENTS) {
+      process.env.SIGNALK_CONTAINER_EVENTS = path.join(this.outputDir, 'logs', 'container-events');
+      this.ownEventsDir = true;
+    }
+
+    // ...and resource samplers their CPU/memory time series
+    if (!process.env.SIGNALK_RESOURCE_SAMPLES) {
+      process.env.SIGNALK_RESOURCE_SAMPLES = path.join(this.outputDir, 'logs', 'resources');
+      this.ownResourceDir = true;
+    }
+
+    // ...and profilers their heap snapshots and CPU profiles
+    if (!process.env.SIGNALK_PROFILE_DIR) {
+      process.env.SIGNALK_PROFILE_DIR = path.join(this.outputDir, 'profiles');
+      this.ownProfileDir = true;
+    }
+
+    // ...and latency probes their input-to-delta distributions
+    if (!process.env.SIGNALK_LATENCY_RESULTS) {
+      process.env.SIGNALK_LATENCY_RESULTS = path.join(this.outputDir, 'logs', 'latency');
+      this.ownLatencyDir = true;
+    }
+
     this.results = {
       startTime: null,
       endTime: null,
       image: process.env.SIGNALK_IMAGE || 'signalk/signalk-server:latest',
+      seed: process.env.SIGNALK_SEED,
       tests: [],
       summary: {},
     };
-    this.currentFile = null;
-    this.fileStartTime = null;
-    this.currentTestCount = 0;
-    this.currentFileTests = [];
+    // Per-file progress, keyed by test path so parallel workers don't mix results
+    this.fileState = new Map();
+  }
+
+  /**
+   * SIGNALK_LOG_VERDICT value as 'off', 'critical' or 'error'
+   */
+  static logVerdictPolicy(value) {
+    const policy = (value || '').toLowerCase();
+    if (policy === 'critical') return 'critical';
+    if (policy === 'error' || policy === '1' || policy === 'true') return 'error';
+    return 'off';
+  }
+
+  getFileState(testPath) {
+    if (!this.fileState.has(testPath)) {
+      this.fileState.set(testPath, {
+        file: path.basename(testPath),
+        startTime: Date.now(),
+        testCount: 0,
+        tests: [],
+      });
+    }
+    return this.fileState.get(testPath);
   }
 
   log(message) {
@@ -68,12 +147,28 @@ class CustomReporter {
     fs.ensureDirSync(this.outputDir);
     fs.ensureDirSync(path.join(this.outputDir, 'screenshots'));
     fs.ensureDirSync(path.join(this.outputDir, 'logs'));
+    if (this.ownSnapshotDir) {
+      fs.emptyDirSync(process.env.SIGNALK_LOG_SNAPSHOTS);
+    }
+    if (this.ownEventsDir) {
+      fs.emptyDirSync(process.env.SIGNALK_CONTAINER_EVENTS);
+    }
+    if (this.ownResourceDir) {
+      fs.emptyDirSync(process.env.SIGNALK_RESOURCE_SAMPLES);
+    }
+    if (this.ownProfileDir) {
+      fs.emptyDirSync(process.env.SIGNALK_PROFILE_DIR);
+    }
+    if (this.ownLatencyDir) {
+      fs.emptyDirSync(process.env.SIGNALK_LATENCY_RESULTS);
+    }
 
     this.log('\n');
     this.log('╔══════════════════════════════════════════════════════════════╗\n');
     this.log('║        SignalK Server Release Validation Suite              ║\n');
     this.log('╚══════════════════════════════════════════════════════════════╝\n');
     this.log(`  Image: ${this.results.image}\n`);
+    this.log(`  Seed:  ${this.results.seed}\n`);
     this.log(`  Date:  ${new Date().toISOString().split('T')[0]}\n`);
     this.log('\n');
 
@@ -83,15 +178,13 @@ class CustomReporter {
   }
 
   onTestFileStart(test) {
-    this.currentFile = path.basename(test.path);
-    this.fileStartTime = Date.now();
-    this.currentTestCount = 0;
-    this.currentFileTests = [];
-    const category = this.getTestCategory(this.currentFile);
+    this.fileState.delete(test.path);
+    const state = this.getFileState(test.path);
+    const category = this.getTestCategory(state.file);
 
     this.log('\n');
     this.log(`  ┌─ ${category}\n`);
-    this.log(`  │  ${this.getCategoryDescription(this.currentFile)}\n`);
+    this.log(`  │  ${this.getCategoryDescription(state.file)}\n`);
     this.log(`  │\n`);
 
     this.ghGroup(category);
@@ -103,10 +196,10 @@ class CustomReporter {
 
   onTestCaseResult(test, testCaseResult) {
     // Called after each individual test completes
-    this.currentTestCount++;
-    const status = testCaseResult.status;
-    const duration = testCaseResult.duration || 0;
-    const title = testCaseResult.title;
+    const state = this.getFileState(test.path);
+    state.testCount++;
+    const entry = this.testEntry(state.file, testCaseResult);
+    const { status, duration, name: title } = entry;
 
     let icon, color;
     switch (status) {
@@ -114,9 +207,13 @@ class CustomReporter {
         icon = '✓';
         color = '\x1b[32m'; // green
         break;
+      case 'flaky':
+        icon = '↻';
+        color = '\x1b[33m'; // yellow
+        break;
       case 'failed':
         icon = '✗';
-        color = '\x1b[31m'; // red
+        color = entry.quarantine ? '\x1b[90m' : '\x1b[31m'; // gray when quarantined
         break;
       case 'pending':
       case 'skipped':
@@ -132,21 +229,54 @@ class CustomReporter {
     const gray = '\x1b[90m';
 
     // Show real-time progress for each test
-    this.log(`  │  ${color}${icon}${reset} ${title} ${gray}(${duration}ms)${reset}\n`);
+    let note = '';
+    if (status === 'flaky') note = ` passed on attempt ${entry.attempts}`;
+    if (entry.quarantine && status === 'failed') note = ` quarantined: ${entry.quarantine.id}`;
+    this.log(`  │  ${color}${icon}${reset} ${title} ${gray}(${duration}ms${note ? `,${note}` : ''})${reset}\n`);
 
     // GitHub Actions annotation for failures
-    if (status === 'failed' && testCaseResult.failureMessages.length > 0) {
-      const errorMsg = testCaseResult.failureMessages[0].split('\n')[0];
-      this.ghError(`${testCaseResult.fullName}: ${errorMsg}`, this.currentFile);
+    if (status === 'failed' && entry.failureMessages.length > 0) {
+      const errorMsg = entry.failureMessages[0].split('\n')[0];
+      if (entry.quarantine) {
+        this.ghWarning(`Quarantined ${entry.fullName}: ${errorMsg}`);
+      } else {
+        this.ghError(`${entry.fullName}: ${errorMsg}`, state.file);
+      }
+    } else if (status === 'flaky') {
+      this.ghWarning(`Flaky ${entry.fullName}: passed on attempt ${entry.attempts}`);
     }
 
-    this.currentFileTests.push({
-      name: title,
+    state.tests.push(entry);
+  }
+
+  /**
+   * A test's result as kept in the reports
+   * A pass that needed a retry is 'flaky', not 'passed'; tests on the
+   * quarantine list carry their entry.
+   */
+  testEntry(file, testCaseResult) {
+    const attempts = testCaseResult.invocations || 1;
+    let status = testCaseResult.status;
+    if (status === 'passed' && attempts > 1) {
+      status = 'flaky';
+    }
+
+    const entry = {
+      name: testCaseResult.title,
       fullName: testCaseResult.fullName,
-      status: status,
-      duration: duration,
+      status,
+      duration: testCaseResult.duration || 0,
       failureMessages: testCaseResult.failureMessages || [],
-    });
+    };
+    if (attempts > 1) {
+      entry.attempts = attempts;
+      entry.retryReasons = testCaseResult.retryReasons || [];
+    }
+    const quarantined = status !== 'pending' && status !== 'skipped' && this.quarantine?.match(file, entry.fullName);
+    if (quarantined) {
+      entry.quarantine = { id: quarantined.id, reason: quarantined.reason, issue: quarantined.issue };
+    }
+    return entry;
   }
 
   getTestCategory(filename) {
@@ -173,6 +303,7 @@ class CustomReporter {
       '24-ais-comprehensive': 'AIS Comprehensive',
       '25-https-tls': 'HTTPS/TLS',
       '26-mdns-discovery': 'mDNS Discovery',
+      '27-latency': 'End-to-End Latency',
       'core-api': 'Core API (Combined)',
     };
 
@@ -208,6 +339,7 @@ class CustomReporter {
       '24-ais-comprehensive': 'Tests AIS data processing',
       '25-https-tls': 'Tests HTTPS/TLS functionality',
       '26-mdns-discovery': 'Tests mDNS service discovery',
+      '27-latency': 'Tests NMEA input to WebSocket delta latency',
       'core-api': 'Combined core API tests for efficiency',
     };
 
@@ -220,7 +352,8 @@ class CustomReporter {
   }
 
   onTestFileResult(test, testResult, results) {
-    const duration = ((Date.now() - this.fileStartTime) / 1000).toFixed(1);
+    const state = this.getFileState(test.path);
+    const duration = ((Date.now() - state.startTime) / 1000).toFixed(1);
     const passed = testResult.numPassingTests;
     const failed = testResult.numFailingTests;
     const skipped = testResult.numPendingTests;
@@ -239,15 +372,9 @@ class CustomReporter {
     this.ghEndGroup();
 
     // Use tests from onTestCaseResult if available, otherwise fall back to testResult
-    const tests = this.currentFileTests.length > 0
-      ? this.currentFileTests
-      : testResult.testResults.map((t) => ({
-          name: t.title,
-          fullName: t.fullName,
-          status: t.status,
-          duration: t.duration,
-          failureMessages: t.failureMessages,
-        }));
+    const tests = state.tests.length > 0
+      ? state.tests
+      : testResult.testResults.map((t) => this.testEntry(state.file, t));
 
     const testInfo = {
       file: path.basename(testResult.testFilePath),
@@ -259,6 +386,7 @@ class CustomReporter {
     };
 
     this.results.tests.push(testInfo);
+    this.fileState.delete(test.path);
   }
 
   onTestResult(test, testResult, results) {
@@ -267,20 +395,33 @@ class CustomReporter {
 
   onRunComplete(contexts, results) {
     this.results.endTime = new Date().toISOString();
+
+    // Jest counts a pass on retry as passed; quarantined failures are
+    // reported but do not fail the run
+    const allTests = this.results.tests.flatMap((f) => f.tests);
+    const flaky = allTests.filter((t) => t.status === 'flaky').length;
+    const quarantined = allTests.filter((t) => t.status === 'failed' && t.quarantine).length;
+    this.results.retries = this.retries;
     this.results.summary = {
       total: results.numTotalTests,
-      passed: results.numPassedTests,
+      passed: results.numPassedTests - flaky,
+      flaky,
       failed: results.numFailedTests,
+      quarantined,
       skipped: results.numPendingTests,
       duration: results.testResults.reduce(
         (acc, t) => acc + (t.perfStats.end - t.perfStats.start),
         0
       ),
-      success: results.numFailedTests === 0,
+      success: results.numFailedTests - quarantined === 0 && results.numRuntimeErrorTestSuites === 0,
     };
+    if (this.quarantine) {
+      this.results.quarantine = this.quarantine.report();
+    }
+    this.collectLogs();
 
     const duration = (this.results.summary.duration / 1000).toFixed(1);
-    const { passed, failed, skipped, total } = this.results.summary;
+    const { passed, failed, skipped, total, logErrors = 0, logWarnings = 0, logVerdict } = this.results.summary;
 
     this.log('\n');
     this.log('════════════════════════════════════════════════════════════════\n');
@@ -293,7 +434,7 @@ class CustomReporter {
     this.log('  ─────────────────────────────────────────────────────────────\n');
 
     for (const testFile of this.results.tests) {
-      const p = testFile.tests.filter((t) => t.status === 'passed').length;
+      const p = testFile.tests.filter((t) => t.status === 'passed' || t.status === 'flaky').length;
       const f = testFile.tests.filter((t) => t.status === 'failed').length;
       const icon = f > 0 ? '\x1b[31m✗\x1b[0m' : '\x1b[32m✓\x1b[0m';
       const dur = (testFile.duration / 1000).toFixed(1);
@@ -304,32 +445,77 @@ class CustomReporter {
     this.log('  ─────────────────────────────────────────────────────────────\n');
     this.log(`  Total:    ${total} tests\n`);
     this.log(`  Passed:   \x1b[32m${passed}\x1b[0m\n`);
-    if (failed > 0) {
-      this.log(`  Failed:   \x1b[31m${failed}\x1b[0m\n`);
+    if (flaky > 0) {
+      this.log(`  Flaky:    \x1b[33m${flaky}\x1b[0m (passed on retry)\n`);
+    }
+    if (failed > quarantined) {
+      this.log(`  Failed:   \x1b[31m${failed}\x1b[0m${quarantined > 0 ? ` (${quarantined} quarantined)` : ''}\n`);
     } else {
-      this.log(`  Failed:   ${failed}\n`);
+      this.log(`  Failed:   ${failed}${quarantined > 0 ? ` (quarantined)` : ''}\n`);
     }
     if (skipped > 0) {
       this.log(`  Skipped:  \x1b[33m${skipped}\x1b[0m\n`);
     }
+    if (logErrors + logWarnings > 0) {
+      const errors = logErrors > 0 ? `\x1b[31m${logErrors}\x1b[0m` : logErrors;
+      this.log(`  Log:      ${errors} errors, ${logWarnings} warnings (${this.outputDir}/logs/)\n`);
+    }
     this.log(`  Duration: ${duration}s\n`);
     this.log('\n');
 
-    if (failed === 0) {
+    this.collectContainerEvents();
+    const { incidents } = this.results.containerEvents;
+    if (incidents.length > 0) {
+      this.log(`  \x1b[31m⚠ CONTAINER INCIDENTS (${incidents.length})\x1b[0m\n`);
+      this.log('  ─────────────────────────────────────────────────────────────\n');
+      for (const incident of incidents) {
+        const text = `${incident.container}: ${ContainerWatchdog.describe(incident)}`;
+        this.log(`  \x1b[31m✗\x1b[0m ${text}\n`);
+        this.ghError(`Container incident: ${text}`);
+      }
+      this.log('\n');
+    }
+
+    if (flaky + quarantined > 0) {
+      this.log(`  \x1b[33m↻ UNSTABLE TESTS (${flaky} flaky, ${quarantined} quarantined)\x1b[0m\n`);
+      this.log('  ─────────────────────────────────────────────────────────────\n');
+      for (const testFile of this.results.tests) {
+        for (const t of testFile.tests) {
+          if (t.status === 'flaky') {
+            this.log(`  \x1b[33m↻\x1b[0m ${testFile.category} > ${t.name} \x1b[90m(passed on attempt ${t.attempts})\x1b[0m\n`);
+          } else if (t.status === 'failed' && t.quarantine) {
+            this.log(`  \x1b[90m✗ ${testFile.category} > ${t.name} (quarantined: ${t.quarantine.issue})\x1b[0m\n`);
+          }
+        }
+      }
+      for (const entry of this.results.quarantine?.expired || []) {
+        this.log(`  \x1b[31m!\x1b[0m Quarantine entry ${entry.id} expired ${entry.expires.slice(0, 10)}; the test blocks again\n`);
+      }
+      this.log('\n');
+    }
+
+    if (this.results.summary.success) {
       this.log('  ┌────────────────────────────────────────────────────────────┐\n');
       this.log('  │  \x1b[32m✓ ALL TESTS PASSED - APPROVED FOR RELEASE\x1b[0m               │\n');
       this.log('  └────────────────────────────────────────────────────────────┘\n');
-      this.ghNotice(`All ${total} tests passed. Image ${this.results.image} is approved for release.`);
+      const passedText = quarantined > 0 ? `${total - quarantined} of ${total} tests passed (${quarantined} quarantined)` : `All ${total} tests passed`;
+      this.ghNotice(`${passedText}. Image ${this.results.image} is approved for release.`);
     } else {
       this.log('  ┌────────────────────────────────────────────────────────────┐\n');
-      this.log('  │  \x1b[31m✗ TESTS FAILED - NOT APPROVED FOR RELEASE\x1b[0m               │\n');
+      if (failed > quarantined) {
+        this.log('  │  \x1b[31m✗ TESTS FAILED - NOT APPROVED FOR RELEASE\x1b[0m               │\n');
+      } else {
+        this.log('  │  \x1b[31m✗ LOG ERRORS - NOT APPROVED FOR RELEASE\x1b[0m                 │\n');
+      }
       this.log('  └────────────────────────────────────────────────────────────┘\n');
 
       // List failures
-      this.log('\n  Failed Tests:\n');
+      if (failed > quarantined) {
+        this.log('\n  Failed Tests:\n');
+      }
       for (const testFile of this.results.tests) {
         for (const t of testFile.tests) {
-          if (t.status === 'failed') {
+          if (t.status === 'failed' && !t.quarantine) {
             this.log(`  \x1b[31m✗\x1b[0m ${testFile.category} > ${t.name}\n`);
             if (t.failureMessages.length > 0) {
               const firstLine = t.failureMessages[0].split('\n')[0].substring(0, 70);
@@ -339,25 +525,471 @@ class CustomReporter {
         }
       }
 
-      this.ghError(`${failed} of ${total} tests failed. Image ${this.results.image} is NOT approved for release.`);
+      if (failed > quarantined) {
+        this.ghError(`${failed - quarantined} of ${total} tests failed. Image ${this.results.image} is NOT approved for release.`);
+      }
+
+      if (logVerdict?.blocking > 0) {
+        this.log(`\n  Server Log Errors (SIGNALK_LOG_VERDICT=${logVerdict.policy}):\n`);
+        for (const testFile of this.results.tests) {
+          for (const p of testFile.logs?.phases || []) {
+            if (p.errors > 0) {
+              this.log(`  \x1b[31m✗\x1b[0m ${testFile.category} > ${p.phase}: ${p.errors} errors \x1b[90m(${p.file})\x1b[0m\n`);
+            }
+          }
+        }
+        this.ghError(
+          `${logVerdict.blocking} server log error(s) under SIGNALK_LOG_VERDICT=${logVerdict.policy}. Image ${this.results.image} is NOT approved for release.`
+        );
+      }
     }
 
     this.log('\n');
 
+    if (this.logBaseline) {
+      this.generateLogDiff();
+    }
+
+    this.generateResourceReport();
+    this.collectProfiles();
+    this.collectLatency();
+
     this.generateJsonReport();
     this.generateMarkdownReport();
     this.generateHtmlReport();
+    this.generateJUnitReport();
+    this.generateTapReport();
     this.generateGitHubSummary();
 
     this.log(`  Reports saved to: ${this.outputDir}/\n`);
     this.log('\n');
   }
 
+  /**
+   * Gather the Docker events recorded by every ContainerWatchdog
+   * Incidents are the events no test caused on purpose: a server that
+   * died, was OOM-killed, restarted or turned unhealthy mid-run.
+   */
+  collectContainerEvents() {
+    const watchdogs = ContainerWatchdog.load(process.env.SIGNALK_CONTAINER_EVENTS);
+    const events = watchdogs.flatMap((w) => w.events.map((e) => ({ ...e, container: e.container || w.container })));
+    const byTime = (a, b) => a.time.localeCompare(b.time);
+    this.results.containerEvents = {
+      events: events.sort(byTime),
+      incidents: events.filter(ContainerWatchdog.isIncident).sort(byTime),
+    };
+  }
+
+  /**
+   * Merge the resource samplers' time series into resources.csv and
+   * resources.json, and summarize them per phase for the other reports
+   */
+  generateResourceReport() {
+    const samplers = ResourceSampler.load(process.env.SIGNALK_RESOURCE_SAMPLES);
+    const samples = samplers.flatMap((s) => s.samples).sort((a, b) => a.time.localeCompare(b.time));
+    if (samples.length === 0) {
+      return;
+    }
+
+    fs.writeFileSync(path.join(this.outputDir, 'resources.csv'), ResourceSampler.toCSV(samples));
+    fs.writeJsonSync(path.join(this.outputDir, 'resources.json'), samplers, { spaces: 2 });
+
+    const phases = ResourceSampler.summarizePhases(samples);
+    this.resourceSamples = samples;
+    this.results.resources = {
+      containers: samplers.length,
+      samples: samples.length,
+      interval: samplers[0].interval,
+      phases,
+    };
+
+    const peak = phases.reduce((max, p) => (p.rssMax > max.rssMax ? p : max));
+    const cpuPeak = phases.reduce((max, p) => (p.cpuMax > max.cpuMax ? p : max));
+    this.log(`  Resources: ${samples.length} samples from ${samplers.length} container(s)\n`);
+    this.log(`    Peak RSS ${this.formatMB(peak.rssMax)} in phase ${peak.phase}, peak CPU ${cpuPeak.cpuMax}% in phase ${cpuPeak.phase}\n\n`);
+  }
+
+  formatMB(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /**
+   * Heap diffs and CPU profiles recorded by NodeProfiler (SIGNALK_INSPECT runs)
+   */
+  collectProfiles() {
+    const records = NodeProfiler.loadRecords(process.env.SIGNALK_PROFILE_DIR);
+    if (records.length === 0) {
+      return;
+    }
+    this.results.profiles = records;
+
+    this.log(`  Profiles (${path.relative(process.cwd(), process.env.SIGNALK_PROFILE_DIR) || '.'}):\n`);
+    for (const record of records) {
+      if (record.type === 'heap-diff') {
+        const growth = record.after.total - record.before.total;
+        const top = record.diff[0];
+        this.log(
+          `    Heap ${record.name}: ${growth >= 0 ? '+' : '-'}${this.formatMB(Math.abs(growth))} retained` +
+            (top ? `, most: ${top.name} ${top.retainedDelta >= 0 ? '+' : '-'}${this.formatMB(Math.abs(top.retainedDelta))}` : '') +
+            '\n'
+        );
+      } else {
+        const top = record.top[0];
+        this.log(`    CPU ${record.name}: ${record.duration}ms sampled` + (top ? `, hottest: ${top.functionName} (${top.percent}%)` : '') + '\n');
+      }
+    }
+    this.log('\n');
+  }
+
+  /**
+   * Input-to-delta latency measured by LatencyProbe, one row per
+   * rate/subscriber combination
+   */
+  collectLatency() {
+    const probes = LatencyProbe.load(process.env.SIGNALK_LATENCY_RESULTS);
+    const results = probes.flatMap((p) => p.results.map((r) => ({ probe: p.name, ...r })));
+    if (results.length === 0) {
+      return;
+    }
+    this.results.latency = results;
+
+    this.log(`  Latency (NMEA input to WebSocket delta):\n`);
+    for (const result of results) {
+      const violations = result.violations || [];
+      const mark = violations.length > 0 ? '\x1b[31m✗\x1b[0m' : '\x1b[32m✓\x1b[0m';
+      this.log(`    ${mark} ${LatencyProbe.describe(result)}${violations.length ? ` (${violations.join(', ')})` : ''}\n`);
+      if (violations.length > 0) {
+        this.ghWarning(`Latency ${LatencyProbe.describe(result)}: ${violations.join(', ')}`);
+      }
+    }
+    this.log('\n');
+  }
+
+  /**
+   * HTML tables for the profile records (top `limit` rows each)
+   */
+  renderProfiles(limit = 10) {
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const signed = (bytes) => `${bytes >= 0 ? '+' : '-'}${this.formatMB(Math.abs(bytes))}`;
+    return this.results.profiles
+      .map((record) => {
+        if (record.type === 'heap-diff') {
+          return `
+        <h4>Heap: ${escape(record.name)}</h4>
+        <div class="category-desc">Retained ${this.formatMB(record.before.total)} → ${this.formatMB(record.after.total)} in phase ${escape(record.phase || '-')}</div>
+        <table>
+          <thead><tr><th>Constructor</th><th>Count</th><th>Count Δ</th><th>Retained</th><th>Retained Δ</th></tr></thead>
+          <tbody>
+            ${record.diff.slice(0, limit).map((d) => `
+              <tr><td>${escape(d.name)}</td><td>${d.countAfter}</td><td>${d.countDelta >= 0 ? '+' : ''}${d.countDelta}</td><td>${this.formatMB(d.retainedAfter)}</td><td>${signed(d.retainedDelta)}</td></tr>
+            `).join('')}
+          </tbody>
+        </table>`;
+        }
+        return `
+        <h4>CPU: ${escape(record.name)}</h4>
+        <div class="category-desc">${record.duration}ms sampled in phase ${escape(record.phase || '-')}</div>
+        <table>
+          <thead><tr><th>Function</th><th>Self</th><th>%</th><th>Location</th></tr></thead>
+          <tbody>
+            ${record.top.slice(0, limit).map((f) => `
+              <tr><td>${escape(f.functionName)}</td><td>${f.selfTime}ms</td><td>${f.percent}%</td><td>${f.url ? escape(`${f.url.split('/node_modules/').pop()}:${f.line}`) : '-'}</td></tr>
+            `).join('')}
+          </tbody>
+        </table>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Markdown tables for the profile records (top `limit` rows each)
+   */
+  formatProfiles(limit = 10) {
+    const signed = (bytes) => `${bytes >= 0 ? '+' : '-'}${this.formatMB(Math.abs(bytes))}`;
+    let md = '';
+    for (const record of this.results.profiles || []) {
+      if (record.type === 'heap-diff') {
+        md += `### Heap: ${record.name}\n\n`;
+        md += `Retained ${this.formatMB(record.before.total)} → ${this.formatMB(record.after.total)} in phase \`${record.phase || '-'}\` (\`${record.before.file}\`, \`${record.after.file}\`).\n\n`;
+        md += `| Constructor | Count | Count Δ | Retained | Retained Δ |\n`;
+        md += `|-------------|-------|---------|----------|------------|\n`;
+        for (const d of record.diff.slice(0, limit)) {
+          md += `| ${d.name.replace(/\|/g, '\\|')} | ${d.countAfter} | ${d.countDelta >= 0 ? '+' : ''}${d.countDelta} | ${this.formatMB(d.retainedAfter)} | ${signed(d.retainedDelta)} |\n`;
+        }
+      } else {
+        md += `### CPU: ${record.name}\n\n`;
+        md += `${record.duration}ms sampled in phase \`${record.phase || '-'}\` (\`${record.file}\`).\n\n`;
+        md += `| Function | Self | % | Location |\n`;
+        md += `|----------|------|---|----------|\n`;
+        for (const f of record.top.slice(0, limit)) {
+          const location = f.url ? `${f.url.split('/node_modules/').pop()}:${f.line}` : '-';
+          md += `| ${f.functionName} | ${f.selfTime}ms | ${f.percent}% | ${location} |\n`;
+        }
+      }
+      md += '\n';
+    }
+    return md;
+  }
+
+  /**
+   * Inline SVG line charts of the resource samples, one per metric, with
+   * alternating bands marking the phases (hover for names and values)
+   */
+  renderResourceCharts() {
+    const samples = this.resourceSamples || [];
+    if (samples.length === 0) {
+      return '';
+    }
+
+    const byContainer = new Map();
+    for (const sample of samples) {
+      if (!byContainer.has(sample.container)) byContainer.set(sample.container, []);
+      byContainer.get(sample.container).push(sample);
+    }
+
+    // Counters become rates (KB/s) between consecutive samples of a container;
+    // a counter that went down means the container was recreated
+    const rate = (a, b) => (sample, previous) => {
+      if (!previous) return null;
+      const seconds = (Date.parse(sample.time) - Date.parse(previous.time)) / 1000;
+      const bytes = sample[a] + sample[b] - previous[a] - previous[b];
+      return seconds > 0 && bytes >= 0 ? bytes / 1024 / seconds : null;
+    };
+    const metrics = [
+      { title: 'CPU', unit: '%', value: (s) => s.cpuPercent },
+      { title: 'Memory RSS', unit: 'MB', value: (s) => s.memoryRss / 1024 / 1024 },
+      { title: 'Network (rx + tx)', unit: 'KB/s', value: rate('netRx', 'netTx') },
+      { title: 'Block IO (read + write)', unit: 'KB/s', value: rate('blockRead', 'blockWrite') },
+      { title: 'PIDs', unit: '', value: (s) => s.pids },
+    ];
+
+    return metrics
+      .map((metric) => {
+        const series = [...byContainer.entries()].map(([name, list]) => ({
+          name,
+          points: list
+            .map((sample, i) => ({ sample, value: metric.value(sample, list[i - 1]) }))
+            .filter((p) => p.value !== null && p.value !== undefined),
+        }));
+        return this.renderLineChart(metric.title, metric.unit, series, samples);
+      })
+      .join('');
+  }
+
+  renderLineChart(title, unit, series, samples) {
+    const width = 1100;
+    const height = 160;
+    const pad = { left: 60, right: 10, top: 10, bottom: 20 };
+    const colors = ['#2d5a87', '#e07b39', '#22c55e', '#a855f7', '#ef4444', '#0ea5e9'];
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+    const t0 = Date.parse(samples[0].time);
+    const t1 = Math.max(Date.parse(samples[samples.length - 1].time), t0 + 1);
+    const values = series.flatMap((s) => s.points.map((p) => p.value));
+    const max = Math.max(...values, 0) * 1.1 || 1;
+    const x = (time) => pad.left + ((Date.parse(time) - t0) / (t1 - t0)) * (width - pad.left - pad.right);
+    const y = (value) => pad.top + (1 - value / max) * (height - pad.top - pad.bottom);
+
+    // Phase bands from the time-ordered samples of all containers
+    const bands = [];
+    for (const sample of samples) {
+      const last = bands[bands.length - 1];
+      if (last && last.phase === sample.phase && last.container === sample.container) {
+        last.end = sample.time;
+      } else {
+        bands.push({ phase: sample.phase, container: sample.container, start: sample.time, end: sample.time });
+      }
+    }
+
+    const format = (value) => (value >= 100 ? value.toFixed(0) : value.toFixed(1));
+    return `
+        <div class="chart">
+          <div class="chart-title">${escape(title)}${unit ? ` (${unit})` : ''}</div>
+          <svg viewBox="0 0 ${width} ${height}" width="100%" preserveAspectRatio="none">
+            ${bands.map((band, i) => `<rect x="${x(band.start).toFixed(1)}" y="${pad.top}" width="${Math.max(x(band.end) - x(band.start), 1).toFixed(1)}" height="${height - pad.top - pad.bottom}" fill="${i % 2 ? '#f1f5f9' : '#ffffff'}"><title>${escape(band.phase)} (${escape(band.container)})</title></rect>`).join('')}
+            <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#ccc"/>
+            <text x="${pad.left - 6}" y="${pad.top + 10}" text-anchor="end" font-size="11" fill="#666">${format(max)}</text>
+            <text x="${pad.left - 6}" y="${height - pad.bottom}" text-anchor="end" font-size="11" fill="#666">0</text>
+            <text x="${pad.left}" y="${height - 4}" font-size="11" fill="#666">${samples[0].time.substring(11, 19)}</text>
+            <text x="${width - pad.right}" y="${height - 4}" text-anchor="end" font-size="11" fill="#666">${samples[samples.length - 1].time.substring(11, 19)}</text>
+            ${series.map((s, i) => `
+            <polyline fill="none" stroke="${colors[i % colors.length]}" stroke-width="1.5" points="${s.points.map((p) => `${x(p.sample.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ')}"/>
+            ${s.points.map((p) => `<circle cx="${x(p.sample.time).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="2" fill="${colors[i % colors.length]}"><title>${escape(p.sample.phase)} · ${p.sample.time.substring(11, 19)} · ${format(p.value)}${unit ? ` ${unit}` : ''}</title></circle>`).join('')}`).join('')}
+          </svg>
+        </div>`;
+  }
+
+  /**
+   * Compare this run's log snapshots with the baseline run's and write
+   * log-diff.json / log-diff.md
+   */
+  generateLogDiff() {
+    const snapshotDir = process.env.SIGNALK_LOG_SNAPSHOTS;
+    try {
+      const baseline = LogBaseline.load(this.logBaseline);
+      const current = LogBaseline.load(snapshotDir);
+      const diff = LogBaseline.compare(baseline, current);
+
+      fs.writeJsonSync(path.join(this.outputDir, 'log-diff.json'), diff, { spaces: 2 });
+      fs.writeFileSync(path.join(this.outputDir, 'log-diff.md'), LogBaseline.formatReport(diff));
+      this.results.logDiff = { baseline: diff.baseline, totals: diff.totals };
+
+      const { totals } = diff;
+      this.log(`  Log diff vs ${this.logBaseline}:\n`);
+      this.log(
+        `    ${totals.new} new templates (${totals.newErrors} errors), ${totals.vanished} vanished, ${totals.changed} frequency changes\n\n`
+      );
+      if (totals.newErrors > 0) {
+        this.ghWarning(`${totals.newErrors} new error message(s) compared to the log baseline; see log-diff.md`);
+      }
+    } catch (e) {
+      this.log(`  Log diff skipped: ${e.message}\n\n`);
+    }
+  }
+
+  /**
+   * Gather the errors and warnings each test file's LogMonitors recorded,
+   * from the snapshots written during this run. Every phase with any gets
+   * logs/<test file>/<phase>.log, linked from the tests that set the phase;
+   * the monitors' own reports go to logs/<test file>/log-report.md.
+   */
+  collectLogs(snapshotDir = process.env.SIGNALK_LOG_SNAPSHOTS) {
+    if (!snapshotDir || !fs.existsSync(snapshotDir)) return;
+
+    // A snapshot directory set by hand may hold earlier runs too; allow
+    // for file systems that store mtimes in whole seconds
+    const runStart = new Date(this.results.startTime).getTime() - 2000;
+    const byFile = new Map();
+    for (const f of fs.readdirSync(snapshotDir).filter((f) => f.endsWith('.json')).sort()) {
+      const file = path.join(snapshotDir, f);
+      let snapshot;
+      try {
+        if (fs.statSync(file).mtimeMs < runStart) continue;
+        snapshot = fs.readJsonSync(file);
+      } catch (e) {
+        continue;
+      }
+      const testFile = this.results.tests.find((t) => t.file === snapshot.testFile);
+      if (!testFile) continue;
+
+      if (!byFile.has(testFile)) byFile.set(testFile, { phases: new Map(), reports: [] });
+      const logs = byFile.get(testFile);
+      for (const [phase, data] of Object.entries(snapshot.phases || {})) {
+        if (!logs.phases.has(phase)) logs.phases.set(phase, { errors: [], warnings: [], tests: [] });
+        const target = logs.phases.get(phase);
+        target.errors.push(...data.errors.map(CustomReporter.logEntry));
+        target.warnings.push(...data.warnings.map(CustomReporter.logEntry));
+        target.tests.push(...(data.tests || []).filter((t) => !target.tests.includes(t)));
+      }
+      const report = file.replace(/\.json$/, '.md');
+      if (fs.existsSync(report)) logs.reports.push(fs.readFileSync(report, 'utf-8'));
+    }
+
+    let errors = 0;
+    let warnings = 0;
+    const blocking = [];
+    for (const [testFile, logs] of byFile) {
+      const stem = testFile.file.replace(/\.test\.js$/, '');
+      const dir = path.join(this.outputDir, 'logs', stem);
+      fs.emptyDirSync(dir);
+      fs.writeFileSync(path.join(dir, 'log-report.md'), logs.reports.join('\n---\n\n'));
+
+      const phases = [];
+      for (const [phase, data] of logs.phases) {
+        const entry = { phase, errors: data.errors.length, warnings: data.warnings.length, tests: data.tests };
+        if (entry.errors + entry.warnings > 0) {
+          entry.file = `logs/${stem}/${phase.replace(/[^\w.-]+/g, '_')}.log`;
+          fs.writeFileSync(path.join(this.outputDir, entry.file), this.formatPhaseLog(testFile, phase, data));
+        }
+        phases.push(entry);
+      }
+
+      const fileErrors = [...logs.phases.values()].flatMap((p) => p.errors);
+      testFile.logErrors = fileErrors;
+      testFile.logs = {
+        errors: fileErrors.length,
+        warnings: phases.reduce((sum, p) => sum + p.warnings, 0),
+        report: `logs/${stem}/log-report.md`,
+        phases,
+      };
+      for (const test of testFile.tests) {
+        const linked = phases.filter((p) => p.file && p.tests.includes(test.fullName));
+        if (linked.length > 0) {
+          test.logs = linked.map(({ phase, errors, warnings, file }) => ({ phase, errors, warnings, file }));
+        }
+      }
+
+      errors += testFile.logs.errors;
+      warnings += testFile.logs.warnings;
+      blocking.push(...fileErrors.filter((e) => this.logVerdict === 'error' || FailFast.isCritical(e)));
+    }
+
+    const summary = this.results.summary;
+    summary.logErrors = errors;
+    summary.logWarnings = warnings;
+    if (this.logVerdict !== 'off') {
+      summary.logVerdict = { policy: this.logVerdict, blocking: blocking.length };
+      if (blocking.length > 0) {
+        summary.success = false;
+      }
+    }
+  }
+
+  /**
+   * Log entry as kept in the results: no parser details or templates
+   */
+  static logEntry(e) {
+    return {
+      phase: e.phase,
+      timestamp: e.timestamp,
+      level: e.level,
+      source: e.source,
+      line: e.line,
+      stack: e.stack,
+    };
+  }
+
+  /**
+   * Text of a logs/<test file>/<phase>.log file: errors, then warnings
+   */
+  formatPhaseLog(testFile, phase, data) {
+    let text = `# ${testFile.category} (${testFile.file}), phase ${phase}\n`;
+    if (data.tests.length > 0) {
+      text += `# Set by: ${data.tests.join('; ')}\n`;
+    }
+    text += `# ${data.errors.length} errors, ${data.warnings.length} warnings\n`;
+    for (const [label, entries] of [['ERROR', data.errors], ['WARNING', data.warnings]]) {
+      for (const e of entries) {
+        text += `\n${label.padEnd(8)}[${e.timestamp}] ${e.level} ${e.source}: ${e.line}\n`;
+        for (const frame of e.stack || []) {
+          text += `        ${frame.trim()}\n`;
+        }
+      }
+    }
+    return text;
+  }
+
   generateJsonReport() {
     const reportPath = path.join(this.outputDir, 'results.json');
     fs.writeJsonSync(reportPath, this.results, { spaces: 2 });
   }
 
+  /**
+   * junit.xml for Jenkins, GitLab and Buildkite
+   */
+  generateJUnitReport() {
+    const reportPath = path.join(this.outputDir, 'junit.xml');
+    fs.writeFileSync(reportPath, CiReport.toJUnit(this.results));
+  }
+
+  /**
+   * results.tap (TAP version 13)
+   */
+  generateTapReport() {
+    const reportPath = path.join(this.outputDir, 'results.tap');
+    fs.writeFileSync(reportPath, CiReport.toTAP(this.results));
+  }
+
   generateGitHubSummary() {
     // Generate GitHub Actions Job Summary if running in CI
     if (!this.isGitHubActions) return;
@@ -373,14 +1005,30 @@ class CustomReporter {
     md += `| Image | \`${this.results.image}\` |\n`;
     md += `| Status | ${summary.success ? '✅ **PASSED**' : '❌ **FAILED**'} |\n`;
     md += `| Tests | ${summary.passed}/${summary.total} passed |\n`;
-    md += `| Duration | ${duration}s |\n\n`;
+    if (summary.flaky + summary.quarantined > 0) {
+      md += `| Unstable | ${summary.flaky} flaky, ${summary.quarantined} quarantined failures |\n`;
+    }
+    if (summary.logErrors !== undefined) {
+      md += `| Server Logs | ${summary.logErrors} errors, ${summary.logWarnings} warnings |\n`;
+    }
+    md += `| Duration | ${duration}s |\n`;
+    md += `| Seed | \`${this.results.seed}\` |\n\n`;
+
+    const incidents = this.results.containerEvents?.incidents || [];
+    if (incidents.length > 0) {
+      md += `### ⚠️ Container Incidents\n\n`;
+      for (const incident of incidents) {
+        md += `- **${ContainerWatchdog.label(incident)}** in phase \`${incident.phase || '-'}\` at ${incident.time} (${incident.container})\n`;
+      }
+      md += '\n';
+    }
 
     if (summary.failed > 0) {
       md += `### ❌ Failed Tests\n\n`;
       for (const testFile of this.results.tests) {
         for (const t of testFile.tests) {
           if (t.status === 'failed') {
-            md += `- **${testFile.category}**: ${t.name}\n`;
+            md += `- **${testFile.category}**: ${t.name}${t.quarantine ? ` (quarantined, ${t.quarantine.issue})` : ''}\n`;
           }
         }
       }
@@ -392,7 +1040,7 @@ class CustomReporter {
     md += `|--------|----------|-------|----------|\n`;
 
     for (const testFile of this.results.tests) {
-      const passed = testFile.tests.filter((t) => t.status === 'passed').length;
+      const passed = testFile.tests.filter((t) => t.status === 'passed' || t.status === 'flaky').length;
       const failed = testFile.tests.filter((t) => t.status === 'failed').length;
       const status = failed > 0 ? '❌' : '✅';
       const dur = (testFile.duration / 1000).toFixed(1);
@@ -404,7 +1052,7 @@ class CustomReporter {
     for (const testFile of this.results.tests) {
       md += `#### ${testFile.category}\n\n`;
       for (const t of testFile.tests) {
-        const icon = t.status === 'passed' ? '✅' : t.status === 'failed' ? '❌' : '⏭️';
+        const icon = t.status === 'passed' ? '✅' : t.status === 'flaky' ? '🔁' : t.status === 'failed' ? '❌' : '⏭️';
         md += `- ${icon} ${t.name} (${t.duration || 0}ms)\n`;
       }
       md += '\n';
@@ -415,6 +1063,50 @@ class CustomReporter {
     fs.appendFileSync(summaryFile, md);
   }
 
+  /**
+   * Markdown sections for tests that passed on retry and the quarantine
+   */
+  formatUnstableTests() {
+    const tests = this.results.tests.flatMap((f) => f.tests.map((t) => ({ ...t, category: f.category })));
+    const flaky = tests.filter((t) => t.status === 'flaky');
+    const quarantine = this.results.quarantine;
+    let md = '';
+
+    if (flaky.length > 0) {
+      md += `## 🔁 Flaky Tests\n\n`;
+      md += `Failed at first and passed on retry (\`SIGNALK_RETRIES=${this.retries}\`). They count as passed, but should be looked at.\n\n`;
+      md += `| Category | Test | Attempts | First failure |\n`;
+      md += `|----------|------|----------|---------------|\n`;
+      for (const t of flaky) {
+        const reason = (t.retryReasons?.[0] || '-').split('\n')[0].substring(0, 120).replace(/\|/g, '\\|');
+        md += `| ${t.category} | ${t.name} | ${t.attempts} | ${reason} |\n`;
+      }
+      md += '\n';
+    }
+
+    if (quarantine && quarantine.matched.length + quarantine.expired.length + quarantine.stale.length > 0) {
+      const failed = tests.filter((t) => t.status === 'failed' && t.quarantine);
+      md += `## Quarantine\n\n`;
+      md += `Known-flaky tests from \`${path.relative(process.cwd(), quarantine.file)}\`. They run as usual, but a failure does not block the release.\n\n`;
+      md += `| Entry | Test | Reason | Issue | Expires | Status |\n`;
+      md += `|-------|------|--------|-------|---------|--------|\n`;
+      const rows = [
+        ...quarantine.matched.map((e) => ({
+          ...e,
+          status: failed.some((t) => t.quarantine.id === e.id) ? '❌ failed (not blocking)' : '✅ passed',
+        })),
+        ...quarantine.stale.map((e) => ({ ...e, status: 'matched no test' })),
+        ...quarantine.expired.map((e) => ({ ...e, status: '⚠️ expired, blocking again' })),
+      ];
+      for (const e of rows) {
+        md += `| ${e.id} | ${e.test} | ${e.reason} | ${e.issue} | ${e.expires.slice(0, 10)} | ${e.status} |\n`;
+      }
+      md += '\n';
+    }
+
+    return md;
+  }
+
   generateMarkdownReport() {
     const summary = this.results.summary;
     const duration = (summary.duration / 1000).toFixed(1);
@@ -427,6 +1119,7 @@ class CustomReporter {
     md += `|----------|-------|\n`;
     md += `| Image | \`${this.results.image}\` |\n`;
     md += `| Date | ${this.results.startTime} |\n`;
+    md += `| Seed | \`${this.results.seed}\` |\n`;
     md += `| Duration | ${duration}s |\n`;
     md += `| Node.js | ${process.version} |\n`;
     md += `| Platform | ${process.platform} |\n\n`;
@@ -437,17 +1130,39 @@ class CustomReporter {
     md += `|--------|-------|\n`;
     md += `| Total Tests | ${summary.total} |\n`;
     md += `| Passed | ${summary.passed} |\n`;
+    if (summary.flaky > 0) {
+      md += `| Flaky (passed on retry) | ${summary.flaky} |\n`;
+    }
     md += `| Failed | ${summary.failed} |\n`;
+    if (summary.quarantined > 0) {
+      md += `| Quarantined Failures | ${summary.quarantined} |\n`;
+    }
     md += `| Skipped | ${summary.skipped} |\n`;
+    if (summary.logErrors !== undefined) {
+      md += `| Log Errors | ${summary.logErrors} |\n`;
+      md += `| Log Warnings | ${summary.logWarnings} |\n`;
+    }
     md += `| **Status** | **${summary.success ? '✅ PASSED' : '❌ FAILED'}** |\n\n`;
 
+    const incidents = this.results.containerEvents?.incidents || [];
+    if (incidents.length > 0) {
+      md += `## ⚠️ Container Incidents\n\n`;
+      md += `The server container went down or turned unhealthy without a test asking for it. Failures after these times may be follow-on errors.\n\n`;
+      md += `| Time | Container | Event | Phase |\n`;
+      md += `|------|-----------|-------|-------|\n`;
+      for (const incident of incidents) {
+        md += `| ${incident.time} | ${incident.container} | ${ContainerWatchdog.label(incident)} | ${incident.phase || '-'} |\n`;
+      }
+      md += '\n';
+    }
+
     // Test Categories Overview
     md += `## Test Categories\n\n`;
     md += `| Status | Category | Description | Tests | Duration |\n`;
     md += `|--------|----------|-------------|-------|----------|\n`;
 
     for (const testFile of this.results.tests) {
-      const passed = testFile.tests.filter((t) => t.status === 'passed').length;
+      const passed = testFile.tests.filter((t) => t.status === 'passed' || t.status === 'flaky').length;
       const failed = testFile.tests.filter((t) => t.status === 'failed').length;
       const status = failed > 0 ? '❌' : '✅';
       const dur = (testFile.duration / 1000).toFixed(1);
@@ -464,13 +1179,14 @@ class CustomReporter {
 
       md += `### ${status} ${testFile.category}\n\n`;
       md += `${testFile.description}\n\n`;
-      md += `| Status | Test | Duration |\n`;
-      md += `|--------|------|----------|\n`;
+      md += `| Status | Test | Duration | Server Logs |\n`;
+      md += `|--------|------|----------|-------------|\n`;
 
       for (const test of testFile.tests) {
-        const testStatus = test.status === 'passed' ? '✅' : test.status === 'failed' ? '❌' : '⏭️';
+        const testStatus = test.status === 'passed' ? '✅' : test.status === 'flaky' ? '🔁' : test.status === 'failed' ? '❌' : '⏭️';
         const testDur = test.duration ? `${test.duration}ms` : '-';
-        md += `| ${testStatus} | ${test.name} | ${testDur} |\n`;
+        const logs = (test.logs || []).map((l) => `[${l.phase}](${l.file}) (${l.errors}E/${l.warnings}W)`).join(', ');
+        md += `| ${testStatus} | ${test.name} | ${testDur} | ${logs || '-'} |\n`;
       }
       md += '\n';
     }
@@ -490,14 +1206,78 @@ class CustomReporter {
       }
     }
 
+    md += this.formatUnstableTests();
+
+    if (summary.logErrors + summary.logWarnings > 0) {
+      md += `## Server Logs\n\n`;
+      md += `Errors and warnings LogMonitor recorded per phase`;
+      md += summary.logVerdict ? ` (\`SIGNALK_LOG_VERDICT=${summary.logVerdict.policy}\`).\n\n` : `.\n\n`;
+      md += `| Category | Phase | Errors | Warnings | Log |\n`;
+      md += `|----------|-------|--------|----------|-----|\n`;
+      for (const testFile of this.results.tests) {
+        for (const p of (testFile.logs?.phases || []).filter((p) => p.file)) {
+          md += `| ${testFile.category} | ${p.phase} | ${p.errors} | ${p.warnings} | [${path.basename(p.file)}](${p.file}) |\n`;
+        }
+      }
+      md += '\n';
+    }
+
+    if (this.results.logDiff) {
+      const { totals } = this.results.logDiff;
+      md += `## Log Baseline Diff\n\n`;
+      md += `Compared with \`${this.logBaseline}\` (see \`log-diff.md\`).\n\n`;
+      md += `| New | New errors | Vanished | Frequency changes |\n`;
+      md += `|-----|------------|----------|-------------------|\n`;
+      md += `| ${totals.new} | ${totals.newErrors} | ${totals.vanished} | ${totals.changed} |\n\n`;
+    }
+
+    if (this.results.resources) {
+      const { phases, samples, interval } = this.results.resources;
+      md += `## Resource Usage\n\n`;
+      md += `${samples} samples every ${interval / 1000}s (see \`resources.csv\`).\n\n`;
+      md += `| Container | Phase | Samples | CPU avg | CPU max | RSS start | RSS end | RSS max | PIDs |\n`;
+      md += `|-----------|-------|---------|---------|---------|-----------|---------|---------|------|\n`;
+      for (const p of phases) {
+        md += `| ${p.container} | ${p.phase} | ${p.samples} | ${p.cpuAvg}% | ${p.cpuMax}% | ${this.formatMB(p.rssStart)} | ${this.formatMB(p.rssEnd)} | ${this.formatMB(p.rssMax)} | ${p.pidsMax} |\n`;
+      }
+      md += '\n';
+    }
+
+    if (this.results.profiles) {
+      md += `## Profiles\n\n`;
+      md += this.formatProfiles();
+    }
+
+    if (this.results.latency) {
+      md += `## Latency\n\n`;
+      md += `Time from an NMEA 0183 sentence written over TCP to its delta on \`/signalk/v1/stream\`.\n\n`;
+      md += `| | Phase | Rate | Subscribers | p50 | p95 | p99 | Max | Lost | Thresholds |\n`;
+      md += `|---|-------|------|-------------|-----|-----|-----|-----|------|------------|\n`;
+      for (const r of this.results.latency) {
+        const violations = r.violations || [];
+        const limits = r.thresholds ? `p50 ${r.thresholds.p50}, p95 ${r.thresholds.p95}, p99 ${r.thresholds.p99} ms` : '-';
+        md += `| ${violations.length ? '❌' : '✅'} | ${r.phase || '-'} | ${r.rate}/s | ${r.subscribers} | ${r.p50 ?? '-'} ms | ${r.p95 ?? '-'} ms | ${r.p99 ?? '-'} ms | ${r.max ?? '-'} ms | ${r.lost}/${r.probes * r.subscribers} | ${violations.length ? violations.join(', ') : limits} |\n`;
+      }
+      md += '\n';
+    }
+
     // Recommendation
     md += `## Recommendation\n\n`;
     if (summary.success) {
       md += `### ✅ APPROVED FOR RELEASE\n\n`;
-      md += `All ${summary.total} tests passed. The image \`${this.results.image}\` is ready for release.\n`;
+      if (summary.quarantined > 0) {
+        md += `${summary.total - summary.quarantined} of ${summary.total} tests passed; ${summary.quarantined} quarantined test(s) failed and do not block the release (see Quarantine above). The image \`${this.results.image}\` is ready for release.\n`;
+      } else {
+        md += `All ${summary.total} tests passed. The image \`${this.results.image}\` is ready for release.\n`;
+      }
     } else {
       md += `### ❌ NOT APPROVED FOR RELEASE\n\n`;
-      md += `${summary.failed} out of ${summary.total} tests failed. Please review the failures above before releasing.\n`;
+      if (summary.failed > summary.quarantined) {
+        md += `${summary.failed - summary.quarantined} out of ${summary.total} tests failed. Please review the failures above before releasing.\n`;
+      }
+      if (summary.logVerdict?.blocking > 0) {
+        md += `${summary.logVerdict.blocking} server log error(s) block the release under \`SIGNALK_LOG_VERDICT=${summary.logVerdict.policy}\`. See Server Logs above.\n`;
+      }
     }
 
     const reportPath = path.join(this.outputDir, 'summary.md');
@@ -508,6 +1288,7 @@ class CustomReporter {
     const summary = this.results.summary;
     const duration = (summary.duration / 1000).toFixed(1);
     const screenshots = this.getScreenshotFiles();
+    const incidents = this.results.containerEvents?.incidents || [];
 
     const html = `<!DOCTYPE html>
 <html lang="en">
@@ -551,6 +1332,7 @@ class CustomReporter {
     .test-item { padding: 8px 12px; margin: 4px 0; background: white; border-radius: 6px; display: flex; align-items: center; gap: 10px; font-size: 14px; }
     .test-item.passed { border-left: 3px solid #22c55e; }
     .test-item.failed { border-left: 3px solid #ef4444; background: #fef2f2; }
+    .test-item.flaky { border-left: 3px solid #f59e0b; background: #fffbeb; }
     .test-item.pending { border-left: 3px solid #f59e0b; }
     .test-name { flex: 1; }
     .test-duration { color: #999; font-size: 12px; }
@@ -577,6 +1359,10 @@ class CustomReporter {
     .screenshot-item:hover { transform: translateY(-2px); box-shadow: 0 4px 12px rgba(0,0,0,0.15); }
     .screenshot-item img { width: 100%; height: 180px; object-fit: cover; display: block; cursor: pointer; }
     .screenshot-name { padding: 12px; font-size: 13px; font-weight: 500; text-transform: capitalize; color: #333; text-align: center; }
+    .chart { margin-bottom: 16px; }
+    .chart-title { font-size: 13px; font-weight: 600; color: #666; margin-bottom: 4px; }
+    .log-link { font-size: 12px; color: #2d5a87; text-decoration: none; background: #f0f7ff; padding: 2px 8px; border-radius: 4px; }
+    .log-link.has-errors { color: #991b1b; background: #fee2e2; }
   </style>
 </head>
 <body>
@@ -602,10 +1388,26 @@ class CustomReporter {
             <div class="stat-value passed">${summary.passed}</div>
             <div class="stat-label">Passed</div>
           </div>
+          ${summary.flaky > 0 ? `
           <div class="stat">
-            <div class="stat-value ${summary.failed > 0 ? 'failed' : ''}">${summary.failed}</div>
-            <div class="stat-label">Failed</div>
+            <div class="stat-value">${summary.flaky}</div>
+            <div class="stat-label">Flaky</div>
           </div>
+          ` : ''}
+          <div class="stat">
+            <div class="stat-value ${summary.failed > summary.quarantined ? 'failed' : ''}">${summary.failed}</div>
+            <div class="stat-label">Failed${summary.quarantined > 0 ? ` (${summary.quarantined} quarantined)` : ''}</div>
+          </div>
+          ${summary.logErrors !== undefined ? `
+          <div class="stat">
+            <div class="stat-value ${summary.logErrors > 0 ? 'failed' : ''}">${summary.logErrors}</div>
+            <div class="stat-label">Log Errors</div>
+          </div>
+          <div class="stat">
+            <div class="stat-value">${summary.logWarnings}</div>
+            <div class="stat-label">Log Warnings</div>
+          </div>
+          ` : ''}
           <div class="stat">
             <div class="stat-value">${duration}s</div>
             <div class="stat-label">Duration</div>
@@ -622,6 +1424,31 @@ class CustomReporter {
       </div>
     </div>
 
+    ${incidents.length > 0 ? `
+    <div class="card">
+      <div class="card-header" style="background: #fef2f2; color: #991b1b;">
+        <span>⚠️</span> Container Incidents (${incidents.length})
+      </div>
+      <div class="card-body" style="padding: 0;">
+        <table>
+          <thead>
+            <tr><th>Time</th><th>Container</th><th>Event</th><th>Phase</th></tr>
+          </thead>
+          <tbody>
+            ${incidents.map((incident) => `
+              <tr>
+                <td>${incident.time}</td>
+                <td>${incident.container}</td>
+                <td><strong>${ContainerWatchdog.label(incident)}</strong></td>
+                <td>${incident.phase || '-'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+    ` : ''}
+
     <div class="card">
       <div class="card-header">
         <span>🖥️</span> Environment
@@ -636,6 +1463,10 @@ class CustomReporter {
             <div class="env-label">Test Date</div>
             <div class="env-value">${new Date(this.results.startTime).toLocaleString()}</div>
           </div>
+          <div class="env-item">
+            <div class="env-label">Simulation Seed</div>
+            <div class="env-value"><code>${this.results.seed}</code></div>
+          </div>
           <div class="env-item">
             <div class="env-label">Node.js Version</div>
             <div class="env-value">${process.version}</div>
@@ -683,8 +1514,9 @@ class CustomReporter {
                     <div class="test-list">
                       ${t.tests.map(test => `
                         <div class="test-item ${test.status}">
-                          <span>${test.status === 'passed' ? '✅' : test.status === 'failed' ? '❌' : '⏭️'}</span>
+                          <span>${test.status === 'passed' ? '✅' : test.status === 'flaky' ? '🔁' : test.status === 'failed' ? '❌' : '⏭️'}</span>
                           <span class="test-name">${test.name}</span>
+                          ${(test.logs || []).map((l) => `<a class="log-link ${l.errors > 0 ? 'has-errors' : ''}" href="${l.file}" target="_blank" title="${l.errors} errors, ${l.warnings} warnings">📜 ${l.phase}</a>`).join('')}
                           <span class="test-duration">${test.duration || 0}ms</span>
                         </div>
                       `).join('')}
@@ -698,6 +1530,101 @@ class CustomReporter {
       </div>
     </div>
 
+    ${summary.logErrors + summary.logWarnings > 0 ? `
+    <div class="card">
+      <div class="card-header"${summary.logVerdict?.blocking > 0 ? ' style="background: #fef2f2; color: #991b1b;"' : ''}>
+        <span>📜</span> Server Logs (${summary.logErrors} errors, ${summary.logWarnings} warnings)
+      </div>
+      <div class="card-body" style="padding: 0;">
+        <table>
+          <thead>
+            <tr><th>Category</th><th>Phase</th><th>Errors</th><th>Warnings</th><th>Log</th></tr>
+          </thead>
+          <tbody>
+            ${this.results.tests.flatMap((t) => (t.logs?.phases || []).filter((p) => p.file).map((p) => `
+              <tr>
+                <td>${t.category}<div class="category-desc"><a href="${t.logs.report}" target="_blank">log report</a></div></td>
+                <td>${p.phase}</td>
+                <td>${p.errors}</td>
+                <td>${p.warnings}</td>
+                <td><a class="log-link ${p.errors > 0 ? 'has-errors' : ''}" href="${p.file}" target="_blank">${path.basename(p.file)}</a></td>
+              </tr>
+            `)).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+    ` : ''}
+
+    ${this.results.resources ? `
+    <div class="card">
+      <div class="card-header">
+        <span>📈</span> Resource Usage
+      </div>
+      <div class="card-body">
+        ${this.renderResourceCharts()}
+        <table>
+          <thead>
+            <tr><th>Phase</th><th>Samples</th><th>CPU avg / max</th><th>RSS start → end</th><th>RSS max</th><th>PIDs</th></tr>
+          </thead>
+          <tbody>
+            ${this.results.resources.phases.map((p) => `
+              <tr>
+                <td>${p.phase}<div class="category-desc">${p.container}</div></td>
+                <td>${p.samples}</td>
+                <td>${p.cpuAvg}% / ${p.cpuMax}%</td>
+                <td>${this.formatMB(p.rssStart)} → ${this.formatMB(p.rssEnd)}</td>
+                <td>${this.formatMB(p.rssMax)}</td>
+                <td>${p.pidsMax}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+    ` : ''}
+
+    ${this.results.latency ? `
+    <div class="card">
+      <div class="card-header">
+        <span>⏱️</span> Latency
+      </div>
+      <div class="card-body" style="padding: 0;">
+        <table>
+          <thead>
+            <tr><th style="width: 40px;"></th><th>Phase</th><th>Rate</th><th>Subscribers</th><th>p50</th><th>p95</th><th>p99</th><th>Max</th><th>Lost</th></tr>
+          </thead>
+          <tbody>
+            ${this.results.latency.map((r) => `
+              <tr>
+                <td class="status-icon">${r.violations?.length ? '❌' : '✅'}</td>
+                <td>${r.phase || '-'}${r.violations?.length ? `<div class="category-desc">${r.violations.join(', ')}</div>` : ''}</td>
+                <td>${r.rate}/s</td>
+                <td>${r.subscribers}</td>
+                <td>${r.p50 ?? '-'} ms</td>
+                <td>${r.p95 ?? '-'} ms</td>
+                <td>${r.p99 ?? '-'} ms</td>
+                <td>${r.max ?? '-'} ms</td>
+                <td>${r.lost}/${r.probes * r.subscribers}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+    ` : ''}
+
+    ${this.results.profiles ? `
+    <div class="card">
+      <div class="card-header">
+        <span>🔬</span> Profiles
+      </div>
+      <div class="card-body">
+        ${this.renderProfiles()}
+      </div>
+    </div>
+    ` : ''}
+
     ${summary.failed > 0 ? `
     <div class="card">
       <div class="card-header" style="background: #fef2f2; color: #991b1b;">
@@ -743,9 +1670,10 @@ class CustomReporter {
     <div class="recommendation ${summary.success ? 'passed' : 'failed'}">
       ${summary.success
         ? `<h3>✅ APPROVED FOR RELEASE</h3>
-           <p>All ${summary.total} tests passed successfully. The image <code>${this.results.image}</code> is ready for release.</p>`
+           <p>${summary.quarantined > 0 ? `${summary.total - summary.quarantined} of ${summary.total} tests passed; ${summary.quarantined} quarantined test(s) failed and do not block the release.` : `All ${summary.total} tests passed successfully.`} The image <code>${this.results.image}</code> is ready for release.</p>`
         : `<h3>❌ NOT APPROVED FOR RELEASE</h3>
-           <p>${summary.failed} out of ${summary.total} tests failed. Please review and fix the failures before releasing.</p>`
+           ${summary.failed > summary.quarantined ? `<p>${summary.failed - summary.quarantined} out of ${summary.total} tests failed. Please review and fix the failures before releasing.</p>` : ''}
+           ${summary.logVerdict?.blocking > 0 ? `<p>${summary.logVerdict.blocking} server log error(s) block the release under <code>SIGNALK_LOG_VERDICT=${summary.logVerdict.policy}</code>.</p>` : ''}`
       }
     </div>
   </div>
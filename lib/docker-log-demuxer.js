@@ -0,0 +1,164 @@
+/**
+ * DockerLogDemuxer - Streaming demultiplexer for followed Docker logs
+ *
+ * Containers without a TTY send logs as frames, each with an 8-byte header:
+ * - Byte 0: stream type (0=stdin, 1=stdout, 2=stderr)
+ * - Bytes 4-7: payload length (big-endian)
+ *
+ * Frames arrive split across and packed into chunks arbitrarily, so the
+ * demuxer buffers bytes until a whole frame is available and keeps a line
+ * buffer per stream. Long lines that Docker splits into several frames
+ * are joined again. With `timestamps: true` each line (and each partial
+ * frame) starts with Docker's RFC3339Nano receive time, which is split off
+ * and handed to onLine as an ISO string.
+ *
+ * Containers created with Tty: true send raw text without headers; that is
+ * detected from the first bytes and everything is reported as stdout.
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+const HEADER_SIZE = 8;
+const STREAM_TYPES = { 0: 'stdin', 1: 'stdout', 2: 'stderr' };
+const DOCKER_TIMESTAMP = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:\d{2}) /;
+
+class DockerLogDemuxer {
+  /**
+   * @param {function} onLine - called with (line, stream, timestamp) per
+   *   complete line; timestamp is an ISO string or null
+   */
+  constructor(onLine) {
+    this.onLine = onLine;
+    this.pending = Buffer.alloc(0);
+    this.mode = null; // 'multiplexed' or 'raw', decided by the first bytes
+    this.streams = new Map();
+  }
+
+  /**
+   * Feed a chunk from the followed log stream
+   */
+  write(chunk) {
+    this.pending = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+
+    if (this.mode === null) {
+      if (this.pending.length < HEADER_SIZE) {
+        return;
+      }
+      this.mode = DockerLogDemuxer.isHeader(this.pending, 0) ? 'multiplexed' : 'raw';
+    }
+
+    if (this.mode === 'raw') {
+      this.append('stdout', this.pending);
+      this.pending = Buffer.alloc(0);
+      return;
+    }
+
+    let offset = 0;
+    while (this.pending.length - offset >= HEADER_SIZE) {
+      if (!DockerLogDemuxer.isHeader(this.pending, offset)) {
+        // Lost frame sync; the rest can only be read as raw text
+        this.mode = 'raw';
+        this.append('stdout', this.pending.subarray(offset));
+        offset = this.pending.length;
+        break;
+      }
+
+      const length = this.pending.readUInt32BE(offset + 4);
+      if (this.pending.length - offset - HEADER_SIZE < length) {
+        break; // frame continues in the next chunk
+      }
+
+      const stream = STREAM_TYPES[this.pending[offset]];
+      const start = offset + HEADER_SIZE;
+      this.append(stream, this.pending.subarray(start, start + length));
+      offset = start + length;
+    }
+
+    this.pending = this.pending.subarray(offset);
+  }
+
+  /**
+   * Flush partial lines at the end of the stream
+   */
+  end() {
+    if (this.pending.length > 0) {
+      this.append('stdout', this.pending);
+      this.pending = Buffer.alloc(0);
+    }
+    for (const [stream, state] of this.streams) {
+      const rest = state.buffer + state.decoder.end();
+      state.buffer = '';
+      if (rest.trim()) {
+        this.emitLine(rest, stream);
+      }
+    }
+  }
+
+  /**
+   * Add payload bytes to a stream's line buffer and emit complete lines
+   */
+  append(stream, bytes) {
+    if (!this.streams.has(stream)) {
+      this.streams.set(stream, { decoder: new StringDecoder('utf8'), buffer: '' });
+    }
+    const state = this.streams.get(stream);
+
+    let text = state.decoder.write(bytes);
+    // A long line split into several frames carries a timestamp per frame;
+    // only the first one belongs to the line
+    if (state.buffer && this.mode === 'multiplexed') {
+      text = text.replace(DOCKER_TIMESTAMP, '');
+    }
+    state.buffer += text;
+
+    const lines = state.buffer.split('\n');
+    state.buffer = lines.pop();
+    for (const line of lines) {
+      this.emitLine(line, stream);
+    }
+  }
+
+  /**
+   * Split off the timestamp and hand a non-blank line to onLine
+   */
+  emitLine(rawLine, stream) {
+    const line = rawLine.replace(/\r$/, '');
+    const { timestamp, text } = DockerLogDemuxer.splitTimestamp(line);
+    if (!text.trim()) {
+      return;
+    }
+    this.onLine(text, stream, timestamp);
+  }
+
+  /**
+   * Whether the 8 bytes at offset look like a frame header
+   */
+  static isHeader(buffer, offset) {
+    return (
+      buffer[offset] <= 2 &&
+      buffer[offset + 1] === 0 &&
+      buffer[offset + 2] === 0 &&
+      buffer[offset + 3] === 0
+    );
+  }
+
+  /**
+   * Split Docker's timestamp prefix off a line
+   * Returns { timestamp, text }; timestamp is ISO with milliseconds or null.
+   */
+  static splitTimestamp(line) {
+    const match = line.match(DOCKER_TIMESTAMP);
+    if (!match) {
+      return { timestamp: null, text: line };
+    }
+    const [prefix, seconds, fraction = '', zone] = match;
+    const millis = fraction.padEnd(3, '0').slice(0, 3);
+    const time = new Date(`${seconds}.${millis}${zone}`);
+    return {
+      timestamp: Number.isNaN(time.getTime()) ? null : time.toISOString(),
+      text: line.slice(prefix.length),
+    };
+  }
+}
+
+module.exports = { DockerLogDemuxer };
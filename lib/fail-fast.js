@@ -0,0 +1,192 @@
+/**
+ * FailFast - Fail the running test as soon as the server logs a critical line
+ *
+ * LogMonitor only collects errors; tests look at them at the end, so a
+ * server that crashes early lets every waitFor() run into its timeout.
+ * FailFast watches the monitors' 'error' events and, on a critical entry,
+ * aborts the current test's AbortSignal. waitFor(), sleep() and the
+ * feeder/simulator sends use that signal, so the test stops at its next
+ * wait and fails with the offending line and the log lines around it.
+ *
+ * Opt-in with SIGNALK_FAIL_FAST (tests/setup.js installs it):
+ *   1, true, critical   fatal, uncaught and crash lines only
+ *   error               every error entry LogMonitor reports
+ */
+
+const CRITICAL_PATTERN = /fatal|crash|segfault|uncaught|unhandled/i;
+
+class FailFast {
+  /**
+   * @param {object} options
+   * @param {string} options.mode - 'critical' (default) or 'error'
+   * @param {number} options.context - log lines shown around the entry (default 50)
+   * @param {number} options.settle - ms to wait for the lines after it (default 250)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'critical';
+    this.context = options.context ?? 50;
+    this.settle = options.settle ?? 250;
+    this.monitors = new Map();
+    this.testName = null;
+    this.failure = null;
+    this.pending = null;
+    this.controller = new AbortController();
+  }
+
+  /**
+   * Install the process-wide instance picked up by new LogMonitors and by
+   * sends without an explicit signal
+   */
+  static install(options = {}) {
+    FailFast.active = new FailFast(options);
+    return FailFast.active;
+  }
+
+  /**
+   * Instance configured by SIGNALK_FAIL_FAST, or null when it is off
+   */
+  static fromEnv(env = process.env) {
+    const value = (env.SIGNALK_FAIL_FAST || '').toLowerCase();
+    if (!value || value === '0' || value === 'false') {
+      return null;
+    }
+    return FailFast.install({ mode: value === 'error' ? 'error' : 'critical' });
+  }
+
+  /**
+   * Signal of the installed instance's current test, or undefined
+   */
+  static signal() {
+    return FailFast.active?.signal;
+  }
+
+  /**
+   * Whether an error entry is critical: fatal level or a crash/uncaught line
+   */
+  static isCritical(entry) {
+    return entry.level === 'fatal' || CRITICAL_PATTERN.test(entry.line);
+  }
+
+  /**
+   * Timer that rejects with the signal's reason when it is aborted
+   */
+  static delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /**
+   * Watch a LogMonitor's 'error' events; returns a function to stop
+   */
+  watch(monitor) {
+    if (this.monitors.has(monitor)) {
+      return this.monitors.get(monitor);
+    }
+    const onError = (entry) => {
+      if (this.mode === 'error' || FailFast.isCritical(entry)) {
+        this.trip(monitor, entry);
+      }
+    };
+    monitor.on('error', onError);
+    const unwatch = () => {
+      monitor.off('error', onError);
+      this.monitors.delete(monitor);
+    };
+    this.monitors.set(monitor, unwatch);
+    return unwatch;
+  }
+
+  /**
+   * Start a test. A failure left over from a hook (e.g. the server crashed
+   * during beforeAll) is kept, so the first test reports it.
+   */
+  begin(testName = null) {
+    this.testName = testName;
+    if (!this.failure && !this.pending) {
+      this.controller = new AbortController();
+    }
+  }
+
+  /**
+   * End a test; returns the fail-fast error, or null if none tripped
+   */
+  end() {
+    if (this.pending) {
+      this.abort();
+    }
+    const failure = this.failure;
+    this.failure = null;
+    this.testName = null;
+    this.controller = new AbortController();
+    return failure;
+  }
+
+  /**
+   * Record a critical entry and abort once the lines after it are in
+   * Only the first entry per test counts.
+   */
+  trip(monitor, entry) {
+    if (this.failure || this.pending) {
+      return;
+    }
+    this.pending = { monitor, entry, timer: setTimeout(() => this.abort(), this.settle) };
+  }
+
+  abort() {
+    const { monitor, entry, timer } = this.pending;
+    clearTimeout(timer);
+    this.pending = null;
+
+    const logs = monitor.allLogs || [];
+    const index = logs.lastIndexOf(entry);
+    const half = Math.floor(this.context / 2);
+    const before = index >= 0 ? logs.slice(Math.max(0, index - half), index) : [];
+    const after = index >= 0 ? logs.slice(index + 1, index + 1 + this.context - before.length) : [];
+
+    this.failure = FailFast.createError(entry, before, after, this.testName);
+    this.controller.abort(this.failure);
+  }
+
+  /**
+   * Error carrying the entry, its stack and the surrounding log lines
+   */
+  static createError(entry, before, after, testName) {
+    const where = testName ? ` during "${testName}"` : '';
+    const lines = [
+      `Fail-fast: server logged a critical ${entry.level || 'error'} in phase "${entry.phase}"${where}`,
+      `  ${entry.line}`,
+      '',
+      `Log context (${before.length} before, ${after.length} after):`,
+      ...before.map((e) => `    ${e.line}`),
+      `  > ${entry.line}`,
+      ...(entry.stack || []).map((frame) => `  > ${frame}`),
+      ...after.map((e) => `    ${e.line}`),
+    ];
+
+    const error = new Error(lines.join('\n'));
+    error.entry = entry;
+    error.context = { before, after };
+    return error;
+  }
+}
+
+FailFast.active = null;
+
+module.exports = { FailFast };
@@ -0,0 +1,87 @@
+/**
+ * FlakyHistory - Per-test outcomes across merged runs
+ *
+ * scripts/generate-report.js records every job's results.json, and the
+ * history of earlier runs when given, so a test that fails or needs a
+ * retry now and then shows up even when each single run looks green.
+ * For every test it counts runs, passes, passes on retry (flaky) and
+ * failures, with the time of the last flaky pass and failure.
+ *
+ * Stored as flaky-history.json; pass it to the next generate-report run
+ * with --history to keep accumulating.
+ */
+
+const fs = require('fs');
+
+class FlakyHistory {
+  /**
+   * @param {object} data - a previous toJSON(), or nothing to start empty
+   */
+  constructor(data = {}) {
+    this.runs = data.runs || 0;
+    this.tests = data.tests || {};
+  }
+
+  /**
+   * Read a history file; an empty history when it does not exist
+   */
+  static load(file) {
+    if (!file || !fs.existsSync(file)) {
+      return new FlakyHistory();
+    }
+    try {
+      return new FlakyHistory(JSON.parse(fs.readFileSync(file, 'utf-8')));
+    } catch (e) {
+      throw new Error(`Invalid flaky history ${file}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Count the outcome of every test in a results.json object
+   */
+  record(results, time = results.endTime || new Date().toISOString()) {
+    this.runs++;
+    for (const testFile of results.tests || []) {
+      for (const t of testFile.tests || []) {
+        if (!['passed', 'flaky', 'failed'].includes(t.status)) continue;
+
+        const key = `${testFile.file} › ${t.fullName || t.name}`;
+        const entry = (this.tests[key] = this.tests[key] || {
+          file: testFile.file,
+          category: testFile.category,
+          name: t.fullName || t.name,
+          runs: 0,
+          passed: 0,
+          flaky: 0,
+          failed: 0,
+          lastFlaky: null,
+          lastFailed: null,
+        });
+        entry.runs++;
+        entry[t.status]++;
+        if (t.status === 'flaky') entry.lastFlaky = time;
+        if (t.status === 'failed') entry.lastFailed = time;
+      }
+    }
+  }
+
+  /**
+   * Tests whose outcome varies: passed on retry at least once, or both
+   * failed and passed; most unstable first
+   */
+  unstable() {
+    return Object.values(this.tests)
+      .filter((t) => t.flaky > 0 || (t.failed > 0 && t.passed > 0))
+      .map((t) => ({ ...t, rate: Math.round(((t.flaky + t.failed) / t.runs) * 1000) / 10 }))
+      .sort((a, b) => b.rate - a.rate || b.runs - a.runs);
+  }
+
+  toJSON() {
+    return {
+      runs: this.runs,
+      tests: this.tests,
+    };
+  }
+}
+
+module.exports = { FlakyHistory };
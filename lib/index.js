@@ -5,15 +5,59 @@
  */
 
 const { LogMonitor } = require('./log-monitor');
+const { LogParser } = require('./log-parser');
+const { DockerLogDemuxer } = require('./docker-log-demuxer');
+const { KnownIssues } = require('./known-issues');
+const { LogBaseline } = require('./log-baseline');
+const { FailFast } = require('./fail-fast');
 const { ContainerManager } = require('./container-manager');
+const { ContainerWatchdog } = require('./container-watchdog');
+const { ResourceSampler } = require('./resource-sampler');
+const { NodeProfiler } = require('./node-profiler');
+const { LatencyProbe } = require('./latency-probe');
+const { Benchmark } = require('./benchmark');
 const { NmeaFeeder } = require('./nmea-feeder');
+const { AisEncoder } = require('./ais-encoder');
 const { N2kSimulator } = require('./n2k-simulator');
+const { N2kEncoder } = require('./n2k-encoder');
 const { AdminUiTester } = require('./admin-ui-tester');
+const { SeededRandom } = require('./seeded-random');
+const { VesselModel } = require('./vessel-model');
+const { StateOracle } = require('./state-oracle');
+const { ScenarioRunner } = require('./scenario-runner');
+const { LogReplay } = require('./log-replay');
+const { CiReport } = require('./ci-report');
+const { Quarantine } = require('./quarantine');
+const { FlakyHistory } = require('./flaky-history');
+const { ResultsArchive } = require('./results-archive');
+const { CompatibilityMatrix } = require('./compatibility-matrix');
 
 module.exports = {
   LogMonitor,
+  LogParser,
+  DockerLogDemuxer,
+  KnownIssues,
+  LogBaseline,
+  FailFast,
   ContainerManager,
+  ContainerWatchdog,
+  ResourceSampler,
+  NodeProfiler,
+  LatencyProbe,
+  Benchmark,
   NmeaFeeder,
+  AisEncoder,
   N2kSimulator,
+  N2kEncoder,
   AdminUiTester,
+  SeededRandom,
+  VesselModel,
+  StateOracle,
+  ScenarioRunner,
+  LogReplay,
+  CiReport,
+  Quarantine,
+  FlakyHistory,
+  ResultsArchive,
+  CompatibilityMatrix,
 };
@@ -0,0 +1,274 @@
+/**
+ * KnownIssues - Allowlist of known server log errors and warnings
+ *
+ * Loaded from a YAML or JSON file so tolerating a known issue does not
+ * mean editing ignorePatterns in code. Every entry names why it is
+ * tolerated and until when, and can be limited to some images or server
+ * versions:
+ *
+ *   entries:
+ *     - id: n2k-deprecated-buffer
+ *       pattern: "DeprecationWarning: Buffer\\(\\) is deprecated"
+ *       reason: canboatjs still calls new Buffer()
+ *       issue: https://github.com/canboat/canboatjs/issues/123
+ *       level: warn                       # optional: only entries of this level
+ *       source: core                      # optional: only this source module
+ *       image: signalk/signalk-server     # optional: repository, '*' wildcards
+ *       versions: ">=2.0.0 <2.10.0"       # optional: semver range
+ *       expires: 2026-12-31
+ *
+ * Expired entries stop suppressing, so the issue fails tests again until
+ * someone re-checks it. The report lists entries that matched, in-scope
+ * entries that never matched (stale) and expired ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+
+const DEFAULT_FILES = ['known-issues.yml', 'known-issues.yaml', 'known-issues.json'].map((name) =>
+  path.join(__dirname, '..', 'config', name)
+);
+
+const REQUIRED_FIELDS = ['pattern', 'reason', 'issue', 'expires'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class KnownIssues {
+  /**
+   * @param {object} options
+   * @param {Array} options.entries - allowlist entries (see file format above)
+   * @param {string} options.file - where the entries came from, for reports
+   * @param {string} options.image - image under test
+   * @param {string} options.version - server version; defaults to a semver image tag
+   * @param {Date|string|number} options.now - reference time for expiry
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.now = options.now ? new Date(options.now).getTime() : Date.now();
+    this.entries = (options.entries || []).map((entry, index) =>
+      KnownIssues.compile(entry, index, this.file)
+    );
+    this.setTarget({ image: options.image, version: options.version });
+  }
+
+  /**
+   * Load an allowlist file (.yml, .yaml or .json)
+   */
+  static load(filePath, options = {}) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Known issues file not found: ${filePath}`);
+    }
+    const text = fs.readFileSync(filePath, 'utf-8');
+    let data;
+    try {
+      data = /\.ya?ml$/i.test(filePath) ? require('js-yaml').load(text) : JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid known issues file ${filePath}: ${e.message}`);
+    }
+
+    const entries = Array.isArray(data) ? data : data?.entries || [];
+    return new KnownIssues({ ...options, entries, file: filePath });
+  }
+
+  /**
+   * Allowlist from SIGNALK_KNOWN_ISSUES or config/known-issues.{yml,yaml,json},
+   * or null when there is none
+   */
+  static loadDefault(options = {}) {
+    const file = process.env.SIGNALK_KNOWN_ISSUES || DEFAULT_FILES.find((f) => fs.existsSync(f));
+    return file ? KnownIssues.load(file, options) : null;
+  }
+
+  /**
+   * Validate an entry and compile its pattern
+   */
+  static compile(entry, index, file) {
+    const where = `${file || 'known issues'} entry ${entry?.id || index}`;
+    const missing = REQUIRED_FIELDS.filter((field) => entry?.[field] === undefined || entry[field] === '');
+    if (missing.length > 0) {
+      throw new Error(`${where}: missing ${missing.join(', ')}`);
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(entry.pattern, (entry.flags || '').replace(/[gy]/g, ''));
+    } catch (e) {
+      throw new Error(`${where}: invalid pattern: ${e.message}`);
+    }
+
+    if (entry.versions !== undefined && !semver.validRange(String(entry.versions))) {
+      throw new Error(`${where}: invalid version range "${entry.versions}"`);
+    }
+
+    const expires = KnownIssues.expiryDate(entry.expires);
+    if (Number.isNaN(expires.getTime())) {
+      throw new Error(`${where}: invalid expiry date "${entry.expires}"`);
+    }
+
+    return {
+      id: String(entry.id || `entry-${index}`),
+      pattern: entry.pattern,
+      regex,
+      reason: entry.reason,
+      issue: entry.issue,
+      level: entry.level || null,
+      source: entry.source || null,
+      images: entry.image === undefined ? null : [].concat(entry.image),
+      versions: entry.versions === undefined ? null : String(entry.versions),
+      expires: expires.toISOString(),
+      expired: false,
+      inScope: false,
+      scopeReason: null,
+      count: 0,
+      phases: new Set(),
+      firstSeen: null,
+    };
+  }
+
+  /**
+   * Expiry as a Date; a plain date lasts until the end of that day (UTC)
+   */
+  static expiryDate(value) {
+    // js-yaml reads an unquoted 2026-12-31 as a Date at midnight UTC
+    const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+    return new Date(DATE_ONLY.test(text) ? `${text}T23:59:59.999Z` : text);
+  }
+
+  /**
+   * Set the image/version under test and work out which entries apply
+   * Entries with a version range stay out of scope while the version is
+   * unknown. Returns the entries that came into scope.
+   */
+  setTarget({ image, version } = {}) {
+    this.image = image || this.image || null;
+    const coerced = version ? semver.coerce(String(version)) : null;
+    this.version =
+      coerced?.version || this.version || (this.image && KnownIssues.imageVersion(this.image)) || null;
+
+    const added = [];
+    for (const entry of this.entries) {
+      const wasInScope = entry.inScope;
+      entry.expired = new Date(entry.expires).getTime() < this.now;
+      entry.scopeReason = this.outOfScope(entry);
+      entry.inScope = entry.scopeReason === null;
+      if (entry.inScope && !wasInScope) {
+        added.push(entry);
+      }
+    }
+    return added;
+  }
+
+  /**
+   * Why an entry does not apply to the target, or null if it does
+   */
+  outOfScope(entry) {
+    if (entry.images) {
+      const repository = KnownIssues.repository(this.image || '');
+      const matches = entry.images.some((pattern) => KnownIssues.glob(pattern).test(repository));
+      if (!matches) {
+        return `image ${repository || 'unknown'} not in ${entry.images.join(', ')}`;
+      }
+    }
+    if (entry.versions) {
+      if (!this.version) {
+        return `server version unknown (needs ${entry.versions})`;
+      }
+      if (!semver.satisfies(this.version, entry.versions)) {
+        return `version ${this.version} not in ${entry.versions}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Allowlist entry covering a log entry, or null
+   * Expired and out-of-scope entries never cover anything. Hits on expired
+   * entries are still counted so the report shows they are still needed.
+   * Fatal entries are only covered by entries with level: fatal.
+   *
+   * @param {object} logEntry - LogMonitor entry
+   * @param {Array} entries - allowlist entries to try (default: all)
+   */
+  match(logEntry, entries = this.entries) {
+    for (const entry of entries) {
+      if (!entry.inScope) continue;
+      if (logEntry.level === 'fatal' && entry.level !== 'fatal') continue;
+      if (entry.level && entry.level !== logEntry.level) continue;
+      if (entry.source && entry.source !== logEntry.source) continue;
+      if (!entry.regex.test(logEntry.message) && !entry.regex.test(logEntry.line)) continue;
+
+      entry.count++;
+      entry.phases.add(logEntry.phase);
+      entry.firstSeen = entry.firstSeen || logEntry.timestamp;
+      if (!entry.expired) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Matched, stale, expired and out-of-scope entries
+   */
+  report() {
+    const describe = (entry) => ({
+      id: entry.id,
+      pattern: entry.pattern,
+      reason: entry.reason,
+      issue: entry.issue,
+      expires: entry.expires,
+      count: entry.count,
+      phases: [...entry.phases],
+      firstSeen: entry.firstSeen,
+    });
+
+    return {
+      file: this.file,
+      image: this.image,
+      version: this.version,
+      matched: this.entries.filter((e) => e.inScope && !e.expired && e.count > 0).map(describe),
+      stale: this.entries.filter((e) => e.inScope && !e.expired && e.count === 0).map(describe),
+      expired: this.entries.filter((e) => e.expired).map(describe),
+      outOfScope: this.entries
+        .filter((e) => !e.inScope)
+        .map((e) => ({ ...describe(e), scope: e.scopeReason })),
+    };
+  }
+
+  /**
+   * Forget match counts (between runs)
+   */
+  resetCounts() {
+    for (const entry of this.entries) {
+      entry.count = 0;
+      entry.phases.clear();
+      entry.firstSeen = null;
+    }
+  }
+
+  /**
+   * Image repository without tag or digest ('signalk/signalk-server')
+   */
+  static repository(image) {
+    return image.split('@')[0].replace(/:[^/:]+$/, '');
+  }
+
+  /**
+   * Server version from a semver image tag ('signalk/signalk-server:v2.8.0'),
+   * or null for tags like 'latest'
+   */
+  static imageVersion(image) {
+    const tag = image.split('@')[0].match(/:([^/:]+)$/)?.[1];
+    return (tag && semver.valid(tag.replace(/^v/, ''))) || null;
+  }
+
+  /**
+   * Anchored regex for an image pattern with '*' wildcards
+   */
+  static glob(pattern) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+  }
+}
+
+module.exports = { KnownIssues };
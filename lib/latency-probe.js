@@ -0,0 +1,280 @@
+/**
+ * LatencyProbe - Time from an NMEA sentence to its delta on the stream
+ *
+ * Sends depth sentences (DBT) whose value rises by 1 mm per probe through
+ * NmeaFeeder.sendTcp, timestamps each write, and matches the deltas that
+ * arrive on one or more /signalk/v1/stream subscribers back to the sends
+ * by value. measure() reports the p50/p95/p99 distribution for one input
+ * rate and subscriber count; probes a subscriber never receives are lost.
+ *
+ * Thresholds come from config/latency.json. Results are written to
+ * SIGNALK_LATENCY_RESULTS (set by CustomReporter) as <name>.json; the
+ * reporter lists them with the thresholds they were checked against.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'latency.json');
+
+const DEFAULT_CONFIG = {
+  probes: 100,
+  rates: [10, 50, 200],
+  subscribers: [1, 10],
+  thresholds: { p50: 50, p95: 200, p99: 500, lost: 0 },
+};
+
+const DEPTH_PATH = 'environment.depth.belowTransducer';
+
+// Probe values run from 10.000 m in 1 mm steps and wrap after this many,
+// far more than a test sends, so a late delta never matches a newer probe
+const DISTINCT_VALUES = 10000;
+
+class LatencyProbe {
+  /**
+   * @param {object} options
+   * @param {NmeaFeeder} options.feeder - sends the probes over TCP
+   * @param {string} options.wsUrl - stream URL, as in getConnectionInfo()
+   * @param {LogMonitor} options.logMonitor - phase recorded with results
+   * @param {string} options.name - output file name (no results file when unset)
+   * @param {object} options.thresholds - { p50, p95, p99, lost } limits in ms and probes
+   * @param {string} options.outputDir - where results are written
+   *   (default SIGNALK_LATENCY_RESULTS; none when unset)
+   */
+  constructor(options = {}) {
+    this.feeder = options.feeder;
+    this.wsUrl = options.wsUrl;
+    this.logMonitor = options.logMonitor || null;
+    this.name = options.name || null;
+    this.thresholds = options.thresholds || null;
+    this.outputDir = options.outputDir || process.env.SIGNALK_LATENCY_RESULTS || null;
+    this.sequence = 0;
+    this.results = [];
+  }
+
+  /**
+   * Read probe settings over the defaults
+   */
+  static loadConfig(file = DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(file)) {
+      return { ...DEFAULT_CONFIG, thresholds: { ...DEFAULT_CONFIG.thresholds } };
+    }
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+      throw new Error(`Invalid latency config ${file}: ${e.message}`);
+    }
+    return { ...DEFAULT_CONFIG, ...config, thresholds: { ...DEFAULT_CONFIG.thresholds, ...config.thresholds } };
+  }
+
+  /**
+   * Connect a stream subscriber; onValue(value, time) gets every depth
+   */
+  async subscribe(onValue) {
+    const ws = new WebSocket(`${this.wsUrl}?subscribe=self`);
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('WebSocket hello timeout')), 10000);
+      ws.once('error', reject);
+      ws.on('message', (data) => {
+        const time = performance.now();
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (e) {
+          return;
+        }
+        if (!message.updates) {
+          clearTimeout(timer);
+          resolve();
+          return;
+        }
+        for (const update of message.updates) {
+          for (const { path: valuePath, value } of update.values || []) {
+            if (valuePath === DEPTH_PATH && typeof value === 'number') {
+              onValue(value, time);
+            }
+          }
+        }
+      });
+    });
+    return ws;
+  }
+
+  /**
+   * Send `count` probes at `rate` per second while `subscribers` clients
+   * listen; waits up to `settle` ms after the last send for stragglers
+   *
+   * @returns {object} { phase, rate, subscribers, probes, lost, count
+   *   (deltas matched), min, mean, p50, p95, p99, max, thresholds, violations }
+   */
+  async measure(options = {}) {
+    const rate = options.rate || 10;
+    const count = options.count || 100;
+    const subscribers = options.subscribers || 1;
+    const settle = options.settle ?? 2000;
+
+    const sentAt = new Map();
+    const valueOf = new Map();
+    const latencies = [];
+    const clients = [];
+
+    try {
+      for (let i = 0; i < subscribers; i++) {
+        const seen = new Set();
+        clients.push(
+          await this.subscribe((value, time) => {
+            const key = value.toFixed(3);
+            if (sentAt.has(key) && !seen.has(key)) {
+              seen.add(key);
+              latencies.push(time - sentAt.get(key));
+            }
+          })
+        );
+      }
+
+      const sentences = [];
+      for (let i = 0; i < count; i++) {
+        const key = (10 + (this.sequence++ % DISTINCT_VALUES) / 1000).toFixed(3);
+        const sentence = this.feeder.addChecksum(`$SDDBT,,f,${key},M,,F`);
+        valueOf.set(sentence, key);
+        sentences.push(sentence);
+      }
+
+      await this.feeder.sendTcp(sentences, {
+        delay: 1000 / rate,
+        timeout: Math.max(10000, (count / rate) * 2000),
+        onWrite: (sentence) => sentAt.set(valueOf.get(sentence), performance.now()),
+      });
+
+      const deadline = Date.now() + settle;
+      while (latencies.length < count * subscribers && Date.now() < deadline) {
+        await new Promise((r) => setTimeout(r, 50));
+      }
+    } finally {
+      for (const ws of clients) {
+        ws.close();
+      }
+    }
+
+    const result = {
+      phase: this.logMonitor?.currentPhase || null,
+      rate,
+      subscribers,
+      probes: count,
+      lost: count * subscribers - latencies.length,
+      ...LatencyProbe.summarize(latencies),
+    };
+    if (this.thresholds) {
+      result.thresholds = this.thresholds;
+      result.violations = LatencyProbe.check(result, this.thresholds);
+    }
+
+    this.results.push(result);
+    this.save();
+    return result;
+  }
+
+  /**
+   * Value below which `p` percent of the values fall (nearest rank)
+   */
+  static percentile(values, p) {
+    if (values.length === 0) {
+      return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+  }
+
+  /**
+   * Count, min, mean, p50, p95, p99 and max of latencies (ms, 0.1 ms steps)
+   */
+  static summarize(latencies) {
+    const round = (ms) => (ms === null ? null : Math.round(ms * 10) / 10);
+    const count = latencies.length;
+    return {
+      count,
+      min: round(count ? Math.min(...latencies) : null),
+      mean: round(count ? latencies.reduce((a, b) => a + b, 0) / count : null),
+      p50: round(LatencyProbe.percentile(latencies, 50)),
+      p95: round(LatencyProbe.percentile(latencies, 95)),
+      p99: round(LatencyProbe.percentile(latencies, 99)),
+      max: round(count ? Math.max(...latencies) : null),
+    };
+  }
+
+  /**
+   * Thresholds a result exceeds, as readable messages ('p95 240ms > 200ms')
+   */
+  static check(result, thresholds) {
+    const violations = [];
+    for (const key of ['p50', 'p95', 'p99']) {
+      if (thresholds[key] === undefined) continue;
+      if (result[key] === null) {
+        violations.push(`${key}: no probe arrived`);
+      } else if (result[key] > thresholds[key]) {
+        violations.push(`${key} ${result[key]}ms > ${thresholds[key]}ms`);
+      }
+    }
+    if (thresholds.lost !== undefined && result.lost > thresholds.lost) {
+      violations.push(`lost ${result.lost} > ${thresholds.lost}`);
+    }
+    return violations;
+  }
+
+  /**
+   * One-line description: '50/s, 10 subscribers: p50 4.1ms p95 9.8ms p99 15.2ms, 0 lost'
+   */
+  static describe(result) {
+    const subscribers = `${result.subscribers} subscriber${result.subscribers === 1 ? '' : 's'}`;
+    return (
+      `${result.rate}/s, ${subscribers}: ` +
+      `p50 ${result.p50}ms p95 ${result.p95}ms p99 ${result.p99}ms, ${result.lost} lost`
+    );
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      results: this.results,
+    };
+  }
+
+  /**
+   * Write the results to outputDir/<name>.json
+   */
+  save() {
+    if (!this.outputDir || !this.name) return;
+    try {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+      fs.writeFileSync(path.join(this.outputDir, `${this.name}.json`), JSON.stringify(this, null, 2));
+    } catch (e) {
+      // Reporting only; never fail a test over it
+    }
+  }
+
+  /**
+   * Read the results all probes wrote to a directory
+   */
+  static load(dir) {
+    if (!dir || !fs.existsSync(dir)) {
+      return [];
+    }
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith('.json'))
+      .sort()
+      .map((f) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8'));
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = { LatencyProbe };
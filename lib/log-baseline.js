@@ -0,0 +1,231 @@
+/**
+ * LogBaseline - Compare server logs between two image runs
+ *
+ * Log lines are normalized into message templates (timestamps, IDs,
+ * addresses and numbers masked) and counted per phase. LogMonitor writes
+ * its toJSON() snapshot, which includes these counts, when
+ * SIGNALK_LOG_SNAPSHOTS is set; snapshots from a baseline run are then
+ * compared with the next run to list, for every phase:
+ *
+ *   new       templates the baseline never logged
+ *   vanished  templates the baseline logged that are gone
+ *   changed   templates whose count changed by at least `ratio` times
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Applied in order; later masks must not re-match earlier placeholders
+const MASKS = [
+  [/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<time>'],
+  [/\b\d{2}:\d{2}:\d{2}(?:\.\d+)?\b/g, '<time>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b(?:\d{1,3}\.){3}\d{1,3}(?::\d+)?\b/g, '<ip>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<hex>'],
+  [/\bv\d+(?:\.\d+)+\b/g, 'v<n>'],
+  [/(?<![\w<.])-?\d+(?:\.\d+)*/g, '<n>'],
+];
+
+const MAX_TEMPLATE_LENGTH = 200;
+
+class LogBaseline {
+  /**
+   * Message template for a log entry or line
+   * Debug entries keep their namespace so equal messages from different
+   * modules stay apart.
+   */
+  static template(entry) {
+    const text = typeof entry === 'string' ? entry : entry.message ?? entry.line;
+    let template = MASKS.reduce((t, [pattern, mask]) => t.replace(pattern, mask), String(text));
+    template = template.replace(/\s+/g, ' ').trim().slice(0, MAX_TEMPLATE_LENGTH);
+    return entry.namespace ? `${entry.namespace} ${template}` : template;
+  }
+
+  /**
+   * Count templates in log entries: { template: { count, level, source, example } }
+   */
+  static countTemplates(entries) {
+    const templates = {};
+    for (const entry of entries) {
+      const key = LogBaseline.template(entry);
+      if (!templates[key]) {
+        templates[key] = { count: 0, level: entry.level, source: entry.source, example: entry.line };
+      }
+      templates[key].count++;
+    }
+    return templates;
+  }
+
+  /**
+   * Load snapshots from a LogMonitor JSON file, a merged baseline file or a
+   * directory of snapshot files, merged into one
+   */
+  static load(target) {
+    if (!fs.existsSync(target)) {
+      throw new Error(`Log baseline not found: ${target}`);
+    }
+    const files = fs.statSync(target).isDirectory()
+      ? fs
+          .readdirSync(target)
+          .filter((f) => f.endsWith('.json'))
+          .sort()
+          .map((f) => path.join(target, f))
+      : [target];
+    if (files.length === 0) {
+      throw new Error(`No log snapshots in ${target}`);
+    }
+
+    const snapshots = files.map((file) => {
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch (e) {
+        throw new Error(`Invalid log snapshot ${file}: ${e.message}`);
+      }
+    });
+    return LogBaseline.merge(snapshots);
+  }
+
+  /**
+   * Merge snapshots into { server, phases: { phase: templates } }
+   * Counts for a phase that appears in several snapshots are summed.
+   */
+  static merge(snapshots) {
+    const merged = { server: null, phases: {} };
+    for (const snapshot of snapshots) {
+      if (!snapshot.templates) {
+        throw new Error('Log snapshot has no templates (written by an older LogMonitor?)');
+      }
+      merged.server = merged.server || snapshot.server || null;
+      for (const [phase, templates] of Object.entries(snapshot.templates)) {
+        const target = (merged.phases[phase] = merged.phases[phase] || {});
+        for (const [key, info] of Object.entries(templates)) {
+          if (target[key]) {
+            target[key].count += info.count;
+          } else {
+            target[key] = { ...info };
+          }
+        }
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Diff two merged snapshots
+   *
+   * @param {object} options - { ratio: 3, minCount: 5 } a count change is
+   *   reported when one side is `ratio` times the other and the larger
+   *   side has at least `minCount` lines
+   */
+  static compare(baseline, current, options = {}) {
+    const ratio = options.ratio ?? 3;
+    const minCount = options.minCount ?? 5;
+    const describe = (template, info) => ({
+      template,
+      count: info.count,
+      level: info.level,
+      source: info.source,
+      example: info.example,
+    });
+    const byCount = (a, b) => b.count - a.count;
+
+    const phases = {};
+    const totals = { new: 0, vanished: 0, changed: 0, newErrors: 0 };
+    const names = new Set([...Object.keys(baseline.phases), ...Object.keys(current.phases)]);
+
+    for (const phase of names) {
+      const before = baseline.phases[phase] || {};
+      const after = current.phases[phase] || {};
+
+      const added = Object.entries(after)
+        .filter(([key]) => !before[key])
+        .map(([key, info]) => describe(key, info))
+        .sort(byCount);
+      const vanished = Object.entries(before)
+        .filter(([key]) => !after[key])
+        .map(([key, info]) => describe(key, info))
+        .sort(byCount);
+      const changed = Object.entries(after)
+        .filter(([key]) => before[key])
+        .map(([key, info]) => ({
+          ...describe(key, info),
+          baseline: before[key].count,
+          factor: info.count / before[key].count,
+        }))
+        .filter((c) => Math.max(c.count, c.baseline) >= minCount && (c.factor >= ratio || c.factor <= 1 / ratio))
+        .sort((a, b) => Math.abs(Math.log(b.factor)) - Math.abs(Math.log(a.factor)));
+
+      if (added.length + vanished.length + changed.length === 0) {
+        continue;
+      }
+
+      let status = 'changed';
+      if (!baseline.phases[phase]) status = 'new-phase';
+      else if (!current.phases[phase]) status = 'missing-phase';
+
+      phases[phase] = { status, new: added, vanished, changed };
+      totals.new += added.length;
+      totals.vanished += vanished.length;
+      totals.changed += changed.length;
+      totals.newErrors += added.filter((t) => t.level === 'error' || t.level === 'fatal').length;
+    }
+
+    return {
+      baseline: baseline.server,
+      current: current.server,
+      options: { ratio, minCount },
+      totals,
+      phases,
+    };
+  }
+
+  /**
+   * Markdown report for a diff
+   */
+  static formatReport(diff, limit = 20) {
+    const image = (server) => (server ? `${server.image || 'unknown'} (${server.version || '?'})` : 'unknown');
+    const cell = (text) => String(text).substring(0, 100).replace(/\|/g, '\\|');
+
+    let report = `# Log Baseline Diff\n\n`;
+    report += `**Baseline:** ${image(diff.baseline)}  \n`;
+    report += `**Current:** ${image(diff.current)}\n\n`;
+    report += `| New | New errors | Vanished | Frequency changes |\n`;
+    report += `|-----|------------|----------|-------------------|\n`;
+    report += `| ${diff.totals.new} | ${diff.totals.newErrors} | ${diff.totals.vanished} | ${diff.totals.changed} |\n\n`;
+
+    for (const [phase, result] of Object.entries(diff.phases)) {
+      const note = result.status === 'changed' ? '' : ` (${result.status})`;
+      report += `## ${phase}${note}\n\n`;
+
+      if (result.new.length > 0) {
+        report += `**New**\n\n| Count | Level | Source | Template |\n|-------|-------|--------|----------|\n`;
+        for (const t of result.new.slice(0, limit)) {
+          report += `| ${t.count} | ${t.level} | ${t.source} | ${cell(t.template)} |\n`;
+        }
+        report += '\n';
+      }
+      if (result.vanished.length > 0) {
+        report += `**Vanished**\n\n| Count | Level | Template |\n|-------|-------|----------|\n`;
+        for (const t of result.vanished.slice(0, limit)) {
+          report += `| ${t.count} | ${t.level} | ${cell(t.template)} |\n`;
+        }
+        report += '\n';
+      }
+      if (result.changed.length > 0) {
+        report += `**Frequency changes**\n\n| Baseline | Current | Template |\n|----------|---------|----------|\n`;
+        for (const t of result.changed.slice(0, limit)) {
+          report += `| ${t.baseline} | ${t.count} | ${cell(t.template)} |\n`;
+        }
+        report += '\n';
+      }
+    }
+
+    if (Object.keys(diff.phases).length === 0) {
+      report += `No differences in log templates.\n`;
+    }
+    return report;
+  }
+}
+
+module.exports = { LogBaseline };
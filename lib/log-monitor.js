@@ -5,7 +5,16 @@
  * tracking issues by test phase for detailed reporting.
  */
 
+const fs = require('fs');
+const path = require('path');
 const { EventEmitter } = require('events');
+const { LogParser } = require('./log-parser');
+const { DockerLogDemuxer } = require('./docker-log-demuxer');
+const { KnownIssues } = require('./known-issues');
+const { LogBaseline } = require('./log-baseline');
+const { FailFast } = require('./fail-fast');
+
+let snapshotSeq = 0;
 
 class LogMonitor extends EventEmitter {
   constructor(options = {}) {
@@ -15,55 +24,67 @@ class LogMonitor extends EventEmitter {
     this.allLogs = [];
     this.maxLogEntries = options.maxLogEntries || 10000;
     
-    // Critical error patterns - these fail tests
-    this.criticalPatterns = [
-      /\bERROR\b/i,
-      /\bFATAL\b/i,
-      /\bUncaught\s+Exception/i,
-      /\bUnhandled\s+Rejection/i,
-      /\bUnhandledPromiseRejection/i,
+    // Lines are classified by LogParser (level and source module); these
+    // patterns only apply to the message of plain text lines without a
+    // level of their own, never to debug output or plugin names
+    this.criticalPatterns = options.criticalPatterns || [
       /ECONNREFUSED/,
       /EADDRINUSE/,
       /EACCES/,
       /Cannot find module/,
       /Module not found/,
-      /SyntaxError/,
-      /TypeError(?!.*null)/,  // Exclude common null checks
-      /ReferenceError/,
-      /RangeError/,
-      /segmentation fault/i,
       /out of memory/i,
-      /heap out of memory/i,
-      /SIGABRT/,
-      /SIGSEGV/,
-      /core dumped/i,
     ];
-    
-    // Warning patterns - reported but don't fail tests
-    this.warningPatterns = [
-      /\bWARN\b/i,
-      /\bwarning\b/i,
+
+    this.warningPatterns = options.warningPatterns || [
       /deprecated/i,
       /\bDEPRECATION\b/,
     ];
-    
-    // Patterns to ignore (expected during normal operation)
+
+    // Known-harmless messages; matched against the parsed message, and
+    // never applied to fatal entries
     this.ignorePatterns = options.ignorePatterns || [
-      /WARN.*no\s+data\s+received/i,
-      /WARN.*waiting for/i,
-      /debug/i,
-      /\bDEBUG\b/,
-      /health.*check/i,
-      /starting/i,
-      /listening on/i,
-      /connected/i,
+      /no\s+data\s+received/i,
+      /waiting for/i,
     ];
-    
+
+    // Allowlist of known issues (KnownIssues, a file path, or false to
+    // disable); defaults to SIGNALK_KNOWN_ISSUES or config/known-issues.yml
+    const image = options.image || process.env.SIGNALK_IMAGE;
+    if (typeof options.knownIssues === 'string') {
+      this.knownIssues = KnownIssues.load(options.knownIssues, { image });
+    } else if (options.knownIssues !== undefined) {
+      this.knownIssues = options.knownIssues || null;
+    } else {
+      this.knownIssues = KnownIssues.loadDefault({ image });
+    }
+    this.knownIssueEntries = [];
+    this.serverInfo = { image: image || null, version: null };
+    // Plugin ids the server loaded; their tagged lines are app.error() output
+    this.plugins = new Set(options.plugins || []);
+
+    // toJSON() snapshots are written here on detach (for baseline diffs)
+    this.snapshotDir = options.snapshotDir || process.env.SIGNALK_LOG_SNAPSHOTS || null;
+    this.name = options.name || `monitor-${process.pid}-${Date.now()}-${++snapshotSeq}`;
+    // Test file the monitor belongs to (tests/setup.js sets the default)
+    this.testFile = options.testFile || LogMonitor.testFile || null;
+    // Name of the running test when a phase is set (defaults to the one tests/setup.js tracks)
+    this.currentTest = options.currentTest || (() => LogMonitor.currentTest);
+
+    // Last entry per stream, for grouping stack traces into it
+    this.lastEntries = new Map();
+
     this.currentPhase = 'init';
     this.phaseErrors = new Map();
     this.phaseWarnings = new Map();
     this.phaseLogs = new Map();
+    // Tests that set each phase (from this.currentTest())
+    this.phaseTests = new Map();
     this.stream = null;
+    this.demuxer = null;
+
+    // With SIGNALK_FAIL_FAST, critical errors abort the running test
+    FailFast.active?.watch(this);
   }
 
   /**
@@ -75,65 +96,216 @@ class LogMonitor extends EventEmitter {
       this.phaseErrors.set(phase, []);
       this.phaseWarnings.set(phase, []);
       this.phaseLogs.set(phase, []);
+      this.phaseTests.set(phase, []);
+    }
+    const test = this.currentTest();
+    if (test && !this.phaseTests.get(phase).includes(test)) {
+      this.phaseTests.get(phase).push(test);
     }
     this.emit('phase', phase);
   }
 
   /**
    * Process a single log line
+   *
+   * Stack frames and the indented detail under an error are appended to
+   * the entry they belong to (entry.stack) instead of becoming entries of
+   * their own. Returns the new entry if it is an error or warning.
+   *
+   * @param {string} line - log line without Docker's timestamp prefix
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} timestamp - Docker's receive time (ISO); defaults to now
    */
-  processLine(line, stream = 'stdout') {
+  processLine(line, stream = 'stdout', timestamp = null) {
     if (!line || !line.trim()) return null;
-    
-    const timestamp = new Date().toISOString();
+
+    const previous = this.lastEntries.get(stream);
+    if (LogParser.isContinuation(line, previous)) {
+      this.appendToEntry(previous, line);
+      return null;
+    }
+
+    const parsed = LogParser.parseLine(line, { plugins: this.plugins });
     const entry = {
-      timestamp,
+      timestamp: timestamp || new Date().toISOString(),
       line: line.trim(),
       stream,
       phase: this.currentPhase,
+      level: parsed.level,
+      source: parsed.source,
+      format: parsed.format,
+      message: parsed.message,
     };
+    if (parsed.namespace) entry.namespace = parsed.namespace;
+    if (parsed.time) entry.logTime = parsed.time;
+    if (parsed.stack) entry.stack = parsed.stack;
+
+    this.lastEntries.set(stream, entry);
 
     // Store all logs (with limit)
     this.allLogs.push(entry);
     if (this.allLogs.length > this.maxLogEntries) {
       this.allLogs.shift();
     }
-    
+
     // Store phase-specific logs
     if (this.phaseLogs.has(this.currentPhase)) {
       this.phaseLogs.get(this.currentPhase).push(entry);
     }
 
-    // Check ignore patterns first
-    if (this.ignorePatterns.some(p => p.test(line))) {
+    return this.record(entry, parsed.reason);
+  }
+
+  /**
+   * Classify an entry and file it as an error or warning of its phase;
+   * returns the entry if it is one
+   */
+  record(entry, reason) {
+    const type = this.classify(entry, reason);
+    if (!type) {
       return null;
     }
 
-    // Check for critical errors
-    for (const pattern of this.criticalPatterns) {
-      if (pattern.test(line)) {
-        entry.type = 'error';
-        entry.pattern = pattern.toString();
-        this.errors.push(entry);
-        this.phaseErrors.get(this.currentPhase)?.push(entry);
-        this.emit('error', entry);
-        return entry;
+    entry.type = type;
+    if (this.coverKnownIssue(entry)) {
+      return null;
+    }
+    if (type === 'error') {
+      this.errors.push(entry);
+      this.phaseErrors.get(entry.phase)?.push(entry);
+    } else {
+      this.warnings.push(entry);
+      this.phaseWarnings.get(entry.phase)?.push(entry);
+    }
+    this.emit(type, entry);
+    return entry;
+  }
+
+  /**
+   * Decide whether an entry is an 'error', a 'warning' or neither (null)
+   * and record the reason on the entry
+   */
+  classify(entry, reason) {
+    if (entry.level === 'fatal') {
+      entry.reason = reason;
+      return 'error';
+    }
+    if (this.ignorePatterns.some((p) => p.test(entry.message))) {
+      return null;
+    }
+
+    if (entry.level === 'error' || entry.level === 'warn') {
+      entry.reason = reason;
+      return entry.level === 'error' ? 'error' : 'warning';
+    }
+
+    // Plain text with no level of its own falls back to the patterns
+    if (entry.format === 'text' && entry.level === 'info') {
+      const critical = this.criticalPatterns.find((p) => p.test(entry.message));
+      if (critical) {
+        entry.reason = entry.pattern = critical.toString();
+        entry.level = 'error';
+        return 'error';
+      }
+      const warning = this.warningPatterns.find((p) => p.test(entry.message));
+      if (warning) {
+        entry.reason = entry.pattern = warning.toString();
+        entry.level = 'warn';
+        return 'warning';
       }
     }
+    return null;
+  }
 
-    // Check for warnings
-    for (const pattern of this.warningPatterns) {
-      if (pattern.test(line)) {
-        entry.type = 'warning';
-        entry.pattern = pattern.toString();
-        this.warnings.push(entry);
-        this.phaseWarnings.get(this.currentPhase)?.push(entry);
-        this.emit('warning', entry);
-        return entry;
+  /**
+   * Record an error or warning the allowlist covers; returns true if covered
+   */
+  coverKnownIssue(entry, candidates) {
+    const known = this.knownIssues?.match(entry, candidates);
+    if (!known) {
+      return false;
+    }
+    entry.knownIssue = { id: known.id, issue: known.issue, reason: known.reason };
+    this.knownIssueEntries.push(entry);
+    this.emit('known-issue', entry);
+    return true;
+  }
+
+  /**
+   * Tell the allowlist which image and server version are under test
+   * Entries scoped to a version range only apply once the version is
+   * known, so errors and warnings recorded before then are re-checked.
+   * Lines tagged with a newly reported plugin id are re-parsed, as they
+   * may be that plugin's app.error() output from before the list arrived.
+   */
+  setServerInfo({ image, version, plugins } = {}) {
+    this.serverInfo = {
+      image: image || this.serverInfo.image,
+      version: version || this.serverInfo.version,
+    };
+    if (plugins) {
+      this.addPlugins(plugins);
+    }
+    if (!this.knownIssues) {
+      return;
+    }
+    const added = this.knownIssues.setTarget({ image, version });
+    if (added.length === 0) {
+      return;
+    }
+
+    const covered = new Set(
+      [...this.errors, ...this.warnings].filter((entry) => this.coverKnownIssue(entry, added))
+    );
+    if (covered.size === 0) {
+      return;
+    }
+    const keep = (list) => list.filter((entry) => !covered.has(entry));
+    this.errors = keep(this.errors);
+    this.warnings = keep(this.warnings);
+    for (const phase of this.phaseErrors.keys()) {
+      this.phaseErrors.set(phase, keep(this.phaseErrors.get(phase)));
+      this.phaseWarnings.set(phase, keep(this.phaseWarnings.get(phase)));
+    }
+  }
+
+  /**
+   * Record loaded plugin ids and re-parse the plain lines tagged with them
+   */
+  addPlugins(ids) {
+    const added = ids.filter((id) => !this.plugins.has(id));
+    if (added.length === 0) {
+      return;
+    }
+    added.forEach((id) => this.plugins.add(id));
+
+    for (const entry of this.allLogs) {
+      if (entry.format !== 'text' || entry.type || !added.some((id) => entry.message.startsWith(`${id}:`))) {
+        continue;
+      }
+      const parsed = LogParser.parseLine(entry.line, { plugins: this.plugins });
+      if (parsed.format === 'plugin') {
+        Object.assign(entry, { format: parsed.format, level: parsed.level, source: parsed.source, message: parsed.message });
+        this.record(entry, parsed.reason);
       }
     }
+  }
 
-    return null;
+  /**
+   * Add a continuation line to a grouped entry; the first stack frame
+   * inside a package's node_modules names the module that threw
+   */
+  appendToEntry(entry, line) {
+    entry.stack = entry.stack || [];
+    entry.stack.push(line.trimEnd());
+
+    if (!entry.frameSource && /^\s+at\s/.test(line)) {
+      const source = LogParser.frameSource(line);
+      entry.frameSource = source || 'core';
+      if (source && entry.source === 'core') {
+        entry.source = source;
+      }
+    }
   }
 
   /**
@@ -153,35 +325,20 @@ class LogMonitor extends EventEmitter {
           if (err) return reject(err);
 
           this.stream = stream;
-          let buffer = '';
-
-          stream.on('data', (chunk) => {
-            // Docker multiplexes stdout/stderr with 8-byte header
-            const data = chunk.toString();
-            buffer += data;
-
-            // Process complete lines
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || ''; // Keep incomplete line in buffer
-
-            for (const line of lines) {
-              if (line.trim()) {
-                // Remove Docker timestamp prefix if present
-                const cleanLine = line.replace(/^\d{4}-\d{2}-\d{2}T[\d:.]+Z\s*/, '');
-                this.processLine(cleanLine);
-              }
-            }
-          });
+          this.demuxer = new DockerLogDemuxer((line, source, timestamp) =>
+            this.processLine(line, source, timestamp)
+          );
+
+          // Frames carry stdout/stderr provenance and may be split across chunks
+          stream.on('data', (chunk) => this.demuxer.write(chunk));
 
           stream.on('error', (err) => {
             this.emit('stream-error', err);
           });
 
           stream.on('end', () => {
-            // Process any remaining buffer
-            if (buffer.trim()) {
-              this.processLine(buffer);
-            }
+            // Process any partial line left in the demuxer
+            this.demuxer.end();
             this.emit('stream-end');
           });
 
@@ -199,6 +356,21 @@ class LogMonitor extends EventEmitter {
       this.stream.destroy();
       this.stream = null;
     }
+    if (this.snapshotDir) {
+      this.saveSnapshot(this.snapshotDir);
+    }
+  }
+
+  /**
+   * Write toJSON() to <dir>/<name>.json for LogBaseline and CustomReporter,
+   * and generateReport() next to it as <name>.md; returns the JSON path
+   */
+  saveSnapshot(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${this.name}.json`);
+    fs.writeFileSync(file, JSON.stringify(this.toJSON(), null, 2));
+    fs.writeFileSync(path.join(dir, `${this.name}.md`), this.generateReport());
+    return file;
   }
 
   /**
@@ -258,6 +430,8 @@ class LogMonitor extends EventEmitter {
       totalWarnings: this.warnings.length,
       totalLogs: this.allLogs.length,
       phases,
+      sources: this.getSourceSummary(),
+      knownIssues: this.knownIssues ? this.knownIssues.report() : null,
       firstError: this.errors[0] || null,
       criticalPhases: [...this.phaseErrors.entries()]
         .filter(([_, errors]) => errors.length > 0)
@@ -265,6 +439,20 @@ class LogMonitor extends EventEmitter {
     };
   }
 
+  /**
+   * Error and warning counts per source module ('core' or plugin id)
+   */
+  getSourceSummary() {
+    const sources = {};
+    const count = (entry, key) => {
+      sources[entry.source] = sources[entry.source] || { errors: 0, warnings: 0 };
+      sources[entry.source][key]++;
+    };
+    this.errors.forEach((e) => count(e, 'errors'));
+    this.warnings.forEach((w) => count(w, 'warnings'));
+    return sources;
+  }
+
   /**
    * Generate markdown report
    */
@@ -286,11 +474,12 @@ class LogMonitor extends EventEmitter {
       for (const [phase, errors] of this.phaseErrors.entries()) {
         if (errors.length > 0) {
           report += `### ${phase}\n\n`;
-          report += `| Time | Message |\n`;
-          report += `|------|--------|\n`;
+          report += `| Time | Level | Source | Message |\n`;
+          report += `|------|-------|--------|--------|\n`;
           for (const e of errors.slice(0, 10)) {
             const msg = e.line.substring(0, 100).replace(/\|/g, '\\|');
-            report += `| ${e.timestamp} | ${msg} |\n`;
+            const frames = e.stack ? ` (+${e.stack.length} stack lines)` : '';
+            report += `| ${e.timestamp} | ${e.level} | ${e.source} | ${msg}${frames} |\n`;
           }
           if (errors.length > 10) {
             report += `\n*... and ${errors.length - 10} more errors*\n`;
@@ -321,6 +510,21 @@ class LogMonitor extends EventEmitter {
       report += '\n';
     }
 
+    const sources = Object.entries(summary.sources);
+    if (sources.length > 0) {
+      report += `## Issues by Source\n\n`;
+      report += `| Source | Errors | Warnings |\n`;
+      report += `|--------|--------|----------|\n`;
+      for (const [source, counts] of sources) {
+        report += `| ${source} | ${counts.errors} | ${counts.warnings} |\n`;
+      }
+      report += '\n';
+    }
+
+    if (summary.knownIssues) {
+      report += this.formatKnownIssues(summary.knownIssues);
+    }
+
     report += `## Phase Summary\n\n`;
     report += `| Phase | Errors | Warnings | Log Lines |\n`;
     report += `|-------|--------|----------|----------|\n`;
@@ -332,23 +536,56 @@ class LogMonitor extends EventEmitter {
     return report;
   }
 
+  /**
+   * Markdown section for the known-issue allowlist report
+   */
+  formatKnownIssues(known) {
+    const { matched, stale, expired, outOfScope } = known;
+    if (matched.length + stale.length + expired.length + outOfScope.length === 0) {
+      return '';
+    }
+
+    let report = `## Known Issues\n\n`;
+    report += `Allowlist: \`${known.file}\` (image ${known.image || 'unknown'}, version ${known.version || 'unknown'})\n\n`;
+    report += `| Status | Entry | Matches | Issue | Expires |\n`;
+    report += `|--------|-------|---------|-------|---------|\n`;
+    const rows = [
+      ...matched.map((e) => ['✅ matched', e]),
+      ...stale.map((e) => ['💤 stale', e]),
+      ...expired.map((e) => ['⌛ expired', e]),
+      ...outOfScope.map((e) => [`➖ ${e.scope}`, e]),
+    ];
+    for (const [status, e] of rows) {
+      report += `| ${status} | ${e.id} | ${e.count} | ${e.issue} | ${e.expires.slice(0, 10)} |\n`;
+    }
+    return report + '\n';
+  }
+
   /**
    * Export logs to JSON
    */
   toJSON() {
     return {
+      testFile: this.testFile,
+      server: this.serverInfo,
       summary: this.getSummary(),
       errors: this.errors,
       warnings: this.warnings,
+      knownIssues: this.knownIssueEntries,
       phases: Object.fromEntries(
         [...this.phaseErrors.entries()].map(([phase, errors]) => [
           phase,
           {
             errors,
             warnings: this.phaseWarnings.get(phase) || [],
+            tests: this.phaseTests.get(phase) || [],
           },
         ])
       ),
+      // Message template counts per phase, compared by LogBaseline
+      templates: Object.fromEntries(
+        [...this.phaseLogs.entries()].map(([phase, logs]) => [phase, LogBaseline.countTemplates(logs)])
+      ),
     };
   }
 
@@ -362,6 +599,10 @@ class LogMonitor extends EventEmitter {
     this.phaseErrors.clear();
     this.phaseWarnings.clear();
     this.phaseLogs.clear();
+    this.phaseTests.clear();
+    this.lastEntries.clear();
+    this.knownIssueEntries = [];
+    this.knownIssues?.resetCounts();
     this.currentPhase = 'init';
   }
 }
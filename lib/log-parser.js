@@ -0,0 +1,268 @@
+/**
+ * LogParser - Structured parsing of Signal K server log lines
+ *
+ * Recognises the shapes the server and its plugins actually write, so
+ * LogMonitor can classify a line by level and source module instead of
+ * matching words anywhere in the raw text:
+ *
+ *   debug module        2025-06-01T08:00:00.000Z signalk-server:interfaces:ws message
+ *                       (or `  namespace message +12ms` on a TTY)
+ *   JSON loggers        {"level":50,"name":"my-plugin","msg":"..."} (pino/bunyan/winston)
+ *   plugin app.error()  signalk-to-nmea0183:Error: write EPIPE (any message
+ *                       once the plugin id is known to be loaded)
+ *   Node errors         TypeError: Cannot read properties of undefined (reading 'x')
+ *                           at Object.<anonymous> (/.../node_modules/pkg/index.js:1:1)
+ *   Node warnings       (node:1) [DEP0005] DeprecationWarning: Buffer() is deprecated
+ *   level prefixes      WARN: ..., [error] ..., Error loading plugin x
+ *
+ * Levels: fatal, error, warn, info, debug, trace. Source is 'core' for
+ * the server and its bundled @signalk modules, otherwise the plugin id.
+ */
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+const ISO_PREFIX = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z)\s+/;
+const DEBUG_NAMESPACE = /^([a-z0-9@][\w@.\/-]*(?::[\w@.\/*-]+)*)\s(.*)$/;
+const DEBUG_TTY = /^\s*([a-z0-9@][\w@.\/-]*(?::[\w@.\/*-]+)*)\s(.*?)\s\+\d+(?:ms|s|m|h|d)$/;
+const PLUGIN_TAG = /^(@[a-z0-9][\w.-]*\/[\w.-]+|[a-z0-9][\w.]*-[\w.-]+):\s?(?!\d)(.+)$/;
+const NODE_WARNING = /^\(node:\d+\)\s+(?:\[[\w-]+\]\s+)?(\w*Warning):\s*(.*)$/;
+const ERROR_HEADER =
+  /^(?:Uncaught\s+)?(?:[A-Z][\w$]*)?(?:Error|Exception)(?:\s*\[[\w-]+\])?(?::\s|:?$)|^[Uu]nhandled\s*(?:[Pp]romise\s*)?[Rr]ejection/;
+const LEVEL_TOKEN = /^[[(]?(fatal|critical|error|err|warn|warning|info|debug|trace)[\])]?(?::|\s)\s*(.*)$/i;
+const STACK_FRAME = /^\s+at\s/;
+const FRAME_PACKAGE = /node_modules\/(@[^/\s]+\/[^/\s]+|[^/\s@][^/\s]*)\//g;
+
+// Process-level crash markers; a line with one of these is always fatal
+const FATAL_MARKERS = [
+  /^FATAL ERROR:/,
+  /heap out of memory/i,
+  /segmentation fault/i,
+  /core dumped/i,
+  /\bSIG(?:ABRT|SEGV)\b/,
+];
+
+// The server and its bundled modules; anything else is a plugin
+const CORE_MODULES = /^(?:signalk-server|signalk|@signalk\/(?:streams|server-api|server-admin-ui|nmea0183-signalk|n2k-signalk|signalk-schema|nmea0183-utilities))$/;
+
+const LEVEL_ALIASES = {
+  err: 'error',
+  warning: 'warn',
+  critical: 'fatal',
+  crit: 'fatal',
+  emerg: 'fatal',
+  alert: 'fatal',
+  verbose: 'debug',
+  silly: 'trace',
+};
+
+class LogParser {
+  /**
+   * Parse one log line
+   * Returns { format, level, source, namespace, message, time, reason }
+   * where format is 'debug', 'json', 'plugin', 'node-warning' or 'text'
+   * and reason says why the level was chosen (null for plain info).
+   *
+   * @param {string} rawLine - log line
+   * @param {object} options - { plugins } Set of the loaded plugin ids
+   */
+  static parseLine(rawLine, options = {}) {
+    let text = rawLine.trim();
+    let time = null;
+
+    const dated = rawLine.match(ISO_PREFIX);
+    if (dated) {
+      time = dated[1];
+      text = rawLine.slice(dated[0].length).trim();
+    }
+
+    if (text.startsWith('{')) {
+      const json = LogParser.parseJson(text);
+      if (json) {
+        return { ...json, time: time ?? json.time };
+      }
+    }
+
+    // debug writes `<ISO date> <namespace> <message>` when not on a TTY
+    if (dated) {
+      const debug = text.match(DEBUG_NAMESPACE);
+      if (debug) {
+        return LogParser.debugRecord(debug[1], debug[2], time);
+      }
+    }
+    const tty = rawLine.match(DEBUG_TTY);
+    if (tty) {
+      return LogParser.debugRecord(tty[1], tty[2], time);
+    }
+
+    const warning = text.match(NODE_WARNING);
+    if (warning) {
+      const [, kind, message] = warning;
+      const level = /Unhandled/.test(kind) ? 'error' : 'warn';
+      return { format: 'node-warning', level, source: 'core', message, time, reason: kind };
+    }
+
+    // Headers come before plugin tags so `Error: x` is not read as tag "Error"
+    if (!ERROR_HEADER.test(text)) {
+      const tagged = text.match(PLUGIN_TAG);
+      if (tagged) {
+        const [, tag, message] = tagged;
+        const classified = LogParser.classifyText(message);
+        // app.error() writes `<plugin id>:<message>`, but so do other
+        // modules for ordinary output: without a level of its own the
+        // message only counts as an error for a loaded plugin
+        if (classified.level !== 'info' || options.plugins?.has(tag)) {
+          return {
+            format: 'plugin',
+            level: classified.level === 'info' ? 'error' : classified.level,
+            source: LogParser.moduleSource(tag),
+            message,
+            time,
+            reason: classified.reason || 'plugin-error',
+          };
+        }
+      }
+    }
+
+    return { format: 'text', source: 'core', message: text, time, ...LogParser.classifyText(text) };
+  }
+
+  /**
+   * Level of free text from crash markers, error headers and level
+   * prefixes; { level, reason }
+   */
+  static classifyText(text) {
+    if (FATAL_MARKERS.some((p) => p.test(text))) {
+      return { level: 'fatal', reason: 'fatal-marker' };
+    }
+    if (ERROR_HEADER.test(text)) {
+      return { level: 'error', reason: 'error-header' };
+    }
+    const token = text.match(LEVEL_TOKEN);
+    if (token) {
+      return { level: LogParser.normalizeLevel(token[1]), reason: 'level-prefix' };
+    }
+    return { level: 'info', reason: null };
+  }
+
+  /**
+   * Record for a JSON log line, or null if the line is not a JSON object
+   */
+  static parseJson(text) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      return null;
+    }
+
+    const rawLevel = json.level ?? json.severity ?? json.lvl;
+    const level = LogParser.normalizeLevel(rawLevel) || 'info';
+    const module = json.plugin || json.pluginId || json.module || json.name || json.logger;
+    const stack = json.err?.stack || json.error?.stack || json.stack;
+
+    const record = {
+      format: 'json',
+      level,
+      source: module ? LogParser.moduleSource(String(module)) : 'core',
+      message: String(json.msg ?? json.message ?? text),
+      reason: rawLevel !== undefined ? `json-level:${rawLevel}` : null,
+      time: json.time ?? json.timestamp ?? null,
+    };
+    if (typeof stack === 'string') {
+      record.stack = stack.split('\n').slice(1);
+    }
+    return record;
+  }
+
+  /**
+   * Record for a debug module line; debug output is never an error
+   */
+  static debugRecord(namespace, message, time) {
+    return {
+      format: 'debug',
+      level: 'debug',
+      source: LogParser.moduleSource(namespace.split(':')[0]),
+      namespace,
+      message,
+      time,
+      reason: null,
+    };
+  }
+
+  /**
+   * Canonical level name for a string or pino/bunyan number, or null
+   */
+  static normalizeLevel(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (typeof value === 'number') {
+      if (value >= 60) return 'fatal';
+      if (value >= 50) return 'error';
+      if (value >= 40) return 'warn';
+      if (value >= 30) return 'info';
+      if (value >= 20) return 'debug';
+      return 'trace';
+    }
+    const name = String(value).toLowerCase();
+    const level = LEVEL_ALIASES[name] || name;
+    return LEVELS.includes(level) ? level : null;
+  }
+
+  /**
+   * 'core' for the server's own modules, otherwise the module name
+   */
+  static moduleSource(name) {
+    return CORE_MODULES.test(name) ? 'core' : name;
+  }
+
+  /**
+   * Source module of a stack frame's file, or null for frames outside
+   * node_modules (the server's own code in its image)
+   */
+  static frameSource(line) {
+    const packages = [...line.matchAll(FRAME_PACKAGE)].map((m) => m[1]);
+    if (packages.length === 0) {
+      return null;
+    }
+    return LogParser.moduleSource(packages[packages.length - 1]);
+  }
+
+  /**
+   * Whether a line continues the previous entry: stack frames, the
+   * indented detail Node prints under an error (code, errno, [cause]),
+   * and the stack app.error() writes after the plugin-tagged message
+   */
+  static isContinuation(rawLine, previous) {
+    if (!previous) {
+      return false;
+    }
+    if (STACK_FRAME.test(rawLine)) {
+      return true;
+    }
+    if (/^\(Use `node --trace-/.test(rawLine.trim())) {
+      return previous.format === 'node-warning';
+    }
+
+    const grouping = previous.level === 'error' || previous.level === 'fatal' || previous.stack?.length > 0;
+    if (!grouping) {
+      return false;
+    }
+    if (/^\s+\S/.test(rawLine) || /^\s*[}\]]\s*$/.test(rawLine)) {
+      return true;
+    }
+    return previous.format === 'plugin' && rawLine.trim() === previous.message;
+  }
+
+  /**
+   * Numeric rank of a level for comparisons (trace = 0 ... fatal = 5)
+   */
+  static levelRank(level) {
+    return LEVELS.indexOf(level);
+  }
+}
+
+module.exports = { LogParser, LEVELS };
@@ -0,0 +1,315 @@
+/**
+ * LogReplay - Time-accurate replay of timestamped NMEA/N2K logs
+ *
+ * Reads a per-line timestamp from common log formats and replays the
+ * lines with their original gaps, optionally sped up, cut to a window
+ * and looped. Supported line formats:
+ *
+ *   Signal K multiplexed log  1488274445402;N;$GPRMC,...   (N 0183, A Actisense, I delta)
+ *   canboat JSON              {"timestamp":"2017-02-28T09:34:05.402Z","pgn":...}
+ *   Actisense plain text      2017-02-28T09:34:05.402Z,2,127250,...
+ *   NMEA TAG block            \c:1488274445*5A\$GPRMC,...
+ *   NMEA 0183 with ZDA        $GPZDA,093405.40,28,02,2017,00,00*hh sets the clock
+ *                             for the lines that follow it
+ *
+ * Lines without a time of their own inherit the last time seen, so they
+ * go out back-to-back with the line that carried it.
+ */
+
+const fs = require('fs');
+
+const TAG_BLOCK = /^\\([^\\]*)\\(.*)$/;
+const ACTISENSE_LINE = /^(\d{4}-\d{2}-\d{2}[T ][\d:.]+Z?),\d+,\d+,/;
+
+class LogReplay {
+  /**
+   * Parse one log line
+   * Returns { time, line, kind } or null for blank/unknown lines.
+   * kind: 'nmea0183', 'n2k-json', 'n2k-actisense' or 'delta'
+   */
+  static parseLine(rawLine) {
+    const text = rawLine.trim();
+    if (!text) {
+      return null;
+    }
+
+    // Signal K multiplexed log: millis;discriminator;data
+    const multiplexed = text.match(/^(\d{10,});([A-Z]);(.*)$/);
+    if (multiplexed) {
+      const [, millis, discriminator, data] = multiplexed;
+      const kind = { N: 'nmea0183', A: 'n2k-actisense', I: 'delta' }[discriminator];
+      if (!kind) {
+        return null;
+      }
+      const entry = LogReplay.parseLine(data);
+      return { ...entry, kind, line: data, time: Number(millis) };
+    }
+
+    if (text.startsWith('{')) {
+      try {
+        const json = JSON.parse(text);
+        if (json.pgn !== undefined) {
+          return { time: LogReplay.parseTime(json.timestamp), line: text, kind: 'n2k-json' };
+        }
+        if (json.updates) {
+          const timestamp = json.updates[0]?.timestamp;
+          return { time: LogReplay.parseTime(timestamp), line: text, kind: 'delta' };
+        }
+      } catch (e) {
+        // Not JSON after all
+      }
+      return null;
+    }
+
+    const actisense = text.match(ACTISENSE_LINE);
+    if (actisense) {
+      return { time: LogReplay.parseTime(actisense[1]), line: text, kind: 'n2k-actisense' };
+    }
+
+    const tagged = text.match(TAG_BLOCK);
+    if (tagged) {
+      const [, tags, sentence] = tagged;
+      const time = LogReplay.parseTagTime(tags);
+      return { time: time ?? LogReplay.parseZda(sentence), line: text, kind: 'nmea0183' };
+    }
+
+    if (text.startsWith('$') || text.startsWith('!')) {
+      return { time: LogReplay.parseZda(text), line: text, kind: 'nmea0183' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Milliseconds for an ISO-like timestamp, or null
+   */
+  static parseTime(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    const time = new Date(String(value).replace(' ', 'T')).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * Time from a TAG block `c:` field (IEC 61162-450: unix seconds;
+   * some loggers write milliseconds), or null
+   */
+  static parseTagTime(tags) {
+    const body = tags.split('*')[0];
+    for (const field of body.split(',')) {
+      if (field.startsWith('c:')) {
+        const value = Number(field.slice(2));
+        if (!Number.isFinite(value)) {
+          return null;
+        }
+        return value > 1e12 ? value : value * 1000;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Time carried by a $--ZDA sentence, or null for any other sentence
+   */
+  static parseZda(sentence) {
+    const match = sentence.match(/^\$..ZDA,(\d{2})(\d{2})(\d{2}(?:\.\d+)?),(\d{1,2}),(\d{1,2}),(\d{4})/);
+    if (!match) {
+      return null;
+    }
+    const [, hh, mm, ss, day, month, year] = match;
+    const seconds = Number(ss);
+    return Date.UTC(
+      Number(year),
+      Number(month) - 1,
+      Number(day),
+      Number(hh),
+      Number(mm),
+      Math.floor(seconds),
+      Math.round((seconds % 1) * 1000)
+    );
+  }
+
+  /**
+   * Parse log text into timed entries
+   * Lines before the first timestamp get the first time found.
+   */
+  static parse(text) {
+    const entries = [];
+    let lastTime = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const entry = LogReplay.parseLine(rawLine);
+      if (!entry) {
+        continue;
+      }
+      if (entry.time !== null) {
+        lastTime = entry.time;
+      }
+      entries.push({ ...entry, time: entry.time ?? lastTime });
+    }
+
+    const firstTime = entries.find((e) => e.time !== null)?.time ?? 0;
+    return entries.map((e) => ({ ...e, time: e.time ?? firstTime }));
+  }
+
+  /**
+   * Read and parse a log file
+   */
+  static parseFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    return LogReplay.parse(fs.readFileSync(filePath, 'utf-8'));
+  }
+
+  /**
+   * Cut entries to a window
+   * start/end are seconds from the first entry, or absolute times
+   * (Date or ISO string).
+   */
+  static window(entries, { start, end } = {}) {
+    if (entries.length === 0) {
+      return entries;
+    }
+    const origin = entries[0].time;
+    const bound = (value) =>
+      typeof value === 'number' ? origin + value * 1000 : new Date(value).getTime();
+
+    const from = start !== undefined ? bound(start) : -Infinity;
+    const to = end !== undefined ? bound(end) : Infinity;
+    return entries.filter((e) => e.time >= from && e.time <= to);
+  }
+
+  /**
+   * Wall-clock send offsets (ms from replay start) for entries
+   *
+   * Gaps are divided by options.speed. With options.loop (a count, or
+   * true for unlimited) the window repeats, each pass starting
+   * options.loopGap ms (default: the median gap) after the previous one
+   * ended. Unlimited loops need options.maxDuration to bound the schedule.
+   */
+  static schedule(entries, options = {}) {
+    const speed = options.speed ?? 1;
+    if (!(speed > 0)) {
+      throw new Error(`Replay speed must be positive, got ${speed}`);
+    }
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const passes = options.loop === true ? Infinity : Math.max(1, Number(options.loop) || 1);
+    if (passes === Infinity && options.maxDuration === undefined) {
+      throw new Error('Unlimited loop needs maxDuration');
+    }
+
+    const origin = entries[0].time;
+    const span = (entries[entries.length - 1].time - origin) / speed;
+    const loopGap = options.loopGap ?? LogReplay.medianGap(entries) / speed;
+    const maxDuration = options.maxDuration ?? Infinity;
+
+    const schedule = [];
+    for (let pass = 0; pass < passes; pass++) {
+      const passStart = pass * (span + loopGap);
+      if (passStart > maxDuration) {
+        break;
+      }
+      for (const entry of entries) {
+        const at = passStart + (entry.time - origin) / speed;
+        if (at > maxDuration) {
+          break;
+        }
+        schedule.push({ ...entry, at, pass });
+      }
+    }
+    return schedule;
+  }
+
+  /**
+   * Median gap between consecutive distinct timestamps, ms
+   */
+  static medianGap(entries) {
+    const gaps = [];
+    for (let i = 1; i < entries.length; i++) {
+      const gap = entries[i].time - entries[i - 1].time;
+      if (gap > 0) {
+        gaps.push(gap);
+      }
+    }
+    if (gaps.length === 0) {
+      return 0;
+    }
+    gaps.sort((a, b) => a - b);
+    return gaps[Math.floor(gaps.length / 2)];
+  }
+
+  /**
+   * Replay scheduled entries through write(line, entry)
+   *
+   * Each entry is sent at its offset from the replay start rather than
+   * after a per-line sleep, so timer latency does not accumulate.
+   * Returns { sent, errors, duration, span, passes, maxLag } where maxLag
+   * is the worst lateness of a send in ms.
+   *
+   * @param {Array} schedule - from schedule()
+   * @param {function} write - sends one line; may return a promise
+   * @param {object} options - { signal } AbortSignal to stop early
+   */
+  static async play(schedule, write, options = {}) {
+    const results = {
+      sent: 0,
+      errors: [],
+      duration: 0,
+      span: schedule.length > 0 ? schedule[schedule.length - 1].at : 0,
+      passes: schedule.length > 0 ? schedule[schedule.length - 1].pass + 1 : 0,
+      maxLag: 0,
+    };
+    const start = Date.now();
+
+    for (const entry of schedule) {
+      if (options.signal?.aborted) {
+        break;
+      }
+
+      const wait = start + entry.at - Date.now();
+      if (wait > 0) {
+        await LogReplay.pause(wait, options.signal);
+        if (options.signal?.aborted) {
+          break;
+        }
+      }
+      results.maxLag = Math.max(results.maxLag, Date.now() - start - entry.at);
+
+      try {
+        await write(entry.line, entry);
+        results.sent++;
+      } catch (e) {
+        results.errors.push({ line: entry.line, error: e.message });
+      }
+    }
+
+    results.duration = Date.now() - start;
+    return results;
+  }
+
+  /**
+   * Wait ms, ending early (without an error) when the signal aborts
+   */
+  static pause(ms, signal) {
+    return new Promise((resolve) => {
+      if (signal?.aborted) {
+        resolve();
+        return;
+      }
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      signal?.addEventListener('abort', done, { once: true });
+    });
+  }
+}
+
+module.exports = { LogReplay };
@@ -0,0 +1,324 @@
+/**
+ * N2kEncoder - NMEA 2000 binary frame encoding
+ *
+ * Encodes canboat-style field objects into PGN payloads, splits them
+ * into CAN frames (fast-packet where needed) and serializes them in the
+ * formats real gateways produce: Actisense NGT-1 binary, Yacht Devices
+ * RAW text and Linux candump log.
+ */
+
+const degToRad = (deg) => (deg * Math.PI) / 180;
+const celsiusToKelvin = (c) => c + 273.15;
+
+// Actisense NGT-1 framing
+const DLE = 0x10;
+const STX = 0x02;
+const ETX = 0x03;
+const N2K_MSG_RECEIVED = 0x93;
+
+/**
+ * PGN payload layouts, in field order, LSB first.
+ * Fields use the generator's names and units; `convert` maps them to the
+ * SI value that `resolution` applies to. Reserved fields are written as 1s.
+ */
+const PGN_LAYOUTS = {
+  127250: [
+    { name: 'SID', bits: 8 },
+    { name: 'Heading', bits: 16, resolution: 0.0001, convert: degToRad },
+    { name: 'Deviation', bits: 16, resolution: 0.0001, signed: true, convert: degToRad },
+    { name: 'Variation', bits: 16, resolution: 0.0001, signed: true, convert: degToRad },
+    { name: 'Reference', bits: 2, lookup: { True: 0, Magnetic: 1 } },
+    { reserved: 6 },
+  ],
+  128259: [
+    { name: 'SID', bits: 8 },
+    { name: 'Speed Water Referenced', bits: 16, resolution: 0.01 },
+    { name: 'Speed Ground Referenced', bits: 16, resolution: 0.01 },
+    { name: 'Speed Water Referenced Type', bits: 8, lookup: { 'Paddle wheel': 0, 'Pitot tube': 1, 'Doppler': 2 } },
+    { name: 'Speed Direction', bits: 4 },
+    { reserved: 12 },
+  ],
+  128267: [
+    { name: 'SID', bits: 8 },
+    { name: 'Depth', bits: 32, resolution: 0.01 },
+    { name: 'Offset', bits: 16, resolution: 0.001, signed: true },
+    { name: 'Range', bits: 8, resolution: 10 },
+  ],
+  129025: [
+    { name: 'Latitude', bits: 32, resolution: 1e-7, signed: true },
+    { name: 'Longitude', bits: 32, resolution: 1e-7, signed: true },
+  ],
+  129026: [
+    { name: 'SID', bits: 8 },
+    { name: 'COG Reference', bits: 2, lookup: { True: 0, Magnetic: 1 } },
+    { reserved: 6 },
+    { name: 'COG', bits: 16, resolution: 0.0001, convert: degToRad },
+    { name: 'SOG', bits: 16, resolution: 0.01 },
+    { reserved: 16 },
+  ],
+  129029: [
+    { name: 'SID', bits: 8 },
+    { name: 'Date', bits: 16, convert: (date) => daysSinceEpoch(date) },
+    { name: 'Time', bits: 32, resolution: 0.0001, convert: (time) => secondsOfDay(time) },
+    { name: 'Latitude', bits: 64, resolution: 1e-16, signed: true },
+    { name: 'Longitude', bits: 64, resolution: 1e-16, signed: true },
+    { name: 'Altitude', bits: 64, resolution: 1e-6, signed: true },
+    { name: 'GNSS type', bits: 4, lookup: { GPS: 0, GLONASS: 1, 'GPS+GLONASS': 2, 'GPS+SBAS/WAAS': 3, Galileo: 8 } },
+    { name: 'Method', bits: 4, lookup: { 'no GNSS': 0, 'GNSS fix': 1, 'DGNSS fix': 2, 'Precise GNSS': 3 } },
+    { name: 'Integrity', bits: 2, lookup: { 'No integrity checking': 0, Safe: 1, Caution: 2 } },
+    { reserved: 6 },
+    { name: 'Number of SVs', bits: 8 },
+    { name: 'HDOP', bits: 16, resolution: 0.01, signed: true },
+    { name: 'PDOP', bits: 16, resolution: 0.01, signed: true },
+    { name: 'Geoidal Separation', bits: 32, resolution: 0.01, signed: true },
+    { name: 'Reference Stations', bits: 8 },
+  ],
+  130306: [
+    { name: 'SID', bits: 8 },
+    { name: 'Wind Speed', bits: 16, resolution: 0.01 },
+    { name: 'Wind Angle', bits: 16, resolution: 0.0001, convert: degToRad },
+    {
+      name: 'Reference',
+      bits: 3,
+      lookup: {
+        'True (ground referenced to North)': 0,
+        'Magnetic (ground referenced to Magnetic North)': 1,
+        Apparent: 2,
+        'True (boat referenced)': 3,
+        'True (water referenced)': 4,
+      },
+    },
+    { reserved: 21 },
+  ],
+  130310: [
+    { name: 'SID', bits: 8 },
+    { name: 'Water Temperature', bits: 16, resolution: 0.01, convert: celsiusToKelvin },
+    { name: 'Outside Ambient Air Temperature', bits: 16, resolution: 0.01, convert: celsiusToKelvin },
+    { name: 'Atmospheric Pressure', bits: 16, resolution: 100 },
+    { reserved: 8 },
+  ],
+  127488: [
+    { name: 'Engine Instance', bits: 8 },
+    { name: 'Engine Speed', bits: 16, resolution: 0.25 },
+    { name: 'Engine Boost Pressure', bits: 16, resolution: 100 },
+    { name: 'Engine Tilt/Trim', bits: 8, signed: true },
+    { reserved: 16 },
+  ],
+  127505: [
+    { name: 'Instance', bits: 4 },
+    {
+      name: 'Fluid Type',
+      bits: 4,
+      lookup: { Fuel: 0, Water: 1, 'Gray water': 2, 'Live well': 3, Oil: 4, 'Black water': 5 },
+    },
+    { name: 'Level', bits: 16, resolution: 0.004, signed: true },
+    { name: 'Capacity', bits: 32, resolution: 0.1 },
+    { reserved: 8 },
+  ],
+  127508: [
+    { name: 'Battery Instance', bits: 8 },
+    { name: 'Voltage', bits: 16, resolution: 0.01, signed: true },
+    { name: 'Current', bits: 16, resolution: 0.1, signed: true },
+    { name: 'Temperature', bits: 16, resolution: 0.01, convert: celsiusToKelvin },
+    { name: 'SID', bits: 8 },
+  ],
+};
+
+// PGNs sent as fast-packet even when the payload would fit one frame
+const FAST_PACKET_PGNS = new Set([129029, 126996, 129038, 129039, 129794, 129809, 129810]);
+
+function daysSinceEpoch(date) {
+  if (typeof date === 'number') return date;
+  const [y, m, d] = String(date).split(/[.\-/]/).map(Number);
+  return Math.floor(Date.UTC(y, m - 1, d) / 86400000);
+}
+
+function secondsOfDay(time) {
+  if (typeof time === 'number') return time;
+  const [h, m, s] = String(time).split(':').map(Number);
+  return h * 3600 + m * 60 + s;
+}
+
+class N2kEncoder {
+  /**
+   * Check if a PGN layout is known
+   */
+  static supports(pgn) {
+    return Object.prototype.hasOwnProperty.call(PGN_LAYOUTS, pgn);
+  }
+
+  /**
+   * Encode field values into a PGN payload buffer
+   */
+  static encodePayload(pgn, fields = {}) {
+    const layout = PGN_LAYOUTS[pgn];
+    if (!layout) {
+      throw new Error(`No binary layout for PGN ${pgn}`);
+    }
+
+    const totalBits = layout.reduce((acc, f) => acc + (f.reserved || f.bits), 0);
+    const buffer = Buffer.alloc(Math.ceil(totalBits / 8), 0xff);
+    let offset = 0;
+
+    for (const field of layout) {
+      if (field.reserved) {
+        this.writeBits(buffer, offset, field.reserved, (1n << BigInt(field.reserved)) - 1n);
+        offset += field.reserved;
+        continue;
+      }
+
+      this.writeBits(buffer, offset, field.bits, this.rawValue(field, fields[field.name]));
+      offset += field.bits;
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Convert a field value to its raw integer representation.
+   * Missing values use the N2K "not available" marker.
+   */
+  static rawValue(field, value) {
+    const bits = BigInt(field.bits);
+    const notAvailable = field.signed ? (1n << (bits - 1n)) - 1n : (1n << bits) - 1n;
+
+    if (value === undefined || value === null) {
+      return notAvailable;
+    }
+
+    let numeric = value;
+    if (field.lookup) {
+      numeric = typeof value === 'number' ? value : field.lookup[value];
+      if (numeric === undefined) {
+        throw new Error(`Unknown ${field.name} value: ${value}`);
+      }
+    } else if (field.convert) {
+      numeric = field.convert(value);
+    }
+
+    // Scale by resolution; BigInt math keeps 64-bit fields exact enough
+    const scaled = BigInt(Math.round(numeric / (field.resolution || 1)));
+    if (field.signed && scaled < 0n) {
+      return (1n << bits) + scaled;
+    }
+    return scaled;
+  }
+
+  /**
+   * Write `bits` bits of value into buffer starting at bitOffset (LSB first)
+   */
+  static writeBits(buffer, bitOffset, bits, value) {
+    for (let i = 0; i < bits; i++) {
+      const pos = bitOffset + i;
+      const byte = pos >> 3;
+      const mask = 1 << (pos & 7);
+      if ((value >> BigInt(i)) & 1n) {
+        buffer[byte] |= mask;
+      } else {
+        buffer[byte] &= ~mask;
+      }
+    }
+  }
+
+  /**
+   * Build the 29-bit CAN identifier (ISO 11783)
+   */
+  static canId({ pgn, prio = 2, src = 0, dst = 255 }) {
+    const pf = (pgn >> 8) & 0xff;
+    let id = src & 0xff;
+    if (pf < 240) {
+      // PDU1: PS carries the destination address
+      id |= ((pgn & 0x3ff00) | (dst & 0xff)) << 8;
+    } else {
+      id |= (pgn & 0x3ffff) << 8;
+    }
+    return (id | ((prio & 0x7) << 26)) >>> 0;
+  }
+
+  /**
+   * Split a payload into 8-byte CAN frames.
+   * Payloads over 8 bytes use fast-packet: the first frame carries the
+   * sequence/frame counter and total length, followed by 7-byte chunks.
+   */
+  static toFrames(pgn, data, sequence = 0) {
+    if (data.length <= 8 && !FAST_PACKET_PGNS.has(pgn)) {
+      const frame = Buffer.alloc(8, 0xff);
+      data.copy(frame);
+      return [frame];
+    }
+
+    const frames = [];
+    const seq = (sequence & 0x7) << 5;
+    const first = Buffer.alloc(8, 0xff);
+    first[0] = seq;
+    first[1] = data.length;
+    data.copy(first, 2, 0, 6);
+    frames.push(first);
+
+    for (let index = 6, frameNo = 1; index < data.length; index += 7, frameNo++) {
+      const frame = Buffer.alloc(8, 0xff);
+      frame[0] = seq | (frameNo & 0x1f);
+      data.copy(frame, 1, index, Math.min(index + 7, data.length));
+      frames.push(frame);
+    }
+
+    return frames;
+  }
+
+  /**
+   * Actisense NGT-1 binary (DLE STX 0x93 ... checksum DLE ETX).
+   * The NGT-1 delivers complete PGNs, so no fast-packet split here.
+   */
+  static toActisense({ pgn, prio = 2, src = 0, dst = 255, data, timestamp = 0 }) {
+    const payload = Buffer.alloc(11 + data.length);
+    payload[0] = prio;
+    payload.writeUIntLE(pgn, 1, 3);
+    payload[4] = dst;
+    payload[5] = src;
+    payload.writeUInt32LE(timestamp >>> 0, 6);
+    payload[10] = data.length;
+    data.copy(payload, 11);
+
+    const body = [N2K_MSG_RECEIVED, payload.length, ...payload];
+    const sum = body.reduce((acc, b) => acc + b, 0);
+    body.push((256 - (sum & 0xff)) & 0xff);
+
+    // Byte-stuff DLE in everything after the command byte
+    const out = [DLE, STX, body[0]];
+    for (const b of body.slice(1)) {
+      if (b === DLE) out.push(DLE);
+      out.push(b);
+    }
+    out.push(DLE, ETX);
+
+    return Buffer.from(out);
+  }
+
+  /**
+   * Yacht Devices RAW lines: "hh:mm:ss.SSS R 09F80100 01 02 ..."
+   */
+  static toYdRaw({ frames, time = new Date(), ...canIdInfo }) {
+    const canId = this.hex(this.canId(canIdInfo), 8);
+    const stamp = time.toISOString().substring(11, 23);
+    return frames.map((frame) => `${stamp} R ${canId} ${this.byteString(frame, ' ')}`);
+  }
+
+  /**
+   * candump log lines: "(1502979132.106111) can0 09F80100#0102..."
+   */
+  static toCandump({ frames, time = new Date(), iface = 'can0', ...canIdInfo }) {
+    const canId = this.hex(this.canId(canIdInfo), 8);
+    const stamp = (time.getTime() / 1000).toFixed(6);
+    return frames.map((frame) => `(${stamp}) ${iface} ${canId}#${this.byteString(frame, '')}`);
+  }
+
+  static hex(value, width) {
+    return value.toString(16).toUpperCase().padStart(width, '0');
+  }
+
+  static byteString(buffer, separator) {
+    return [...buffer].map((b) => this.hex(b, 2)).join(separator);
+  }
+}
+
+module.exports = { N2kEncoder, PGN_LAYOUTS };
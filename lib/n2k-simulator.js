@@ -1,24 +1,128 @@
 /**
  * N2kSimulator - NMEA 2000 data simulation
  *
- * Simulates NMEA 2000 data in canboat JSON format
- * for testing N2K input processing.
+ * Simulates NMEA 2000 data in canboat JSON format, or as raw CAN
+ * frames (Actisense NGT-1, Yacht Devices RAW, candump), for testing
+ * N2K input processing.
  */
 
 const net = require('net');
 const fs = require('fs');
+const { N2kEncoder } = require('./n2k-encoder');
+const { SeededRandom } = require('./seeded-random');
+const { VesselModel, KNOTS_TO_MS } = require('./vessel-model');
+const { LogReplay } = require('./log-replay');
+const { FailFast } = require('./fail-fast');
+
+const degToRad = (deg) => (deg * Math.PI) / 180;
+const celsiusToKelvin = (c) => c + 273.15;
+
+/**
+ * Generator field names mapped to the canboatjs JSON key and the conversion
+ * from the generator's human units (degrees, Celsius) to SI.
+ * The server's n2k-signalk mapper only understands the canboatjs form.
+ */
+const CANBOATJS_FIELDS = {
+  Latitude: ['latitude'],
+  Longitude: ['longitude'],
+  'COG Reference': ['cogReference'],
+  COG: ['cog', degToRad],
+  SOG: ['sog'],
+  Heading: ['heading', degToRad],
+  Deviation: ['deviation', degToRad],
+  Variation: ['variation', degToRad],
+  Reference: ['reference'],
+  Depth: ['depth'],
+  Offset: ['offset'],
+  'Wind Speed': ['windSpeed'],
+  'Wind Angle': ['windAngle', degToRad],
+  'Speed Water Referenced': ['speedWaterReferenced'],
+  'Speed Ground Referenced': ['speedGroundReferenced'],
+  'Water Temperature': ['waterTemperature', celsiusToKelvin],
+  'Outside Ambient Air Temperature': ['outsideAmbientAirTemperature', celsiusToKelvin],
+  'Atmospheric Pressure': ['atmosphericPressure'],
+  'Engine Instance': ['instance'],
+  'Engine Speed': ['speed'],
+  'Engine Tilt/Trim': ['tiltTrim'],
+  'Battery Instance': ['instance'],
+  Voltage: ['voltage'],
+  Current: ['current'],
+  Temperature: ['temperature', celsiusToKelvin],
+  Instance: ['instance'],
+  'Fluid Type': ['type'],
+  Level: ['level'],
+  Capacity: ['capacity'],
+  Date: ['date'],
+  Time: ['time'],
+  Altitude: ['altitude'],
+  'GNSS type': ['gnssType'],
+  Method: ['method'],
+  Integrity: ['integrity'],
+  'Number of SVs': ['numberOfSvs'],
+  HDOP: ['hdop'],
+  PDOP: ['pdop'],
+  'Geoidal Separation': ['geoidalSeparation'],
+};
+
+// Default container ports for each wire format (see ContainerManager N2K presets)
+const FORMAT_PORTS = {
+  'canboat-json': 2597,
+  actisense: 2598,
+  'actisense-ngt1': 2599,
+  ydraw: 2600,
+  candump: 2601,
+};
 
 class N2kSimulator {
   constructor(options = {}) {
     this.host = options.host || 'localhost';
     this.port = options.port || 2597;
+    this.formatPorts = { ...FORMAT_PORTS, 'canboat-json': this.port, ...options.formatPorts };
+    this.fastPacketSequence = new Map();
+
+    // Seeded PRNG and optional simulated clock, as in NmeaFeeder:
+    // with startTime set each message is clockStep ms after the previous one
+    this.rng = new SeededRandom(options.seed);
+    this.seed = this.rng.seed;
+    this.startTime = options.startTime !== undefined ? new Date(options.startTime).getTime() : null;
+    this.clockStep = options.clockStep ?? 100;
+    this.clockOffset = 0;
+  }
+
+  /**
+   * Next pseudo-random number in [0, 1) from the seeded generator
+   */
+  random() {
+    return this.rng.next();
+  }
+
+  /**
+   * Timestamp for the next generated message (simulated clock when startTime is set)
+   * The simulated clock then moves on by `step` ms.
+   */
+  now(step = this.clockStep) {
+    if (this.startTime === null) {
+      return new Date();
+    }
+    const time = new Date(this.startTime + this.clockOffset);
+    this.clockOffset += step;
+    return time;
+  }
+
+  /**
+   * Rewind the generator, simulated clock and fast-packet counters
+   */
+  reset() {
+    this.rng.reset();
+    this.clockOffset = 0;
+    this.fastPacketSequence.clear();
   }
 
   /**
    * Generate canboat-style JSON for a PGN
    */
-  generatePgn(pgn, fields) {
-    const timestamp = new Date().toISOString();
+  generatePgn(pgn, fields, time = this.now()) {
+    const timestamp = time.toISOString();
     return JSON.stringify({
       timestamp,
       prio: 2,
@@ -63,6 +167,28 @@ class N2kSimulator {
     });
   }
 
+  /**
+   * Generate GNSS Position Data (129029) - a fast-packet PGN
+   */
+  generateGnssPosition(lat, lon, altitude = 0, options = {}) {
+    const now = options.time ? new Date(options.time) : this.now();
+    const iso = now.toISOString();
+    return this.generatePgn(129029, {
+      Date: iso.substring(0, 10).replace(/-/g, '.'),
+      Time: iso.substring(11, 19),
+      Latitude: lat,
+      Longitude: lon,
+      Altitude: altitude,
+      'GNSS type': options.gnssType || 'GPS+GLONASS',
+      Method: options.method || 'GNSS fix',
+      Integrity: 'No integrity checking',
+      'Number of SVs': options.satellites ?? 10,
+      HDOP: options.hdop ?? 0.9,
+      PDOP: options.pdop ?? 1.6,
+      'Geoidal Separation': options.geoidalSeparation ?? 18.5,
+    }, now);
+  }
+
   /**
    * Generate COG & SOG Rapid Update (129026)
    */
@@ -174,21 +300,148 @@ class N2kSimulator {
     });
   }
 
+  /**
+   * Convert a generated canboat JSON message to canboatjs form
+   * (camelCase field names, SI units) as consumed by n2k-signalk
+   */
+  toCanboatJs(message) {
+    const msg = typeof message === 'string' ? JSON.parse(message) : message;
+    const fields = {};
+
+    for (const [name, value] of Object.entries(msg.fields || {})) {
+      const mapping = CANBOATJS_FIELDS[name];
+      if (!mapping) {
+        fields[name] = value;
+        continue;
+      }
+      const [key, convert] = mapping;
+      fields[key] = convert && typeof value === 'number' ? convert(value) : value;
+    }
+
+    return JSON.stringify({ ...msg, fields });
+  }
+
+  /**
+   * Encode a generated message into its PGN payload and CAN frames
+   */
+  encodeMessage(message) {
+    const msg = typeof message === 'string' ? JSON.parse(message) : message;
+    const data = N2kEncoder.encodePayload(msg.pgn, msg.fields);
+
+    // Fast-packet sequence counter is tracked per PGN and source, 0-7
+    const key = `${msg.pgn}:${msg.src}`;
+    const sequence = this.fastPacketSequence.get(key) || 0;
+    this.fastPacketSequence.set(key, (sequence + 1) & 0x7);
+
+    return {
+      pgn: msg.pgn,
+      prio: msg.prio,
+      src: msg.src,
+      dst: msg.dst,
+      time: msg.timestamp ? new Date(msg.timestamp) : new Date(),
+      data,
+      frames: N2kEncoder.toFrames(msg.pgn, data, sequence),
+    };
+  }
+
+  /**
+   * Encode as Actisense NGT-1 binary (one Buffer per PGN)
+   */
+  toActisense(message) {
+    const encoded = this.encodeMessage(message);
+    return N2kEncoder.toActisense({ ...encoded, timestamp: encoded.time.getTime() });
+  }
+
+  /**
+   * Encode as Yacht Devices RAW text lines (one per CAN frame)
+   */
+  toYdRaw(message) {
+    return N2kEncoder.toYdRaw(this.encodeMessage(message));
+  }
+
+  /**
+   * Encode as candump log lines (one per CAN frame)
+   */
+  toCandump(message, iface = 'can0') {
+    return N2kEncoder.toCandump({ ...this.encodeMessage(message), iface });
+  }
+
+  /**
+   * Convert generated messages to a wire format
+   * Formats: canboat-json, actisense (plain text), actisense-ngt1, ydraw, candump
+   */
+  convert(messages, format = 'canboat-json') {
+    const messageArray = Array.isArray(messages) ? messages : [messages];
+
+    switch (format) {
+      case 'canboat-json':
+        return messageArray.map((m) => this.toCanboatJs(m));
+      case 'actisense':
+        return messageArray.map((m) => {
+          const { pgn, prio, src, dst, time, data } = this.encodeMessage(m);
+          const bytes = [...data].map((b) => b.toString(16).padStart(2, '0')).join(',');
+          return `${time.toISOString()},${prio},${pgn},${src},${dst},${data.length},${bytes}`;
+        });
+      case 'actisense-ngt1':
+        return messageArray.map((m) => this.toActisense(m));
+      case 'ydraw':
+        return messageArray.flatMap((m) => this.toYdRaw(m));
+      case 'candump':
+        return messageArray.flatMap((m) => this.toCandump(m));
+      default:
+        throw new Error(`Unknown N2K format: ${format}`);
+    }
+  }
+
+  /**
+   * Send generated messages in a wire format to that format's input port
+   */
+  async sendFormat(messages, format, options = {}) {
+    return this.sendTcp(this.convert(messages, format), {
+      ...options,
+      port: options.port || this.formatPorts[format],
+      raw: true,
+    });
+  }
+
   /**
    * Send N2K data via TCP (canboat format)
+   *
+   * Generated messages (objects or their JSON text) are converted with
+   * toCanboatJs() unless options.raw is set. Other strings, such as
+   * canboat or Actisense text lines, and Buffers (binary formats) are
+   * written as-is. options.signal (default: the fail-fast test signal)
+   * aborts the send.
    */
   async sendTcp(messages, options = {}) {
-    const delay = options.delay || 100;
+    const delay = options.delay ?? 100;
     const messageArray = Array.isArray(messages) ? messages : [messages];
+    const signal = options.signal ?? FailFast.signal();
     const results = { sent: 0, errors: [] };
 
+    signal?.throwIfAborted();
+
     return new Promise((resolve, reject) => {
       const client = new net.Socket();
 
-      client.connect(this.port, this.host, async () => {
+      const onAbort = () => {
+        client.destroy();
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      client.connect(options.port || this.port, this.host, async () => {
         for (const msg of messageArray) {
+          if (signal?.aborted) {
+            return;
+          }
           try {
-            const line = msg.endsWith('\n') ? msg : `${msg}\n`;
+            let line = msg;
+            if (!Buffer.isBuffer(msg)) {
+              const generated = typeof msg === 'object' || msg.trimStart().startsWith('{');
+              const payload = generated && !options.raw ? this.toCanboatJs(msg) : msg;
+              line = payload.endsWith('\n') ? payload : `${payload}\n`;
+            }
             client.write(line);
             results.sent++;
 
@@ -200,6 +453,7 @@ class N2kSimulator {
           }
         }
 
+        signal?.removeEventListener('abort', onAbort);
         client.end();
         resolve(results);
       });
@@ -208,39 +462,95 @@ class N2kSimulator {
     });
   }
 
+  /**
+   * Generate a burst from a scenario `generate` block
+   */
+  generateData(config) {
+    const type = config.type || 'navigation';
+    const count = config.count || 100;
+
+    switch (type) {
+      case 'navigation':
+        return this.generateNavigationBurst(count, config);
+      case 'environment':
+        return this.generateEnvironmentBurst(count, config);
+      case 'engine':
+        return this.generateEngineBurst(count, config);
+      default:
+        throw new Error(`Unknown N2K generate type: ${type}`);
+    }
+  }
+
   /**
    * Generate a navigation burst with multiple PGNs
+   *
+   * Motion comes from a VesselModel (config.sog in m/s); config.legs,
+   * current, leeway and variation are passed to the model.
    */
   generateNavigationBurst(count, config = {}) {
+    const model =
+      config.model ||
+      new VesselModel({
+        lat: config.startLat || 60.0,
+        lon: config.startLon || 24.0,
+        heading: config.heading || config.cog || 90,
+        speed: (config.sog || 5.0) / KNOTS_TO_MS,
+        legs: config.legs,
+        current: config.current,
+        leeway: config.leeway,
+        variation: config.variation,
+        noise: config.noise ?? { heading: 2, speed: 0.5 },
+        random: () => this.random(),
+      });
+
+    return this.generateVesselBurst(model, count, {
+      interval: config.interval,
+      every: { heading: 2, speed: 3 },
+    });
+  }
+
+  /**
+   * Generate mutually consistent PGNs from a VesselModel
+   *
+   * Each fix steps the model by options.interval seconds (default 1) and
+   * emits position (129025), COG/SOG (129026), heading (127250) and
+   * speed (128259). options.every thins out types, e.g. { speed: 3 }.
+   * On the simulated clock, fixes are options.interval apart.
+   */
+  generateVesselBurst(model, count, options = {}) {
+    const interval = options.interval ?? 1;
+    const types = options.messages || ['position', 'cogSog', 'heading', 'speed'];
+    const every = options.every || {};
     const messages = [];
-    let lat = config.startLat || 60.0;
-    let lon = config.startLon || 24.0;
-    let heading = config.heading || 90;
-    let sog = config.sog || 5.0;
-    let cog = config.cog || 90;
 
     for (let i = 0; i < count; i++) {
-      // Simulate movement
-      lat += (Math.random() - 0.5) * 0.0001;
-      lon += (Math.random() - 0.5) * 0.0001;
-      heading += (Math.random() - 0.5) * 2;
-      sog += (Math.random() - 0.5) * 0.5;
-      cog += (Math.random() - 0.5) * 2;
-
-      // Position
-      messages.push(this.generatePosition(lat, lon));
-
-      // COG/SOG
-      messages.push(this.generateCogSog(cog, sog));
-
-      // Heading every 2nd
-      if (i % 2 === 0) {
-        messages.push(this.generateHeading(heading));
+      const state = model.step(interval);
+      const fixStart = this.clockOffset;
+      const sog = state.sog * KNOTS_TO_MS;
+
+      for (const type of types) {
+        if (i % (every[type] || 1) !== 0) continue;
+
+        switch (type) {
+          case 'position':
+            messages.push(this.generatePosition(state.lat, state.lon));
+            break;
+          case 'cogSog':
+            messages.push(this.generateCogSog(state.cog, sog));
+            break;
+          case 'heading':
+            messages.push(this.generateHeading(state.headingMagnetic, 0, state.variation));
+            break;
+          case 'speed':
+            messages.push(this.generateSpeed(state.stw * KNOTS_TO_MS, sog));
+            break;
+          default:
+            throw new Error(`Unknown navigation message type: ${type}`);
+        }
       }
 
-      // Speed every 3rd
-      if (i % 3 === 0) {
-        messages.push(this.generateSpeed(sog * 0.9, sog));
+      if (this.startTime !== null) {
+        this.clockOffset = fixStart + interval * 1000;
       }
     }
 
@@ -258,12 +568,12 @@ class N2kSimulator {
 
     for (let i = 0; i < count; i++) {
       // Depth
-      const depth = baseDepth + (Math.random() - 0.5) * 2;
+      const depth = baseDepth + (this.random() - 0.5) * 2;
       messages.push(this.generateDepth(depth));
 
       // Apparent wind
-      const windSpeed = baseWindSpeed + (Math.random() - 0.5) * 3;
-      const windAngle = baseWindAngle + (Math.random() - 0.5) * 10;
+      const windSpeed = baseWindSpeed + (this.random() - 0.5) * 3;
+      const windAngle = baseWindAngle + (this.random() - 0.5) * 10;
       messages.push(this.generateWind(windSpeed, windAngle, 'Apparent'));
 
       // True wind every 3rd
@@ -275,8 +585,8 @@ class N2kSimulator {
 
       // Environment every 5th
       if (i % 5 === 0) {
-        const waterTemp = 15 + Math.random() * 3;
-        const airTemp = 20 + Math.random() * 5;
+        const waterTemp = 15 + this.random() * 3;
+        const airTemp = 20 + this.random() * 5;
         messages.push(this.generateEnvironment(waterTemp, airTemp));
       }
     }
@@ -294,14 +604,14 @@ class N2kSimulator {
 
     for (let i = 0; i < count; i++) {
       for (let engine = 0; engine < engines; engine++) {
-        const rpm = baseRpm + (Math.random() - 0.5) * 200;
+        const rpm = baseRpm + (this.random() - 0.5) * 200;
         messages.push(this.generateEngineRapid(engine, rpm));
       }
 
       // Battery every 10th
       if (i % 10 === 0) {
-        const voltage = 12.5 + Math.random() * 1;
-        const current = 10 + Math.random() * 5;
+        const voltage = 12.5 + this.random() * 1;
+        const current = 10 + this.random() * 5;
         messages.push(this.generateBattery(0, voltage, current));
       }
 
@@ -314,6 +624,92 @@ class N2kSimulator {
     return messages;
   }
 
+  /**
+   * Replay a timestamped N2K log with its original timing
+   *
+   * canboat JSON lines go to the canboat-json input and Actisense plain
+   * text lines to the actisense input (options.port overrides both).
+   * NMEA 0183 lines in a multiplexed log are left to
+   * NmeaFeeder.replayFile(). Options (see LogReplay): speed, start, end,
+   * loop, loopGap, maxDuration, signal.
+   */
+  async replayFile(filePath, options = {}) {
+    const portFor = {
+      'n2k-json': this.formatPorts['canboat-json'],
+      'n2k-actisense': this.formatPorts.actisense,
+    };
+    const entries = LogReplay.window(
+      LogReplay.parseFile(filePath).filter((e) => portFor[e.kind]),
+      options
+    );
+    const schedule = LogReplay.schedule(entries, options);
+
+    // Aborted by the caller's signal or by a failure of a connection
+    const signal = options.signal ?? FailFast.signal();
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) {
+      onAbort();
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let lost = null;
+
+    // One connection per input port, opened on first use. A dropped
+    // connection fails the write in flight and ends the replay.
+    const sockets = new Map();
+    const failWrites = new Map();
+    const connect = (port) => {
+      if (!sockets.has(port)) {
+        sockets.set(
+          port,
+          new Promise((resolve, reject) => {
+            const socket = net.connect(port, this.host, () => {
+              socket.off('error', reject);
+              socket.on('error', (err) => {
+                lost = new Error(`TCP connection to port ${port} lost: ${err.message}`);
+                failWrites.get(port)?.(lost);
+                controller.abort(lost);
+              });
+              resolve(socket);
+            });
+            socket.once('error', reject);
+          })
+        );
+      }
+      return sockets.get(port);
+    };
+
+    const write = async (line, entry) => {
+      const port = options.port || portFor[entry.kind];
+      const socket = await connect(port);
+      await new Promise((resolve, reject) => {
+        failWrites.set(port, reject);
+        socket.write(`${line}\n`, (err) => {
+          failWrites.delete(port);
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    };
+
+    try {
+      const results = await LogReplay.play(schedule, write, {
+        ...options,
+        signal: controller.signal,
+      });
+      // Report a drop that happened between writes too
+      if (lost && !results.errors.some((e) => e.error === lost.message)) {
+        results.errors.push({ error: lost.message });
+      }
+      return { ...results, file: filePath };
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      for (const pending of sockets.values()) {
+        pending.then((socket) => socket.end()).catch(() => {});
+      }
+    }
+  }
+
   /**
    * Stream a canboat log file
    */
@@ -322,7 +718,8 @@ class N2kSimulator {
     const content = fs.readFileSync(filePath, 'utf-8');
     const lines = content.split('\n').filter((l) => l.trim());
 
-    return this.sendTcp(lines, { delay });
+    // Log files are already in their wire format
+    return this.sendTcp(lines, { delay, raw: true });
   }
 }
 
@@ -9,8 +9,13 @@ const net = require('net');
 const dgram = require('dgram');
 const fs = require('fs');
 const readline = require('readline');
-const path = require('path');
 const { NmeaFixtures } = require('./nmea-fixtures');
+const { AisEncoder } = require('./ais-encoder');
+const { SeededRandom } = require('./seeded-random');
+const { VesselModel } = require('./vessel-model');
+const { ScenarioRunner } = require('./scenario-runner');
+const { LogReplay } = require('./log-replay');
+const { FailFast } = require('./fail-fast');
 
 class NmeaFeeder {
   constructor(options = {}) {
@@ -19,29 +24,106 @@ class NmeaFeeder {
     this.udpHost = options.udpHost || 'localhost';
     this.udpPort = options.udpPort || 10111;
     this.defaultDelay = options.delay || 100; // ms between sentences
+    this.apiUrl = options.apiUrl; // for scenario end-state checks
+    this.aisSequenceId = 0;
+
+    // IEC 61162-450 output: multicast group and port (NAVD by default);
+    // nmea450Host sends the same datagrams unicast, e.g. to a Docker port
+    this.nmea450Group = options.nmea450Group || '239.192.0.2';
+    this.nmea450Port = options.nmea450Port || 60002;
+    this.nmea450Host = options.nmea450Host || null;
+    this.tagLineCount = 0; // TAG block n: counter
+
+    // Generated values come from a seeded PRNG so bursts are repeatable.
+    // With startTime set, timestamps advance by clockStep per fix instead
+    // of following the wall clock, making output byte-for-byte identical.
+    this.rng = new SeededRandom(options.seed);
+    this.seed = this.rng.seed;
+    this.startTime = options.startTime !== undefined ? new Date(options.startTime).getTime() : null;
+    this.clockStep = options.clockStep ?? 1000;
+    this.clockOffset = 0;
+  }
+
+  /**
+   * Next pseudo-random number in [0, 1) from the seeded generator
+   */
+  random() {
+    return this.rng.next();
+  }
+
+  /**
+   * Timestamp for the next generated fix (simulated clock when startTime is set)
+   * The simulated clock then moves on by `step` ms.
+   */
+  now(step = this.clockStep) {
+    if (this.startTime === null) {
+      return new Date();
+    }
+    const time = new Date(this.startTime + this.clockOffset);
+    this.clockOffset += step;
+    return time;
+  }
+
+  /**
+   * Rewind the generator and simulated clock to their initial state
+   */
+  reset() {
+    this.rng.reset();
+    this.clockOffset = 0;
+    this.aisSequenceId = 0;
+    this.tagLineCount = 0;
+  }
+
+  /**
+   * Normalize sentences for sending; options.tagBlock (true or a tags
+   * object, see tagSentences) wraps each one in a TAG block
+   */
+  prepareSentences(sentences, options = {}) {
+    const sentenceArray = Array.isArray(sentences) ? sentences : [sentences];
+    if (!options.tagBlock) {
+      return sentenceArray;
+    }
+    return this.tagSentences(sentenceArray, options.tagBlock === true ? {} : options.tagBlock);
   }
 
   /**
    * Send NMEA sentences via TCP
+   *
+   * options.signal (default: the fail-fast test signal) aborts the send;
+   * the connection is destroyed and the promise rejects with its reason.
+   * options.onWrite(sentence) is called right before each write.
    */
   async sendTcp(sentences, options = {}) {
     const delay = options.delay ?? this.defaultDelay;
-    const sentenceArray = Array.isArray(sentences) ? sentences : [sentences];
+    const sentenceArray = this.prepareSentences(sentences, options);
+    const signal = options.signal ?? FailFast.signal();
     const results = { sent: 0, errors: [], duration: 0 };
     const start = Date.now();
 
+    signal?.throwIfAborted();
+
     return new Promise((resolve, reject) => {
       const client = new net.Socket();
       let connected = false;
 
+      const onAbort = () => {
+        client.destroy();
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
       client.setTimeout(options.timeout || 10000);
 
       client.connect(this.tcpPort, this.tcpHost, async () => {
         connected = true;
 
         for (const sentence of sentenceArray) {
+          if (signal?.aborted) {
+            return;
+          }
           try {
             const line = sentence.endsWith('\r\n') ? sentence : `${sentence}\r\n`;
+            options.onWrite?.(sentence);
             await new Promise((res, rej) => {
               client.write(line, (err) => {
                 if (err) rej(err);
@@ -58,6 +140,7 @@ class NmeaFeeder {
           }
         }
 
+        signal?.removeEventListener('abort', onAbort);
         client.end();
         results.duration = Date.now() - start;
         resolve(results);
@@ -80,39 +163,167 @@ class NmeaFeeder {
 
   /**
    * Send NMEA sentences via UDP
+   *
+   * options.signal (default: the fail-fast test signal) aborts the send.
    */
   async sendUdp(sentences, options = {}) {
     const delay = options.delay ?? this.defaultDelay;
-    const sentenceArray = Array.isArray(sentences) ? sentences : [sentences];
+    const sentenceArray = this.prepareSentences(sentences, options);
+    const signal = options.signal ?? FailFast.signal();
     const results = { sent: 0, errors: [], duration: 0 };
     const start = Date.now();
 
     const client = dgram.createSocket('udp4');
 
-    for (const sentence of sentenceArray) {
-      try {
-        const line = sentence.endsWith('\r\n') ? sentence : `${sentence}\r\n`;
-        await new Promise((resolve, reject) => {
-          client.send(line, this.udpPort, this.udpHost, (err) => {
-            if (err) reject(err);
-            else resolve();
+    try {
+      for (const sentence of sentenceArray) {
+        signal?.throwIfAborted();
+        try {
+          const line = sentence.endsWith('\r\n') ? sentence : `${sentence}\r\n`;
+          await new Promise((resolve, reject) => {
+            client.send(line, this.udpPort, this.udpHost, (err) => {
+              if (err) reject(err);
+              else resolve();
+            });
           });
-        });
-        results.sent++;
+          results.sent++;
+        } catch (e) {
+          results.errors.push({ sentence, error: e.message });
+        }
 
         if (delay > 0 && sentenceArray.indexOf(sentence) < sentenceArray.length - 1) {
-          await new Promise((r) => setTimeout(r, delay));
+          await FailFast.delay(delay, signal);
         }
-      } catch (e) {
-        results.errors.push({ sentence, error: e.message });
       }
+    } finally {
+      client.close();
     }
 
-    client.close();
     results.duration = Date.now() - start;
     return results;
   }
 
+  /**
+   * Send sentences as IEC 61162-450 datagrams
+   *
+   * Each datagram is the "UdPbC\0" header followed by TAG-block sentences
+   * (s: source, c: time, n: line count). By default datagrams go to the
+   * multicast group; options.host (or the nmea450Host constructor option)
+   * sends them unicast instead, which is how a container behind Docker
+   * port publishing is reached.
+   *
+   * @param {object} options
+   * @param {string} options.source - TAG s: field (default talker + '0001')
+   * @param {Date|number} options.time - TAG c: time (default: the feeder clock)
+   * @param {number} options.perDatagram - sentences per datagram (default 1)
+   * @param {string} options.group - multicast group (default nmea450Group)
+   * @param {number} options.port - destination port (default nmea450Port)
+   * @param {string} options.host - unicast destination instead of the group
+   * @param {number} options.ttl - multicast TTL (default 1, the local segment)
+   * @param {AbortSignal} options.signal - aborts the send (default: the fail-fast test signal)
+   */
+  async send450(sentences, options = {}) {
+    const delay = options.delay ?? this.defaultDelay;
+    const signal = options.signal ?? FailFast.signal();
+    const sentenceArray = Array.isArray(sentences) ? sentences : [sentences];
+    const perDatagram = options.perDatagram || 1;
+    const host = options.host || this.nmea450Host;
+    const address = host || options.group || this.nmea450Group;
+    const port = options.port || this.nmea450Port;
+    const results = { sent: 0, datagrams: 0, errors: [], duration: 0 };
+    const start = Date.now();
+
+    const client = dgram.createSocket('udp4');
+    if (!host) {
+      await new Promise((resolve) => client.bind(0, resolve));
+      client.setMulticastTTL(options.ttl ?? 1);
+    }
+
+    try {
+      for (let i = 0; i < sentenceArray.length; i += perDatagram) {
+        signal?.throwIfAborted();
+        const batch = sentenceArray.slice(i, i + perDatagram);
+        try {
+          await new Promise((resolve, reject) => {
+            client.send(this.frame450(batch, options), port, address, (err) => {
+              if (err) reject(err);
+              else resolve();
+            });
+          });
+          results.sent += batch.length;
+          results.datagrams++;
+        } catch (e) {
+          results.errors.push({ sentences: batch, error: e.message });
+        }
+
+        if (delay > 0 && i + perDatagram < sentenceArray.length) {
+          await FailFast.delay(delay, signal);
+        }
+      }
+    } finally {
+      client.close();
+    }
+
+    results.duration = Date.now() - start;
+    return results;
+  }
+
+  /**
+   * Build one IEC 61162-450 datagram: "UdPbC\0" + TAG-block sentences
+   */
+  frame450(sentences, tags = {}) {
+    const lines = this.tagSentences(sentences, tags).map((line) => `${line}\r\n`);
+    return Buffer.concat([
+      Buffer.from('UdPbC\0', 'latin1'),
+      Buffer.from(lines.join(''), 'latin1'),
+    ]);
+  }
+
+  /**
+   * Wrap sentences in TAG blocks with source, time and line count
+   *
+   * tags.source defaults to the talker ID + '0001' (450 style, e.g.
+   * GP0001), tags.time to the feeder clock, and the n: line count runs
+   * on across calls until reset(). Sentences that already carry a TAG
+   * block are left as they are.
+   */
+  tagSentences(sentences, tags = {}) {
+    const time = tags.time !== undefined ? new Date(tags.time) : this.now(0);
+    return sentences.map((sentence) => {
+      if (sentence.startsWith('\\')) {
+        return sentence;
+      }
+      this.tagLineCount = (this.tagLineCount % 999) + 1;
+      return this.addTagBlock(sentence, {
+        source: tags.source || `${sentence.slice(1, 3)}0001`,
+        time,
+        lineCount: this.tagLineCount,
+        destination: tags.destination,
+        text: tags.text,
+      });
+    });
+  }
+
+  /**
+   * Prefix a sentence with a TAG block (NMEA 0183 v4 / IEC 61162-450)
+   *
+   * @param {string} sentence
+   * @param {object} tags - { source (s:), time (c:, unix seconds),
+   *   destination (d:), lineCount (n:), text (t:), group (g:, e.g. '1-2-42') }
+   */
+  addTagBlock(sentence, tags = {}) {
+    const fields = [];
+    if (tags.group) fields.push(`g:${tags.group}`);
+    if (tags.source) fields.push(`s:${tags.source}`);
+    if (tags.time !== undefined) fields.push(`c:${Math.floor(new Date(tags.time).getTime() / 1000)}`);
+    if (tags.destination) fields.push(`d:${tags.destination}`);
+    if (tags.lineCount !== undefined) fields.push(`n:${tags.lineCount}`);
+    if (tags.text) fields.push(`t:${tags.text}`);
+
+    // Same XOR checksum as a sentence, over the text between the backslashes
+    return `${this.addChecksum(`\\${fields.join(',')}`)}\\${sentence}`;
+  }
+
   /**
    * Stream NMEA file to server
    */
@@ -159,69 +370,112 @@ class NmeaFeeder {
   }
 
   /**
-   * Run a scenario file
+   * Replay a timestamped log with its original timing
+   *
+   * Only NMEA 0183 lines are sent; N2K lines in a multiplexed log are
+   * replayed by N2kSimulator.replayFile(). Options (see LogReplay):
+   * speed, start, end, loop, loopGap, maxDuration, signal.
    */
-  async runScenario(scenarioPath, options = {}) {
-    const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf-8'));
-    const results = {
-      name: scenario.name,
-      phases: [],
-      totalSent: 0,
-      totalErrors: 0,
-      duration: 0,
-    };
-    const start = Date.now();
-
-    for (const phase of scenario.phases) {
-      const phaseResult = {
-        name: phase.name,
-        protocol: phase.protocol || 'tcp',
-        sent: 0,
-        errors: [],
-      };
-
-      const sendFn =
-        phase.protocol === 'udp' ? this.sendUdp.bind(this) : this.sendTcp.bind(this);
-
+  async replayFile(filePath, protocol = 'tcp', options = {}) {
+    const entries = LogReplay.window(
+      LogReplay.parseFile(filePath).filter((e) => e.kind === 'nmea0183'),
+      options
+    );
+    const schedule = LogReplay.schedule(entries, options);
+
+    // Aborted by the caller's signal or by a failure of the connection
+    const signal = options.signal ?? FailFast.signal();
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal?.aborted) {
+      onAbort();
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let lost = null;
+
+    let write;
+    let close;
+    if (protocol === 'udp') {
+      const client = dgram.createSocket('udp4');
+      write = (line) =>
+        new Promise((resolve, reject) => {
+          client.send(`${line}\r\n`, this.udpPort, this.udpHost, (err) =>
+            err ? reject(err) : resolve()
+          );
+        });
+      close = () => client.close();
+    } else {
+      // One connection for the whole replay; gaps in a log can be long,
+      // so unlike sendTcp() there is no idle timeout
+      let client;
       try {
-        if (phase.file) {
-          // Resolve file path relative to scenario file
-          const filePath = path.isAbsolute(phase.file)
-            ? phase.file
-            : path.join(path.dirname(scenarioPath), phase.file);
-
-          const fileResult = await this.streamFile(filePath, phase.protocol, {
-            delay: phase.delay,
+        client = await new Promise((resolve, reject) => {
+          const socket = net.connect(this.tcpPort, this.tcpHost, () => {
+            socket.off('error', reject);
+            resolve(socket);
           });
-          phaseResult.sent = fileResult.sent;
-          phaseResult.errors = fileResult.errors;
-        } else if (phase.sentences) {
-          const sendResult = await sendFn(phase.sentences, { delay: phase.delay });
-          phaseResult.sent = sendResult.sent;
-          phaseResult.errors = sendResult.errors;
-        } else if (phase.generate) {
-          // Generate synthetic data
-          const sentences = this.generateData(phase.generate);
-          const sendResult = await sendFn(sentences, { delay: phase.delay });
-          phaseResult.sent = sendResult.sent;
-          phaseResult.errors = sendResult.errors;
-        }
-      } catch (e) {
-        phaseResult.errors.push({ phase: phase.name, error: e.message });
+          socket.once('error', reject);
+        });
+      } catch (err) {
+        signal?.removeEventListener('abort', onAbort);
+        throw new Error(`TCP connection failed: ${err.message}`);
       }
 
-      results.phases.push(phaseResult);
-      results.totalSent += phaseResult.sent;
-      results.totalErrors += phaseResult.errors.length;
+      // A dropped connection fails the write in flight and ends the replay
+      let failWrite = null;
+      client.on('error', (err) => {
+        lost = new Error(`TCP connection lost: ${err.message}`);
+        failWrite?.(lost);
+        controller.abort(lost);
+      });
+      write = (line) =>
+        new Promise((resolve, reject) => {
+          failWrite = reject;
+          client.write(`${line}\r\n`, (err) => {
+            failWrite = null;
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+      close = () => client.end();
+    }
 
-      // Inter-phase pause
-      if (phase.pauseAfter) {
-        await new Promise((r) => setTimeout(r, phase.pauseAfter));
+    try {
+      const results = await LogReplay.play(schedule, write, {
+        ...options,
+        signal: controller.signal,
+      });
+      // Report a drop that happened between writes too
+      if (lost && !results.errors.some((e) => e.error === lost.message)) {
+        results.errors.push({ error: lost.message });
       }
+      return { ...results, file: filePath };
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      close();
     }
+  }
 
-    results.duration = Date.now() - start;
-    return results;
+  /**
+   * Run a scenario file
+   *
+   * The file is validated against lib/scenario.schema.json before any
+   * phase runs. Besides NMEA 0183 phases, scenarios can contain n2k,
+   * delta, put, wait-for and parallel phases (see ScenarioRunner); these
+   * need options.apiUrl (or the constructor option) and, for n2k,
+   * options.n2kPort / n2kPorts.
+   *
+   * If the scenario has an `expect` block and an apiUrl is known, the
+   * server's end state is checked with StateOracle and the diff is put
+   * in results.expectations.
+   */
+  async runScenario(scenarioPath, options = {}) {
+    const runner = new ScenarioRunner({
+      ...options,
+      feeder: this,
+      apiUrl: options.apiUrl || this.apiUrl,
+    });
+    return runner.run(scenarioPath);
   }
 
   /**
@@ -245,53 +499,105 @@ class NmeaFeeder {
 
   /**
    * Generate navigation NMEA sentences
+   *
+   * Motion comes from a VesselModel, so positions advance by the SOG/COG
+   * the sentences report. config.legs, current, leeway and variation are
+   * passed to the model; config.noise sets steering/speed jitter.
    */
   generateNavigationBurst(count, config = {}) {
+    const model = config.model || this.navigationModel(config);
+
+    return this.generateVesselBurst(model, count, {
+      interval: config.interval,
+      sentences: ['RMC', 'GGA', 'HDG'],
+      every: { GGA: 5, HDG: 3 },
+    });
+  }
+
+  /**
+   * VesselModel for a navigation generate config, drawing noise from
+   * this feeder's seeded PRNG
+   */
+  navigationModel(config = {}) {
+    return new VesselModel({
+      lat: config.startLat || 60.0,
+      lon: config.startLon || 24.0,
+      heading: config.course || 90.0,
+      speed: config.speed || 5.0,
+      legs: config.legs,
+      current: config.current,
+      leeway: config.leeway,
+      variation: config.variation,
+      noise: config.noise ?? { heading: 4, speed: 0.4 },
+      random: () => this.random(),
+    });
+  }
+
+  /**
+   * Generate mutually consistent sentences from a VesselModel
+   *
+   * Each fix steps the model by options.interval seconds (default: the
+   * simulated clock step) and emits options.sentences, default RMC, GGA,
+   * VTG and HDT. options.every thins out types, e.g. { GGA: 5 }.
+   */
+  generateVesselBurst(model, count, options = {}) {
+    const interval = options.interval ?? this.clockStep / 1000;
+    const types = options.sentences || ['RMC', 'GGA', 'VTG', 'HDT'];
+    const every = options.every || {};
     const sentences = [];
-    let lat = config.startLat || 60.0;
-    let lon = config.startLon || 24.0;
-    const speed = config.speed || 5.0;
-    const course = config.course || 90.0;
 
     for (let i = 0; i < count; i++) {
-      // Simulate movement
-      const latChange = (Math.random() - 0.5) * 0.001;
-      const lonChange = (Math.random() - 0.5) * 0.001;
-      lat += latChange;
-      lon += lonChange;
-
-      const latDeg = Math.floor(Math.abs(lat));
-      const latMin = (Math.abs(lat) - latDeg) * 60;
-      const lonDeg = Math.floor(Math.abs(lon));
-      const lonMin = (Math.abs(lon) - lonDeg) * 60;
-
-      const time = new Date();
-      const timeStr = time.toISOString().replace(/[-:T]/g, '').substring(8, 14);
-      const dateStr = time.toISOString().replace(/[-]/g, '').substring(2, 8);
-
-      // RMC sentence
-      const speedVar = speed + (Math.random() - 0.5) * 2;
-      const courseVar = course + (Math.random() - 0.5) * 10;
-
-      const rmc = `$GPRMC,${timeStr},A,${latDeg}${latMin.toFixed(4)},${lat >= 0 ? 'N' : 'S'},${lonDeg.toString().padStart(3, '0')}${lonMin.toFixed(4)},${lon >= 0 ? 'E' : 'W'},${speedVar.toFixed(1)},${courseVar.toFixed(1)},${dateStr},0.0,E,A`;
-      sentences.push(this.addChecksum(rmc));
-
-      // Add GGA every 5th sentence
-      if (i % 5 === 0) {
-        const gga = `$GPGGA,${timeStr},${latDeg}${latMin.toFixed(4)},${lat >= 0 ? 'N' : 'S'},${lonDeg.toString().padStart(3, '0')}${lonMin.toFixed(4)},${lon >= 0 ? 'E' : 'W'},1,08,0.9,10.0,M,47.0,M,,`;
-        sentences.push(this.addChecksum(gga));
-      }
+      const state = model.step(interval);
+      const time = this.now(interval * 1000);
 
-      // Add HDG every 3rd sentence
-      if (i % 3 === 0) {
-        const hdg = `$HCHDG,${courseVar.toFixed(1)},0.0,E,0.0,W`;
-        sentences.push(this.addChecksum(hdg));
+      for (const type of types) {
+        if (i % (every[type] || 1) === 0) {
+          sentences.push(this.addChecksum(this.formatVesselSentence(type, state, time)));
+        }
       }
     }
 
     return sentences;
   }
 
+  /**
+   * Format one navigation sentence (without checksum) from a model state
+   */
+  formatVesselSentence(type, state, time) {
+    const iso = time.toISOString();
+    const timeStr = iso.replace(/[-:T]/g, '').substring(8, 14);
+    // RMC date is ddmmyy
+    const dateStr = `${iso.substring(8, 10)}${iso.substring(5, 7)}${iso.substring(2, 4)}`;
+
+    const latAbs = Math.abs(state.lat);
+    const lonAbs = Math.abs(state.lon);
+    const latDeg = Math.floor(latAbs);
+    const lonDeg = Math.floor(lonAbs);
+    const lat = `${String(latDeg).padStart(2, '0')}${((latAbs - latDeg) * 60).toFixed(4).padStart(7, '0')},${state.lat >= 0 ? 'N' : 'S'}`;
+    const lon = `${String(lonDeg).padStart(3, '0')}${((lonAbs - lonDeg) * 60).toFixed(4).padStart(7, '0')},${state.lon >= 0 ? 'E' : 'W'}`;
+
+    const variation = `${Math.abs(state.variation).toFixed(1)},${state.variation >= 0 ? 'E' : 'W'}`;
+    const cog = state.cog.toFixed(1);
+    const sog = state.sog.toFixed(1);
+
+    switch (type) {
+      case 'RMC':
+        return `$GPRMC,${timeStr},A,${lat},${lon},${sog},${cog},${dateStr},${variation},A`;
+      case 'GGA':
+        return `$GPGGA,${timeStr},${lat},${lon},1,08,0.9,10.0,M,47.0,M,,`;
+      case 'VTG': {
+        const cogMagnetic = ((state.cog - state.variation + 360) % 360).toFixed(1);
+        return `$GPVTG,${cog},T,${cogMagnetic},M,${sog},N,${(state.sog * 1.852).toFixed(1)},K,A`;
+      }
+      case 'HDT':
+        return `$HEHDT,${state.heading.toFixed(1)},T`;
+      case 'HDG':
+        return `$HCHDG,${state.headingMagnetic.toFixed(1)},0.0,E,${variation}`;
+      default:
+        throw new Error(`Unknown navigation sentence type: ${type}`);
+    }
+  }
+
   /**
    * Generate environment NMEA sentences
    */
@@ -303,13 +609,13 @@ class NmeaFeeder {
 
     for (let i = 0; i < count; i++) {
       // Depth
-      const depth = baseDepth + (Math.random() - 0.5) * 2;
+      const depth = baseDepth + (this.random() - 0.5) * 2;
       const dbt = `$SDDBT,${(depth * 3.28084).toFixed(1)},f,${depth.toFixed(1)},M,${(depth * 0.546807).toFixed(1)},F`;
       sentences.push(this.addChecksum(dbt));
 
       // Apparent wind
-      const windSpeed = baseWindSpeed + (Math.random() - 0.5) * 5;
-      const windAngle = baseWindAngle + (Math.random() - 0.5) * 20;
+      const windSpeed = baseWindSpeed + (this.random() - 0.5) * 5;
+      const windAngle = baseWindAngle + (this.random() - 0.5) * 20;
       const mwvR = `$WIMWV,${windAngle.toFixed(1)},R,${windSpeed.toFixed(1)},M,A`;
       sentences.push(this.addChecksum(mwvR));
 
@@ -321,7 +627,7 @@ class NmeaFeeder {
 
       // Temperature every 10th
       if (i % 10 === 0) {
-        const temp = 20 + Math.random() * 5;
+        const temp = 20 + this.random() * 5;
         const xdr = `$YXXDR,C,${temp.toFixed(1)},C,TEMP`;
         sentences.push(this.addChecksum(xdr));
       }
@@ -331,25 +637,126 @@ class NmeaFeeder {
   }
 
   /**
-   * Generate AIS NMEA sentences (simplified)
+   * Encode one AIS message into !AIVDM sentences
+   * See AisEncoder for the supported types and fields.
    */
-  generateAisBurst(count, config = {}) {
-    // These are sample real AIS messages - in production you'd generate proper encoded AIS
-    const sampleAis = [
-      '!AIVDM,1,1,,A,13u@DP0P00PlJ`<5;:0?4?v00000,0*39',
-      '!AIVDM,1,1,,B,15MgK70000JsHG8Hus0FbD:0000,0*61',
-      '!AIVDM,1,1,,A,15N4cJ`005Jrek0H@9n`DW5608EP,0*13',
-      '!AIVDM,1,1,,B,13HOI:0P00PlRG0Hch2rP?v@0D02,0*4A',
-      '!AIVDM,1,1,,A,14eGrSiP00PlhH@HUBD0v?v@0<0g,0*74',
-    ];
+  encodeAis(message, options = {}) {
+    const sentences = AisEncoder.encode({ timestamp: this.now(0).getUTCSeconds(), ...message }, {
+      channel: options.channel || (this.aisSequenceId % 2 === 0 ? 'A' : 'B'),
+      sequenceId: this.aisSequenceId,
+      talker: options.talker,
+    });
+    this.aisSequenceId = (this.aisSequenceId + 1) % 10;
+    return sentences;
+  }
 
+  /**
+   * Generate distinct AIS targets scattered around a center point
+   *
+   * Every target has its own MMSI, name, callsign, dimensions and motion.
+   * Roughly config.classBRatio of them are Class B transponders.
+   */
+  generateAisTargets(count, config = {}) {
+    const centerLat = config.centerLat ?? 60.15;
+    const centerLon = config.centerLon ?? 24.95;
+    const radius = config.radius ?? 5; // nautical miles
+    const mmsiBase = config.mmsiBase || 230000000;
+    const classBRatio = config.classBRatio ?? 0.3;
+    const classBEvery = classBRatio > 0 ? Math.max(1, Math.round(1 / classBRatio)) : 0;
+
+    const targets = [];
+    for (let i = 0; i < count; i++) {
+      const distance = Math.sqrt(this.random()) * radius;
+      const bearing = this.random() * 2 * Math.PI;
+      const lat = centerLat + (distance * Math.cos(bearing)) / 60;
+      const lon =
+        centerLon + (distance * Math.sin(bearing)) / (60 * Math.cos((centerLat * Math.PI) / 180));
+      const cog = this.random() * 360;
+      const classB = classBEvery > 0 && i % classBEvery === classBEvery - 1;
+      const length = classB ? 8 + Math.round(this.random() * 10) : 20 + Math.round(this.random() * 150);
+      const beam = Math.max(3, Math.round(length / 6));
+
+      targets.push({
+        mmsi: mmsiBase + i + 1,
+        class: classB ? 'B' : 'A',
+        name: `TARGET ${i + 1}`,
+        callsign: `TST${String(i + 1).padStart(4, '0')}`,
+        shipType: classB ? 37 : [30, 52, 60, 70, 80][i % 5],
+        lat,
+        lon,
+        sog: classB ? this.random() * 8 : this.random() * 18,
+        cog,
+        heading: Math.round(cog) % 360,
+        navStatus: 'under way using engine',
+        dimensions: {
+          toBow: Math.round(length * 0.7),
+          toStern: length - Math.round(length * 0.7),
+          toPort: Math.floor(beam / 2),
+          toStarboard: beam - Math.floor(beam / 2),
+        },
+        destination: 'HELSINKI',
+        draught: classB ? 1.5 : 3 + Math.round(this.random() * 80) / 10,
+      });
+    }
+    return targets;
+  }
+
+  /**
+   * Move an AIS target along its course for the given number of seconds
+   */
+  advanceAisTarget(target, seconds) {
+    const distance = (target.sog * seconds) / 3600; // nautical miles
+    const cogRad = (target.cog * Math.PI) / 180;
+    target.lat += (distance * Math.cos(cogRad)) / 60;
+    target.lon += (distance * Math.sin(cogRad)) / (60 * Math.cos((target.lat * Math.PI) / 180));
+    return target;
+  }
+
+  /**
+   * Generate AIS traffic: static data for every target, then `count`
+   * position reports cycling through the targets as they move.
+   *
+   * Class A targets send type 5 + type 1/2/3, Class B targets type 24 +
+   * type 18 (every 4th Class B report is an extended type 19).
+   * Pass config.targets to reuse targets across bursts.
+   */
+  generateAisBurst(count, config = {}) {
+    const targets = config.targets || this.generateAisTargets(config.targetCount || count, config);
+    const interval = config.interval ?? 10; // seconds between reports of a target
     const sentences = [];
+
+    if (config.staticData !== false) {
+      for (const target of targets) {
+        sentences.push(...this.encodeAis({ ...target, type: target.class === 'B' ? 24 : 5 }));
+      }
+    }
+
     for (let i = 0; i < count; i++) {
-      sentences.push(sampleAis[i % sampleAis.length]);
+      const target = targets[i % targets.length];
+      const round = Math.floor(i / targets.length);
+      if (round > 0) {
+        this.advanceAisTarget(target, interval);
+      }
+
+      let type;
+      if (target.class === 'B') {
+        type = round % 4 === 3 ? 19 : 18;
+      } else {
+        type = [1, 2, 3][round % 3];
+      }
+      sentences.push(...this.encodeAis({ ...target, type }));
     }
+
     return sentences;
   }
 
+  /**
+   * Generate Aid to Navigation reports (type 21)
+   */
+  generateAtonReports(atons) {
+    return atons.flatMap((aton) => this.encodeAis({ ...aton, type: 21 }));
+  }
+
   /**
    * Calculate and add NMEA checksum
    */
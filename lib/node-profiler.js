@@ -0,0 +1,482 @@
+/**
+ * NodeProfiler - Heap snapshots and CPU profiles of the server under test
+ *
+ * Talks the Chrome DevTools protocol to the server's inspector, which
+ * ContainerManager opens with `inspect: true` (NODE_OPTIONS=--inspect on a
+ * published port). Heap snapshots taken before and after a load phase are
+ * summarized per constructor name, with retained sizes from the dominator
+ * tree, so the report can say *what* grew instead of only *that* memory
+ * grew. CPU profiles are summarized as the functions with the most self
+ * time.
+ *
+ * Artifacts (.heapsnapshot, .cpuprofile) and a JSON record per heap diff or
+ * profile go to SIGNALK_PROFILE_DIR (set by CustomReporter, default
+ * reports/profiles); the reporter lists the records.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'reports', 'profiles');
+const COMMAND_TIMEOUT = 120000;
+
+// How DevTools names nodes that are not plain objects
+const TYPE_NAMES = {
+  array: '(array)',
+  string: '(string)',
+  'concatenated string': '(concatenated string)',
+  'sliced string': '(sliced string)',
+  code: '(compiled code)',
+  closure: '(closure)',
+  regexp: '(regexp)',
+  number: '(number)',
+  heapnumber: '(heap number)',
+  hidden: '(system)',
+  'object shape': '(system)',
+  symbol: '(symbol)',
+  bigint: '(bigint)',
+};
+
+class NodeProfiler {
+  /**
+   * @param {object} options
+   * @param {string} options.host - inspector host (default localhost)
+   * @param {number} options.port - published inspector port
+   * @param {LogMonitor} options.logMonitor - phase recorded with artifacts
+   * @param {string} options.outputDir - artifact directory
+   */
+  constructor(options = {}) {
+    this.host = options.host || 'localhost';
+    this.port = options.port || 9229;
+    this.logMonitor = options.logMonitor || null;
+    this.outputDir = options.outputDir || process.env.SIGNALK_PROFILE_DIR || DEFAULT_OUTPUT_DIR;
+    this.ws = null;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.listeners = new Map();
+  }
+
+  /**
+   * Connect to the first Node.js target the inspector lists
+   */
+  async connect(timeout = 30000) {
+    const start = Date.now();
+    let targets = null;
+    while (!targets) {
+      try {
+        const res = await fetch(`http://${this.host}:${this.port}/json/list`, {
+          signal: AbortSignal.timeout(5000),
+        });
+        targets = await res.json();
+      } catch (e) {
+        if (Date.now() - start > timeout) {
+          throw new Error(`Inspector not reachable on ${this.host}:${this.port}: ${e.message}`);
+        }
+        await new Promise((r) => setTimeout(r, 1000));
+      }
+    }
+
+    const target = targets.find((t) => t.type === 'node') || targets[0];
+    if (!target) {
+      throw new Error(`No inspector target on ${this.host}:${this.port}`);
+    }
+    // The URL names the address inside the container; go through the published port
+    const url = new URL(target.webSocketDebuggerUrl);
+    url.host = `${this.host}:${this.port}`;
+
+    this.ws = new WebSocket(url.toString(), { maxPayload: 0 });
+    await new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+    this.ws.on('message', (data) => this.handleMessage(JSON.parse(data.toString())));
+    this.ws.on('close', () => {
+      for (const { reject, timer } of this.pending.values()) {
+        clearTimeout(timer);
+        reject(new Error('Inspector connection closed'));
+      }
+      this.pending.clear();
+    });
+    return this;
+  }
+
+  handleMessage(message) {
+    if (message.id !== undefined) {
+      const call = this.pending.get(message.id);
+      if (!call) return;
+      this.pending.delete(message.id);
+      clearTimeout(call.timer);
+      if (message.error) {
+        call.reject(new Error(`${call.method}: ${message.error.message}`));
+      } else {
+        call.resolve(message.result || {});
+      }
+    } else if (message.method) {
+      this.listeners.get(message.method)?.(message.params);
+    }
+  }
+
+  /**
+   * Send a DevTools protocol command
+   */
+  send(method, params = {}) {
+    if (!this.ws) {
+      return Promise.reject(new Error('Profiler not connected'));
+    }
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${method} timed out`));
+      }, COMMAND_TIMEOUT);
+      this.pending.set(id, { resolve, reject, timer, method });
+      this.ws.send(JSON.stringify({ id, method, params }));
+    });
+  }
+
+  async close() {
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+  }
+
+  /**
+   * Take a heap snapshot (after a full GC) and write <name>.heapsnapshot
+   * Returns { name, phase, file, time, summary } with the per-constructor
+   * summary of the snapshot.
+   */
+  async takeHeapSnapshot(name) {
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    const file = path.join(this.outputDir, `${name}.heapsnapshot`);
+    const out = fs.createWriteStream(file);
+
+    this.listeners.set('HeapProfiler.addHeapSnapshotChunk', ({ chunk }) => out.write(chunk));
+    try {
+      await this.send('HeapProfiler.enable');
+      await this.send('HeapProfiler.collectGarbage');
+      await this.send('HeapProfiler.takeHeapSnapshot', { reportProgress: false });
+    } finally {
+      this.listeners.delete('HeapProfiler.addHeapSnapshotChunk');
+      await new Promise((resolve) => out.end(resolve));
+    }
+
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return {
+      name,
+      phase: this.logMonitor?.currentPhase || null,
+      file,
+      time: new Date().toISOString(),
+      summary: NodeProfiler.summarizeHeapSnapshot(snapshot),
+    };
+  }
+
+  /**
+   * Diff two takeHeapSnapshot() results and write <name>.heap-diff.json
+   */
+  saveHeapDiff(name, before, after, limit = 20) {
+    const record = {
+      type: 'heap-diff',
+      name,
+      phase: after.phase,
+      before: { file: path.basename(before.file), time: before.time, total: before.summary.total },
+      after: { file: path.basename(after.file), time: after.time, total: after.summary.total },
+      diff: NodeProfiler.diffHeapSummaries(before.summary, after.summary, limit),
+    };
+    this.writeRecord(`${name}.heap-diff.json`, record);
+    return record;
+  }
+
+  /**
+   * Start sampling the CPU (interval in microseconds)
+   */
+  async startCpuProfile(interval = 1000) {
+    await this.send('Profiler.enable');
+    await this.send('Profiler.setSamplingInterval', { interval });
+    await this.send('Profiler.start');
+    this.cpuProfileStart = { time: new Date().toISOString(), phase: this.logMonitor?.currentPhase || null };
+  }
+
+  /**
+   * Stop sampling, write <name>.cpuprofile and <name>.cpu.json
+   */
+  async stopCpuProfile(name, limit = 20) {
+    const { profile } = await this.send('Profiler.stop');
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    const file = path.join(this.outputDir, `${name}.cpuprofile`);
+    fs.writeFileSync(file, JSON.stringify(profile));
+
+    const summary = NodeProfiler.summarizeCpuProfile(profile, limit);
+    const record = {
+      type: 'cpu-profile',
+      name,
+      phase: this.cpuProfileStart?.phase || this.logMonitor?.currentPhase || null,
+      start: this.cpuProfileStart?.time || null,
+      file: path.basename(file),
+      ...summary,
+    };
+    this.writeRecord(`${name}.cpu.json`, record);
+    return record;
+  }
+
+  writeRecord(fileName, record) {
+    fs.mkdirSync(this.outputDir, { recursive: true });
+    fs.writeFileSync(path.join(this.outputDir, fileName), JSON.stringify(record, null, 2));
+  }
+
+  /**
+   * Per-constructor count, self size and retained size of a heap snapshot
+   *
+   * Retained sizes come from the dominator tree (weak edges ignored). As in
+   * the DevTools summary view, an object nested under another object of the
+   * same constructor is not counted again, so class totals don't double up.
+   *
+   * @returns {object} { total, constructors: { name: { count, selfSize, retainedSize } } }
+   */
+  static summarizeHeapSnapshot(snapshot) {
+    const meta = snapshot.snapshot.meta;
+    const nodeFields = meta.node_fields;
+    const edgeFields = meta.edge_fields;
+    const nodeTypes = meta.node_types[0];
+    const edgeTypes = meta.edge_types[0];
+    const nodeWidth = nodeFields.length;
+    const edgeWidth = edgeFields.length;
+    const { nodes, edges, strings } = snapshot;
+
+    const typeOffset = nodeFields.indexOf('type');
+    const nameOffset = nodeFields.indexOf('name');
+    const sizeOffset = nodeFields.indexOf('self_size');
+    const edgeCountOffset = nodeFields.indexOf('edge_count');
+    const edgeTypeOffset = edgeFields.indexOf('type');
+    const toNodeOffset = edgeFields.indexOf('to_node');
+    const weakType = edgeTypes.indexOf('weak');
+
+    const count = nodes.length / nodeWidth;
+    const firstEdge = new Uint32Array(count + 1);
+    for (let i = 0, e = 0; i < count; i++) {
+      firstEdge[i] = e;
+      e += nodes[i * nodeWidth + edgeCountOffset] * edgeWidth;
+      firstEdge[i + 1] = e;
+    }
+    const children = (i, fn) => {
+      for (let e = firstEdge[i]; e < firstEdge[i + 1]; e += edgeWidth) {
+        if (edges[e + edgeTypeOffset] !== weakType) {
+          fn(edges[e + toNodeOffset] / nodeWidth);
+        }
+      }
+    };
+
+    // Post-order from the root (node 0), iteratively
+    const order = new Int32Array(count).fill(-1);
+    const postOrder = [];
+    const stack = [0];
+    const nextChild = new Uint32Array(count);
+    order[0] = -2;
+    for (let i = 0; i < count; i++) nextChild[i] = firstEdge[i];
+    while (stack.length > 0) {
+      const node = stack[stack.length - 1];
+      let pushed = false;
+      while (nextChild[node] < firstEdge[node + 1]) {
+        const e = nextChild[node];
+        nextChild[node] += edgeWidth;
+        if (edges[e + edgeTypeOffset] === weakType) continue;
+        const child = edges[e + toNodeOffset] / nodeWidth;
+        if (order[child] === -1) {
+          order[child] = -2;
+          stack.push(child);
+          pushed = true;
+          break;
+        }
+      }
+      if (!pushed) {
+        stack.pop();
+        order[node] = postOrder.length;
+        postOrder.push(node);
+      }
+    }
+
+    // Predecessors of reachable nodes
+    const predecessors = new Map();
+    for (const node of postOrder) {
+      children(node, (child) => {
+        if (!predecessors.has(child)) predecessors.set(child, []);
+        predecessors.get(child).push(node);
+      });
+    }
+
+    // Cooper, Harvey & Kennedy: iterate immediate dominators to a fixpoint
+    const root = 0;
+    const idom = new Int32Array(count).fill(-1);
+    idom[root] = root;
+    const intersect = (a, b) => {
+      while (a !== b) {
+        while (order[a] < order[b]) a = idom[a];
+        while (order[b] < order[a]) b = idom[b];
+      }
+      return a;
+    };
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (let k = postOrder.length - 2; k >= 0; k--) {
+        const node = postOrder[k];
+        let dominator = -1;
+        for (const pred of predecessors.get(node) || []) {
+          if (idom[pred] === -1) continue;
+          dominator = dominator === -1 ? pred : intersect(pred, dominator);
+        }
+        if (dominator !== -1 && idom[node] !== dominator) {
+          idom[node] = dominator;
+          changed = true;
+        }
+      }
+    }
+
+    // Retained size: own size plus everything it dominates (post-order is
+    // children first, so sizes flow up in one pass)
+    const retained = new Float64Array(count);
+    for (const node of postOrder) {
+      retained[node] += nodes[node * nodeWidth + sizeOffset];
+      if (node !== root) {
+        retained[idom[node]] += retained[node];
+      }
+    }
+
+    const className = (i) => {
+      const type = nodeTypes[nodes[i * nodeWidth + typeOffset]];
+      if (type === 'object' || type === 'native') {
+        return strings[nodes[i * nodeWidth + nameOffset]];
+      }
+      return TYPE_NAMES[type] || `(${type})`;
+    };
+
+    // Walk the dominator tree, counting a class's retained size only for
+    // its outermost objects
+    const dominated = new Map();
+    for (const node of postOrder) {
+      if (node === root) continue;
+      if (!dominated.has(idom[node])) dominated.set(idom[node], []);
+      dominated.get(idom[node]).push(node);
+    }
+
+    const constructors = {};
+    const onPath = new Map();
+    const walk = [[root, false]];
+    while (walk.length > 0) {
+      const [node, leaving] = walk.pop();
+      const name = node === root ? null : className(node);
+      if (leaving) {
+        onPath.set(name, onPath.get(name) - 1);
+        continue;
+      }
+      if (name !== null) {
+        const entry = (constructors[name] = constructors[name] || { count: 0, selfSize: 0, retainedSize: 0 });
+        entry.count++;
+        entry.selfSize += nodes[node * nodeWidth + sizeOffset];
+        if (!onPath.get(name)) {
+          entry.retainedSize += retained[node];
+        }
+        onPath.set(name, (onPath.get(name) || 0) + 1);
+        walk.push([node, true]);
+      }
+      for (const child of dominated.get(node) || []) {
+        walk.push([child, false]);
+      }
+    }
+
+    return { total: retained[root], constructors };
+  }
+
+  /**
+   * Constructors whose retained size changed most between two summaries
+   */
+  static diffHeapSummaries(before, after, limit = 20) {
+    const names = new Set([...Object.keys(before.constructors), ...Object.keys(after.constructors)]);
+    const empty = { count: 0, selfSize: 0, retainedSize: 0 };
+    return [...names]
+      .map((name) => {
+        const a = before.constructors[name] || empty;
+        const b = after.constructors[name] || empty;
+        return {
+          name,
+          countBefore: a.count,
+          countAfter: b.count,
+          countDelta: b.count - a.count,
+          retainedBefore: a.retainedSize,
+          retainedAfter: b.retainedSize,
+          retainedDelta: b.retainedSize - a.retainedSize,
+        };
+      })
+      .filter((d) => d.retainedDelta !== 0 || d.countDelta !== 0)
+      .sort((x, y) => Math.abs(y.retainedDelta) - Math.abs(x.retainedDelta))
+      .slice(0, limit);
+  }
+
+  /**
+   * Total sampled time and the functions with the most self time
+   * (idle time left out)
+   */
+  static summarizeCpuProfile(profile, limit = 20) {
+    const byId = new Map(profile.nodes.map((node) => [node.id, node]));
+    const intervals = profile.timeDeltas || [];
+    const selfTime = new Map();
+
+    // samples[i] was running for timeDeltas[i + 1]
+    for (let i = 0; i < profile.samples.length; i++) {
+      const delta = intervals[i + 1] ?? 0;
+      selfTime.set(profile.samples[i], (selfTime.get(profile.samples[i]) || 0) + delta);
+    }
+
+    const functions = new Map();
+    for (const [id, micros] of selfTime) {
+      const { callFrame } = byId.get(id);
+      const name = callFrame.functionName || '(anonymous)';
+      const key = `${name}\u0000${callFrame.url}\u0000${callFrame.lineNumber}`;
+      if (!functions.has(key)) {
+        functions.set(key, {
+          functionName: name,
+          url: callFrame.url,
+          line: callFrame.lineNumber + 1,
+          selfTime: 0,
+        });
+      }
+      functions.get(key).selfTime += micros;
+    }
+
+    const total = profile.endTime - profile.startTime;
+    const top = [...functions.values()]
+      .filter((f) => f.functionName !== '(idle)')
+      .sort((a, b) => b.selfTime - a.selfTime)
+      .slice(0, limit)
+      .map((f) => ({
+        ...f,
+        selfTime: Math.round(f.selfTime / 1000),
+        percent: total > 0 ? Math.round((f.selfTime / total) * 1000) / 10 : 0,
+      }));
+    return { duration: Math.round(total / 1000), top };
+  }
+
+  /**
+   * Read the heap-diff and CPU profile records from a directory
+   */
+  static loadRecords(dir) {
+    if (!dir || !fs.existsSync(dir)) {
+      return [];
+    }
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith('.heap-diff.json') || f.endsWith('.cpu.json'))
+      .sort()
+      .map((f) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8'));
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = { NodeProfiler };
@@ -0,0 +1,258 @@
+/**
+ * ResourceSampler - Container resource usage over the whole run
+ *
+ * Polls Docker stats for the container under test at a fixed interval
+ * and records CPU, memory (usage and RSS), network bytes, block IO and
+ * PID count, tagged with the LogMonitor phase. A slow leak or a CPU spike
+ * can then be tied to the phase that caused it instead of being noticed
+ * (or not) by a single getStats() call in one test.
+ *
+ * Samples are written to SIGNALK_RESOURCE_SAMPLES (set by CustomReporter)
+ * as <container name>.json; the reporter merges them into resources.csv,
+ * resources.json and the charts in report.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_INTERVAL = 5000;
+
+const CSV_COLUMNS = [
+  'time',
+  'container',
+  'phase',
+  'cpuPercent',
+  'memoryUsage',
+  'memoryRss',
+  'memoryLimit',
+  'netRx',
+  'netTx',
+  'blockRead',
+  'blockWrite',
+  'pids',
+];
+
+class ResourceSampler {
+  /**
+   * @param {object} options
+   * @param {LogMonitor} options.logMonitor - source of the current phase
+   * @param {string} options.name - container name, used for the output file
+   * @param {string} options.image - image under test, for the report
+   * @param {number} options.interval - ms between samples (default
+   *   SIGNALK_RESOURCE_INTERVAL or 5000; 0 turns sampling off)
+   * @param {string} options.outputDir - where samples are written
+   *   (default SIGNALK_RESOURCE_SAMPLES; none when unset)
+   */
+  constructor(options = {}) {
+    this.logMonitor = options.logMonitor || null;
+    this.name = options.name || null;
+    this.image = options.image || null;
+    const envInterval = process.env.SIGNALK_RESOURCE_INTERVAL;
+    this.interval = options.interval ?? (envInterval ? Number(envInterval) : DEFAULT_INTERVAL);
+    this.outputDir = options.outputDir || process.env.SIGNALK_RESOURCE_SAMPLES || null;
+    this.samples = [];
+    this.container = null;
+    this.timer = null;
+  }
+
+  /**
+   * Sample a container until stop(); replaces the previous container
+   * (ContainerManager creates a new one on every start)
+   */
+  start(container) {
+    this.stop();
+    if (!(this.interval > 0)) {
+      return;
+    }
+    this.container = container;
+    this.schedule(0);
+  }
+
+  /**
+   * Stop sampling and write what was recorded
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.container = null;
+    this.save();
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(() => this.poll(), delay);
+    // Never keep a worker alive just to sample
+    this.timer.unref?.();
+  }
+
+  async poll() {
+    const container = this.container;
+    const started = Date.now();
+    try {
+      const stats = await container.stats({ stream: false });
+      if (container === this.container) {
+        this.record(stats);
+      }
+    } catch (e) {
+      // Container stopped or being replaced; try again next interval
+    }
+    if (container === this.container) {
+      this.schedule(Math.max(0, this.interval - (Date.now() - started)));
+    }
+  }
+
+  /**
+   * Add a sample from a Docker stats object; returns it, or null for the
+   * empty stats of a stopped container
+   */
+  record(stats, time = new Date()) {
+    const usage = ResourceSampler.parseStats(stats);
+    if (!usage) {
+      return null;
+    }
+    const sample = {
+      time: new Date(time).toISOString(),
+      container: this.name,
+      phase: this.logMonitor?.currentPhase || null,
+      ...usage,
+    };
+    this.samples.push(sample);
+    this.save();
+    return sample;
+  }
+
+  /**
+   * Samples taken during a phase
+   */
+  phaseSamples(phase) {
+    return this.samples.filter((s) => s.phase === phase);
+  }
+
+  /**
+   * CPU, memory, network, block IO and PIDs from a Docker stats object
+   * Network and block IO are the container's cumulative byte counters.
+   * RSS is memory_stats.stats.rss (cgroup v1) or anon (cgroup v2).
+   */
+  static parseStats(stats) {
+    const memory = stats?.memory_stats;
+    if (!memory?.usage) {
+      return null;
+    }
+
+    const cpu = stats.cpu_stats || {};
+    const precpu = stats.precpu_stats || {};
+    const cpuDelta = (cpu.cpu_usage?.total_usage || 0) - (precpu.cpu_usage?.total_usage || 0);
+    const systemDelta = (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+    const cpus = cpu.online_cpus || cpu.cpu_usage?.percpu_usage?.length || 1;
+    const cpuPercent = cpuDelta > 0 && systemDelta > 0 ? (cpuDelta / systemDelta) * cpus * 100 : 0;
+
+    const detail = memory.stats || {};
+    const inactive = detail.inactive_file ?? detail.total_inactive_file ?? 0;
+    const rss = detail.rss ?? detail.anon ?? memory.usage - inactive;
+
+    const networks = Object.values(stats.networks || {});
+    const io = stats.blkio_stats?.io_service_bytes_recursive || [];
+    const ioBytes = (op) =>
+      io.filter((e) => e.op?.toLowerCase() === op).reduce((sum, e) => sum + e.value, 0);
+
+    return {
+      cpuPercent: Math.round(cpuPercent * 100) / 100,
+      memoryUsage: memory.usage,
+      memoryRss: rss,
+      memoryLimit: memory.limit || null,
+      netRx: networks.reduce((sum, n) => sum + (n.rx_bytes || 0), 0),
+      netTx: networks.reduce((sum, n) => sum + (n.tx_bytes || 0), 0),
+      blockRead: ioBytes('read'),
+      blockWrite: ioBytes('write'),
+      pids: stats.pids_stats?.current ?? null,
+    };
+  }
+
+  /**
+   * Per container and phase: CPU average/peak and RSS at start, end and peak
+   */
+  static summarizePhases(samples) {
+    const groups = new Map();
+    for (const sample of samples) {
+      const key = `${sample.container}\u0000${sample.phase}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(sample);
+    }
+
+    return [...groups.values()].map((group) => {
+      const first = group[0];
+      const last = group[group.length - 1];
+      const cpu = group.map((s) => s.cpuPercent);
+      return {
+        container: first.container,
+        phase: first.phase,
+        samples: group.length,
+        start: first.time,
+        end: last.time,
+        cpuAvg: Math.round((cpu.reduce((a, b) => a + b, 0) / cpu.length) * 100) / 100,
+        cpuMax: Math.max(...cpu),
+        rssStart: first.memoryRss,
+        rssEnd: last.memoryRss,
+        rssMax: Math.max(...group.map((s) => s.memoryRss)),
+        pidsMax: Math.max(...group.map((s) => s.pids ?? 0)),
+      };
+    });
+  }
+
+  /**
+   * Samples as CSV, one row per sample
+   */
+  static toCSV(samples) {
+    const cell = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = samples.map((s) => CSV_COLUMNS.map((column) => cell(s[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  toJSON() {
+    return {
+      container: this.name,
+      image: this.image,
+      interval: this.interval,
+      samples: this.samples,
+    };
+  }
+
+  /**
+   * Write the samples to outputDir/<name>.json
+   */
+  save() {
+    if (!this.outputDir || !this.name || this.samples.length === 0) return;
+    try {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+      fs.writeFileSync(path.join(this.outputDir, `${this.name}.json`), JSON.stringify(this));
+    } catch (e) {
+      // Reporting only; never fail a test over it
+    }
+  }
+
+  /**
+   * Read the sample files all samplers wrote to a directory
+   */
+  static load(dir) {
+    if (!dir || !fs.existsSync(dir)) {
+      return [];
+    }
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith('.json'))
+      .sort()
+      .map((f) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8'));
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = { ResourceSampler };
@@ -0,0 +1,208 @@
+/**
+ * ResultsArchive - Validation results of every tested release
+ *
+ * scripts/generate-report.js adds each consolidated run with --archive,
+ * keyed by image tag and digest, so a re-pushed tag is a separate entry
+ * and a re-run of the same image replaces the earlier one:
+ *
+ *   archive/
+ *     index.json                         one line per entry, newest last
+ *     <tag>/<digest>/results.json        the consolidated results
+ *     <tag>/<digest>/record.json         what the trend dashboard reads
+ *
+ * A record keeps the summary, pass rate and duration per category, the
+ * status and duration of every test, log error counts, and the memory,
+ * latency and throughput figures of the run. regressions() walks the
+ * records in release order and reports the version at which each test
+ * started failing, and the last version it passed on, for bisecting.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const semver = require('semver');
+const { KnownIssues } = require('./known-issues');
+
+const INDEX_FILE = 'index.json';
+
+// Digests are shortened like `docker images` does
+const DIGEST_LENGTH = 12;
+
+class ResultsArchive {
+  /**
+   * @param {string} dir - archive directory (created on first add)
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Tag and digest of an image reference; the digest may also come from
+   * `docker inspect` ('sha256:...')
+   */
+  static parseImage(image, digest = null) {
+    const [name, pinned] = image.split('@');
+    const tag = name.match(/:([^/:]+)$/)?.[1] || 'latest';
+    const full = digest || pinned || null;
+    return {
+      repository: KnownIssues.repository(image),
+      tag,
+      digest: full ? full.replace(/^sha256:/, '').slice(0, DIGEST_LENGTH) : 'unknown',
+      version: KnownIssues.imageVersion(image),
+    };
+  }
+
+  /**
+   * Compact record of a consolidated results.json for the dashboard
+   */
+  static summarize(results, options = {}) {
+    const { repository, tag, digest, version } = ResultsArchive.parseImage(results.image, options.digest);
+
+    const categories = (results.tests || []).map((testFile) => {
+      const tests = testFile.tests || [];
+      return {
+        category: testFile.category,
+        file: testFile.file,
+        total: tests.length,
+        passed: tests.filter((t) => t.status === 'passed' || t.status === 'flaky').length,
+        failed: tests.filter((t) => t.status === 'failed').length,
+        duration: testFile.duration || 0,
+        logErrors: testFile.logs?.errors ?? (testFile.logErrors || []).length,
+      };
+    });
+
+    const tests = {};
+    for (const testFile of results.tests || []) {
+      for (const t of testFile.tests || []) {
+        tests[`${testFile.file} › ${t.fullName || t.name}`] = {
+          category: testFile.category,
+          name: t.fullName || t.name,
+          status: t.status,
+          duration: t.duration || 0,
+        };
+      }
+    }
+
+    const phases = results.resources?.phases || [];
+    const latency = results.latency || [];
+    const throughput = {};
+    for (const w of results.benchmark?.comparison.workloads || []) {
+      if (w.candidate?.mean !== null && w.candidate?.mean !== undefined) {
+        throughput[w.workload] = { title: w.title, unit: w.unit, value: Math.round(w.candidate.mean * 10) / 10 };
+      }
+    }
+
+    return {
+      key: `${tag}@${digest}`,
+      image: results.image,
+      repository,
+      tag,
+      digest,
+      version,
+      time: results.endTime || results.startTime || new Date().toISOString(),
+      summary: results.summary,
+      categories,
+      tests,
+      metrics: {
+        rssMax: phases.length ? Math.max(...phases.map((p) => p.rssMax)) : null,
+        cpuMax: phases.length ? Math.max(...phases.map((p) => p.cpuMax)) : null,
+        latencyP95: latency.length ? Math.max(...latency.map((r) => r.p95 ?? 0)) : null,
+        benchmark: throughput,
+      },
+    };
+  }
+
+  /**
+   * Store a consolidated run; returns its record
+   */
+  add(results, options = {}) {
+    const record = ResultsArchive.summarize(results, options);
+    const entryDir = path.join(this.dir, record.tag, record.digest);
+    fs.outputJsonSync(path.join(entryDir, 'results.json'), results, { spaces: 2 });
+    fs.outputJsonSync(path.join(entryDir, 'record.json'), record, { spaces: 2 });
+
+    const index = this.index().filter((e) => e.key !== record.key);
+    index.push({ key: record.key, tag: record.tag, digest: record.digest, version: record.version, time: record.time });
+    fs.outputJsonSync(path.join(this.dir, INDEX_FILE), index, { spaces: 2 });
+    return record;
+  }
+
+  /**
+   * Entries of index.json, as stored
+   */
+  index() {
+    const file = path.join(this.dir, INDEX_FILE);
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    try {
+      return fs.readJsonSync(file);
+    } catch (e) {
+      throw new Error(`Invalid archive index ${file}: ${e.message}`);
+    }
+  }
+
+  /**
+   * All records in release order
+   */
+  load() {
+    const records = this.index()
+      .map((e) => path.join(this.dir, e.tag, e.digest, 'record.json'))
+      .filter((file) => fs.existsSync(file))
+      .map((file) => fs.readJsonSync(file));
+    return ResultsArchive.sort(records);
+  }
+
+  /**
+   * Release order: semver tags by version, then other tags ('latest',
+   * 'master') by time; the same version by time
+   */
+  static sort(records) {
+    return [...records].sort((a, b) => {
+      if (a.version && b.version && a.version !== b.version) {
+        return semver.compare(a.version, b.version);
+      }
+      if (!!a.version !== !!b.version) {
+        return a.version ? -1 : 1;
+      }
+      return a.time.localeCompare(b.time);
+    });
+  }
+
+  /**
+   * Tests that passed in one release and failed in the next, in release
+   * order; `fixedIn` is the first later release it passed again, if any
+   */
+  static regressions(records) {
+    const last = new Map();
+    const found = [];
+
+    for (const record of ResultsArchive.sort(records)) {
+      for (const [key, t] of Object.entries(record.tests || {})) {
+        const previous = last.get(key);
+        const passed = t.status === 'passed' || t.status === 'flaky';
+
+        if (t.status === 'failed' && previous?.passed) {
+          found.push({
+            key,
+            category: t.category,
+            name: t.name,
+            lastPassed: previous.record.key,
+            firstFailed: record.key,
+            fixedIn: null,
+          });
+        } else if (passed && previous && !previous.passed) {
+          const open = found.find((r) => r.key === key && r.fixedIn === null);
+          if (open) open.fixedIn = record.key;
+        }
+
+        if (passed || t.status === 'failed') {
+          last.set(key, { passed, record });
+        }
+      }
+    }
+
+    return found;
+  }
+}
+
+module.exports = { ResultsArchive };
@@ -0,0 +1,530 @@
+/**
+ * ScenarioRunner - Validates and runs phased scenario files
+ *
+ * A scenario is a list of phases run in order (see scenario.schema.json).
+ * Phase kinds, selected by `type`:
+ *   nmea (default) - NMEA 0183 over TCP/UDP from file, sentences or generate
+ *   n2k            - NMEA 2000 via N2kSimulator in any input format
+ *   delta          - Signal K deltas sent over the WebSocket stream
+ *   put            - HTTP PUT of a value to a path
+ *   wait-for       - poll the REST API until a path matches
+ *   parallel       - run sub-phases concurrently
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const WebSocket = require('ws');
+const { FailFast } = require('./fail-fast');
+const { N2kSimulator } = require('./n2k-simulator');
+const { StateOracle } = require('./state-oracle');
+const schema = require('./scenario.schema.json');
+
+let validateSchema = null;
+
+class ScenarioRunner {
+  /**
+   * @param {object} options
+   * @param {NmeaFeeder} options.feeder - NMEA 0183 sender
+   * @param {N2kSimulator} options.simulator - NMEA 2000 sender (created on demand)
+   * @param {string} options.apiUrl - REST API root, .../signalk/v1/api
+   * @param {string} options.wsUrl - stream URL (derived from apiUrl if omitted)
+   * @param {number} options.n2kPort - canboat JSON input port
+   * @param {object} options.n2kPorts - format -> port, as in getConnectionInfo()
+   * @param {string} options.token - bearer token for PUT, REST and WebSocket
+   */
+  constructor(options = {}) {
+    this.feeder = options.feeder;
+    this.simulator = options.simulator || null;
+    this.apiUrl = options.apiUrl;
+    this.wsUrl = options.wsUrl || ScenarioRunner.streamUrl(this.apiUrl);
+    this.n2kPort = options.n2kPort;
+    this.n2kPorts = options.n2kPorts;
+    this.token = options.token;
+    // End state of the last generated navigation phase (see generateNmea)
+    this.vessel = null;
+  }
+
+  /**
+   * WebSocket stream URL for a REST API URL
+   */
+  static streamUrl(apiUrl) {
+    if (!apiUrl) {
+      return null;
+    }
+    return apiUrl.replace(/^http/, 'ws').replace(/\/api\/?$/, '/stream');
+  }
+
+  /**
+   * Validate a parsed scenario against the schema
+   * Returns { valid, errors } with one readable message per problem.
+   */
+  static validate(scenario) {
+    if (!validateSchema) {
+      const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+      validateSchema = ajv.compile(schema);
+    }
+
+    if (validateSchema(scenario)) {
+      return { valid: true, errors: [] };
+    }
+    return { valid: false, errors: ScenarioRunner.formatErrors(validateSchema.errors, scenario) };
+  }
+
+  /**
+   * Turn Ajv errors into messages such as
+   *   phases[3] "Open Water": unknown property "protcol" (did you mean "protocol"?)
+   */
+  static formatErrors(errors, scenario) {
+    // Branch errors (if/then, oneOf alternatives) repeat what the
+    // outer keyword already says, so only keep the informative ones
+    const oneOfPaths = errors.filter((e) => e.keyword === 'oneOf').map((e) => e.schemaPath);
+    const relevant = errors.filter(
+      (e) =>
+        e.keyword !== 'if' &&
+        !oneOfPaths.some((p) => e.schemaPath.startsWith(`${p}/`) && e.schemaPath !== p)
+    );
+
+    const messages = relevant.map((e) => {
+      const where = ScenarioRunner.describeLocation(e.instancePath, scenario);
+      switch (e.keyword) {
+        case 'additionalProperties': {
+          const name = e.params.additionalProperty;
+          const suggestion = ScenarioRunner.closest(name, Object.keys(e.parentSchema.properties || {}));
+          return `${where}: unknown property "${name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`;
+        }
+        case 'oneOf':
+          return `${where}: ${e.parentSchema.description || e.message}`;
+        case 'enum':
+          return `${where}: ${e.message} (${e.params.allowedValues.join(', ')})`;
+        default:
+          return `${where}: ${e.message}`;
+      }
+    });
+
+    return [...new Set(messages)];
+  }
+
+  /**
+   * Readable location for a JSON pointer, naming the phase it is in
+   */
+  static describeLocation(pointer, scenario) {
+    if (!pointer) {
+      return 'scenario';
+    }
+
+    const keys = pointer.split('/').slice(1);
+    let node = scenario;
+    let location = '';
+    for (const key of keys) {
+      node = node?.[key];
+      if (/^\d+$/.test(key)) {
+        location += `[${key}]`;
+        if (node?.name) {
+          location += ` "${node.name}"`;
+        }
+      } else {
+        location += location ? `.${key}` : key;
+      }
+    }
+    return location;
+  }
+
+  /**
+   * Closest allowed name by edit distance, for typo hints
+   */
+  static closest(name, candidates) {
+    const distance = (a, b) => {
+      const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+      for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+          const current = row[j];
+          row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+          prev = current;
+        }
+      }
+      return row[b.length];
+    };
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+      const d = distance(name.toLowerCase(), candidate.toLowerCase());
+      if (d < bestDistance) {
+        best = candidate;
+        bestDistance = d;
+      }
+    }
+    return bestDistance <= Math.max(2, Math.floor(name.length / 3)) ? best : null;
+  }
+
+  /**
+   * Read, validate and parse a scenario file
+   * Throws with every validation problem listed.
+   */
+  static load(scenarioPath) {
+    const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf-8'));
+    const { valid, errors } = ScenarioRunner.validate(scenario);
+    if (!valid) {
+      const error = new Error(
+        `Invalid scenario ${path.basename(scenarioPath)}:\n  ${errors.join('\n  ')}`
+      );
+      error.errors = errors;
+      throw error;
+    }
+    return scenario;
+  }
+
+  /**
+   * Run a scenario file; phase errors are collected, not thrown
+   *
+   * The fail-fast signal (SIGNALK_FAIL_FAST) aborts the run: waits
+   * between and after phases reject with its reason.
+   */
+  async run(scenarioPath) {
+    const scenario = ScenarioRunner.load(scenarioPath);
+    this.baseDir = path.dirname(scenarioPath);
+    this.vessel = null;
+
+    const results = {
+      name: scenario.name,
+      phases: [],
+      totalSent: 0,
+      totalErrors: 0,
+      duration: 0,
+    };
+    const start = Date.now();
+    const signal = FailFast.signal();
+
+    for (const phase of scenario.phases) {
+      signal?.throwIfAborted();
+      const phaseResult = await this.runPhase(phase);
+      results.phases.push(phaseResult);
+      results.totalSent += phaseResult.sent;
+      results.totalErrors += phaseResult.errors.length;
+    }
+
+    if (scenario.expect && this.apiUrl) {
+      // Let the server process the tail of the input before reading state
+      await FailFast.delay(scenario.expect.settle ?? 1000, signal);
+
+      try {
+        const oracle = new StateOracle({ apiUrl: this.apiUrl, fetch: this.fetch.bind(this) });
+        results.expectations = await oracle.check(scenario.expect, { since: start });
+      } catch (e) {
+        results.expectations = { error: e.message, checked: 0, passed: 0, failures: [], paths: [] };
+      }
+    }
+
+    results.duration = Date.now() - start;
+    return results;
+  }
+
+  /**
+   * Run one phase and return { name, type, sent, errors, duration }
+   */
+  async runPhase(phase) {
+    const type = phase.type || 'nmea';
+    const phaseResult = {
+      name: phase.name,
+      type,
+      sent: 0,
+      errors: [],
+    };
+    if (type === 'nmea') {
+      phaseResult.protocol = phase.protocol || 'tcp';
+    }
+    const start = Date.now();
+
+    try {
+      const result = await this.executePhase(type, phase);
+      Object.assign(phaseResult, result, {
+        errors: [...phaseResult.errors, ...(result.errors || [])],
+      });
+    } catch (e) {
+      phaseResult.errors.push({ phase: phase.name, error: e.message });
+    }
+
+    phaseResult.duration = Date.now() - start;
+
+    // Inter-phase pause (inside a parallel phase, it delays only that branch)
+    if (phase.pauseAfter) {
+      await FailFast.delay(phase.pauseAfter, FailFast.signal());
+    }
+    return phaseResult;
+  }
+
+  /**
+   * Resolve a phase file relative to the scenario file
+   */
+  resolveFile(file) {
+    return path.isAbsolute(file) ? file : path.join(this.baseDir || process.cwd(), file);
+  }
+
+  /**
+   * fetch() with the bearer token, if any
+   */
+  fetch(url, options = {}) {
+    const headers = { ...options.headers };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+    return fetch(url, { ...options, headers });
+  }
+
+  /**
+   * REST URL for a dotted path in a context ('vessels/self' by default)
+   */
+  pathUrl(context, signalkPath) {
+    const contextPath = (context || 'vessels/self').replace(/\./g, '/');
+    return `${this.apiUrl}/${contextPath}/${signalkPath.replace(/\./g, '/')}`;
+  }
+
+  /**
+   * N2kSimulator for n2k phases, seeded like the feeder
+   */
+  getSimulator() {
+    if (!this.simulator) {
+      this.simulator = new N2kSimulator({
+        port: this.n2kPort,
+        formatPorts: this.n2kPorts,
+        seed: this.feeder?.seed,
+      });
+    }
+    return this.simulator;
+  }
+
+  /**
+   * Dispatch a phase to its runner; each returns a partial phase result
+   */
+  async executePhase(type, phase) {
+    switch (type) {
+      case 'nmea':
+        return this.runNmeaPhase(phase);
+      case 'n2k':
+        return this.runN2kPhase(phase);
+      case 'delta':
+        return this.runDeltaPhase(phase);
+      case 'put':
+        return this.runPutPhase(phase);
+      case 'wait-for':
+        return this.runWaitForPhase(phase);
+      case 'parallel':
+        return this.runParallelPhase(phase);
+      default:
+        throw new Error(`Unknown phase type: ${type}`);
+    }
+  }
+
+  /**
+   * Send NMEA 0183 from a file, inline sentences or a generator
+   */
+  async runNmeaPhase(phase) {
+    const sendFn =
+      phase.protocol === 'udp'
+        ? this.feeder.sendUdp.bind(this.feeder)
+        : this.feeder.sendTcp.bind(this.feeder);
+
+    if (phase.file && phase.replay) {
+      return this.feeder.replayFile(this.resolveFile(phase.file), phase.protocol, phase.replay);
+    }
+    if (phase.file) {
+      return this.feeder.streamFile(this.resolveFile(phase.file), phase.protocol, {
+        delay: phase.delay,
+      });
+    }
+    if (phase.sentences) {
+      return sendFn(phase.sentences, { delay: phase.delay, tagBlock: phase.tagBlock });
+    }
+    return sendFn(this.generateNmea(phase.generate), {
+      delay: phase.delay,
+      tagBlock: phase.tagBlock,
+    });
+  }
+
+  /**
+   * Generate a phase's NMEA 0183 sentences
+   * Navigation phases without startLat/startLon continue from where the
+   * previous one ended, so the phases of a scenario sail one track.
+   */
+  generateNmea(generate) {
+    if ((generate.type || 'navigation') !== 'navigation') {
+      return this.feeder.generateData(generate);
+    }
+
+    const start =
+      this.vessel && generate.startLat === undefined
+        ? { startLat: this.vessel.lat, startLon: this.vessel.lon }
+        : {};
+    const model = this.feeder.navigationModel({ ...generate, ...start });
+    const sentences = this.feeder.generateNavigationBurst(generate.count || 100, { ...generate, model });
+    this.vessel = model.getState();
+    return sentences;
+  }
+
+  /**
+   * Send NMEA 2000 messages in the phase's wire format
+   */
+  async runN2kPhase(phase) {
+    const simulator = this.getSimulator();
+    const format = phase.format || 'canboat-json';
+    const delay = phase.delay ?? 100;
+
+    if (phase.file && phase.replay) {
+      return simulator.replayFile(this.resolveFile(phase.file), {
+        ...phase.replay,
+        port: phase.format ? simulator.formatPorts[phase.format] : undefined,
+      });
+    }
+    if (phase.file) {
+      // Log files are already in their wire format
+      const lines = fs
+        .readFileSync(this.resolveFile(phase.file), 'utf-8')
+        .split('\n')
+        .filter((l) => l.trim());
+      return simulator.sendTcp(lines, { delay, raw: true, port: simulator.formatPorts[format] });
+    }
+
+    const messages = phase.messages
+      ? phase.messages.map((m) => simulator.generatePgn(m.pgn, m.fields))
+      : simulator.generateData(phase.generate);
+    return simulator.sendFormat(messages, format, { delay });
+  }
+
+  /**
+   * Send Signal K deltas over the WebSocket stream
+   */
+  async runDeltaPhase(phase) {
+    if (!this.wsUrl) {
+      throw new Error('delta phases need apiUrl or wsUrl');
+    }
+
+    const deltas = phase.deltas || [
+      {
+        context: phase.context || 'vessels.self',
+        updates: [
+          {
+            source: { label: phase.source || 'scenario' },
+            timestamp: new Date().toISOString(),
+            values: Object.entries(phase.values).map(([p, value]) => ({ path: p, value })),
+          },
+        ],
+      },
+    ];
+    const delay = phase.delay ?? 100;
+    const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+
+    const signal = FailFast.signal();
+
+    const ws = new WebSocket(`${this.wsUrl}?subscribe=none`, { headers });
+    await new Promise((resolve, reject) => {
+      ws.once('open', () => {
+        ws.off('error', reject);
+        resolve();
+      });
+      ws.once('error', reject);
+    });
+
+    // Errors after the connect are recorded and end the send loop
+    const result = { sent: 0, errors: [] };
+    let failed = false;
+    ws.on('error', (err) => {
+      failed = true;
+      result.errors.push({ phase: phase.name, error: err.message });
+    });
+
+    try {
+      for (const delta of deltas) {
+        if (failed || ws.readyState !== WebSocket.OPEN) {
+          break;
+        }
+        ws.send(JSON.stringify({ context: phase.context || 'vessels.self', ...delta }));
+        result.sent++;
+        if (delay > 0) {
+          await FailFast.delay(delay, signal);
+        }
+      }
+    } finally {
+      ws.close();
+    }
+    return result;
+  }
+
+  /**
+   * PUT a value; fails on HTTP errors or an unexpected expectStatus
+   */
+  async runPutPhase(phase) {
+    if (!this.apiUrl) {
+      throw new Error('put phases need apiUrl');
+    }
+
+    const res = await this.fetch(this.pathUrl(phase.context, phase.path), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ value: phase.value }),
+    });
+    const result = { sent: 1, status: res.status, errors: [] };
+
+    const expected = [].concat(phase.expectStatus ?? []);
+    if (expected.length > 0 ? !expected.includes(res.status) : res.status >= 400) {
+      result.errors.push({
+        phase: phase.name,
+        error: `PUT ${phase.path} returned HTTP ${res.status}`,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Poll the REST API until a path matches the phase's expectation
+   */
+  async runWaitForPhase(phase) {
+    if (!this.apiUrl) {
+      throw new Error('wait-for phases need apiUrl');
+    }
+
+    const context = phase.context || 'vessels/self';
+    const timeout = phase.timeout ?? 10000;
+    const interval = phase.interval ?? 500;
+    const deadline = Date.now() + timeout;
+    const signal = FailFast.signal();
+    let last = null;
+
+    while (Date.now() < deadline) {
+      signal?.throwIfAborted();
+      const res = await this.fetch(`${this.apiUrl}/${context.replace(/\./g, '/')}`);
+      if (res.ok) {
+        last = StateOracle.checkPath(await res.json(), phase.path, phase, {
+          now: Date.now(),
+          since: null,
+        });
+        if (last.status === 'ok') {
+          return { sent: 0, matched: last.actual, errors: [] };
+        }
+      }
+      await FailFast.delay(interval, signal);
+    }
+
+    const reason = last ? last.issues.map((i) => i.message).join('; ') : 'no response';
+    return {
+      sent: 0,
+      errors: [{ phase: phase.name, error: `Timed out after ${timeout}ms waiting for ${reason}` }],
+    };
+  }
+
+  /**
+   * Run sub-phases concurrently and sum their results
+   */
+  async runParallelPhase(phase) {
+    const phases = await Promise.all(phase.phases.map((sub) => this.runPhase(sub)));
+    return {
+      sent: phases.reduce((sum, p) => sum + p.sent, 0),
+      errors: phases.flatMap((p) => p.errors),
+      phases,
+    };
+  }
+}
+
+module.exports = { ScenarioRunner };
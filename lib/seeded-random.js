@@ -0,0 +1,62 @@
+/**
+ * SeededRandom - Reproducible pseudo-random numbers
+ *
+ * Small mulberry32 generator used by the data simulators in place of
+ * Math.random(), so a burst generated from the same seed is identical
+ * on every run.
+ */
+
+const crypto = require('crypto');
+
+class SeededRandom {
+  constructor(seed = SeededRandom.defaultSeed()) {
+    this.seed = seed;
+    this.state = SeededRandom.hashSeed(seed);
+  }
+
+  /**
+   * Seed for this run: SIGNALK_SEED if set, otherwise a fresh random one
+   * (the reporter sets SIGNALK_SEED so workers share and record it)
+   */
+  static defaultSeed() {
+    return process.env.SIGNALK_SEED || String(crypto.randomInt(0, 2 ** 31));
+  }
+
+  /**
+   * Reduce a number or string seed to a 32-bit state
+   */
+  static hashSeed(seed) {
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    // FNV-1a for string seeds
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1), same contract as Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Restart the sequence from the original seed
+   */
+  reset() {
+    this.state = SeededRandom.hashSeed(this.seed);
+  }
+}
+
+module.exports = { SeededRandom };
@@ -0,0 +1,192 @@
+/**
+ * StateOracle - Expected end-state checks for scenario runs
+ *
+ * Compares the Signal K tree the server holds against the `expect`
+ * block of a scenario file and reports a per-path diff.
+ *
+ * Scenario format:
+ *   "expect": {
+ *     "context": "vessels/self",
+ *     "maxAge": 60000,
+ *     "settle": 1000,
+ *     "requireFresh": true,
+ *     "paths": {
+ *       "navigation.position": { "value": { "latitude": 60.1, "longitude": 24.9 }, "tolerance": 0.01 },
+ *       "environment.depth.belowTransducer": { "value": 25, "tolerance": 1.5, "units": "m" },
+ *       "navigation.speedOverGround": { "min": 2, "max": 4, "units": "m/s" }
+ *     }
+ *   }
+ *
+ * Statuses: ok, missing, wrong-value, wrong-units, stale
+ */
+
+class StateOracle {
+  constructor(options = {}) {
+    this.apiUrl = options.apiUrl;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  /**
+   * Fetch the context named by the expectations and diff it
+   *
+   * @param {object} expectations - scenario `expect` block
+   * @param {object} options - { since } values older than this are stale
+   */
+  async check(expectations, options = {}) {
+    if (!this.apiUrl) {
+      throw new Error('StateOracle needs apiUrl to fetch the Signal K tree');
+    }
+
+    const context = expectations.context || 'vessels/self';
+    const res = await this.fetch(`${this.apiUrl}/${context}`);
+    if (!res.ok) {
+      throw new Error(`Failed to fetch ${context}: HTTP ${res.status}`);
+    }
+
+    const tree = await res.json();
+    return StateOracle.diff(tree, expectations, options);
+  }
+
+  /**
+   * Diff a Signal K tree against expectations
+   */
+  static diff(tree, expectations, options = {}) {
+    const now = options.now ? new Date(options.now).getTime() : Date.now();
+    // Values older than the run are stale unless the scenario replays
+    // data with historical timestamps and sets requireFresh: false
+    const since =
+      options.since && expectations.requireFresh !== false ? new Date(options.since).getTime() : null;
+    const maxAge = expectations.maxAge;
+
+    const paths = Object.entries(expectations.paths || {}).map(([path, expected]) =>
+      StateOracle.checkPath(tree, path, expected, { now, since, maxAge })
+    );
+    const failures = paths.filter((p) => p.status !== 'ok');
+
+    return {
+      context: expectations.context || 'vessels/self',
+      checked: paths.length,
+      passed: paths.length - failures.length,
+      failures,
+      paths,
+    };
+  }
+
+  /**
+   * Check one path; returns { path, status, issues, expected, actual, ... }
+   */
+  static checkPath(tree, path, expected, { now, since, maxAge }) {
+    const node = StateOracle.getNode(tree, path);
+    const result = {
+      path,
+      status: 'ok',
+      issues: [],
+      expected,
+      actual: node?.value,
+      units: node?.meta?.units ?? null,
+      timestamp: node?.timestamp ?? null,
+      source: node?.$source ?? null,
+    };
+
+    if (!node || node.value === undefined) {
+      result.status = 'missing';
+      result.issues.push({ type: 'missing', message: `${path} has no value` });
+      return result;
+    }
+
+    const valueIssue = StateOracle.compareValue(node.value, expected);
+    if (valueIssue) {
+      result.issues.push({ type: 'wrong-value', message: `${path}: ${valueIssue}` });
+    }
+
+    // Only compare units the server reports; meta is absent for unknown paths
+    if (expected.units && result.units && expected.units !== result.units) {
+      result.issues.push({
+        type: 'wrong-units',
+        message: `${path}: expected units ${expected.units}, got ${result.units}`,
+      });
+    }
+
+    const pathMaxAge = expected.maxAge ?? maxAge;
+    if (result.timestamp) {
+      const time = new Date(result.timestamp).getTime();
+      result.age = now - time;
+      if (since !== null && time < since) {
+        result.issues.push({
+          type: 'stale',
+          message: `${path}: last updated ${result.timestamp}, before the scenario started`,
+        });
+      } else if (pathMaxAge !== undefined && result.age > pathMaxAge) {
+        result.issues.push({
+          type: 'stale',
+          message: `${path}: last updated ${result.age}ms ago (max ${pathMaxAge}ms)`,
+        });
+      }
+    }
+
+    if (result.issues.length > 0) {
+      result.status = result.issues[0].type;
+    }
+    return result;
+  }
+
+  /**
+   * Resolve a dotted path ('environment.depth.belowTransducer') in the tree
+   */
+  static getNode(tree, path) {
+    return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), tree);
+  }
+
+  /**
+   * Compare an actual value with an expectation; returns a message or null
+   */
+  static compareValue(actual, expected) {
+    const tolerance = expected.tolerance ?? 0;
+
+    if (expected.min !== undefined && !(actual >= expected.min)) {
+      return `expected >= ${expected.min}, got ${JSON.stringify(actual)}`;
+    }
+    if (expected.max !== undefined && !(actual <= expected.max)) {
+      return `expected <= ${expected.max}, got ${JSON.stringify(actual)}`;
+    }
+    if (expected.value === undefined) {
+      return null;
+    }
+
+    if (typeof expected.value === 'number') {
+      if (typeof actual !== 'number' || Math.abs(actual - expected.value) > tolerance) {
+        return `expected ${expected.value} ±${tolerance}, got ${JSON.stringify(actual)}`;
+      }
+      return null;
+    }
+
+    if (expected.value !== null && typeof expected.value === 'object') {
+      for (const [key, value] of Object.entries(expected.value)) {
+        const message = StateOracle.compareValue(actual?.[key], { value, tolerance });
+        if (message) {
+          return `${key} ${message}`;
+        }
+      }
+      return null;
+    }
+
+    if (actual !== expected.value) {
+      return `expected ${JSON.stringify(expected.value)}, got ${JSON.stringify(actual)}`;
+    }
+    return null;
+  }
+
+  /**
+   * One line per failing path, for test failure messages and logs
+   */
+  static formatDiff(result) {
+    if (result.failures.length === 0) {
+      return `All ${result.checked} expected paths match`;
+    }
+    return result.failures
+      .map((f) => `  [${f.status}] ${f.issues.map((i) => i.message).join('; ')}`)
+      .join('\n');
+  }
+}
+
+module.exports = { StateOracle };
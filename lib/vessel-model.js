@@ -0,0 +1,224 @@
+/**
+ * VesselModel - Kinematic vessel motion for synthetic navigation data
+ *
+ * Advances position by speed and course over simulated time, so every
+ * generated fix agrees with the SOG/COG it reports. Supports a list of
+ * legs (course/speed changes with a finite turn rate), tidal current
+ * (set and drift) and leeway.
+ *
+ * Conventions: angles in degrees true, speeds in knots, distances in
+ * nautical miles, time in seconds. Set is the direction the current
+ * flows towards; positive leeway pushes the boat to starboard.
+ */
+
+const KNOTS_TO_MS = 1852 / 3600;
+const EARTH_RADIUS_NM = 3440.065;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+const normalize = (deg) => ((deg % 360) + 360) % 360;
+
+// Signed smallest difference b - a in degrees, -180..180
+const angleDiff = (a, b) => ((((b - a) % 360) + 540) % 360) - 180;
+
+class VesselModel {
+  /**
+   * @param {object} options
+   * @param {number} options.lat - start latitude
+   * @param {number} options.lon - start longitude
+   * @param {number} options.heading - initial heading, degrees true
+   * @param {number} options.speed - initial speed through water, knots
+   * @param {Array} options.legs - [{ course, speed, duration, turnRate }]
+   * @param {object} options.current - { set, drift } in degrees true / knots
+   * @param {number} options.leeway - leeway angle in degrees
+   * @param {number} options.variation - magnetic variation, east positive
+   * @param {number} options.turnRate - default turn rate, degrees per second
+   * @param {number} options.acceleration - speed change, knots per second
+   * @param {object} options.noise - { heading, speed } steering/speed jitter amplitude
+   * @param {function} options.random - [0, 1) generator for noise (e.g. a SeededRandom)
+   * @param {Date|string|number} options.startTime - simulated start time
+   */
+  constructor(options = {}) {
+    this.lat = options.lat ?? 60.0;
+    this.lon = options.lon ?? 24.0;
+    this.heading = normalize(options.heading ?? options.legs?.[0]?.course ?? 0);
+    this.stw = options.speed ?? options.legs?.[0]?.speed ?? 5.0;
+    this.legs = options.legs || [];
+    this.current = { set: 0, drift: 0, ...options.current };
+    this.leeway = options.leeway || 0;
+    this.variation = options.variation || 0;
+    this.turnRate = options.turnRate ?? 3;
+    this.acceleration = options.acceleration ?? 0.5;
+    this.noise = { heading: 0, speed: 0, ...options.noise };
+    this.random = options.random || Math.random;
+    this.time = new Date(options.startTime ?? Date.now()).getTime();
+
+    this.elapsed = 0;
+    this.legIndex = 0;
+    this.legElapsed = 0;
+    this.rateOfTurn = 0;
+
+    // Steering and speed jitter around the commanded values; it does not
+    // accumulate, so long runs keep to the planned course and speed
+    this.jitter = { heading: 0, speed: 0 };
+  }
+
+  /**
+   * Leg currently being sailed, or null once all legs are done
+   * (the vessel then holds its last course and speed)
+   */
+  get currentLeg() {
+    return this.legs[this.legIndex] || null;
+  }
+
+  /**
+   * Actual heading and speed through water, including jitter
+   */
+  actual() {
+    return {
+      heading: normalize(this.heading + this.jitter.heading),
+      stw: Math.max(0, this.stw + this.jitter.speed),
+    };
+  }
+
+  /**
+   * Ground track velocity from water track plus current, in knots
+   */
+  groundVelocity() {
+    const { heading, stw } = this.actual();
+    const ctw = toRad(heading + this.leeway);
+    const set = toRad(this.current.set);
+    const north = stw * Math.cos(ctw) + this.current.drift * Math.cos(set);
+    const east = stw * Math.sin(ctw) + this.current.drift * Math.sin(set);
+    return { north, east };
+  }
+
+  /**
+   * Snapshot of the current motion state
+   */
+  getState() {
+    const { heading, stw } = this.actual();
+    const { north, east } = this.groundVelocity();
+    const sog = Math.hypot(north, east);
+    return {
+      time: new Date(this.time),
+      elapsed: this.elapsed,
+      leg: this.legIndex,
+      lat: this.lat,
+      lon: this.lon,
+      heading,
+      headingMagnetic: normalize(heading - this.variation),
+      variation: this.variation,
+      stw,
+      sog,
+      cog: sog > 0 ? normalize(toDeg(Math.atan2(east, north))) : heading,
+      rateOfTurn: this.rateOfTurn,
+    };
+  }
+
+  /**
+   * Advance the simulation by dt seconds and return the new state
+   */
+  step(dt = 1) {
+    const leg = this.currentLeg;
+
+    if (leg) {
+      const turnRate = leg.turnRate ?? this.turnRate;
+      if (leg.course !== undefined) {
+        const diff = angleDiff(this.heading, leg.course);
+        const turn = Math.sign(diff) * Math.min(Math.abs(diff), turnRate * dt);
+        this.heading = normalize(this.heading + turn);
+        this.rateOfTurn = (turn / dt) * 60; // degrees per minute
+      }
+      if (leg.speed !== undefined) {
+        const diff = leg.speed - this.stw;
+        this.stw += Math.sign(diff) * Math.min(Math.abs(diff), this.acceleration * dt);
+      }
+    } else {
+      this.rateOfTurn = 0;
+    }
+
+    if (this.noise.heading) {
+      this.jitter.heading = (this.random() - 0.5) * this.noise.heading;
+    }
+    if (this.noise.speed) {
+      this.jitter.speed = (this.random() - 0.5) * this.noise.speed;
+    }
+
+    // Dead reckoning over the step
+    const { north, east } = this.groundVelocity();
+    const hours = dt / 3600;
+    this.lat += (north * hours) / 60;
+    this.lon += (east * hours) / (60 * Math.cos(toRad(this.lat)));
+
+    this.time += dt * 1000;
+    this.elapsed += dt;
+
+    if (leg) {
+      this.legElapsed += dt;
+      if (leg.duration !== undefined && this.legElapsed >= leg.duration) {
+        this.legIndex++;
+        this.legElapsed = 0;
+      }
+    }
+
+    return this.getState();
+  }
+
+  /**
+   * Produce `count` states spaced `interval` seconds apart
+   * The first state is taken after the first step.
+   */
+  run(count, interval = 1) {
+    const states = [];
+    for (let i = 0; i < count; i++) {
+      states.push(this.step(interval));
+    }
+    return states;
+  }
+
+  /**
+   * Initial great-circle bearing between two positions, degrees true
+   */
+  static bearing(from, to) {
+    const lat1 = toRad(from.lat);
+    const lat2 = toRad(to.lat);
+    const dLon = toRad(to.lon - from.lon);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return normalize(toDeg(Math.atan2(y, x)));
+  }
+
+  /**
+   * Great-circle distance between two positions, nautical miles
+   */
+  static distance(from, to) {
+    const lat1 = toRad(from.lat);
+    const lat2 = toRad(to.lat);
+    const dLat = lat2 - lat1;
+    const dLon = toRad(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_NM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * Cross-track distance of a position from the route leg start -> end,
+   * nautical miles, positive when right of track
+   */
+  static crossTrackError(position, start, end) {
+    const d13 = VesselModel.distance(start, position) / EARTH_RADIUS_NM;
+    const theta13 = toRad(VesselModel.bearing(start, position));
+    const theta12 = toRad(VesselModel.bearing(start, end));
+    return Math.asin(Math.sin(d13) * Math.sin(theta13 - theta12)) * EARTH_RADIUS_NM;
+  }
+
+  /**
+   * Velocity made good towards a waypoint for a state, knots
+   */
+  static vmg(state, waypoint) {
+    const bearing = VesselModel.bearing(state, waypoint);
+    return state.sog * Math.cos(toRad(state.cog - bearing));
+  }
+}
+
+module.exports = { VesselModel, KNOTS_TO_MS };
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Compare server performance between a baseline and a candidate image
+ *
+ * Usage: node scripts/benchmark.js [--baseline=<image>] [--candidate=<image>]
+ *          [--config=<file>] [--runs=N] [--rounds=N] [--out=<dir>]
+ *
+ * Images default to SIGNALK_BASELINE_IMAGE and SIGNALK_IMAGE. Writes
+ * benchmark.md and benchmark.json to the output directory (default
+ * reports/) and exits 1 if any workload regressed beyond its threshold.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { Benchmark } = require('../lib/benchmark');
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      args[key] = value || true;
+    }
+  });
+  return args;
+}
+
+async function main() {
+  const args = parseArgs();
+  const baseline = args.baseline || process.env.SIGNALK_BASELINE_IMAGE;
+  const candidate = args.candidate || process.env.SIGNALK_IMAGE || 'signalk/signalk-server:latest';
+  if (!baseline) {
+    console.error('Usage: node scripts/benchmark.js --baseline=<image> (or set SIGNALK_BASELINE_IMAGE)');
+    process.exit(2);
+  }
+
+  if (args.config && !fs.existsSync(args.config)) {
+    console.error(`Benchmark config not found: ${args.config}`);
+    process.exit(2);
+  }
+  const config = Benchmark.loadConfig(args.config);
+  if (args.runs) config.runs = Number(args.runs);
+  if (args.rounds) config.rounds = Number(args.rounds);
+
+  const result = await new Benchmark({ config }).run(baseline, candidate);
+  const report = Benchmark.formatReport(result);
+
+  const outDir = args.out || path.join(__dirname, '..', 'reports');
+  fs.outputFileSync(path.join(outDir, 'benchmark.md'), report);
+  fs.outputJsonSync(path.join(outDir, 'benchmark.json'), { config, ...result }, { spaces: 2 });
+  console.log(`\n${report}`);
+  console.log(`Benchmark written to ${path.join(outDir, 'benchmark.md')}`);
+
+  process.exit(result.comparison.regressions > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(`Benchmark failed: ${e.message}`);
+  process.exit(2);
+});
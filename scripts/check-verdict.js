@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Exit with the release verdict CustomReporter recorded, not Jest's
+ *
+ * Usage: npm run test:<category> || true
+ *        node scripts/check-verdict.js [--results=<file>]
+ *
+ * Jest exits 1 when any test failed, including quarantined ones, and 0
+ * when all passed even if SIGNALK_LOG_VERDICT blocks the release. The
+ * reporter's verdict in results.json (default reports/results.json)
+ * accounts for both, so CI steps run this after Jest whatever its exit
+ * code. Exits 1 when the file is missing, as when Jest crashed before the
+ * reporter ran.
+ */
+
+const fs = require('fs-extra');
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      args[key] = value || true;
+    }
+  });
+  return args;
+}
+
+function main() {
+  const args = parseArgs();
+  const file = args.results || 'reports/results.json';
+
+  if (!fs.existsSync(file)) {
+    console.error(`No results at ${file}; failing the step`);
+    process.exit(1);
+  }
+
+  const { summary } = fs.readJsonSync(file);
+  if (!summary?.success) {
+    process.exit(1);
+  }
+  if (summary.quarantined > 0) {
+    console.log(`${summary.quarantined} quarantined test(s) failed; not blocking`);
+  }
+  process.exit(0);
+}
+
+main();
@@ -3,11 +3,35 @@
 /**
  * Generate consolidated validation report from multiple test job results
  *
- * Usage: node scripts/generate-report.js --image=<image> --artifacts=<path> [--job=status ...]
+ * Usage: node scripts/generate-report.js --image=<image> --artifacts=<path> [--history=<file>]
+ *          [--archive=<dir> --digest=<sha256>] [--job=status ...]
+ *        node scripts/generate-report.js --matrix --artifacts=<path> [--images=<oldest>,...,<newest>]
+ *
+ * --history is the flaky-history.json of earlier runs; this run's outcomes
+ * are added to it and written to reports/flaky-history.json. --archive
+ * stores the consolidated results under the image tag and digest for
+ * scripts/trend-dashboard.js.
+ *
+ * --matrix is for runs of the same suite against several images (see
+ * scripts/run-matrix.js): instead of one merged report it writes a tests by
+ * images grid to reports/matrix.{md,html,json}. List --images oldest first;
+ * a test an older image passed and a newer one fails is a regression.
  */
 
 const fs = require('fs-extra');
 const path = require('path');
+const { Benchmark } = require('../lib/benchmark');
+const { CiReport } = require('../lib/ci-report');
+const { FlakyHistory } = require('../lib/flaky-history');
+const { ResultsArchive } = require('../lib/results-archive');
+const { CompatibilityMatrix } = require('../lib/compatibility-matrix');
+
+// Unstable tests listed in the reports
+const MAX_UNSTABLE = 20;
+
+// matrix.md lists every test up to this many, above that only the tests
+// whose result differs between images (it also goes into the job summary)
+const MATRIX_FULL_GRID = 50;
 
 // Parse command line arguments
 function parseArgs() {
@@ -47,17 +71,75 @@ function loadResults(artifactsPath) {
   return results;
 }
 
+// Copy each job's per-phase server logs next to the merged report, so
+// the links in results.json keep working
+function copyLogs(artifactsPath) {
+  if (!fs.existsSync(artifactsPath)) {
+    return;
+  }
+
+  for (const dir of fs.readdirSync(artifactsPath)) {
+    const logsDir = path.join(artifactsPath, dir, 'logs');
+    if (fs.existsSync(logsDir)) {
+      fs.copySync(logsDir, 'reports/logs');
+    }
+  }
+}
+
+// Load junit.xml files from artifact directories
+function loadJUnit(artifactsPath) {
+  const documents = [];
+
+  if (!fs.existsSync(artifactsPath)) {
+    return documents;
+  }
+
+  for (const dir of fs.readdirSync(artifactsPath)) {
+    const junitFile = path.join(artifactsPath, dir, 'junit.xml');
+    if (fs.existsSync(junitFile)) {
+      documents.push(fs.readFileSync(junitFile, 'utf-8'));
+      console.log(`Loaded JUnit results from ${dir}`);
+    }
+  }
+
+  return documents;
+}
+
+// Load the benchmark.json of a performance comparison job, if any
+function loadBenchmark(artifactsPath) {
+  if (!fs.existsSync(artifactsPath)) {
+    return null;
+  }
+
+  for (const dir of fs.readdirSync(artifactsPath)) {
+    const benchmarkFile = path.join(artifactsPath, dir, 'benchmark.json');
+    if (fs.existsSync(benchmarkFile)) {
+      try {
+        const data = fs.readJsonSync(benchmarkFile);
+        console.log(`Loaded benchmark from ${dir}`);
+        return data;
+      } catch (e) {
+        console.warn(`Failed to load ${benchmarkFile}: ${e.message}`);
+      }
+    }
+  }
+  return null;
+}
+
 // Merge multiple result files into one consolidated report
 function mergeResults(resultFiles, image) {
   const merged = {
     startTime: new Date().toISOString(),
     endTime: new Date().toISOString(),
     image: image,
+    seeds: [],
     tests: [],
     summary: {
       total: 0,
       passed: 0,
+      flaky: 0,
       failed: 0,
+      quarantined: 0,
       skipped: 0,
       duration: 0,
       success: true,
@@ -82,21 +164,50 @@ function mergeResults(resultFiles, image) {
       }
     }
 
+    // Each job records its own simulation seed
+    if (result.seed && !merged.seeds.includes(result.seed)) {
+      merged.seeds.push(result.seed);
+    }
+
     // Merge test categories
     if (result.tests && Array.isArray(result.tests)) {
       merged.tests.push(...result.tests);
     }
 
+    // Resource phases and latency results, for the results archive
+    if (result.resources) {
+      merged.resources = merged.resources || { phases: [] };
+      merged.resources.phases.push(...result.resources.phases);
+    }
+    if (result.latency) {
+      merged.latency = [...(merged.latency || []), ...result.latency];
+    }
+
     // Aggregate summary
     if (result.summary) {
       merged.summary.total += result.summary.total || 0;
       merged.summary.passed += result.summary.passed || 0;
+      merged.summary.flaky += result.summary.flaky || 0;
       merged.summary.failed += result.summary.failed || 0;
+      merged.summary.quarantined += result.summary.quarantined || 0;
       merged.summary.skipped += result.summary.skipped || 0;
       merged.summary.duration += result.summary.duration || 0;
       if (!result.summary.success) {
         merged.summary.success = false;
       }
+
+      // Server log counts, and errors that blocked a job's verdict
+      if (result.summary.logErrors !== undefined) {
+        merged.summary.logErrors = (merged.summary.logErrors || 0) + result.summary.logErrors;
+        merged.summary.logWarnings = (merged.summary.logWarnings || 0) + result.summary.logWarnings;
+      }
+      if (result.summary.logVerdict) {
+        const verdict = (merged.summary.logVerdict = merged.summary.logVerdict || {
+          policy: result.summary.logVerdict.policy,
+          blocking: 0,
+        });
+        verdict.blocking += result.summary.logVerdict.blocking;
+      }
     }
   }
 
@@ -123,6 +234,9 @@ function generateMarkdown(results) {
   md += `|----------|-------|\n`;
   md += `| Image | \`${results.image}\` |\n`;
   md += `| Date | ${results.startTime} |\n`;
+  if (results.seeds?.length) {
+    md += `| Seeds | ${results.seeds.map((seed) => `\`${seed}\``).join(', ')} |\n`;
+  }
   md += `| Duration | ${duration}s |\n`;
   md += `| Platform | GitHub Actions |\n\n`;
 
@@ -132,17 +246,32 @@ function generateMarkdown(results) {
   md += `|--------|-------|\n`;
   md += `| Total Tests | ${summary.total} |\n`;
   md += `| Passed | ${summary.passed} |\n`;
+  if (summary.flaky > 0) {
+    md += `| Flaky (passed on retry) | ${summary.flaky} |\n`;
+  }
   md += `| Failed | ${summary.failed} |\n`;
+  if (summary.quarantined > 0) {
+    md += `| Quarantined Failures | ${summary.quarantined} |\n`;
+  }
   md += `| Skipped | ${summary.skipped} |\n`;
+  if (summary.logErrors !== undefined) {
+    md += `| Log Errors | ${summary.logErrors} |\n`;
+    md += `| Log Warnings | ${summary.logWarnings} |\n`;
+  }
   md += `| **Status** | **${summary.success ? '✅ PASSED' : '❌ FAILED'}** |\n\n`;
 
+  // Performance against the baseline image
+  if (results.benchmark) {
+    md += Benchmark.formatReport(results.benchmark, '##') + '\n';
+  }
+
   // Test Categories Overview
   md += `## Test Categories\n\n`;
   md += `| Status | Category | Description | Tests | Duration |\n`;
   md += `|--------|----------|-------------|-------|----------|\n`;
 
   for (const testFile of results.tests) {
-    const passed = testFile.tests ? testFile.tests.filter((t) => t.status === 'passed').length : 0;
+    const passed = testFile.tests ? testFile.tests.filter((t) => t.status === 'passed' || t.status === 'flaky').length : 0;
     const failed = testFile.tests ? testFile.tests.filter((t) => t.status === 'failed').length : 0;
     const total = testFile.tests ? testFile.tests.length : 0;
     const status = failed > 0 ? '❌' : '✅';
@@ -162,14 +291,15 @@ function generateMarkdown(results) {
     if (testFile.description) {
       md += `${testFile.description}\n\n`;
     }
-    md += `| Status | Test | Duration |\n`;
-    md += `|--------|------|----------|\n`;
+    md += `| Status | Test | Duration | Server Logs |\n`;
+    md += `|--------|------|----------|-------------|\n`;
 
     if (testFile.tests) {
       for (const test of testFile.tests) {
-        const testStatus = test.status === 'passed' ? '✅' : test.status === 'failed' ? '❌' : '⏭️';
+        const testStatus = test.status === 'passed' ? '✅' : test.status === 'flaky' ? '🔁' : test.status === 'failed' ? '❌' : '⏭️';
         const testDur = test.duration ? `${test.duration}ms` : '-';
-        md += `| ${testStatus} | ${test.name} | ${testDur} |\n`;
+        const logs = (test.logs || []).map((l) => `[${l.phase}](${l.file}) (${l.errors}E/${l.warnings}W)`).join(', ');
+        md += `| ${testStatus} | ${test.name} | ${testDur} | ${logs || '-'} |\n`;
       }
     }
     md += '\n';
@@ -190,14 +320,40 @@ function generateMarkdown(results) {
     }
   }
 
+  // Tests that passed on retry or failed now and then, over all recorded runs
+  if (results.flakyHistory?.unstable.length > 0) {
+    const { runs, unstable } = results.flakyHistory;
+    md += `## 🔁 Flaky Tests\n\n`;
+    md += `Tests that needed a retry or both failed and passed over the last ${runs} recorded job run(s) (see \`flaky-history.json\`).\n\n`;
+    md += `| Category | Test | Runs | Flaky | Failed | Unstable | Last seen |\n`;
+    md += `|----------|------|------|-------|--------|----------|-----------|\n`;
+    for (const t of unstable.slice(0, MAX_UNSTABLE)) {
+      const last = [t.lastFlaky, t.lastFailed].filter(Boolean).sort().pop();
+      md += `| ${t.category} | ${t.name} | ${t.runs} | ${t.flaky} | ${t.failed} | ${t.rate}% | ${last ? last.slice(0, 10) : '-'} |\n`;
+    }
+    md += '\n';
+  }
+
   // Recommendation
   md += `## Recommendation\n\n`;
   if (summary.success) {
     md += `### ✅ APPROVED FOR RELEASE\n\n`;
-    md += `All ${summary.total} tests passed. The image \`${results.image}\` is ready for release.\n`;
+    if (summary.quarantined > 0) {
+      md += `${summary.total - summary.quarantined} of ${summary.total} tests passed; ${summary.quarantined} quarantined test(s) failed and do not block the release. The image \`${results.image}\` is ready for release.\n`;
+    } else {
+      md += `All ${summary.total} tests passed. The image \`${results.image}\` is ready for release.\n`;
+    }
   } else {
     md += `### ❌ NOT APPROVED FOR RELEASE\n\n`;
-    md += `${summary.failed} out of ${summary.total} tests failed. Please review the failures above before releasing.\n`;
+    if (summary.failed > summary.quarantined) {
+      md += `${summary.failed - summary.quarantined} out of ${summary.total} tests failed. Please review the failures above before releasing.\n`;
+    }
+    if (results.benchmark?.comparison.regressions > 0) {
+      md += `${results.benchmark.comparison.regressions} performance regression(s) against \`${results.benchmark.baseline.image}\`.\n`;
+    }
+    if (summary.logVerdict?.blocking > 0) {
+      md += `${summary.logVerdict.blocking} server log error(s) block the release under \`SIGNALK_LOG_VERDICT=${summary.logVerdict.policy}\`.\n`;
+    }
   }
 
   return md;
@@ -210,13 +366,14 @@ function generateHtml(results) {
   const passPercent = summary.total > 0 ? (summary.passed / summary.total * 100).toFixed(1) : 0;
 
   const testsHtml = results.tests.map((t, idx) => {
-    const passed = t.tests ? t.tests.filter((x) => x.status === 'passed').length : 0;
+    const passed = t.tests ? t.tests.filter((x) => x.status === 'passed' || x.status === 'flaky').length : 0;
     const failed = t.tests ? t.tests.filter((x) => x.status === 'failed').length : 0;
     const total = t.tests ? t.tests.length : 0;
     const testItems = (t.tests || []).map(test => 
       `<div class="test-item ${test.status}">
-        <span>${test.status === 'passed' ? '✅' : test.status === 'failed' ? '❌' : '⏭️'}</span>
+        <span>${test.status === 'passed' ? '✅' : test.status === 'flaky' ? '🔁' : test.status === 'failed' ? '❌' : '⏭️'}</span>
         <span class="test-name">${test.name}</span>
+        ${(test.logs || []).map((l) => `<a class="log-link ${l.errors > 0 ? 'has-errors' : ''}" href="${l.file}" target="_blank" title="${l.errors} errors, ${l.warnings} warnings">📜 ${l.phase}</a>`).join('')}
         <span class="test-duration">${test.duration || 0}ms</span>
       </div>`
     ).join('');
@@ -257,6 +414,45 @@ function generateHtml(results) {
       </div>
     </div>` : '';
 
+  const benchmarkHtml = results.benchmark ? `
+    <div class="card">
+      <div class="card-header"><span>⏱️</span> Performance vs <code>${results.benchmark.baseline.image}</code></div>
+      <div class="card-body" style="padding: 0;">
+        <table>
+          <thead><tr><th style="width: 40px;"></th><th>Workload</th><th>Baseline</th><th>Candidate</th><th>Change</th><th>Threshold</th><th>p</th></tr></thead>
+          <tbody>
+            ${results.benchmark.comparison.workloads.map((w) => `
+              <tr>
+                <td class="status-icon">${w.status === 'regression' ? '❌' : w.status === 'improvement' ? '🚀' : '✅'}</td>
+                <td>${w.title}</td>
+                <td>${w.baseline.mean === null ? '-' : w.baseline.mean.toFixed(1)} ${w.unit}</td>
+                <td>${w.candidate.mean === null ? '-' : w.candidate.mean.toFixed(1)} ${w.unit}</td>
+                <td>${w.change === null ? '-' : `${w.change >= 0 ? '+' : ''}${w.change.toFixed(1)}%`}</td>
+                <td>${w.better === 'higher' ? '-' : '+'}${w.threshold}%</td>
+                <td>${w.p === null ? 'n/a' : w.p.toFixed(3)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>` : '';
+  const flakyHtml = results.flakyHistory?.unstable.length > 0 ? `
+    <div class="card">
+      <div class="card-header"><span>🔁</span> Flaky Tests (last ${results.flakyHistory.runs} job runs)</div>
+      <div class="card-body" style="padding: 0;">
+        <table>
+          <thead><tr><th>Category</th><th>Test</th><th>Runs</th><th>Flaky</th><th>Failed</th><th>Unstable</th></tr></thead>
+          <tbody>
+            ${results.flakyHistory.unstable.slice(0, MAX_UNSTABLE).map((t) => `
+              <tr><td>${t.category}</td><td>${t.name}</td><td>${t.runs}</td><td>${t.flaky}</td><td>${t.failed}</td><td>${t.rate}%</td></tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>` : '';
+  const regressions = results.benchmark?.comparison.regressions || 0;
+  const blocking = summary.failed - (summary.quarantined || 0);
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -290,6 +486,8 @@ function generateHtml(results) {
     .category-row:hover { background: #f0f7ff; }
     .category-name { font-weight: 600; color: #333; }
     .category-desc { font-size: 13px; color: #666; margin-top: 2px; }
+    .log-link { font-size: 12px; color: #2d5a87; text-decoration: none; background: #f0f7ff; padding: 2px 8px; border-radius: 4px; }
+    .log-link.has-errors { color: #991b1b; background: #fee2e2; }
     .toggle-icon { transition: transform 0.2s; color: #999; }
     .category-row.open .toggle-icon { transform: rotate(90deg); }
     .test-details { display: none; background: #fafbfc; }
@@ -299,6 +497,7 @@ function generateHtml(results) {
     .test-item { padding: 8px 12px; margin: 4px 0; background: white; border-radius: 6px; display: flex; align-items: center; gap: 10px; font-size: 14px; }
     .test-item.passed { border-left: 3px solid #22c55e; }
     .test-item.failed { border-left: 3px solid #ef4444; background: #fef2f2; }
+    .test-item.flaky { border-left: 3px solid #f59e0b; background: #fffbeb; }
     .test-item.pending { border-left: 3px solid #f59e0b; }
     .test-name { flex: 1; }
     .test-duration { color: #999; font-size: 12px; }
@@ -331,7 +530,9 @@ function generateHtml(results) {
         <div class="summary-grid">
           <div class="stat"><div class="stat-value">${summary.total}</div><div class="stat-label">Total Tests</div></div>
           <div class="stat"><div class="stat-value passed">${summary.passed}</div><div class="stat-label">Passed</div></div>
-          <div class="stat"><div class="stat-value ${summary.failed > 0 ? 'failed' : ''}">${summary.failed}</div><div class="stat-label">Failed</div></div>
+          ${summary.flaky > 0 ? `<div class="stat"><div class="stat-value">${summary.flaky}</div><div class="stat-label">Flaky</div></div>` : ''}
+          <div class="stat"><div class="stat-value ${summary.failed > summary.quarantined ? 'failed' : ''}">${summary.failed}</div><div class="stat-label">Failed${summary.quarantined > 0 ? ` (${summary.quarantined} quarantined)` : ''}</div></div>
+          ${summary.logErrors !== undefined ? `<div class="stat"><div class="stat-value ${summary.logErrors > 0 ? 'failed' : ''}">${summary.logErrors}</div><div class="stat-label">Log Errors</div></div>` : ''}
           <div class="stat"><div class="stat-value">${duration}s</div><div class="stat-label">Duration</div></div>
           <div class="stat"><span class="badge ${summary.success ? 'badge-passed' : 'badge-failed'}">${summary.success ? '✅ PASSED' : '❌ FAILED'}</span></div>
         </div>
@@ -349,12 +550,16 @@ function generateHtml(results) {
       </div>
     </div>
 
+    ${benchmarkHtml}
+
     ${failuresHtml}
 
+    ${flakyHtml}
+
     <div class="recommendation ${summary.success ? 'passed' : 'failed'}">
       ${summary.success
-        ? `<h3>✅ APPROVED FOR RELEASE</h3><p>All ${summary.total} tests passed. The image <code>${results.image}</code> is ready for release.</p>`
-        : `<h3>❌ NOT APPROVED FOR RELEASE</h3><p>${summary.failed} out of ${summary.total} tests failed. Please fix the failures before releasing.</p>`}
+        ? `<h3>✅ APPROVED FOR RELEASE</h3><p>${summary.quarantined > 0 ? `${summary.total - summary.quarantined} of ${summary.total} tests passed; ${summary.quarantined} quarantined test(s) failed and do not block the release.` : `All ${summary.total} tests passed.`} The image <code>${results.image}</code> is ready for release.</p>`
+        : `<h3>❌ NOT APPROVED FOR RELEASE</h3><p>${blocking > 0 ? `${blocking} out of ${summary.total} tests failed. ` : ''}${regressions > 0 ? `${regressions} performance regression(s) against the baseline. ` : ''}${summary.logVerdict?.blocking > 0 ? `${summary.logVerdict.blocking} server log error(s) under <code>SIGNALK_LOG_VERDICT=${summary.logVerdict.policy}</code>. ` : ''}Please fix the ${blocking > 0 ? 'failures' : regressions > 0 ? 'regressions' : 'server errors'} before releasing.</p>`}
     </div>
   </div>
   <script>
@@ -372,13 +577,105 @@ function generateHtml(results) {
 </html>`;
 }
 
+// Bare tags in --images refer to the SignalK server image
+function imageRef(image) {
+  return image.includes(':') || image.includes('/') ? image : `signalk/signalk-server:${image}`;
+}
+
+// Generate the tests by images grid of a matrix run
+function generateMatrixHtml(matrix) {
+  const { images, columns, tests } = matrix;
+  const labels = images.map((image) => CompatibilityMatrix.label(image, images));
+  const regressions = tests.filter((row) => row.cells.some((c) => c?.regression)).length;
+
+  const rowsHtml = tests.map((row) => `
+    <tr class="${row.differs ? 'differs' : ''}">
+      <td>${row.category}</td>
+      <td>${row.name.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</td>
+      ${row.cells.map((cell) => `<td class="cell ${cell ? cell.status : 'none'} ${cell?.regression ? 'regression' : ''}" title="${cell?.regression ? `passes on ${cell.passedOn}` : ''}">${CompatibilityMatrix.icon(cell)}</td>`).join('')}
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>SignalK Compatibility Matrix</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
+    .container { max-width: 1400px; margin: 0 auto; }
+    .header { background: linear-gradient(135deg, #1e3a5f 0%, #2d5a87 100%); color: white; padding: 30px; border-radius: 12px; margin-bottom: 20px; }
+    .header h1 { margin: 0 0 10px 0; font-size: 28px; }
+    .header .meta { opacity: 0.9; font-size: 14px; }
+    .card { background: white; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.08); margin-bottom: 20px; overflow: hidden; }
+    .card-header { padding: 16px 20px; background: #f8f9fa; border-bottom: 1px solid #e9ecef; font-weight: 600; font-size: 16px; display: flex; align-items: center; gap: 10px; }
+    .card-body { padding: 0; overflow-x: auto; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { padding: 8px 12px; text-align: left; border-bottom: 1px solid #e9ecef; }
+    th { background: #f8f9fa; font-weight: 600; font-size: 12px; color: #666; position: sticky; top: 0; }
+    .cell { text-align: center; width: 90px; }
+    .cell.failed { background: #fef2f2; }
+    .cell.regression { background: #fecaca; outline: 2px solid #ef4444; outline-offset: -2px; }
+    .cell.none { color: #bbb; }
+    tr.differs td:first-child { border-left: 3px solid #f59e0b; }
+    .toolbar { padding: 12px 20px; font-size: 14px; }
+    body.changed-only tr:not(.differs) { display: none; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>SignalK Server Compatibility Matrix</h1>
+      <div class="meta">${images.length} images • ${tests.length} tests • ${regressions} regression(s) • ${new Date().toLocaleString()}</div>
+    </div>
+
+    <div class="card">
+      <div class="card-header"><span>🧩</span> Images (oldest first)</div>
+      <div class="card-body">
+        <table>
+          <thead><tr><th style="width: 40px;"></th><th>Image</th><th>Passed</th><th>Flaky</th><th>Failed</th><th>Skipped</th><th>Regressions</th></tr></thead>
+          <tbody>
+            ${columns.map((c) => `
+              <tr>
+                <td class="status-icon">${c.success ? '✅' : '❌'}</td>
+                <td><code>${c.image}</code></td>
+                <td>${c.passed}/${c.total}</td>
+                <td>${c.flaky}</td>
+                <td>${c.failed}</td>
+                <td>${c.skipped}</td>
+                <td>${c.regressions}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+
+    <div class="card">
+      <div class="card-header"><span>🧪</span> Tests by Image</div>
+      <div class="toolbar">
+        <label><input type="checkbox" onchange="document.body.classList.toggle('changed-only', this.checked)"> Only tests whose result differs between images</label>
+      </div>
+      <div class="card-body">
+        <table>
+          <thead><tr><th>Category</th><th>Test</th>${labels.map((l) => `<th class="cell">${l}</th>`).join('')}</tr></thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
 // Main
 async function main() {
   const args = parseArgs();
   const image = args.image || 'signalk/signalk-server:latest';
   const artifactsPath = args.artifacts || 'artifacts/';
 
-  console.log('Generating report for ' + image);
+  console.log(args.matrix ? 'Generating compatibility matrix' : 'Generating report for ' + image);
   console.log('Loading results from ' + artifactsPath);
 
   const resultFiles = loadResults(artifactsPath);
@@ -386,8 +683,40 @@ async function main() {
     console.warn('No result files found, generating empty report');
   }
 
+  if (args.matrix) {
+    const images = typeof args.images === 'string' ? args.images.split(',').map((i) => i.trim()).filter(Boolean) : [];
+    const matrix = CompatibilityMatrix.build(resultFiles, images.map(imageRef));
+    fs.ensureDirSync('reports');
+    fs.writeJsonSync('reports/matrix.json', matrix, { spaces: 2 });
+    fs.writeFileSync('reports/matrix.md', CompatibilityMatrix.formatReport(matrix, { changedOnly: matrix.tests.length > MATRIX_FULL_GRID }));
+    fs.writeFileSync('reports/matrix.html', generateMatrixHtml(matrix));
+    console.log('Generated reports/matrix.json, reports/matrix.md and reports/matrix.html');
+
+    console.log('\nMatrix Summary:');
+    for (const c of matrix.columns) {
+      console.log(`  ${c.image}: ${c.passed}/${c.total} passed, ${c.failed} failed, ${c.regressions} regression(s)`);
+    }
+    return;
+  }
+
   const merged = mergeResults(resultFiles, image);
+
+  // A performance regression blocks the release like a failed test
+  merged.benchmark = loadBenchmark(artifactsPath);
+  if (merged.benchmark?.comparison.regressions > 0) {
+    merged.summary.success = false;
+  }
   fs.ensureDirSync('reports');
+  copyLogs(artifactsPath);
+
+  // Add this run's outcomes to the history of earlier runs
+  const history = FlakyHistory.load(args.history);
+  for (const result of resultFiles) {
+    history.record(result);
+  }
+  fs.writeJsonSync('reports/flaky-history.json', history, { spaces: 2 });
+  console.log(`Generated reports/flaky-history.json (${history.runs} job runs)`);
+  merged.flakyHistory = { runs: history.runs, unstable: history.unstable() };
 
   fs.writeJsonSync('reports/results.json', merged, { spaces: 2 });
   console.log('Generated reports/results.json');
@@ -400,10 +729,20 @@ async function main() {
   fs.writeFileSync('reports/report.html', html);
   console.log('Generated reports/report.html');
 
+  const junit = CiReport.mergeJUnit(loadJUnit(artifactsPath), merged.startTime);
+  fs.writeFileSync('reports/junit.xml', junit);
+  console.log('Generated reports/junit.xml');
+
+  if (args.archive && resultFiles.length > 0) {
+    const record = new ResultsArchive(args.archive).add(merged, { digest: args.digest || null });
+    console.log(`Archived results as ${record.key} in ${args.archive}`);
+  }
+
   console.log('\nReport Summary:');
   console.log('  Total: ' + merged.summary.total);
   console.log('  Passed: ' + merged.summary.passed);
-  console.log('  Failed: ' + merged.summary.failed);
+  console.log('  Flaky: ' + merged.summary.flaky);
+  console.log('  Failed: ' + merged.summary.failed + (merged.summary.quarantined ? ` (${merged.summary.quarantined} quarantined)` : ''));
   console.log('  Status: ' + (merged.summary.success ? 'PASSED' : 'FAILED'));
 }
 
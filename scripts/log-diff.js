@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Compare server log snapshots from two runs
+ *
+ * Usage: node scripts/log-diff.js --baseline=<dir|file> --current=<dir|file>
+ *          [--ratio=3] [--min-count=5] [--out=<file.md>] [--json]
+ *
+ * Snapshots are the LogMonitor JSON files written to SIGNALK_LOG_SNAPSHOTS.
+ * Exits 1 if the current run logs error templates the baseline never did.
+ */
+
+const fs = require('fs-extra');
+const { LogBaseline } = require('../lib/log-baseline');
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      args[key] = value || true;
+    }
+  });
+  return args;
+}
+
+function main() {
+  const args = parseArgs();
+  if (!args.baseline || !args.current) {
+    console.error('Usage: node scripts/log-diff.js --baseline=<dir|file> --current=<dir|file>');
+    process.exit(2);
+  }
+
+  const diff = LogBaseline.compare(LogBaseline.load(args.baseline), LogBaseline.load(args.current), {
+    ratio: args.ratio !== undefined ? Number(args.ratio) : undefined,
+    minCount: args['min-count'] !== undefined ? Number(args['min-count']) : undefined,
+  });
+
+  const output = args.json ? JSON.stringify(diff, null, 2) : LogBaseline.formatReport(diff);
+  if (args.out) {
+    fs.outputFileSync(args.out, output);
+    console.log(`Log diff written to ${args.out}`);
+  } else {
+    console.log(output);
+  }
+
+  process.exit(diff.totals.newErrors > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Run the suite against several images and build the compatibility matrix
+ *
+ * Usage: node scripts/run-matrix.js --images=<oldest>,...,<newest> [--parallel[=N]]
+ *          [--out=<dir>] [-- <jest arguments>]
+ *
+ * Images are full references or SignalK server tags (2.11.0, latest); list
+ * them oldest first. Each image runs in its own Jest process with its
+ * reports in <out>/<NN>-<tag>/ (default reports/matrix/) and its output in
+ * jest.log there. Images run one after another unless --parallel is given;
+ * parallel runs publish the containers on free host ports. Arguments after
+ * `--` go to Jest, e.g. `-- tests/12-rest-api.test.js`.
+ *
+ * Finally runs generate-report.js --matrix over the results. Exits 1 when
+ * any image did not pass.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+// Parse command line arguments; everything after `--` is passed to Jest
+function parseArgs() {
+  const args = { jest: [] };
+  const argv = process.argv.slice(2);
+  const split = argv.indexOf('--');
+  if (split >= 0) {
+    args.jest = argv.slice(split + 1);
+    argv.length = split;
+  }
+  argv.forEach(arg => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      args[key] = value || true;
+    }
+  });
+  return args;
+}
+
+// Bare tags refer to the SignalK server image
+function imageRef(image) {
+  return image.includes(':') || image.includes('/') ? image : `signalk/signalk-server:${image}`;
+}
+
+// Directory name for an image, numbered so the listing keeps the order
+function runDir(image, index) {
+  const name = image.split('@')[0].match(/:([^/:]+)$/)?.[1] || image;
+  return `${String(index + 1).padStart(2, '0')}-${name.replace(/[^A-Za-z0-9._-]/g, '_')}`;
+}
+
+function runImage(image, dir, args, parallel) {
+  fs.emptyDirSync(dir);
+  const log = fs.createWriteStream(path.join(dir, 'jest.log'));
+  const env = {
+    ...process.env,
+    SIGNALK_IMAGE: image,
+    SIGNALK_REPORTS_DIR: dir,
+  };
+  // Each run's reporter sets its own artifact directories under its reports
+  for (const name of ['SIGNALK_LOG_SNAPSHOTS', 'SIGNALK_CONTAINER_EVENTS', 'SIGNALK_RESOURCE_SAMPLES', 'SIGNALK_PROFILE_DIR', 'SIGNALK_LATENCY_RESULTS']) {
+    delete env[name];
+  }
+  if (parallel) {
+    env.SIGNALK_DYNAMIC_PORTS = 'true';
+  }
+
+  const started = Date.now();
+  console.log(`▶ ${image}`);
+  return new Promise((resolve) => {
+    const jest = spawn(process.execPath, [require.resolve('jest/bin/jest'), '--config', 'jest.config.js', '--runInBand', ...args], {
+      cwd: ROOT,
+      env,
+    });
+    jest.stdout.pipe(log);
+    jest.stderr.pipe(log);
+    jest.on('close', (code) => {
+      const seconds = ((Date.now() - started) / 1000).toFixed(0);
+      const resultsFile = path.join(dir, 'results.json');
+      const summary = fs.existsSync(resultsFile) ? fs.readJsonSync(resultsFile).summary : null;
+      const passed = !!summary?.success;
+      const counts = summary ? `${summary.passed}/${summary.total} passed, ${summary.failed} failed` : `no results (exit code ${code})`;
+      console.log(`${passed ? '✓' : '✗'} ${image}: ${counts} in ${seconds}s (${path.relative(ROOT, path.join(dir, 'jest.log'))})`);
+      resolve(passed);
+    });
+  });
+}
+
+async function main() {
+  const args = parseArgs();
+  const images = typeof args.images === 'string'
+    ? args.images.split(',').map((i) => i.trim()).filter(Boolean).map(imageRef)
+    : [];
+  if (images.length === 0) {
+    console.error('Usage: node scripts/run-matrix.js --images=<oldest>,...,<newest> [--parallel[=N]] [-- <jest arguments>]');
+    process.exit(2);
+  }
+
+  const out = path.resolve(args.out || path.join(ROOT, 'reports', 'matrix'));
+  const parallel = args.parallel ? (args.parallel === true ? images.length : Number(args.parallel)) : 1;
+
+  const results = new Array(images.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < images.length) {
+      const index = next++;
+      results[index] = await runImage(images[index], path.join(out, runDir(images[index], index)), args.jest, parallel > 1);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(parallel, images.length) }, worker));
+
+  const report = spawn(
+    process.execPath,
+    [path.join(__dirname, 'generate-report.js'), '--matrix', `--artifacts=${out}`, `--images=${images.join(',')}`],
+    { cwd: ROOT, stdio: 'inherit' }
+  );
+  await new Promise((resolve) => report.on('close', resolve));
+
+  process.exit(results.every(Boolean) ? 0 : 1);
+}
+
+main().catch((e) => {
+  console.error(`Matrix run failed: ${e.message}`);
+  process.exit(2);
+});
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+
+/**
+ * Generate a static HTML dashboard of validation results across releases
+ *
+ * Usage: node scripts/trend-dashboard.js --archive=<dir> [--out=<file>] [--limit=N]
+ *
+ * Reads the archive generate-report.js --archive writes (see
+ * lib/results-archive.js) and shows per release: pass rate by category,
+ * test durations, server log errors, memory, latency and benchmark
+ * throughput, and the release at which each test started failing.
+ * Writes reports/trends.html by default; --limit keeps the last N releases.
+ */
+
+const fs = require('fs-extra');
+const { ResultsArchive } = require('../lib/results-archive');
+
+// Slowest tests of the newest release shown with their history
+const SLOWEST_TESTS = 10;
+
+const COLORS = ['#2d5a87', '#22c55e', '#ef4444', '#f59e0b', '#8b5cf6', '#06b6d4'];
+
+// Parse command line arguments
+function parseArgs() {
+  const args = {};
+  process.argv.slice(2).forEach(arg => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      args[key] = value || true;
+    }
+  });
+  return args;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function percent(passed, total) {
+  return total > 0 ? Math.round((passed / total) * 1000) / 10 : null;
+}
+
+// Inline SVG line chart; null values leave a gap
+function lineChart(labels, series, unit = '') {
+  const width = 560;
+  const height = 180;
+  const pad = { left: 48, right: 12, top: 12, bottom: 28 };
+  const values = series.flatMap((s) => s.values).filter((v) => v !== null);
+  if (values.length === 0) {
+    return '<p class="empty">No data recorded</p>';
+  }
+
+  const max = Math.max(...values) || 1;
+  const x = (i) => pad.left + (labels.length > 1 ? (i * (width - pad.left - pad.right)) / (labels.length - 1) : 0);
+  const y = (v) => pad.top + (1 - v / max) * (height - pad.top - pad.bottom);
+
+  let svg = `<svg viewBox="0 0 ${width} ${height}" class="chart">`;
+  svg += `<line x1="${pad.left}" y1="${y(0)}" x2="${width - pad.right}" y2="${y(0)}" class="axis"/>`;
+  svg += `<text x="${pad.left - 6}" y="${y(max) + 4}" class="tick" text-anchor="end">${Math.round(max * 10) / 10}${unit}</text>`;
+  svg += `<text x="${pad.left - 6}" y="${y(0) + 4}" class="tick" text-anchor="end">0</text>`;
+  labels.forEach((label, i) => {
+    svg += `<text x="${x(i)}" y="${height - 8}" class="tick" text-anchor="middle">${escapeHtml(label)}</text>`;
+  });
+
+  series.forEach((s, n) => {
+    const color = s.color || COLORS[n % COLORS.length];
+    let d = '';
+    s.values.forEach((v, i) => {
+      if (v === null) return;
+      d += `${d && s.values[i - 1] !== null ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)} `;
+    });
+    svg += `<path d="${d.trim()}" fill="none" stroke="${color}" stroke-width="2"/>`;
+    s.values.forEach((v, i) => {
+      if (v === null) return;
+      svg += `<circle cx="${x(i).toFixed(1)}" cy="${y(v).toFixed(1)}" r="3" fill="${color}"><title>${escapeHtml(`${s.name} ${labels[i]}: ${v}${unit}`)}</title></circle>`;
+    });
+  });
+  svg += '</svg>';
+
+  const legend = series.length > 1
+    ? `<div class="legend">${series.map((s, n) => `<span><i style="background: ${s.color || COLORS[n % COLORS.length]}"></i>${escapeHtml(s.name)}</span>`).join('')}</div>`
+    : '';
+  return svg + legend;
+}
+
+function passRateClass(rate) {
+  if (rate === null) return 'none';
+  if (rate === 100) return 'good';
+  return rate >= 90 ? 'warn' : 'bad';
+}
+
+function generateHtml(records) {
+  const labels = records.map((r) => r.tag);
+  const categories = [...new Set(records.flatMap((r) => r.categories.map((c) => c.category)))];
+  const category = (record, name) => record.categories.find((c) => c.category === name);
+  const benchmarks = [...new Set(records.flatMap((r) => Object.keys(r.metrics.benchmark || {})))];
+  const regressions = ResultsArchive.regressions(records);
+  const newest = records[records.length - 1];
+
+  const header = `<tr><th>Category</th>${records.map((r) => `<th title="${escapeHtml(r.image)}@${r.digest}">${escapeHtml(r.tag)}<br><small>${r.digest.slice(0, 7)}</small></th>`).join('')}</tr>`;
+
+  const passRateRows = categories.map((name) => `
+    <tr><td>${escapeHtml(name)}</td>${records.map((r) => {
+      const c = category(r, name);
+      const rate = c ? percent(c.passed, c.total) : null;
+      return `<td class="cell ${passRateClass(rate)}">${c ? `${rate}%<br><small>${c.passed}/${c.total}</small>` : '-'}</td>`;
+    }).join('')}</tr>`).join('');
+
+  const durationRows = categories.map((name) => `
+    <tr><td>${escapeHtml(name)}</td>${records.map((r) => {
+      const c = category(r, name);
+      return `<td>${c ? `${(c.duration / 1000).toFixed(1)}s` : '-'}</td>`;
+    }).join('')}</tr>`).join('');
+
+  const slowest = Object.entries(newest.tests)
+    .sort(([, a], [, b]) => b.duration - a.duration)
+    .slice(0, SLOWEST_TESTS);
+  const slowestRows = slowest.map(([key, t]) => `
+    <tr><td>${escapeHtml(t.category)} › ${escapeHtml(t.name)}</td>${records.map((r) => {
+      const d = r.tests[key]?.duration;
+      return `<td>${d === undefined ? '-' : `${(d / 1000).toFixed(1)}s`}</td>`;
+    }).join('')}</tr>`).join('');
+
+  const regressionRows = regressions.map((r) => `
+    <tr class="${r.fixedIn ? '' : 'open'}">
+      <td>${escapeHtml(r.category)}</td>
+      <td>${escapeHtml(r.name)}</td>
+      <td><code>${escapeHtml(r.lastPassed)}</code></td>
+      <td><code>${escapeHtml(r.firstFailed)}</code></td>
+      <td>${r.fixedIn ? `<code>${escapeHtml(r.fixedIn)}</code>` : '<strong>still failing</strong>'}</td>
+    </tr>`).join('');
+
+  const releaseRows = [...records].reverse().map((r) => `
+    <tr>
+      <td class="status-icon">${r.summary.success ? '✅' : '❌'}</td>
+      <td><code>${escapeHtml(r.tag)}</code></td>
+      <td><code>${r.digest}</code></td>
+      <td>${r.time.slice(0, 16).replace('T', ' ')}</td>
+      <td>${r.summary.passed + (r.summary.flaky || 0)}/${r.summary.total}</td>
+      <td>${r.summary.failed}</td>
+      <td>${r.summary.logErrors ?? '-'}</td>
+      <td>${r.metrics.rssMax ? `${(r.metrics.rssMax / 1024 / 1024).toFixed(1)} MB` : '-'}</td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>SignalK Release Validation Trends</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
+    .container { max-width: 1400px; margin: 0 auto; }
+    .header { background: linear-gradient(135deg, #1e3a5f 0%, #2d5a87 100%); color: white; padding: 30px; border-radius: 12px; margin-bottom: 20px; }
+    .header h1 { margin: 0 0 10px 0; font-size: 28px; }
+    .header .meta { opacity: 0.9; font-size: 14px; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(560px, 1fr)); gap: 20px; }
+    .card { background: white; border-radius: 12px; box-shadow: 0 2px 8px rgba(0,0,0,0.08); margin-bottom: 20px; overflow: hidden; }
+    .card-header { padding: 16px 20px; background: #f8f9fa; border-bottom: 1px solid #e9ecef; font-weight: 600; font-size: 16px; display: flex; align-items: center; gap: 10px; }
+    .card-body { padding: 20px; overflow-x: auto; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { padding: 8px 10px; text-align: left; border-bottom: 1px solid #e9ecef; white-space: nowrap; }
+    th { background: #f8f9fa; font-weight: 600; font-size: 12px; color: #666; }
+    .cell { text-align: center; }
+    .cell.good { background: #dcfce7; }
+    .cell.warn { background: #fef3c7; }
+    .cell.bad { background: #fee2e2; }
+    .cell.none { color: #bbb; }
+    tr.open td { background: #fef2f2; }
+    .chart { width: 100%; height: auto; }
+    .chart .axis { stroke: #ccc; }
+    .chart .tick { font-size: 10px; fill: #666; }
+    .legend { display: flex; gap: 16px; font-size: 12px; color: #666; margin-top: 8px; }
+    .legend i { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+    .empty { color: #999; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>SignalK Server Release Validation Trends</h1>
+      <div class="meta">${records.length} release(s) • ${escapeHtml(records[0].tag)} to ${escapeHtml(newest.tag)} • generated ${new Date().toLocaleString()}</div>
+    </div>
+
+    <div class="grid">
+      <div class="card">
+        <div class="card-header"><span>✅</span> Pass Rate</div>
+        <div class="card-body">${lineChart(labels, [{ name: 'Pass rate', values: records.map((r) => percent(r.summary.passed + (r.summary.flaky || 0), r.summary.total)) }], '%')}</div>
+      </div>
+      <div class="card">
+        <div class="card-header"><span>⏱️</span> Test Duration</div>
+        <div class="card-body">${lineChart(labels, [{ name: 'Duration', values: records.map((r) => Math.round(r.summary.duration / 100) / 10) }], 's')}</div>
+      </div>
+      <div class="card">
+        <div class="card-header"><span>📜</span> Server Log Errors</div>
+        <div class="card-body">${lineChart(labels, [
+          { name: 'Errors', values: records.map((r) => r.summary.logErrors ?? null), color: '#ef4444' },
+          { name: 'Warnings', values: records.map((r) => r.summary.logWarnings ?? null), color: '#f59e0b' },
+        ])}</div>
+      </div>
+      <div class="card">
+        <div class="card-header"><span>💾</span> Peak Memory (RSS)</div>
+        <div class="card-body">${lineChart(labels, [{ name: 'RSS', values: records.map((r) => (r.metrics.rssMax ? Math.round(r.metrics.rssMax / 1024 / 1024) : null)) }], ' MB')}</div>
+      </div>
+      <div class="card">
+        <div class="card-header"><span>📡</span> Delta Latency (p95)</div>
+        <div class="card-body">${lineChart(labels, [{ name: 'p95', values: records.map((r) => r.metrics.latencyP95) }], ' ms')}</div>
+      </div>
+      ${benchmarks.map((id) => {
+        const info = records.map((r) => r.metrics.benchmark?.[id]).find(Boolean);
+        return `
+      <div class="card">
+        <div class="card-header"><span>🚀</span> ${escapeHtml(info.title)}</div>
+        <div class="card-body">${lineChart(labels, [{ name: info.title, values: records.map((r) => r.metrics.benchmark?.[id]?.value ?? null) }], ` ${info.unit}`)}</div>
+      </div>`;
+      }).join('')}
+    </div>
+
+    <div class="card">
+      <div class="card-header"><span>🔎</span> Started Failing (${regressions.length})</div>
+      <div class="card-body">
+        ${regressions.length > 0 ? `
+        <table>
+          <thead><tr><th>Category</th><th>Test</th><th>Last passed</th><th>First failed</th><th>Fixed in</th></tr></thead>
+          <tbody>${regressionRows}</tbody>
+        </table>` : '<p class="empty">No test passed in one release and failed in a later one.</p>'}
+      </div>
+    </div>
+
+    <div class="card">
+      <div class="card-header"><span>📊</span> Pass Rate by Category</div>
+      <div class="card-body"><table><thead>${header}</thead><tbody>${passRateRows}</tbody></table></div>
+    </div>
+
+    <div class="card">
+      <div class="card-header"><span>⏱️</span> Duration by Category</div>
+      <div class="card-body"><table><thead>${header}</thead><tbody>${durationRows}</tbody></table></div>
+    </div>
+
+    <div class="card">
+      <div class="card-header"><span>🐢</span> Slowest Tests in ${escapeHtml(newest.tag)}</div>
+      <div class="card-body"><table><thead>${header.replace('<th>Category</th>', '<th>Test</th>')}</thead><tbody>${slowestRows}</tbody></table></div>
+    </div>
+
+    <div class="card">
+      <div class="card-header"><span>🏷️</span> Releases</div>
+      <div class="card-body">
+        <table>
+          <thead><tr><th></th><th>Tag</th><th>Digest</th><th>Date</th><th>Passed</th><th>Failed</th><th>Log Errors</th><th>Peak RSS</th></tr></thead>
+          <tbody>${releaseRows}</tbody>
+        </table>
+      </div>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+function main() {
+  const args = parseArgs();
+  const archiveDir = args.archive || 'archive/';
+  const out = args.out || 'reports/trends.html';
+
+  let records = new ResultsArchive(archiveDir).load();
+  if (args.limit) {
+    records = records.slice(-Number(args.limit));
+  }
+  if (records.length === 0) {
+    console.error(`No archived results in ${archiveDir}`);
+    process.exit(1);
+  }
+
+  fs.outputFileSync(out, generateHtml(records));
+  console.log(`Generated ${out} (${records.length} releases)`);
+
+  const regressions = ResultsArchive.regressions(records).filter((r) => !r.fixedIn);
+  for (const r of regressions) {
+    console.log(`  Failing since ${r.firstFailed} (last passed ${r.lastPassed}): ${r.category} › ${r.name}`);
+  }
+}
+
+main();
@@ -99,6 +99,19 @@ describe('Server Lifecycle', () => {
 
       expect(logMonitor.getPhaseErrors('websocket-check')).toHaveLength(0);
     });
+
+    test('log entries keep stream provenance and Docker timestamps', async () => {
+      logMonitor.setPhase('log-provenance');
+
+      // Everything the server logged since the container was created
+      expect(logMonitor.allLogs.length).toBeGreaterThan(0);
+      for (const entry of logMonitor.allLogs) {
+        expect(['stdout', 'stderr']).toContain(entry.stream);
+        // No frame header bytes leak into the text
+        expect(entry.line).not.toMatch(/[\x00-\x08]/);
+        expect(entry.timestamp).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+      }
+    });
   });
 
   describe('Graceful Shutdown', () => {
@@ -225,4 +238,36 @@ describe('Server Lifecycle', () => {
       console.log(`CPU usage: ${stats.cpu.percent}%`);
     });
   });
+
+  describe('Dynamic Ports', () => {
+    test('side-by-side managers get distinct, working host ports', async () => {
+      logMonitor.setPhase('dynamic-ports');
+
+      const managers = [1, 2].map((n) => new ContainerManager({
+        image: process.env.SIGNALK_IMAGE || 'signalk/signalk-server:latest',
+        containerName: `signalk-test-dynamic-${n}-${process.pid}`,
+        dynamicPorts: true,
+        watchdog: false,
+      }));
+
+      try {
+        // Start both at once so their port assignments overlap
+        const infos = await Promise.all(managers.map((m) => m.start()));
+
+        const hostPorts = infos.flatMap((info) => Object.values(info.ports));
+        expect(new Set(hostPorts).size).toBe(hostPorts.length);
+
+        for (const [i, info] of infos.entries()) {
+          expect(info.ports).toEqual(managers[i].ports);
+
+          const res = await fetch(`${info.baseUrl}/signalk`);
+          expect(res.ok).toBe(true);
+          expect(await managers[i].waitForTcpPort(info.tcpPort, 5000)).toBe(true);
+        }
+      } finally {
+        await Promise.all(managers.map((m) => m.remove(true)));
+      }
+    }, 180000);
+  });
+
 });
@@ -222,8 +222,9 @@ describe('Plugin Loading', () => {
       }
       const beforePlugins = await beforeRes.json();
 
-      // Restart server
+      // Restart server (with dynamic ports Docker publishes new host ports)
       await manager.restart(10);
+      baseUrl = manager.getConnectionInfo().baseUrl;
 
       // Get plugin state after restart
       const afterRes = await fetch(`${baseUrl}/plugins`);
@@ -17,18 +17,22 @@ describe('NMEA 0183 Input', () => {
   let baseUrl;
   let tcpPort;
   let udpPort;
+  let nmea450Port;
 
   beforeAll(async () => {
     logMonitor = new LogMonitor();
     manager = new ContainerManager({
       image: process.env.SIGNALK_IMAGE || 'signalk/signalk-server:latest',
       logMonitor,
+      nmea450: true,
     });
     const info = await manager.start();
     baseUrl = info.baseUrl;
     tcpPort = info.tcpPort;
     udpPort = info.udpPort;
-    feeder = new NmeaFeeder({ tcpPort, udpPort });
+    nmea450Port = info.nmea450Port;
+    // Docker does not forward multicast, so 450 datagrams go unicast to the published port
+    feeder = new NmeaFeeder({ tcpPort, udpPort, nmea450Port, nmea450Host: 'localhost' });
 
     // Container manager now waits for TCP port, add small buffer for provider init
     await sleep(2000);
@@ -536,4 +540,72 @@ describe('NMEA 0183 Input', () => {
       expect(logMonitor).toHaveNoCriticalErrors();
     });
   });
+
+  // ========================================
+  // TAG Blocks and IEC 61162-450
+  // ========================================
+  describe('TAG Blocks and IEC 61162-450', () => {
+    // Whole seconds: TAG block c: has one-second resolution
+    const pastSecond = (minutesAgo) =>
+      new Date(Math.floor((Date.now() - minutesAgo * 60000) / 1000) * 1000);
+
+    test('server takes source and timestamp from a TAG block over TCP', async () => {
+      logMonitor.setPhase('tag-block-tcp');
+
+      const time = pastSecond(10);
+      const result = await feeder.sendTcp('$SDDBT,32.8,f,10.0,M,5.5,F*0A', {
+        tagBlock: { source: 'SD0042', time },
+      });
+      expect(result.errors).toHaveLength(0);
+
+      await sleep(1000);
+
+      const res = await fetch(
+        `${baseUrl}/signalk/v1/api/vessels/self/environment/depth/belowTransducer`
+      );
+      expect(res.ok).toBe(true);
+      const data = await res.json();
+      expect(data.value).toBeCloseTo(10.0, 1);
+      expect(data.timestamp).toBe(time.toISOString());
+      expect(data.$source).toMatch(/\.SD0042$/);
+
+      expect(logMonitor.getPhaseErrors('tag-block-tcp')).toHaveLength(0);
+    });
+
+    test('server decodes IEC 61162-450 datagrams', async () => {
+      logMonitor.setPhase('nmea-450');
+
+      const time = pastSecond(5);
+      const sentences = ['$HEHDT,123.4,T', '$IIMTW,15.5,C'].map((s) => feeder.addChecksum(s));
+      const result = await feeder.send450(sentences, { source: 'II0450', time, perDatagram: 2 });
+      expect(result).toMatchObject({ sent: 2, datagrams: 1, errors: [] });
+
+      // Datagrams without the UdPbC header are not 450 traffic and are dropped
+      await new Promise((resolve, reject) => {
+        const socket = require('dgram').createSocket('udp4');
+        socket.send(feeder.addChecksum('$HEHDT,321.0,T'), nmea450Port, 'localhost', (err) => {
+          socket.close();
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+
+      await sleep(1500);
+
+      const heading = await (
+        await fetch(`${baseUrl}/signalk/v1/api/vessels/self/navigation/headingTrue`)
+      ).json();
+      expect(heading.value).toBeCloseTo((123.4 * Math.PI) / 180, 3);
+      expect(heading.timestamp).toBe(time.toISOString());
+      expect(heading.$source).toBe('nmea-450-input.II0450');
+
+      const temperature = await (
+        await fetch(`${baseUrl}/signalk/v1/api/vessels/self/environment/water/temperature`)
+      ).json();
+      expect(temperature.value).toBeCloseTo(288.65, 1);
+      expect(temperature.$source).toBe('nmea-450-input.II0450');
+
+      expect(logMonitor.getPhaseErrors('nmea-450')).toHaveLength(0);
+    });
+  });
 });
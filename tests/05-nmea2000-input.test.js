@@ -1,8 +1,8 @@
 /**
  * NMEA 2000 Input Tests
  *
- * Tests NMEA 2000 data input via canboat JSON format
- * with various PGN types and scenarios.
+ * Tests NMEA 2000 data input via canboat JSON format and raw
+ * CAN frame formats with various PGN types and scenarios.
  */
 
 const { ContainerManager } = require('../lib/container-manager');
@@ -15,6 +15,7 @@ describe('NMEA 2000 Input', () => {
   let logMonitor;
   let simulator;
   let baseUrl;
+  let apiUrl;
   let wsUrl;
 
   beforeAll(async () => {
@@ -22,11 +23,13 @@ describe('NMEA 2000 Input', () => {
     manager = new ContainerManager({
       image: process.env.SIGNALK_IMAGE || 'signalk/signalk-server:latest',
       logMonitor,
+      n2kInputs: ['canboat-json', 'actisense', 'actisense-ngt1', 'ydraw', 'candump'],
     });
     const info = await manager.start();
     baseUrl = info.baseUrl;
+    apiUrl = info.apiUrl;
     wsUrl = info.wsUrl;
-    simulator = new N2kSimulator();
+    simulator = new N2kSimulator({ port: info.n2kPort, formatPorts: info.n2kPorts });
 
     // Wait for server to be fully ready
     await sleep(2000);
@@ -204,6 +207,167 @@ describe('NMEA 2000 Input', () => {
     });
   });
 
+  describe('N2K to SignalK Conversion', () => {
+    const degToRad = (deg) => (deg * Math.PI) / 180;
+
+    // Poll a vessels.self path until the server has a value for it
+    const getSelfValue = async (skPath, predicate = () => true) => {
+      let data = null;
+      await waitFor(async () => {
+        const res = await fetch(`${apiUrl}/vessels/self/${skPath.replace(/\./g, '/')}`);
+        if (!res.ok) return false;
+        data = await res.json();
+        return data.value !== undefined && predicate(data.value);
+      }, 15000, 500);
+      return data;
+    };
+
+    const expectUnits = (data, units) => {
+      // Every path checked here has units in the SignalK schema, which the
+      // server attaches as meta; a missing meta.units fails naming the path
+      expect(data).toHaveProperty('meta.units', units);
+    };
+
+    test('Vessel Heading (127250) lands at navigation.headingMagnetic in radians', async () => {
+      logMonitor.setPhase('n2k-conv-heading');
+
+      await simulator.sendTcp(simulator.generateHeading(123.4, 1.5, -4.0), { delay: 0 });
+
+      const heading = await getSelfValue('navigation.headingMagnetic', (v) =>
+        Math.abs(v - degToRad(123.4)) < 0.001
+      );
+      expect(heading.value).toBeCloseTo(degToRad(123.4), 3);
+      expectUnits(heading, 'rad');
+
+      const variation = await getSelfValue('navigation.magneticVariation');
+      expect(variation.value).toBeCloseTo(degToRad(-4.0), 3);
+
+      expect(logMonitor.getPhaseErrors('n2k-conv-heading')).toHaveLength(0);
+    });
+
+    test('Water Depth (128267) lands at environment.depth.belowTransducer in meters', async () => {
+      logMonitor.setPhase('n2k-conv-depth');
+
+      await simulator.sendTcp(simulator.generateDepth(17.25, 0), { delay: 0 });
+
+      const depth = await getSelfValue('environment.depth.belowTransducer', (v) =>
+        Math.abs(v - 17.25) < 0.01
+      );
+      expect(depth.value).toBeCloseTo(17.25, 2);
+      expectUnits(depth, 'm');
+
+      expect(logMonitor.getPhaseErrors('n2k-conv-depth')).toHaveLength(0);
+    });
+
+    test('Wind Data (130306) lands at environment.wind apparent paths', async () => {
+      logMonitor.setPhase('n2k-conv-wind');
+
+      await simulator.sendTcp(simulator.generateWind(8.5, 42.0, 'Apparent'), { delay: 0 });
+
+      const speed = await getSelfValue('environment.wind.speedApparent', (v) =>
+        Math.abs(v - 8.5) < 0.01
+      );
+      expect(speed.value).toBeCloseTo(8.5, 2);
+      expectUnits(speed, 'm/s');
+
+      const angle = await getSelfValue('environment.wind.angleApparent');
+      expect(angle.value).toBeCloseTo(degToRad(42.0), 3);
+      expectUnits(angle, 'rad');
+
+      expect(logMonitor.getPhaseErrors('n2k-conv-wind')).toHaveLength(0);
+    });
+
+    test('Battery Status (127508) lands at electrical.batteries.<instance>', async () => {
+      logMonitor.setPhase('n2k-conv-battery');
+
+      await simulator.sendTcp(simulator.generateBattery(1, 12.65, 4.2), { delay: 0 });
+
+      const voltage = await getSelfValue('electrical.batteries.1.voltage', (v) =>
+        Math.abs(v - 12.65) < 0.01
+      );
+      expect(voltage.value).toBeCloseTo(12.65, 2);
+      expectUnits(voltage, 'V');
+
+      const current = await getSelfValue('electrical.batteries.1.current');
+      expect(current.value).toBeCloseTo(4.2, 2);
+      expectUnits(current, 'A');
+
+      expect(logMonitor.getPhaseErrors('n2k-conv-battery')).toHaveLength(0);
+    });
+
+    test('Position (129025) and COG/SOG (129026) land at navigation paths', async () => {
+      logMonitor.setPhase('n2k-conv-position');
+
+      await simulator.sendTcp(
+        [simulator.generatePosition(60.1234, 24.5678), simulator.generateCogSog(210.0, 3.1)],
+        { delay: 0 }
+      );
+
+      const position = await getSelfValue('navigation.position', (v) =>
+        Math.abs(v.latitude - 60.1234) < 0.0001
+      );
+      expect(position.value.latitude).toBeCloseTo(60.1234, 4);
+      expect(position.value.longitude).toBeCloseTo(24.5678, 4);
+
+      const cog = await getSelfValue('navigation.courseOverGroundTrue');
+      expect(cog.value).toBeCloseTo(degToRad(210.0), 3);
+      expectUnits(cog, 'rad');
+
+      const sog = await getSelfValue('navigation.speedOverGround');
+      expect(sog.value).toBeCloseTo(3.1, 2);
+      expectUnits(sog, 'm/s');
+
+      expect(logMonitor.getPhaseErrors('n2k-conv-position')).toHaveLength(0);
+    });
+
+    test('N2K values carry the n2k provider as $source', async () => {
+      logMonitor.setPhase('n2k-conv-source');
+
+      await simulator.sendTcp(simulator.generateDepth(9.5, 0), { delay: 0 });
+
+      const depth = await getSelfValue('environment.depth.belowTransducer', (v) =>
+        Math.abs(v - 9.5) < 0.01
+      );
+      expect(depth.$source).toMatch(/^n2k-canboat-json-input\./);
+
+      expect(logMonitor.getPhaseErrors('n2k-conv-source')).toHaveLength(0);
+    });
+  });
+
+  describe('Raw Format Inputs', () => {
+    const formats = [
+      ['actisense', 'n2k-actisense-input', 11.1],
+      ['actisense-ngt1', 'n2k-ngt1-input', 12.2],
+      ['ydraw', 'n2k-ydraw-input', 13.3],
+      ['candump', 'n2k-candump-input', 14.4],
+    ];
+
+    test.each(formats)('%s input is decoded to SignalK', async (format, providerId, depthValue) => {
+      const phase = `n2k-format-${format}`;
+      logMonitor.setPhase(phase);
+
+      const result = await simulator.sendFormat(
+        [simulator.generateDepth(depthValue, 0), simulator.generateGnssPosition(60.15, 24.95)],
+        format,
+        { delay: 50 }
+      );
+      expect(result.sent).toBeGreaterThan(0);
+
+      let depth = null;
+      await waitFor(async () => {
+        const res = await fetch(`${apiUrl}/vessels/self/environment/depth/belowTransducer`);
+        if (!res.ok) return false;
+        depth = await res.json();
+        return Math.abs(depth.value - depthValue) < 0.01;
+      }, 15000, 500);
+
+      expect(depth.value).toBeCloseTo(depthValue, 2);
+      expect(depth.$source).toMatch(new RegExp(`^${providerId}\\.`));
+
+      expect(logMonitor.getPhaseErrors(phase)).toHaveLength(0);
+    });
+  });
+
   describe('WebSocket Delta Streaming', () => {
     test('WebSocket connection receives deltas', async () => {
       logMonitor.setPhase('n2k-ws-connect');
@@ -8,14 +8,17 @@
 const { ContainerManager } = require('../lib/container-manager');
 const { LogMonitor } = require('../lib/log-monitor');
 const { NmeaFeeder } = require('../lib/nmea-feeder');
+const { VesselModel } = require('../lib/vessel-model');
+const { StateOracle } = require('../lib/state-oracle');
 const path = require('path');
-const fs = require('fs-extra');
 
 describe('Real-World Scenarios', () => {
   let manager;
   let logMonitor;
   let feeder;
   let baseUrl;
+  let n2kPorts;
+  let token;
 
   beforeAll(async () => {
     logMonitor = new LogMonitor();
@@ -25,7 +28,21 @@ describe('Real-World Scenarios', () => {
     });
     const info = await manager.start();
     baseUrl = info.baseUrl;
-    feeder = new NmeaFeeder({ tcpPort: info.tcpPort, udpPort: info.udpPort });
+    n2kPorts = info.n2kPorts;
+    feeder = new NmeaFeeder({
+      tcpPort: info.tcpPort,
+      udpPort: info.udpPort,
+      apiUrl: `${baseUrl}/signalk/v1/api`,
+    });
+
+    // Delta and PUT phases write as the admin user set up by ContainerManager
+    const res = await fetch(`${baseUrl}/signalk/v1/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: 'admin123' }),
+    });
+    expect(res.ok).toBe(true);
+    ({ token } = await res.json());
 
     await sleep(3000);
   }, 120000);
@@ -116,6 +133,129 @@ describe('Real-World Scenarios', () => {
 
       expect(logMonitor.getPhaseErrors('scenario-coastal')).toHaveLength(0);
     }, 180000);
+
+    test('scenario file reaches its expected end state', async () => {
+      logMonitor.setPhase('scenario-coastal-file');
+
+      const results = await feeder.runScenario(
+        path.join(__dirname, '../fixtures/scenarios/coastal-sailing.json')
+      );
+
+      expect(results.expectations).toBeDefined();
+      expect(results.expectations.error).toBeUndefined();
+      expect(results.expectations.checked).toBe(4);
+      if (results.expectations.failures.length > 0) {
+        throw new Error(
+          `Scenario end state differs:\n${StateOracle.formatDiff(results.expectations)}`
+        );
+      }
+
+      expect(logMonitor.getPhaseErrors('scenario-coastal-file')).toHaveLength(0);
+    }, 240000);
+  });
+
+  describe('Scenario Phase Types', () => {
+    test('runs n2k, delta, put, wait-for and parallel phases', async () => {
+      logMonitor.setPhase('scenario-phase-types');
+
+      const results = await feeder.runScenario(
+        path.join(__dirname, '../fixtures/scenarios/systems-check.json'),
+        { n2kPorts, token }
+      );
+
+      const phaseErrors = results.phases.flatMap((p) => p.errors);
+      expect(phaseErrors).toEqual([]);
+      expect(results.phases.map((p) => p.type)).toEqual([
+        'parallel',
+        'n2k',
+        'delta',
+        'wait-for',
+        'put',
+        'wait-for',
+      ]);
+
+      // Both branches of the parallel phase sent data
+      const [instruments] = results.phases;
+      expect(instruments.phases.map((p) => p.type)).toEqual(['nmea', 'n2k']);
+      instruments.phases.forEach((p) => expect(p.sent).toBeGreaterThan(0));
+
+      expect(results.phases[3].matched).toBeCloseTo(293.15, 2);
+      expect(results.expectations.failures).toEqual([]);
+
+      expect(logMonitor.getPhaseErrors('scenario-phase-types')).toHaveLength(0);
+    }, 120000);
+  });
+
+  describe('Kinematic Passage Scenario', () => {
+    const KNOTS_TO_MS = 1852 / 3600;
+
+    // Two legs with a 90 degree turn, a cross current and leeway
+    const passage = () =>
+      new VesselModel({
+        lat: 60.15,
+        lon: 24.95,
+        heading: 180,
+        speed: 6,
+        legs: [
+          { course: 180, duration: 60 },
+          { course: 270, speed: 5, duration: 120, turnRate: 3 },
+        ],
+        current: { set: 90, drift: 1.2 },
+        leeway: 4,
+        variation: 8,
+        startTime: '2025-06-01T12:00:00Z',
+      });
+
+    const parseRmc = (sentence) => {
+      const f = sentence.split('*')[0].split(',');
+      const coord = (v, h, degDigits) => {
+        const decimal = parseInt(v.substring(0, degDigits), 10) + parseFloat(v.substring(degDigits)) / 60;
+        return h === 'S' || h === 'W' ? -decimal : decimal;
+      };
+      return {
+        lat: coord(f[3], f[4], 2),
+        lon: coord(f[5], f[6], 3),
+        sog: parseFloat(f[7]),
+        cog: parseFloat(f[8]),
+      };
+    };
+
+    test('server navigation data matches the model state', async () => {
+      logMonitor.setPhase('scenario-kinematic');
+
+      const model = passage();
+      const sentences = feeder.generateVesselBurst(model, 120, { interval: 1 });
+      await feeder.sendTcp(sentences, { delay: 10 });
+
+      const final = model.getState();
+      const lastFix = parseRmc(sentences.filter((s) => s.startsWith('$GPRMC')).pop());
+
+      let navigation = null;
+      await waitFor(async () => {
+        const res = await fetch(`${baseUrl}/signalk/v1/api/vessels/self/navigation`);
+        if (!res.ok) return false;
+        navigation = await res.json();
+        return Math.abs(navigation.position?.value?.latitude - lastFix.lat) < 1e-6;
+      }, 15000, 500);
+
+      expect(navigation.position.value.latitude).toBeCloseTo(final.lat, 5);
+      expect(navigation.position.value.longitude).toBeCloseTo(final.lon, 5);
+      expect(navigation.speedOverGround.value).toBeCloseTo(final.sog * KNOTS_TO_MS, 1);
+      expect(navigation.courseOverGroundTrue.value).toBeCloseTo((final.cog * Math.PI) / 180, 2);
+      expect(navigation.headingTrue.value).toBeCloseTo((final.heading * Math.PI) / 180, 2);
+
+      // VMG towards a waypoint is derivable from the served values
+      const waypoint = { lat: 60.0, lon: 24.5 };
+      const served = {
+        lat: navigation.position.value.latitude,
+        lon: navigation.position.value.longitude,
+        sog: navigation.speedOverGround.value / KNOTS_TO_MS,
+        cog: (navigation.courseOverGroundTrue.value * 180) / Math.PI,
+      };
+      expect(VesselModel.vmg(served, waypoint)).toBeCloseTo(VesselModel.vmg(final, waypoint), 1);
+
+      expect(logMonitor.getPhaseErrors('scenario-kinematic')).toHaveLength(0);
+    }, 60000);
   });
 
   describe('Anchor Watch Scenario', () => {
@@ -171,25 +311,39 @@ describe('Real-World Scenarios', () => {
     test('simulates busy harbor with many AIS targets', async () => {
       logMonitor.setPhase('scenario-ais-heavy');
 
-      // Generate AIS messages for multiple vessels
-      const aisSentences = feeder.generateAisBurst(100);
+      // 150 distinct moving targets, each reporting twice after its static data
+      const targets = feeder.generateAisTargets(150, { centerLat: 60.15, centerLon: 24.95 });
+      const aisSentences = feeder.generateAisBurst(300, { targets });
 
-      const result = await feeder.sendTcp(aisSentences, { delay: 50 });
+      const result = await feeder.sendTcp(aisSentences, { delay: 10 });
 
-      expect(result.sent).toBeGreaterThan(50);
+      expect(result.sent).toBe(aisSentences.length);
+      expect(result.errors).toHaveLength(0);
 
-      await sleep(5000);
+      // Every target should show up under its own MMSI context
+      let vessels = {};
+      await waitFor(async () => {
+        const res = await fetch(`${baseUrl}/signalk/v1/api/vessels`);
+        if (!res.ok) return false;
+        vessels = await res.json();
+        return targets.every((t) => vessels[`urn:mrn:imo:mmsi:${t.mmsi}`]?.navigation?.position);
+      }, 30000, 1000);
 
-      // Check that vessels were added
-      const res = await fetch(`${baseUrl}/signalk/v1/api/vessels`);
-      if (res.ok) {
-        const vessels = await res.json();
-        const vesselCount = Object.keys(vessels).length;
-        console.log(`AIS targets detected: ${vesselCount - 1}`); // Minus self
+      const aisIds = Object.keys(vessels).filter((id) => id.startsWith('urn:mrn:imo:mmsi:'));
+      console.log(`AIS targets detected: ${aisIds.length}`);
+
+      for (const target of targets) {
+        const vessel = vessels[`urn:mrn:imo:mmsi:${target.mmsi}`];
+        expect(vessel).toBeDefined();
+
+        const position = vessel.navigation.position.value;
+        expect(position.latitude).toBeCloseTo(target.lat, 3);
+        expect(position.longitude).toBeCloseTo(target.lon, 3);
+        expect(vessel.name).toBe(target.name);
       }
 
       expect(logMonitor.getPhaseErrors('scenario-ais-heavy')).toHaveLength(0);
-    }, 60000);
+    }, 120000);
   });
 
   describe('Mixed Protocol Scenario', () => {
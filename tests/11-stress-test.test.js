@@ -16,6 +16,7 @@ describe('Stress Tests', () => {
   let logMonitor;
   let feeder;
   let baseUrl;
+  let profiler = null;
 
   beforeAll(async () => {
     logMonitor = new LogMonitor();
@@ -30,9 +31,15 @@ describe('Stress Tests', () => {
       tcpPort: info.tcpPort,
       udpPort: info.udpPort,
     });
+
+    // With SIGNALK_INSPECT=true, CPU profiles of the load phases go to reports/profiles
+    if (manager.inspect) {
+      profiler = await manager.connectProfiler();
+    }
   }, 120000);
 
   afterAll(async () => {
+    await profiler?.close();
     await manager.remove(true);
 
     const summary = logMonitor.getSummary();
@@ -49,8 +56,10 @@ describe('Stress Tests', () => {
       const messages = NmeaFixtures.getTestDataBurst(1000);
       console.log(`Sending ${messages.length} realistic NMEA messages...`);
 
+      await profiler?.startCpuProfile();
       await feeder.sendTcp(messages, { delay: 10 });
       await sleep(5000);
+      await profiler?.stopCpuProfile('stress-volume');
 
       expect(logMonitor.getPhaseErrors('stress-volume')).toHaveLength(0);
 
@@ -142,9 +151,11 @@ describe('Stress Tests', () => {
       const testSentences = NmeaFixtures.getTestDataBurst(500);
       console.log(`Sending ${testSentences.length} sentences for CPU load test...`);
 
+      await profiler?.startCpuProfile();
       await feeder.sendTcp(testSentences, { delay: 0 });
 
       await sleep(5000);
+      await profiler?.stopCpuProfile('stress-cpu');
 
       const stats = await manager.getStats();
       const cpuPercent = parseFloat(stats?.cpu?.percent || 0);
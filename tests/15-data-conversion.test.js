@@ -9,6 +9,7 @@ const { ContainerManager } = require('../lib/container-manager');
 const { LogMonitor } = require('../lib/log-monitor');
 const { NmeaFeeder } = require('../lib/nmea-feeder');
 const { NmeaFixtures } = require('../lib/nmea-fixtures');
+const WebSocket = require('ws');
 
 describe('Data Conversion and Units', () => {
   let manager;
@@ -16,6 +17,7 @@ describe('Data Conversion and Units', () => {
   let feeder;
   let baseUrl;
   let apiUrl;
+  let wsUrl;
   let tcpPort;
 
   beforeAll(async () => {
@@ -27,6 +29,7 @@ describe('Data Conversion and Units', () => {
     const info = await manager.start();
     baseUrl = info.baseUrl;
     apiUrl = info.apiUrl;
+    wsUrl = info.wsUrl;
     tcpPort = info.tcpPort;
     feeder = new NmeaFeeder({ tcpPort });
 
@@ -536,4 +539,89 @@ describe('Data Conversion and Units', () => {
       expect(logMonitor.getPhaseErrors('edge-prime-meridian')).toHaveLength(0);
     });
   });
+
+  describe('Seeded Burst Conversion', () => {
+    const SEED = 'data-conversion';
+    const START_TIME = '2025-06-01T12:00:00Z';
+    const KNOTS_TO_MS = 1852 / 3600;
+
+    // ddmm.mmmm / dddmm.mmmm to decimal degrees
+    const parseCoord = (value, hemisphere) => {
+      const dot = value.indexOf('.');
+      const deg = parseInt(value.substring(0, dot - 2), 10);
+      const min = parseFloat(value.substring(dot - 2));
+      const decimal = deg + min / 60;
+      return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+    };
+
+    const expectedFixes = (sentences) =>
+      sentences
+        .filter((s) => s.startsWith('$GPRMC'))
+        .map((s) => {
+          const f = s.split('*')[0].split(',');
+          return {
+            latitude: parseCoord(f[3], f[4]),
+            longitude: parseCoord(f[5], f[6]),
+            sog: parseFloat(f[7]) * KNOTS_TO_MS,
+            cog: (parseFloat(f[8]) * Math.PI) / 180,
+          };
+        });
+
+    test('every fix in a seeded navigation burst converts exactly', async () => {
+      logMonitor.setPhase('conv-seeded-burst');
+
+      const seeded = new NmeaFeeder({ tcpPort, seed: SEED, startTime: START_TIME });
+      const sentences = seeded.generateNavigationBurst(20, {
+        startLat: 60.15,
+        startLon: 24.95,
+        speed: 6,
+        course: 220,
+      });
+      const expected = expectedFixes(sentences);
+
+      const ws = new WebSocket(`${wsUrl}?subscribe=self`);
+      const positions = [];
+      const speeds = [];
+      const courses = [];
+
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        for (const update of msg.updates || []) {
+          for (const v of update.values || []) {
+            if (v.path === 'navigation.position') positions.push(v.value);
+            if (v.path === 'navigation.speedOverGround') speeds.push(v.value);
+            if (v.path === 'navigation.courseOverGroundTrue') courses.push(v.value);
+          }
+        }
+      });
+      await new Promise((resolve) => ws.on('open', resolve));
+      await sleep(500);
+
+      // Drop cached values sent on connect
+      positions.length = 0;
+      speeds.length = 0;
+      courses.length = 0;
+
+      await seeded.sendTcp(sentences, { delay: 50 });
+      await waitFor(async () => speeds.length >= expected.length, 10000, 200);
+      ws.close();
+
+      // GGA repeats the preceding RMC position; compare distinct consecutive fixes
+      const distinct = positions.filter(
+        (p, i) => i === 0 || p.latitude !== positions[i - 1].latitude || p.longitude !== positions[i - 1].longitude
+      );
+
+      expect(distinct).toHaveLength(expected.length);
+      expect(speeds).toHaveLength(expected.length);
+      expect(courses).toHaveLength(expected.length);
+      expected.forEach((fix, i) => {
+        expect(distinct[i].latitude).toBeCloseTo(fix.latitude, 8);
+        expect(distinct[i].longitude).toBeCloseTo(fix.longitude, 8);
+        expect(speeds[i]).toBeCloseTo(fix.sog, 4);
+        expect(courses[i]).toBeCloseTo(fix.cog, 6);
+      });
+
+      expect(logMonitor.getPhaseErrors('conv-seeded-burst')).toHaveLength(0);
+    });
+  });
 });
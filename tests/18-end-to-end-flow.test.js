@@ -433,4 +433,65 @@ describe('End-to-End Data Flow', () => {
       expect(logMonitor).toHaveNoCriticalErrors();
     });
   });
+
+  describe('Seeded Burst Flow', () => {
+    test('every value of a seeded environment burst reaches WebSocket and REST', async () => {
+      logMonitor.setPhase('e2e-seeded-burst');
+
+      const seeded = new NmeaFeeder({ tcpPort, seed: 'end-to-end', startTime: '2025-06-01T12:00:00Z' });
+      const sentences = seeded.generateEnvironmentBurst(15, { depth: 15, windSpeed: 12, windAngle: 45 });
+
+      // Same seed, same burst
+      const replay = new NmeaFeeder({ seed: 'end-to-end', startTime: '2025-06-01T12:00:00Z' });
+      expect(replay.generateEnvironmentBurst(15, { depth: 15, windSpeed: 12, windAngle: 45 })).toEqual(sentences);
+      expect(sentences[0]).toBe('$SDDBT,49.7,f,15.1,M,8.3,F*02');
+
+      const field = (s, i) => parseFloat(s.split('*')[0].split(',')[i]);
+      const expectedDepths = sentences.filter((s) => s.startsWith('$SDDBT')).map((s) => field(s, 3));
+      const expectedWind = sentences
+        .filter((s) => s.startsWith('$WIMWV') && s.split(',')[2] === 'R')
+        .map((s) => field(s, 3));
+
+      const ws = new WebSocket(`${wsUrl}?subscribe=self`);
+      const depths = [];
+      const windSpeeds = [];
+
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        for (const update of msg.updates || []) {
+          for (const v of update.values || []) {
+            if (v.path === 'environment.depth.belowTransducer') depths.push(v.value);
+            if (v.path === 'environment.wind.speedApparent') windSpeeds.push(v.value);
+          }
+        }
+      });
+      await new Promise((resolve) => ws.on('open', resolve));
+      await sleep(500);
+
+      // Drop cached values sent on connect
+      depths.length = 0;
+      windSpeeds.length = 0;
+
+      await seeded.sendTcp(sentences, { delay: 50 });
+      await waitFor(
+        async () => depths.length >= expectedDepths.length && windSpeeds.length >= expectedWind.length,
+        10000,
+        200
+      );
+      ws.close();
+
+      expect(depths).toHaveLength(expectedDepths.length);
+      expectedDepths.forEach((depth, i) => expect(depths[i]).toBeCloseTo(depth, 6));
+      expect(windSpeeds).toHaveLength(expectedWind.length);
+      expectedWind.forEach((speed, i) => expect(windSpeeds[i]).toBeCloseTo(speed, 6));
+
+      // REST holds the last value of the burst
+      const res = await fetch(`${baseUrl}/signalk/v1/api/vessels/self/environment/depth/belowTransducer`);
+      expect(res.ok).toBe(true);
+      const depth = await res.json();
+      expect(depth.value).toBeCloseTo(expectedDepths[expectedDepths.length - 1], 6);
+
+      expect(logMonitor.getPhaseErrors('e2e-seeded-burst')).toHaveLength(0);
+    });
+  });
 });
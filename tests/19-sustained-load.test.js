@@ -47,14 +47,18 @@ describe('Sustained Load Tests', () => {
     test('memory usage remains stable over 2 minutes of continuous data', async () => {
       logMonitor.setPhase('sustained-memory');
 
+      // With SIGNALK_INSPECT=true, heap snapshots before and after the load
+      // show which constructors grew (reports/profiles, summary.md)
+      const profiler = manager.inspect ? await manager.connectProfiler() : null;
+      const heapBefore = await profiler?.takeHeapSnapshot('sustained-memory-before');
+
       // Get initial memory
       const initialStats = await manager.getStats();
       const initialMemory = initialStats.memory.usage;
 
-      const memorySamples = [initialMemory];
+      // Memory over the phase is recorded by the manager's ResourceSampler
+      // (resources.csv and the charts in report.html)
       const duration = 120000; // 2 minutes
-      const interval = 10000; // Sample every 10 seconds
-      const startTime = Date.now();
 
       // Start continuous data feed
       const feedInterval = setInterval(async () => {
@@ -62,24 +66,21 @@ describe('Sustained Load Tests', () => {
         await feeder.sendTcp(sentences, { delay: 50 });
       }, 500);
 
-      // Sample memory periodically
-      const sampleInterval = setInterval(async () => {
-        try {
-          const stats = await manager.getStats();
-          memorySamples.push(stats.memory.usage);
-        } catch (e) {}
-      }, interval);
-
       // Wait for test duration
       await sleep(duration);
 
       clearInterval(feedInterval);
-      clearInterval(sampleInterval);
 
       // Get final memory
       const finalStats = await manager.getStats();
       const finalMemory = finalStats.memory.usage;
 
+      if (profiler) {
+        const heapAfter = await profiler.takeHeapSnapshot('sustained-memory-after');
+        profiler.saveHeapDiff('sustained-memory', heapBefore, heapAfter);
+        await profiler.close();
+      }
+
       // Calculate memory growth
       const memoryGrowth = finalMemory - initialMemory;
       const growthMB = memoryGrowth / 1024 / 1024;
@@ -88,7 +89,7 @@ describe('Sustained Load Tests', () => {
       expect(growthMB).toBeLessThan(100);
 
       expect(logMonitor).toHaveNoCriticalErrors();
-    }, 180000);
+    }, 240000); // room for two heap snapshots with SIGNALK_INSPECT
   });
 
   describe('Connection Stability', () => {
@@ -577,6 +577,149 @@ describe('AIS Comprehensive Tests', () => {
     });
   });
 
+  describe('Encoded AIS Messages', () => {
+    // Poll a context in the full model until the predicate holds
+    const getContext = async (collection, mmsi, predicate) => {
+      let context = null;
+      await waitFor(async () => {
+        const res = await fetch(`${apiUrl}/${collection}/urn:mrn:imo:mmsi:${mmsi}`);
+        if (!res.ok) return false;
+        context = await res.json();
+        return predicate(context);
+      }, 15000, 500);
+      return context;
+    };
+
+    test('Class A target from types 1 and 5 has position, motion and static data', async () => {
+      logMonitor.setPhase('ais-encoded-class-a');
+
+      const target = {
+        mmsi: 244000101,
+        lat: 60.1834,
+        lon: 24.9012,
+        sog: 12.4,
+        cog: 135.5,
+        heading: 134,
+        name: 'ENCODED CLASS A',
+        callsign: 'PD1234',
+        shipType: 70,
+        dimensions: { toBow: 90, toStern: 30, toPort: 10, toStarboard: 8 },
+        destination: 'TALLINN',
+        draught: 6.4,
+      };
+      await feeder.sendTcp([
+        ...feeder.encodeAis({ ...target, type: 5 }),
+        ...feeder.encodeAis({ ...target, type: 1 }),
+      ]);
+
+      const vessel = await getContext('vessels', target.mmsi, (v) => v.navigation?.position && v.name);
+
+      expect(vessel.name).toBe(target.name);
+      expect(vessel.communication?.callsignVhf).toBe(target.callsign);
+      expect(vessel.navigation.position.value.latitude).toBeCloseTo(target.lat, 4);
+      expect(vessel.navigation.position.value.longitude).toBeCloseTo(target.lon, 4);
+      expect(vessel.navigation.speedOverGround.value).toBeCloseTo(target.sog * 0.514444, 2);
+      expect(vessel.navigation.courseOverGroundTrue.value).toBeCloseTo(
+        (target.cog * Math.PI) / 180,
+        3
+      );
+      expect(vessel.design?.length?.value?.overall).toBe(120);
+      expect(vessel.design?.beam?.value).toBe(18);
+
+      expect(logMonitor.getPhaseErrors('ais-encoded-class-a')).toHaveLength(0);
+    });
+
+    test('Class B target from types 18 and 24 has position and name', async () => {
+      logMonitor.setPhase('ais-encoded-class-b');
+
+      const target = {
+        mmsi: 244000102,
+        lat: 60.1411,
+        lon: 24.9876,
+        sog: 5.2,
+        cog: 270,
+        heading: 268,
+        name: 'ENCODED CLASS B',
+        callsign: 'PB5678',
+        shipType: 37,
+        dimensions: { toBow: 7, toStern: 3, toPort: 2, toStarboard: 1 },
+      };
+      await feeder.sendTcp([
+        ...feeder.encodeAis({ ...target, type: 24 }),
+        ...feeder.encodeAis({ ...target, type: 18 }),
+      ]);
+
+      const vessel = await getContext('vessels', target.mmsi, (v) => v.navigation?.position && v.name);
+
+      expect(vessel.name).toBe(target.name);
+      expect(vessel.navigation.position.value.latitude).toBeCloseTo(target.lat, 4);
+      expect(vessel.navigation.position.value.longitude).toBeCloseTo(target.lon, 4);
+
+      expect(logMonitor.getPhaseErrors('ais-encoded-class-b')).toHaveLength(0);
+    });
+
+    test('extended Class B report (type 19) carries name and position together', async () => {
+      logMonitor.setPhase('ais-encoded-type19');
+
+      const target = {
+        mmsi: 244000103,
+        lat: 60.1123,
+        lon: 25.0345,
+        sog: 3.1,
+        cog: 45,
+        name: 'ENCODED TYPE 19',
+        shipType: 36,
+        dimensions: { toBow: 6, toStern: 4, toPort: 2, toStarboard: 2 },
+      };
+      await feeder.sendTcp(feeder.encodeAis({ ...target, type: 19 }));
+
+      const vessel = await getContext('vessels', target.mmsi, (v) => v.navigation?.position && v.name);
+
+      expect(vessel.name).toBe(target.name);
+      expect(vessel.navigation.position.value.latitude).toBeCloseTo(target.lat, 4);
+
+      expect(logMonitor.getPhaseErrors('ais-encoded-type19')).toHaveLength(0);
+    });
+
+    test('aid to navigation (type 21) appears under atons', async () => {
+      logMonitor.setPhase('ais-encoded-aton');
+
+      const aton = { mmsi: 992440104, lat: 60.1005, lon: 24.9555, name: 'ENCODED BUOY', aidType: 20 };
+      await feeder.sendTcp(feeder.generateAtonReports([aton]));
+
+      const context = await getContext('atons', aton.mmsi, (a) => a.navigation?.position);
+
+      expect(context.name).toBe(aton.name);
+      expect(context.navigation.position.value.latitude).toBeCloseTo(aton.lat, 4);
+      expect(context.navigation.position.value.longitude).toBeCloseTo(aton.lon, 4);
+
+      expect(logMonitor.getPhaseErrors('ais-encoded-aton')).toHaveLength(0);
+    });
+
+    test('generated traffic creates one vessel per target', async () => {
+      logMonitor.setPhase('ais-encoded-traffic');
+
+      const targets = feeder.generateAisTargets(40, { mmsiBase: 244100000 });
+      await feeder.sendTcp(feeder.generateAisBurst(40, { targets }), { delay: 10 });
+
+      let vessels = {};
+      await waitFor(async () => {
+        const res = await fetch(`${apiUrl}/vessels`);
+        if (!res.ok) return false;
+        vessels = await res.json();
+        return targets.every((t) => vessels[`urn:mrn:imo:mmsi:${t.mmsi}`]);
+      }, 20000, 1000);
+
+      const ids = targets.map((t) => `urn:mrn:imo:mmsi:${t.mmsi}`);
+      expect(new Set(ids).size).toBe(40);
+      for (const id of ids) {
+        expect(vessels[id]).toBeDefined();
+      }
+
+      expect(logMonitor.getPhaseErrors('ais-encoded-traffic')).toHaveLength(0);
+    }, 60000);
+  });
+
   describe('Error Handling', () => {
     test('handles corrupt AIS messages gracefully', async () => {
       logMonitor.setPhase('ais-corrupt');
@@ -0,0 +1,69 @@
+/**
+ * End-to-End Latency Tests
+ *
+ * Measures how long a sentence sent with NmeaFeeder.sendTcp takes to arrive
+ * as a delta on /signalk/v1/stream, at several input rates and subscriber
+ * counts, against the thresholds in config/latency.json.
+ */
+
+const { ContainerManager } = require('../lib/container-manager');
+const { LogMonitor } = require('../lib/log-monitor');
+const { NmeaFeeder } = require('../lib/nmea-feeder');
+const { LatencyProbe } = require('../lib/latency-probe');
+
+const config = LatencyProbe.loadConfig();
+
+describe('End-to-End Latency', () => {
+  let manager;
+  let logMonitor;
+  let probe;
+
+  beforeAll(async () => {
+    logMonitor = new LogMonitor();
+    manager = new ContainerManager({
+      image: process.env.SIGNALK_IMAGE || 'signalk/signalk-server:latest',
+      logMonitor,
+    });
+    const info = await manager.start();
+
+    probe = new LatencyProbe({
+      feeder: new NmeaFeeder({ tcpPort: info.tcpPort }),
+      wsUrl: info.wsUrl,
+      logMonitor,
+      name: 'latency',
+      thresholds: config.thresholds,
+    });
+
+    await sleep(2000);
+  }, 120000);
+
+  afterAll(async () => {
+    await manager.remove(true);
+  });
+
+  describe('Input Rate', () => {
+    test.each(config.rates)('delta latency at %i sentences/s stays within thresholds', async (rate) => {
+      logMonitor.setPhase(`latency-rate-${rate}`);
+
+      const result = await probe.measure({ rate, count: config.probes, subscribers: 1 });
+      console.log(`Latency ${LatencyProbe.describe(result)}`);
+
+      expect(result.violations).toEqual([]);
+      expect(logMonitor.getPhaseErrors(`latency-rate-${rate}`)).toHaveLength(0);
+    }, 120000);
+  });
+
+  describe('Subscribers', () => {
+    test.each(config.subscribers)('delta latency with %i subscribers stays within thresholds', async (subscribers) => {
+      logMonitor.setPhase(`latency-subscribers-${subscribers}`);
+
+      // The middle rate: busy, but not the stress case
+      const rate = config.rates[Math.floor(config.rates.length / 2)];
+      const result = await probe.measure({ rate, count: config.probes, subscribers });
+      console.log(`Latency ${LatencyProbe.describe(result)}`);
+
+      expect(result.violations).toEqual([]);
+      expect(logMonitor.getPhaseErrors(`latency-subscribers-${subscribers}`)).toHaveLength(0);
+    }, 120000);
+  });
+});
@@ -6,7 +6,9 @@
 
 const { LogMonitor } = require('../lib/log-monitor');
 const { ContainerManager } = require('../lib/container-manager');
+const { FailFast } = require('../lib/fail-fast');
 const Docker = require('dockerode');
+const path = require('path');
 
 // Increase default timeout for Docker operations
 jest.setTimeout(120000);
@@ -18,6 +20,28 @@ global.testState = {
   connectionInfo: null,
 };
 
+// Monitors created by this file report its errors under its name, and
+// the phases a test sets under the test's
+LogMonitor.testFile = path.basename(expect.getState().testPath || '') || null;
+
+beforeEach(() => {
+  LogMonitor.currentTest = expect.getState().currentTestName;
+});
+
+afterEach(() => {
+  LogMonitor.currentTest = null;
+});
+
+// SIGNALK_RETRIES: re-run a failed test up to this many times; the
+// reporter shows a pass on retry as flaky, not passed
+const retries = Number(process.env.SIGNALK_RETRIES) || 0;
+if (retries > 0) {
+  jest.retryTimes(retries, { logErrorsBeforeRetry: true });
+}
+
+// SIGNALK_FAIL_FAST: critical server log lines abort the running test
+const failFast = FailFast.fromEnv();
+
 // Pull Docker image once before all tests
 const pullImage = async (imageName) => {
   const docker = new Docker();
@@ -45,8 +69,24 @@ beforeAll(async () => {
 
   // Pull image once at the start (silently)
   await pullImage(image);
+
+  failFast?.begin();
 }, 300000); // 5 minute timeout for image pull
 
+if (failFast) {
+  beforeEach(() => {
+    failFast.begin(expect.getState().currentTestName);
+  });
+
+  // Fails the test even if it caught the aborted wait itself
+  afterEach(() => {
+    const failure = failFast.end();
+    if (failure) {
+      throw failure;
+    }
+  });
+}
+
 // Cleanup after all tests
 afterAll(async () => {
   // Cleanup is handled by individual test files
@@ -71,10 +111,7 @@ expect.extend({
   },
 
   toHaveNoCriticalErrors(logMonitor) {
-    const criticalErrors = logMonitor.errors.filter(
-      (e) =>
-        /fatal|crash|segfault|uncaught|unhandled/i.test(e.line)
-    );
+    const criticalErrors = logMonitor.errors.filter((e) => FailFast.isCritical(e));
     const pass = criticalErrors.length === 0;
 
     return {
@@ -90,16 +127,18 @@ expect.extend({
   },
 });
 
-// Utility functions
+// Utility functions; with fail-fast on, both reject as soon as it trips
 global.waitFor = async (conditionFn, timeout = 30000, interval = 1000) => {
+  const signal = FailFast.signal();
   const start = Date.now();
   while (Date.now() - start < timeout) {
+    signal?.throwIfAborted();
     if (await conditionFn()) {
       return true;
     }
-    await new Promise((r) => setTimeout(r, interval));
+    await FailFast.delay(interval, signal);
   }
   throw new Error(`Condition not met within ${timeout}ms`);
 };
 
-global.sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+global.sleep = (ms) => FailFast.delay(ms, FailFast.signal());
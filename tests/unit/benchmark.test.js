@@ -0,0 +1,58 @@
+/**
+ * Benchmark Tests
+ *
+ * Percentiles, Welch's t-test and how workloads are classified against
+ * the regression thresholds.
+ */
+
+const { Benchmark } = require('../../lib/benchmark');
+
+describe('Performance Benchmark', () => {
+  test('flags significant regressions beyond the workload threshold', () => {
+    expect(Benchmark.percentile([5, 1, 4, 2, 3], 50)).toBe(3);
+    expect(Benchmark.percentile([5, 1, 4, 2, 3], 95)).toBe(5);
+
+    // Two-sided p-value of t = 2 with 8 degrees of freedom
+    const test = Benchmark.welch([1, 2, 3, 4, 5], [3, 4, 5, 6, 7]);
+    expect(test.t).toBe(2);
+    expect(test.p).toBeCloseTo(0.0805, 3);
+    expect(Benchmark.welch([1], [2, 3])).toBeNull();
+
+    const config = Benchmark.loadConfig('/nonexistent/benchmark.json');
+    const comparison = Benchmark.compare(
+      {
+        ingest: [1500, 1520, 1480, 1510, 1490],
+        deltaLatency: [3.0, 3.2, 2.9, 3.1, 3.0],
+        restLatency: [8.0, 9.0, 8.5, 8.2, 8.8],
+        memory: [120, 140],
+      },
+      {
+        // 20% slower ingest: regression
+        ingest: [1200, 1210, 1190, 1220, 1180],
+        // 40% faster REST: improvement
+        deltaLatency: [3.1, 3.0, 3.2, 2.9, 3.1],
+        restLatency: [5.0, 5.4, 5.1, 5.2, 5.3],
+        // 25% more memory, but too noisy to be significant
+        memory: [130, 195],
+      },
+      config
+    );
+
+    const status = Object.fromEntries(comparison.workloads.map((w) => [w.workload, w.status]));
+    expect(status).toEqual({ ingest: 'regression', deltaLatency: 'ok', restLatency: 'improvement', memory: 'ok' });
+    expect(comparison.regressions).toBe(1);
+
+    const ingest = comparison.workloads.find((w) => w.workload === 'ingest');
+    expect(ingest.change).toBeCloseTo(-20, 5);
+    expect(ingest.regression).toBeCloseTo(20, 5);
+    expect(comparison.workloads.find((w) => w.workload === 'memory').significant).toBe(false);
+
+    const report = Benchmark.formatReport({
+      baseline: { image: 'signalk/signalk-server:2.12.0', version: '2.12.0' },
+      candidate: { image: 'signalk/signalk-server:latest', version: '2.13.0' },
+      comparison,
+    });
+    expect(report).toContain('| ❌ | NMEA ingest |');
+    expect(report).toContain('**1 performance regression(s) against the baseline.**');
+  });
+});
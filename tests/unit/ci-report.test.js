@@ -0,0 +1,59 @@
+/**
+ * CI Report Tests
+ *
+ * JUnit XML and TAP rendering of the reporter's results, and merging
+ * JUnit files from several jobs.
+ */
+
+const { CiReport } = require('../../lib/ci-report');
+
+describe('CI Report Formats', () => {
+  test('writes JUnit XML with server errors and merges job files', () => {
+    const results = {
+      image: 'signalk/signalk-server:2.9.0',
+      seed: '42',
+      startTime: '2026-10-19T10:00:00.000Z',
+      tests: [
+        {
+          file: '03-nmea0183.test.js',
+          category: 'NMEA 0183 Input',
+          duration: 2500,
+          logErrors: [{ phase: 'tcp-rmc', level: 'error', source: 'core', line: 'TypeError: <bad> & "sentence"' }],
+          tests: [
+            { name: 'parses RMC', fullName: 'NMEA > parses RMC', status: 'passed', duration: 120 },
+            {
+              name: 'parses GGA',
+              fullName: 'NMEA > parses GGA',
+              status: 'failed',
+              duration: 2000,
+              failureMessages: ['\x1b[31mexpect(received).toBe(expected)\x1b[39m\n\nExpected: 1'],
+            },
+            { name: 'parses VTG', fullName: 'NMEA > parses VTG', status: 'pending', duration: 0 },
+          ],
+        },
+      ],
+    };
+
+    const junit = CiReport.toJUnit(results);
+    expect(junit).toContain('<testsuites name="SignalK Server Release Validation" tests="3" failures="1" errors="0" skipped="1" time="2.500"');
+    expect(junit).toContain('<testcase name="NMEA &gt; parses RMC" classname="NMEA 0183 Input" file="tests/03-nmea0183.test.js" time="0.120"/>');
+    expect(junit).toContain('<failure message="expect(received).toBe(expected)" type="AssertionError">');
+    expect(junit).toContain('<skipped/>');
+    expect(junit).toContain('<system-err>Phase tcp-rmc: 1 server error(s)\n  [-] error core: TypeError: &lt;bad&gt; &amp; &quot;sentence&quot;</system-err>');
+    expect(junit).not.toContain('\x1b');
+
+    const merged = CiReport.mergeJUnit([junit, junit.replace(/03-nmea0183/g, '12-rest-api')]);
+    expect(merged.match(/<testsuite\b/g)).toHaveLength(2);
+    expect(merged).toContain('tests="6" failures="2" errors="0" skipped="2" time="5.000"');
+
+    const tap = CiReport.toTAP(results).split('\n');
+    expect(tap.slice(0, 4)).toEqual([
+      'TAP version 13',
+      '1..3',
+      'ok 1 - NMEA 0183 Input > NMEA > parses RMC',
+      'not ok 2 - NMEA 0183 Input > NMEA > parses GGA',
+    ]);
+    expect(tap).toContain('ok 3 - NMEA 0183 Input > NMEA > parses VTG # SKIP');
+    expect(tap).toContain('# Phase tcp-rmc: 1 server error(s)');
+  });
+});
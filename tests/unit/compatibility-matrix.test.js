@@ -0,0 +1,61 @@
+/**
+ * Compatibility Matrix Tests
+ *
+ * The tests-by-images grid, regressions against older images and its
+ * Markdown report.
+ */
+
+const { CompatibilityMatrix } = require('../../lib/compatibility-matrix');
+
+describe('Compatibility Matrix', () => {
+  test('builds a tests by images grid and marks tests an older image passed', () => {
+    const run = (image, statuses, success) => ({
+      image,
+      seed: '42',
+      summary: { success },
+      tests: [
+        {
+          file: '12-rest-api.test.js',
+          category: 'REST API',
+          tests: statuses.map((status, i) => ({ name: `test ${i}`, fullName: `REST API test ${i}`, status })),
+        },
+      ],
+    });
+    const stable = 'signalk/signalk-server:2.11.0';
+    const rc = 'signalk/signalk-server:2.12.0-rc.1';
+    const latest = 'signalk/signalk-server:latest';
+
+    const matrix = CompatibilityMatrix.build(
+      [
+        run(latest, ['passed', 'failed', 'failed', 'pending'], false),
+        run(stable, ['passed', 'passed', 'failed', 'passed'], false),
+        run(rc, ['flaky', 'failed', 'passed'], false),
+      ],
+      [stable, rc, latest]
+    );
+    expect(matrix.images).toEqual([stable, rc, latest]);
+    expect(matrix.tests.map((row) => row.cells.map((c) => c && c.status))).toEqual([
+      ['passed', 'flaky', 'passed'],
+      ['passed', 'failed', 'failed'],
+      ['failed', 'passed', 'failed'],
+      ['passed', null, 'skipped'],
+    ]);
+    expect(matrix.tests[1].cells.map((c) => c.regression)).toEqual([false, true, true]);
+    expect(matrix.tests[2].cells[2]).toEqual({ status: 'failed', regression: true, passedOn: rc });
+    expect(matrix.tests.map((row) => row.differs)).toEqual([false, true, true, true]);
+    expect(matrix.columns.map((c) => [c.passed, c.failed, c.skipped, c.regressions])).toEqual([
+      [3, 1, 0, 0],
+      [2, 1, 0, 1],
+      [1, 2, 1, 2],
+    ]);
+
+    const md = CompatibilityMatrix.formatReport(matrix, { changedOnly: true });
+    expect(md).toContain('| Category | Test | 2.11.0 | 2.12.0-rc.1 | latest |');
+    expect(md).toContain('| REST API | REST API test 1 | ✅ | **❌** | **❌** |');
+    expect(md).toContain('REST API test 2: passes on `2.12.0-rc.1`, fails on `latest`');
+    expect(md).not.toContain('| REST API | REST API test 0 |');
+    expect(CompatibilityMatrix.label('ghcr.io/signalk/signalk-server:latest', [latest, 'ghcr.io/signalk/signalk-server:latest'])).toBe(
+      'ghcr.io/signalk/signalk-server:latest'
+    );
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Container Watchdog Tests
+ *
+ * Docker events read from a stubbed event stream and attributed to
+ * the phase they happened in.
+ */
+
+const { LogMonitor } = require('../../lib/log-monitor');
+const { ContainerWatchdog } = require('../../lib/container-watchdog');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Container Watchdog', () => {
+  test('records Docker events with their phase and flags unexpected ones', async () => {
+    const { PassThrough } = require('stream');
+    const events = new PassThrough();
+    let filters;
+    const docker = {
+      getEvents: async (options) => {
+        filters = options.filters;
+        return events;
+      },
+    };
+    const monitor = new LogMonitor({ knownIssues: false });
+    const watchdog = new ContainerWatchdog({ docker, logMonitor: monitor, name: 'signalk-test', outputDir: null });
+    await watchdog.watch({ id: 'abc123' });
+    expect(filters).toEqual({ type: ['container'], container: ['abc123'] });
+
+    const event = (action, attributes = {}, seconds = 1748764800) =>
+      JSON.stringify({
+        Type: 'container',
+        Action: action,
+        Actor: { ID: 'abc123', Attributes: { name: 'signalk-test', ...attributes } },
+        time: seconds,
+        timeNano: `${seconds}000000123`,
+      }) + '\n';
+
+    monitor.setPhase('crash-recovery');
+    watchdog.expect('die');
+    events.write(event('kill', { signal: '9' }) + event('die', { exitCode: '137' }));
+    monitor.setPhase('nmea-tcp');
+    // Events can arrive split across chunks
+    const oom = event('oom', {}, 1748764900);
+    events.write(oom.slice(0, 20));
+    events.write(oom.slice(20) + event('die', { exitCode: '137' }, 1748764901));
+    events.write(event('health_status: unhealthy', {}, 1748764930));
+    await sleep(10);
+
+    expect(watchdog.events.map((e) => [e.event, e.phase, e.expected])).toEqual([
+      ['die', 'crash-recovery', true],
+      ['oom', 'nmea-tcp', false],
+      ['die', 'nmea-tcp', false],
+      ['health_status', 'nmea-tcp', false],
+    ]);
+    expect(watchdog.events[0].time).toBe('2025-06-01T08:00:00.000Z');
+    expect(watchdog.incidents.map((e) => ContainerWatchdog.describe(e))).toEqual([
+      'oom in phase nmea-tcp at 2025-06-01T08:01:40.000Z',
+      'die (exit 137) in phase nmea-tcp at 2025-06-01T08:01:41.000Z',
+      'health_status (unhealthy) in phase nmea-tcp at 2025-06-01T08:02:10.000Z',
+    ]);
+    watchdog.unwatch();
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Docker Log Demuxer Tests
+ *
+ * Splits Docker's multiplexed log stream into timestamped stdout and
+ * stderr lines, including frames split across chunks.
+ */
+
+const { LogMonitor } = require('../../lib/log-monitor');
+const { DockerLogDemuxer } = require('../../lib/docker-log-demuxer');
+
+describe('Docker Log Demuxing', () => {
+  test('demuxes Docker frames split across chunks', () => {
+    const frame = (type, text) => {
+      const payload = Buffer.from(text);
+      const header = Buffer.alloc(8);
+      header[0] = type;
+      header.writeUInt32BE(payload.length, 4);
+      return Buffer.concat([header, payload]);
+    };
+    const stream = Buffer.concat([
+      frame(1, '2025-06-01T08:00:00.123456789Z signalk-server running at 0.0.0.0:3000\n'),
+      frame(2, '2025-06-01T08:00:01.500000000Z TypeError: x is not a function\n'),
+      frame(2, '2025-06-01T08:00:01.500000001Z     at handle (/app/index.js:1:1)\n'),
+      // A long line Docker split in two frames, each with its own timestamp
+      frame(1, '2025-06-01T08:00:02.000000000Z Température: 21 '),
+      frame(1, '2025-06-01T08:00:02.000000001Z °C\n'),
+    ]);
+
+    const monitor = new LogMonitor();
+    monitor.on('error', () => {});
+    monitor.setPhase('demux');
+    const demuxer = new DockerLogDemuxer((line, source, timestamp) =>
+      monitor.processLine(line, source, timestamp)
+    );
+    // Feed in 5-byte chunks so headers and multi-byte characters split
+    for (let i = 0; i < stream.length; i += 5) {
+      demuxer.write(stream.subarray(i, i + 5));
+    }
+    demuxer.end();
+
+    expect(monitor.allLogs.map((e) => [e.stream, e.timestamp, e.line])).toEqual([
+      ['stdout', '2025-06-01T08:00:00.123Z', 'signalk-server running at 0.0.0.0:3000'],
+      ['stderr', '2025-06-01T08:00:01.500Z', 'TypeError: x is not a function'],
+      ['stdout', '2025-06-01T08:00:02.000Z', 'Température: 21 °C'],
+    ]);
+    expect(monitor.errors[0].stack).toEqual(['    at handle (/app/index.js:1:1)']);
+
+    // A TTY container sends plain text
+    const lines = [];
+    const raw = new DockerLogDemuxer((line, source) => lines.push([source, line]));
+    raw.write(Buffer.from('2025-06-01T08:00:00.000000000Z plain text line\npartial'));
+    raw.end();
+    expect(lines).toEqual([
+      ['stdout', 'plain text line'],
+      ['stdout', 'partial'],
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Fail-Fast Tests
+ *
+ * Critical log lines abort in-flight waits and carry the lines around them.
+ */
+
+const { LogMonitor } = require('../../lib/log-monitor');
+const { FailFast } = require('../../lib/fail-fast');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Fail-Fast Hooks', () => {
+  test('aborts in-flight waits with the critical line and its context', async () => {
+    const failFast = new FailFast({ context: 6, settle: 20 });
+    const monitor = new LogMonitor({ knownIssues: false });
+    failFast.watch(monitor);
+    failFast.begin('crash test');
+    monitor.setPhase('nmea-tcp');
+
+    for (let i = 1; i <= 5; i++) monitor.processLine(`Client ${i} connected`);
+    const wait = FailFast.delay(10000, failFast.signal);
+    monitor.processLine('TypeError: a plugin threw');
+    monitor.processLine('Uncaught TypeError: Cannot read properties of undefined');
+    monitor.processLine('    at Parser.parse (/usr/lib/node_modules/signalk-server/lib/parser.js:10:5)');
+    monitor.processLine('Restarting server');
+
+    const error = await wait.catch((e) => e);
+    expect(error).toBe(failFast.end());
+    expect(error.entry.message).toBe('Uncaught TypeError: Cannot read properties of undefined');
+    expect(error.message).toContain('critical error in phase "nmea-tcp" during "crash test"');
+    expect(error.message).toContain('  >     at Parser.parse');
+    expect(error.context.before.map((e) => e.line)).toEqual([
+      'Client 4 connected',
+      'Client 5 connected',
+      'TypeError: a plugin threw',
+    ]);
+    expect(error.context.after.map((e) => e.line)).toEqual(['Restarting server']);
+
+    // The next test starts with a fresh signal
+    failFast.begin('next test');
+    expect(failFast.signal.aborted).toBe(false);
+    expect(failFast.end()).toBeNull();
+  });
+
+  test('only trips on critical entries unless every error fails fast', async () => {
+    const critical = new FailFast({ settle: 0 });
+    const strict = new FailFast({ mode: 'error', settle: 0 });
+    const monitor = new LogMonitor({ knownIssues: false });
+    critical.watch(monitor);
+    const unwatch = strict.watch(monitor);
+
+    monitor.processLine('Error: connect ECONNREFUSED 127.0.0.1:10110');
+    await sleep(10);
+    expect(critical.signal.aborted).toBe(false);
+    expect(strict.signal.aborted).toBe(true);
+    expect(strict.end().entry.level).toBe('error');
+
+    // A failure from a hook (no test running yet) is kept for the first test
+    unwatch();
+    monitor.processLine('FATAL ERROR: Reached heap limit Allocation failed - JavaScript heap out of memory');
+    await sleep(10);
+    critical.begin('first test');
+    expect(critical.signal.aborted).toBe(true);
+    expect(critical.end().entry.level).toBe('fatal');
+    expect(strict.signal.aborted).toBe(false);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Known Issue Allowlist Tests
+ *
+ * Scope, expiry and the matched/stale/expired report of KnownIssues,
+ * checked against synthetic log lines.
+ */
+
+const { LogMonitor } = require('../../lib/log-monitor');
+const { KnownIssues } = require('../../lib/known-issues');
+
+describe('Known Issue Allowlist', () => {
+  const entries = [
+    {
+      id: 'deprecated-buffer',
+      pattern: 'Buffer\\(\\) is deprecated',
+      reason: 'canboatjs still calls new Buffer()',
+      issue: 'https://github.com/canboat/canboatjs/issues/1',
+      level: 'warn',
+      expires: '2026-12-31',
+    },
+    {
+      id: 'plugin-epipe',
+      pattern: 'write EPIPE',
+      reason: 'plugin does not handle closed sockets',
+      issue: 'https://github.com/example/plugin/issues/2',
+      source: 'signalk-to-nmea0183',
+      versions: '>=2.0.0 <2.10.0',
+      expires: '2026-12-31',
+    },
+    {
+      id: 'old-startup-error',
+      pattern: 'Error loading plugin',
+      reason: 'fixed upstream',
+      issue: 'https://github.com/SignalK/signalk-server/issues/3',
+      expires: '2026-01-31',
+    },
+    {
+      id: 'never-seen',
+      pattern: 'something that does not happen',
+      reason: 'kept after the fix',
+      issue: 'https://github.com/SignalK/signalk-server/issues/4',
+      image: 'signalk/*',
+      expires: '2026-12-31',
+    },
+    {
+      id: 'other-image',
+      pattern: 'EADDRINUSE',
+      reason: 'only the fork has this',
+      issue: 'https://github.com/example/fork/issues/5',
+      image: 'example/signalk-fork',
+      expires: '2026-12-31',
+    },
+  ];
+
+  test('reports matched, stale, expired and out-of-scope entries', () => {
+    const knownIssues = new KnownIssues({
+      entries,
+      image: 'signalk/signalk-server:latest',
+      now: '2026-06-01T00:00:00Z',
+    });
+    const monitor = new LogMonitor({ knownIssues });
+    monitor.on('error', () => {});
+    monitor.setPhase('allowlist');
+    [
+      '(node:1) [DEP0005] DeprecationWarning: Buffer() is deprecated',
+      'signalk-to-nmea0183:Error: write EPIPE',
+      'Error loading plugin signalk-foo',
+      'listen EADDRINUSE: address already in use :::3000',
+    ].forEach((line) => monitor.processLine(line));
+
+    // The EPIPE entry needs a server version, which 'latest' does not give
+    expect(monitor.knownIssueEntries.map((e) => e.knownIssue.id)).toEqual(['deprecated-buffer']);
+    expect(monitor.errors).toHaveLength(3);
+
+    // Once the server reports its version the earlier error is covered too
+    monitor.setServerInfo({ version: '2.8.1' });
+    expect(monitor.getPhaseErrors('allowlist').map((e) => e.message)).toEqual([
+      'Error loading plugin signalk-foo',
+      'listen EADDRINUSE: address already in use :::3000',
+    ]);
+
+    const report = monitor.getSummary().knownIssues;
+    expect(report.version).toBe('2.8.1');
+    expect(report.matched.map((e) => [e.id, e.count])).toEqual([
+      ['deprecated-buffer', 1],
+      ['plugin-epipe', 1],
+    ]);
+    expect(report.stale.map((e) => e.id)).toEqual(['never-seen']);
+    // Expired entries stop suppressing but still count their hits
+    expect(report.expired.map((e) => [e.id, e.count])).toEqual([['old-startup-error', 1]]);
+    expect(report.outOfScope.map((e) => e.id)).toEqual(['other-image']);
+    expect(monitor.generateReport()).toContain('| ⌛ expired | old-startup-error | 1 |');
+  });
+
+  test('loads YAML allowlists and rejects incomplete entries', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'known-issues-'));
+
+    const yamlFile = path.join(dir, 'known-issues.yml');
+    fs.writeFileSync(
+      yamlFile,
+      [
+        'entries:',
+        '  - id: deprecated-buffer',
+        '    pattern: "Buffer\\\\(\\\\) is deprecated"',
+        '    reason: canboatjs still calls new Buffer()',
+        '    issue: https://github.com/canboat/canboatjs/issues/1',
+        '    versions: ">=2.0.0"',
+        '    expires: 2026-12-31',
+      ].join('\n')
+    );
+    const knownIssues = KnownIssues.load(yamlFile, {
+      image: 'signalk/signalk-server:v2.9.0',
+      now: '2026-06-01T00:00:00Z',
+    });
+    expect(knownIssues.version).toBe('2.9.0');
+    expect(knownIssues.entries[0].expires).toBe('2026-12-31T23:59:59.999Z');
+    expect(knownIssues.match({ level: 'warn', message: 'Buffer() is deprecated', line: '' })).not.toBeNull();
+
+    const jsonFile = path.join(dir, 'known-issues.json');
+    fs.writeFileSync(jsonFile, JSON.stringify([{ pattern: 'x', reason: 'no issue or expiry' }]));
+    expect(() => KnownIssues.load(jsonFile)).toThrow(/entry 0: missing issue, expires/);
+
+    // The shipped allowlist must always load
+    expect(() => KnownIssues.load(path.join(__dirname, '..', '..', 'config', 'known-issues.yml'))).not.toThrow();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
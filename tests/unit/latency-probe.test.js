@@ -0,0 +1,33 @@
+/**
+ * Latency Probe Tests
+ *
+ * Latency percentiles and the threshold checks that fail a run.
+ */
+
+const { LatencyProbe } = require('../../lib/latency-probe');
+
+describe('Latency Probe', () => {
+  test('summarizes latencies and checks them against thresholds', () => {
+    // 100 probes, 1..100 ms
+    const latencies = Array.from({ length: 100 }, (_, i) => 100 - i);
+    expect(LatencyProbe.summarize(latencies)).toEqual({
+      count: 100,
+      min: 1,
+      mean: 50.5,
+      p50: 50,
+      p95: 95,
+      p99: 99,
+      max: 100,
+    });
+    expect(LatencyProbe.summarize([])).toEqual({ count: 0, min: null, mean: null, p50: null, p95: null, p99: null, max: null });
+
+    const thresholds = { p50: 50, p95: 90, p99: 500, lost: 0 };
+    const result = { rate: 50, subscribers: 10, probes: 10, lost: 2, ...LatencyProbe.summarize(latencies) };
+    expect(LatencyProbe.check(result, thresholds)).toEqual(['p95 95ms > 90ms', 'lost 2 > 0']);
+    expect(LatencyProbe.check({ lost: 0, ...LatencyProbe.summarize([]) }, { p50: 50 })).toEqual(['p50: no probe arrived']);
+    expect(LatencyProbe.describe(result)).toBe('50/s, 10 subscribers: p50 50ms p95 95ms p99 99ms, 2 lost');
+
+    const config = LatencyProbe.loadConfig('/nonexistent/latency.json');
+    expect(config.thresholds).toEqual({ p50: 50, p95: 200, p99: 500, lost: 0 });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Log Baseline Tests
+ *
+ * Template normalization and the per-phase diff between two runs'
+ * log snapshots.
+ */
+
+const { LogMonitor } = require('../../lib/log-monitor');
+const { LogBaseline } = require('../../lib/log-baseline');
+
+describe('Log Baseline Diff', () => {
+  test('masks timestamps, IDs, addresses and numbers in templates', () => {
+    expect(
+      LogBaseline.template(
+        'Client 3f2b8a1c-9d4e-4f6a-b1c2-0123456789ab connected from 172.17.0.1:53122 at 2025-06-01T08:00:00.123Z after 12ms'
+      )
+    ).toBe('Client <uuid> connected from <ip> at <time> after <n>ms');
+    expect(LogBaseline.template('signalk-to-nmea0183: sent $GPRMC,123519,A,4807.038,N 0x1f3a')).toBe(
+      'signalk-to-nmea0183: sent $GPRMC,<n>,A,<n>,N <hex>'
+    );
+    expect(
+      LogBaseline.template({ namespace: 'signalk-server:interfaces:ws', message: 'sending 42 deltas' })
+    ).toBe('signalk-server:interfaces:ws sending <n> deltas');
+  });
+
+  test('reports new, vanished and changed templates per phase', () => {
+    const run = (image, lines) => {
+      const monitor = new LogMonitor({ knownIssues: false });
+      monitor.on('error', () => {});
+      monitor.setServerInfo({ image, version: image.split(':')[1] });
+      for (const [phase, phaseLines] of Object.entries(lines)) {
+        monitor.setPhase(phase);
+        phaseLines.forEach((line) => monitor.processLine(line));
+      }
+      // Round-trip through JSON as a stored snapshot would
+      return LogBaseline.merge([JSON.parse(JSON.stringify(monitor.toJSON()))]);
+    };
+    const repeat = (line, n) => Array.from({ length: n }, (_, i) => line.replace('#', i));
+
+    const baseline = run('signalk/signalk-server:2.8.0', {
+      startup: ['Server listening on port 3000', 'Loaded 9 plugins', 'Using legacy settings file'],
+      'nmea-tcp': repeat('Client # connected', 2),
+    });
+    const current = run('signalk/signalk-server:2.9.0', {
+      startup: ['Server listening on port 3000', 'Loaded 12 plugins', 'TypeError: x is not a function'],
+      'nmea-tcp': repeat('Client # connected', 8),
+      'ws-stream': ['Subscribed 3 clients'],
+    });
+
+    const diff = LogBaseline.compare(baseline, current, { ratio: 3, minCount: 5 });
+    expect(diff.baseline).toEqual({ image: 'signalk/signalk-server:2.8.0', version: '2.8.0' });
+    expect(diff.phases.startup.new.map((t) => [t.template, t.level])).toEqual([
+      ['TypeError: x is not a function', 'error'],
+    ]);
+    expect(diff.phases.startup.vanished.map((t) => t.template)).toEqual(['Using legacy settings file']);
+    expect(diff.phases['nmea-tcp'].changed).toEqual([
+      expect.objectContaining({ template: 'Client <n> connected', baseline: 2, count: 8, factor: 4 }),
+    ]);
+    expect(diff.phases['ws-stream'].status).toBe('new-phase');
+    expect(diff.totals).toEqual({ new: 2, vanished: 1, changed: 1, newErrors: 1 });
+
+    const report = LogBaseline.formatReport(diff);
+    expect(report).toContain('| 1 | error | core | TypeError: x is not a function |');
+    expect(report).toContain('## ws-stream (new-phase)');
+  });
+});
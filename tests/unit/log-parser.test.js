@@ -0,0 +1,127 @@
+/**
+ * Log Parser Tests
+ *
+ * Classifies recorded server output by line shape and groups stack
+ * traces into the entry that threw.
+ */
+
+const { LogMonitor } = require('../../lib/log-monitor');
+const { LogParser } = require('../../lib/log-parser');
+
+describe('Structured Log Parsing', () => {
+  // A detached monitor fed with recorded server output
+  const feed = (lines) => {
+    const monitor = new LogMonitor();
+    monitor.on('error', () => {});
+    monitor.setPhase('parse');
+    lines.forEach((line) => monitor.processLine(line));
+    return monitor;
+  };
+
+  test('classifies lines by shape rather than by words in them', () => {
+    expect(LogParser.parseLine('2025-06-01T08:00:00.000Z signalk-server:interfaces:ws error in client')).toMatchObject({
+      format: 'debug',
+      level: 'debug',
+      source: 'core',
+      namespace: 'signalk-server:interfaces:ws',
+    });
+    expect(LogParser.parseLine('signalk-to-nmea0183:Error: write EPIPE')).toMatchObject({
+      format: 'plugin',
+      level: 'error',
+      source: 'signalk-to-nmea0183',
+      message: 'Error: write EPIPE',
+    });
+    expect(LogParser.parseLine('{"level":40,"name":"@signalk/streams","msg":"slow"}')).toMatchObject({
+      format: 'json',
+      level: 'warn',
+      source: 'core',
+    });
+    expect(LogParser.parseLine('(node:1) [DEP0005] DeprecationWarning: Buffer() is deprecated')).toMatchObject({
+      format: 'node-warning',
+      level: 'warn',
+    });
+
+    const monitor = feed([
+      'signalk-error-logger plugin started',
+      '2025-06-01T08:00:00.000Z signalk-server:put PUT failed: no handler',
+      'WARN: waiting for NMEA data',
+      'Segmentation fault (core dumped) while waiting for NMEA data',
+    ]);
+
+    // Plugin names and debug chatter no longer count, and an ignore
+    // pattern cannot hide a crash
+    expect(monitor.errors.map((e) => e.level)).toEqual(['fatal']);
+    expect(monitor.warnings).toHaveLength(0);
+    expect(monitor.allLogs.map((e) => e.level)).toEqual(['info', 'debug', 'warn', 'fatal']);
+  });
+
+  test('only reads tagged lines without a level as errors for loaded plugins', () => {
+    // Ordinary output in the `<module>: <message>` shape
+    for (const line of [
+      'signalk-server: running at 0.0.0.0:3000',
+      'nmea0183-signalk: parsed 12 sentences',
+      '@signalk/charts-plugin: serving 3 chart sets',
+    ]) {
+      expect(LogParser.parseLine(line)).toMatchObject({ format: 'text', level: 'info', reason: null });
+    }
+
+    // A level token in the message still counts without the plugin list
+    expect(LogParser.parseLine('nmea0183-signalk: Error: bad checksum')).toMatchObject({
+      format: 'plugin',
+      level: 'error',
+      source: 'nmea0183-signalk',
+    });
+    expect(LogParser.parseLine('signalk-to-nmea0183: WARN: no position')).toMatchObject({
+      format: 'plugin',
+      level: 'warn',
+    });
+
+    // A loaded plugin's app.error() output needs no level
+    const plugins = new Set(['signalk-to-nmea0183']);
+    expect(LogParser.parseLine('signalk-to-nmea0183:connection lost', { plugins })).toMatchObject({
+      format: 'plugin',
+      level: 'error',
+      source: 'signalk-to-nmea0183',
+      reason: 'plugin-error',
+    });
+    expect(LogParser.parseLine('nmea0183-signalk: parsed 12 sentences', { plugins }).level).toBe('info');
+
+    // Lines logged before the plugin list arrived are re-parsed
+    const monitor = feed(['signalk-server: running at 0.0.0.0:3000', 'signalk-to-nmea0183:connection lost']);
+    expect(monitor.errors).toHaveLength(0);
+    monitor.setServerInfo({ plugins: ['signalk-to-nmea0183'] });
+    expect(monitor.errors.map((e) => e.message)).toEqual(['connection lost']);
+    expect(monitor.getPhaseErrors('parse')).toHaveLength(1);
+    expect(monitor.allLogs[0].level).toBe('info');
+  });
+
+  test('groups a stack trace into one entry attributed to the throwing module', () => {
+    const monitor = feed([
+      "TypeError: Cannot read properties of undefined (reading 'value')",
+      '    at Object.handleDelta (/home/node/node_modules/signalk-to-nmea0183/sentences/RMC.js:40:17)',
+      '    at /home/node/node_modules/signalk-server/dist/deltacache.js:120:9',
+      "  code: 'ERR_TEST'",
+      '}',
+      'signalk-to-nmea0183:Error: write EPIPE',
+      'Error: write EPIPE',
+      '    at afterWriteDispatched (node:internal/stream_base_commons:160:15)',
+      'Server started',
+    ]);
+
+    expect(monitor.errors).toHaveLength(2);
+    const [typeError, pluginError] = monitor.errors;
+    expect(typeError.source).toBe('signalk-to-nmea0183');
+    expect(typeError.stack).toHaveLength(4);
+    expect(pluginError.source).toBe('signalk-to-nmea0183');
+    expect(pluginError.stack).toEqual([
+      'Error: write EPIPE',
+      '    at afterWriteDispatched (node:internal/stream_base_commons:160:15)',
+    ]);
+    expect(monitor.allLogs).toHaveLength(3);
+
+    expect(monitor.getSummary().sources).toEqual({
+      'signalk-to-nmea0183': { errors: 2, warnings: 0 },
+    });
+    expect(monitor.generateReport()).toContain('| signalk-to-nmea0183 | 2 | 0 |');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Log Replay Tests
+ *
+ * Per-line timestamps from each supported log format, and the windows,
+ * loops and send offsets replayFile() plays them at.
+ */
+
+const path = require('path');
+const { LogReplay } = require('../../lib/log-replay');
+
+describe('Timestamped Log Replay', () => {
+  const replayFile = (name) => path.join(__dirname, '../../fixtures/replay', name);
+
+  test('extracts per-line timestamps from each log format', () => {
+    const start = Date.parse('2025-06-01T08:00:00Z');
+
+    const multiplexed = LogReplay.parseFile(replayFile('multiplexed.txt'));
+    expect(multiplexed.filter((e) => e.kind === 'nmea0183')).toHaveLength(45);
+    expect(multiplexed.filter((e) => e.kind === 'n2k-actisense')).toHaveLength(15);
+    expect(multiplexed[1]).toMatchObject({ time: start + 40, line: '$HEHDT,135.0,T*28' });
+
+    const canboat = LogReplay.parseFile(replayFile('canboat.jsonl'));
+    expect(canboat.map((e) => e.time - start).slice(0, 3)).toEqual([0, 250, 1000]);
+
+    // TAG block c: is unix seconds; the sentence is sent with its tag block
+    const tagged = LogReplay.parseFile(replayFile('tagged.nmea'));
+    expect(tagged[2].time).toBe(start + 1000);
+    expect(tagged[2].line).toMatch(/^\\s:GP0001,c:1748764801\*2C\\\$GPRMC/);
+
+    // Lines after a ZDA share its time
+    const zda = LogReplay.parseFile(replayFile('zda.nmea'));
+    expect(zda.slice(3, 6).map((e) => e.time - start)).toEqual([1000, 1000, 1000]);
+
+    expect(LogReplay.parseLine('1748764800000;I;not json')).toEqual(
+      expect.objectContaining({ kind: 'delta', time: start })
+    );
+    expect(LogReplay.parseLine('garbage')).toBeNull();
+  });
+
+  test('window and loop select and repeat sections of a log', () => {
+    const entries = LogReplay.parseFile(replayFile('tagged.nmea'));
+
+    // 9s..13s of the log: five one-second fixes with two sentences each
+    const window = LogReplay.window(entries, { start: 9, end: 13 });
+    expect(window).toHaveLength(10);
+    expect(LogReplay.window(entries, { start: '2025-06-01T08:00:09Z', end: 13 })).toEqual(window);
+
+    const schedule = LogReplay.schedule(window, { speed: 4, loop: 3 });
+    expect(schedule).toHaveLength(30);
+    expect(schedule.slice(0, 4).map((e) => e.at)).toEqual([0, 0, 250, 250]);
+    // Each pass starts one median gap (1s / 4) after the previous one ended
+    expect(schedule[10]).toMatchObject({ at: 1250, pass: 1 });
+    expect(schedule[29]).toMatchObject({ at: 3500, pass: 2 });
+
+    expect(LogReplay.schedule(window, { loop: true, maxDuration: 9000 })).toHaveLength(20);
+    expect(() => LogReplay.schedule(window, { loop: true })).toThrow('maxDuration');
+    expect(() => LogReplay.schedule(window, { speed: 0 })).toThrow('speed');
+  });
+
+  test('schedules a multiplexed log with its original gaps, sped up', () => {
+    const entries = LogReplay.parseFile(replayFile('multiplexed.txt'));
+    const nmea = LogReplay.schedule(entries.filter((e) => e.kind === 'nmea0183'), { speed: 4 });
+
+    // 19.1 s of log at 4x; the first fix goes out at once
+    expect(nmea).toHaveLength(45);
+    expect(nmea[0].at).toBe(0);
+    expect(nmea[nmea.length - 1].at).toBe(4780);
+    nmea.slice(1).forEach((entry, i) => expect(entry.at).toBeGreaterThanOrEqual(nmea[i].at));
+  });
+});
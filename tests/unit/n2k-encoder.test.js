@@ -0,0 +1,67 @@
+/**
+ * N2K Encoder Tests
+ *
+ * CAN IDs, single-frame and fast-packet payloads, and the binary and
+ * text gateway formats N2kSimulator builds from them.
+ */
+
+const { N2kSimulator } = require('../../lib/n2k-simulator');
+const { N2kEncoder } = require('../../lib/n2k-encoder');
+
+describe('Binary Frame Encoding', () => {
+  const simulator = new N2kSimulator();
+
+  test('builds 29-bit CAN IDs for PDU2 and addressed PDU1 PGNs', () => {
+    expect(N2kEncoder.canId({ pgn: 127250, prio: 2, src: 1, dst: 255 })).toBe(0x09f11201);
+    expect(N2kEncoder.canId({ pgn: 59904, prio: 6, src: 1, dst: 35 })).toBe(0x18ea2301);
+  });
+
+  test('encodes single-frame PGNs into one 8-byte frame', () => {
+    const encoded = simulator.encodeMessage(simulator.generateHeading(123.4, 1.5, -4.0));
+
+    expect(encoded.data).toHaveLength(8);
+    expect(encoded.frames).toHaveLength(1);
+    // Heading 2.1537 rad in 0.0001 rad units, little endian
+    expect(encoded.data.readUInt16LE(1)).toBe(21537);
+  });
+
+  test('splits fast-packet PGNs with sequence and frame counters', () => {
+    const first = simulator.encodeMessage(simulator.generateGnssPosition(60.1234567, 24.7654321, 12.5));
+    const second = simulator.encodeMessage(simulator.generateGnssPosition(60.1234567, 24.7654321, 12.5));
+
+    expect(first.data).toHaveLength(43);
+    // 6 payload bytes in the first frame, 7 in each following frame
+    expect(first.frames).toHaveLength(7);
+    expect(first.frames[0][1]).toBe(43);
+    first.frames.forEach((frame, i) => {
+      expect(frame).toHaveLength(8);
+      expect(frame[0] & 0x1f).toBe(i);
+    });
+    expect(second.frames[0][0] >> 5).toBe(((first.frames[0][0] >> 5) + 1) & 0x7);
+  });
+
+  test('wraps Actisense NGT-1 messages in DLE framing with checksum', () => {
+    const buffer = simulator.toActisense(simulator.generateDepth(5.0, 0));
+
+    expect([...buffer.subarray(0, 3)]).toEqual([0x10, 0x02, 0x93]);
+    expect([...buffer.subarray(-2)]).toEqual([0x10, 0x03]);
+  });
+
+  test('formats Yacht Devices RAW and candump lines', () => {
+    const depth = simulator.generateDepth(5.0, 0);
+
+    const [ydraw] = simulator.toYdRaw(depth);
+    expect(ydraw).toMatch(/^\d{2}:\d{2}:\d{2}\.\d{3} R [0-9A-F]{8}( [0-9A-F]{2}){8}$/);
+
+    const [candump] = simulator.toCandump(depth);
+    expect(candump).toMatch(/^\(\d+\.\d{6}\) can0 [0-9A-F]{8}#[0-9A-F]{16}$/);
+  });
+
+  test('produces one line per CAN frame for multi-frame formats', () => {
+    const gnss = simulator.generateGnssPosition(60.1, 24.9);
+
+    expect(simulator.convert(gnss, 'ydraw')).toHaveLength(7);
+    expect(simulator.convert(gnss, 'candump')).toHaveLength(7);
+    expect(simulator.convert(gnss, 'actisense')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * N2K Simulator Tests
+ *
+ * What sendTcp() puts on the wire for generated messages and for text
+ * lines in other formats.
+ */
+
+const net = require('net');
+const { N2kSimulator } = require('../../lib/n2k-simulator');
+
+// Lines a local TCP server receives while send(port) runs
+const receive = async (send) => {
+  const chunks = [];
+  const server = net.createServer((socket) => socket.on('data', (chunk) => chunks.push(chunk)));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const results = await send(server.address().port);
+    // Let the last writes arrive
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return { results, lines: Buffer.concat(chunks).toString().split('\n').filter(Boolean) };
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+describe('N2K Simulator', () => {
+  test('sendTcp converts generated messages and writes other text as it is', async () => {
+    const simulator = new N2kSimulator({ host: '127.0.0.1', seed: 1 });
+    const [generated] = simulator.generateNavigationBurst(1);
+    const actisense = '2017-03-13T01:00:00.146Z,2,127250,1,255,8,ff,69,81,ff,7f,ff,7f,fd';
+
+    const { results, lines } = await receive((port) =>
+      simulator.sendTcp([generated, actisense], { port, delay: 0 })
+    );
+    expect(results).toEqual({ sent: 2, errors: [] });
+    expect(lines).toEqual([simulator.toCanboatJs(generated), actisense]);
+
+    // raw writes generated JSON unchanged too
+    const raw = await receive((port) => simulator.sendTcp([generated], { port, delay: 0, raw: true }));
+    expect(raw.lines).toEqual([generated]);
+  });
+});
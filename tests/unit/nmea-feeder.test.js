@@ -0,0 +1,38 @@
+/**
+ * NMEA Feeder Tests
+ *
+ * TAG block and IEC 61162-450 datagram framing of NMEA 0183 sentences.
+ */
+
+const { NmeaFeeder } = require('../../lib/nmea-feeder');
+
+describe('TAG Blocks and IEC 61162-450', () => {
+  const feeder = new NmeaFeeder();
+
+  test('frames TAG blocks and 450 datagrams', () => {
+    const tagged = feeder.addTagBlock('$HEHDT,135.0,T*28', {
+      source: 'GP0001',
+      time: Date.parse('2025-06-01T08:00:00Z'),
+    });
+    expect(tagged).toBe('\\s:GP0001,c:1748764800*2D\\$HEHDT,135.0,T*28');
+
+    const datagram = feeder.frame450(['$HEHDT,135.0,T*28', '$IIMTW,15.5,C*12'], {
+      source: 'II0450',
+      time: 0,
+    });
+    expect(datagram.subarray(0, 6)).toEqual(Buffer.from('UdPbC\0', 'latin1'));
+
+    const lines = datagram.subarray(6).toString('latin1').split('\r\n').filter(Boolean);
+    expect(lines).toHaveLength(2);
+    for (const line of lines) {
+      const [, block, sentence] = line.split('\\');
+      expect(feeder.validateChecksum(`\\${block}`)).toBe(true);
+      expect(feeder.validateChecksum(sentence)).toBe(true);
+      expect(block).toMatch(/^s:II0450,c:0,n:\d+\*/);
+    }
+
+    // The n: line count runs on from one datagram to the next
+    const counts = lines.map((l) => Number(l.match(/n:(\d+)/)[1]));
+    expect(counts[1]).toBe(counts[0] + 1);
+  });
+});
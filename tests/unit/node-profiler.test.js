@@ -0,0 +1,81 @@
+/**
+ * Node Profiler Tests
+ *
+ * Heap snapshot and CPU profile summaries from hand-built V8 payloads.
+ */
+
+const { NodeProfiler } = require('../../lib/node-profiler');
+
+describe('Heap and CPU Profiling', () => {
+  test('summarizes retained sizes per constructor and the hottest functions', () => {
+    // Minimal V8 heap snapshot: root -> Store -> Entry -> Entry, root -> Cache,
+    // a string shared by Store and Cache, and a weak Cache -> Entry edge
+    const meta = {
+      node_fields: ['type', 'name', 'id', 'self_size', 'edge_count'],
+      node_types: [['hidden', 'array', 'string', 'object', 'code', 'closure', 'regexp', 'number', 'native', 'synthetic']],
+      edge_fields: ['type', 'name_or_index', 'to_node'],
+      edge_types: [['context', 'element', 'property', 'internal', 'hidden', 'shortcut', 'weak']],
+    };
+    const strings = ['', 'Store', 'Entry', 'Cache', 'shared'];
+    const snapshot = (nested) => ({
+      snapshot: { meta },
+      strings,
+      // type, name, id, self_size, edge_count
+      nodes: [
+        9, 0, 1, 0, 2,
+        3, 1, 2, 10, 2,
+        3, 2, 3, 100, nested ? 1 : 0,
+        3, 2, 4, 50, 0,
+        3, 3, 5, 5, 2,
+        2, 4, 6, 20, 0,
+      ],
+      // type, name, to_node (node index * 5)
+      edges: [
+        2, 1, 5, 2, 3, 20,
+        2, 2, 10, 2, 4, 25,
+        ...(nested ? [2, 2, 15] : []),
+        6, 2, 15, 2, 4, 25,
+      ],
+    });
+
+    const after = NodeProfiler.summarizeHeapSnapshot(snapshot(true));
+    expect(after.total).toBe(185);
+    expect(after.constructors).toEqual({
+      Store: { count: 1, selfSize: 10, retainedSize: 160 },
+      // The inner Entry is retained by the outer one and not counted twice
+      Entry: { count: 2, selfSize: 150, retainedSize: 150 },
+      Cache: { count: 1, selfSize: 5, retainedSize: 5 },
+      '(string)': { count: 1, selfSize: 20, retainedSize: 20 },
+    });
+
+    const before = NodeProfiler.summarizeHeapSnapshot(snapshot(false));
+    expect(before.total).toBe(135);
+    const diff = NodeProfiler.diffHeapSummaries(before, after);
+    expect(diff).toHaveLength(2);
+    expect(diff).toEqual(
+      expect.arrayContaining([
+        { name: 'Entry', countBefore: 1, countAfter: 2, countDelta: 1, retainedBefore: 100, retainedAfter: 150, retainedDelta: 50 },
+        expect.objectContaining({ name: 'Store', countDelta: 0, retainedDelta: 50 }),
+      ])
+    );
+
+    const parser = 'file:///home/node/signalk/node_modules/@signalk/nmea0183-signalk/lib/parser.js';
+    const cpu = NodeProfiler.summarizeCpuProfile({
+      nodes: [
+        { id: 1, callFrame: { functionName: '(root)', url: '', lineNumber: -1 } },
+        { id: 2, callFrame: { functionName: '(idle)', url: '', lineNumber: -1 } },
+        { id: 3, callFrame: { functionName: 'parse', url: parser, lineNumber: 9 } },
+        { id: 4, callFrame: { functionName: '', url: parser, lineNumber: 41 } },
+      ],
+      startTime: 0,
+      endTime: 10000,
+      samples: [3, 4, 3, 2],
+      timeDeltas: [0, 1000, 2000, 3000, 4000],
+    });
+    expect(cpu.duration).toBe(10);
+    expect(cpu.top).toEqual([
+      { functionName: 'parse', url: parser, line: 10, selfTime: 4, percent: 40 },
+      { functionName: '(anonymous)', url: parser, line: 42, selfTime: 2, percent: 20 },
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Resource Sampler Tests
+ *
+ * Docker stats payloads parsed into samples, summarized per phase
+ * and exported as CSV.
+ */
+
+const { LogMonitor } = require('../../lib/log-monitor');
+const { ResourceSampler } = require('../../lib/resource-sampler');
+
+describe('Resource Sampling', () => {
+  test('records Docker stats per phase and exports CSV', () => {
+    const MB = 1024 * 1024;
+    // Shape of GET /containers/{id}/stats?stream=false on cgroup v2
+    const stats = (cpu, rss, rx, read, pids) => ({
+      cpu_stats: { cpu_usage: { total_usage: 1e9 + cpu * 1e7 }, system_cpu_usage: 2e11, online_cpus: 2 },
+      precpu_stats: { cpu_usage: { total_usage: 1e9 }, system_cpu_usage: 2e11 - 2e9 },
+      memory_stats: { usage: rss + 20 * MB, limit: 2048 * MB, stats: { anon: rss, inactive_file: 5 * MB } },
+      networks: { eth0: { rx_bytes: rx, tx_bytes: rx / 2 } },
+      blkio_stats: { io_service_bytes_recursive: [{ major: 8, minor: 0, op: 'read', value: read }, { major: 8, minor: 0, op: 'write', value: 4096 }] },
+      pids_stats: { current: pids },
+    });
+
+    expect(ResourceSampler.parseStats(stats(50, 80 * MB, 1000, 8192, 11))).toEqual({
+      cpuPercent: 50,
+      memoryUsage: 100 * MB,
+      memoryRss: 80 * MB,
+      memoryLimit: 2048 * MB,
+      netRx: 1000,
+      netTx: 500,
+      blockRead: 8192,
+      blockWrite: 4096,
+      pids: 11,
+    });
+    // A stopped container reports empty memory stats
+    expect(ResourceSampler.parseStats({ memory_stats: {}, cpu_stats: {} })).toBeNull();
+
+    const monitor = new LogMonitor({ knownIssues: false });
+    const sampler = new ResourceSampler({ logMonitor: monitor, name: 'signalk-test', interval: 5000, outputDir: null });
+    monitor.setPhase('startup');
+    sampler.record(stats(20, 80 * MB, 1000, 0, 10), '2025-06-01T08:00:00Z');
+    sampler.record(stats(40, 82 * MB, 2000, 0, 10), '2025-06-01T08:00:05Z');
+    monitor.setPhase('sustained-memory');
+    sampler.record(stats(150, 90 * MB, 9000, 0, 12), '2025-06-01T08:00:10Z');
+    sampler.record(stats(100, 120 * MB, 9500, 0, 12), '2025-06-01T08:00:15Z');
+
+    expect(sampler.phaseSamples('sustained-memory')).toHaveLength(2);
+    expect(ResourceSampler.summarizePhases(sampler.samples)).toEqual([
+      expect.objectContaining({ phase: 'startup', samples: 2, cpuAvg: 30, cpuMax: 40, rssStart: 80 * MB, rssEnd: 82 * MB }),
+      expect.objectContaining({ phase: 'sustained-memory', samples: 2, cpuMax: 150, rssMax: 120 * MB, pidsMax: 12 }),
+    ]);
+
+    const csv = ResourceSampler.toCSV(sampler.samples).trim().split('\n');
+    expect(csv[0]).toBe(
+      'time,container,phase,cpuPercent,memoryUsage,memoryRss,memoryLimit,netRx,netTx,blockRead,blockWrite,pids'
+    );
+    expect(csv).toHaveLength(5);
+    expect(csv[3]).toBe(`2025-06-01T08:00:10.000Z,signalk-test,sustained-memory,150,${110 * MB},${90 * MB},${2048 * MB},9000,4500,0,4096,12`);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Results Archive Tests
+ *
+ * Archive layout by image tag and digest, release ordering and the
+ * release a test started failing at.
+ */
+
+const { ResultsArchive } = require('../../lib/results-archive');
+
+describe('Results Archive', () => {
+  test('keys runs by tag and digest and finds the release a test started failing', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'results-archive-'));
+    const archive = new ResultsArchive(dir);
+    const run = (tag, time, status) => ({
+      image: `signalk/signalk-server:${tag}`,
+      endTime: time,
+      summary: { total: 2, passed: 2, failed: 0, duration: 1000, success: true },
+      tests: [
+        {
+          file: '12-rest-api.test.js',
+          category: 'REST API',
+          duration: 1000,
+          tests: [
+            { name: 'lists vessels', fullName: 'REST API lists vessels', status: 'passed', duration: 10 },
+            { name: 'reads position', fullName: 'REST API reads position', status, duration: 20 },
+          ],
+        },
+      ],
+      resources: { phases: [{ rssMax: 100e6, cpuMax: 20 }, { rssMax: 150e6, cpuMax: 35 }] },
+    });
+
+    archive.add(run('latest', '2026-03-01T00:00:00Z', 'failed'), { digest: 'sha256:dddddddddddddddd' });
+    archive.add(run('2.10.0', '2026-01-01T00:00:00Z', 'passed'), { digest: 'sha256:aaaaaaaaaaaaaaaa' });
+    archive.add(run('2.11.0', '2026-02-01T00:00:00Z', 'failed'), { digest: 'sha256:bbbbbbbbbbbbbbbb' });
+    archive.add(run('2.11.0', '2026-02-02T00:00:00Z', 'failed'), { digest: 'sha256:bbbbbbbbbbbbbbbb' });
+    archive.add(run('2.9.0', '2025-12-01T00:00:00Z', 'passed'), { digest: 'sha256:cccccccccccccccc' });
+    expect(archive.index()).toHaveLength(4);
+    expect(fs.existsSync(path.join(dir, '2.11.0', 'bbbbbbbbbbbb', 'results.json'))).toBe(true);
+
+    const records = archive.load();
+    expect(records.map((r) => r.key)).toEqual([
+      '2.9.0@cccccccccccc',
+      '2.10.0@aaaaaaaaaaaa',
+      '2.11.0@bbbbbbbbbbbb',
+      'latest@dddddddddddd',
+    ]);
+    expect(records[2].time).toBe('2026-02-02T00:00:00Z');
+    expect(records[0].categories).toEqual([
+      { category: 'REST API', file: '12-rest-api.test.js', total: 2, passed: 2, failed: 0, duration: 1000, logErrors: 0 },
+    ]);
+    expect(records[0].metrics).toMatchObject({ rssMax: 150e6, cpuMax: 35, latencyP95: null });
+    expect(ResultsArchive.parseImage('signalk/signalk-server@sha256:0123456789abcdef')).toMatchObject({
+      tag: 'latest',
+      digest: '0123456789ab',
+    });
+
+    expect(ResultsArchive.regressions(records)).toEqual([
+      {
+        key: '12-rest-api.test.js › REST API reads position',
+        category: 'REST API',
+        name: 'REST API reads position',
+        lastPassed: '2.10.0@aaaaaaaaaaaa',
+        firstFailed: '2.11.0@bbbbbbbbbbbb',
+        fixedIn: null,
+      },
+    ]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
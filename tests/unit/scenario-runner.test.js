@@ -0,0 +1,140 @@
+/**
+ * Scenario Runner Tests
+ *
+ * Runs the shipped coastal sailing scenario against a recording feeder
+ * and checks the track its phases sail against its expect block; schema
+ * validation and fail-fast aborts.
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { FailFast } = require('../../lib/fail-fast');
+const { LogMonitor } = require('../../lib/log-monitor');
+const { NmeaFeeder } = require('../../lib/nmea-feeder');
+const { ScenarioRunner } = require('../../lib/scenario-runner');
+
+// Decimal degrees from an NMEA ddmm.mmmm field and hemisphere
+const degrees = (value, hemisphere) => {
+  const dot = value.indexOf('.');
+  const deg = parseInt(value.slice(0, dot - 2), 10) + parseFloat(value.slice(dot - 2)) / 60;
+  return hemisphere === 'S' || hemisphere === 'W' ? -deg : deg;
+};
+
+// Own-ship position from an RMC or GGA sentence, null for anything else
+const position = (sentence) => {
+  const fields = sentence.split('*')[0].split(',');
+  if (/^\$..RMC$/.test(fields[0])) {
+    return { latitude: degrees(fields[3], fields[4]), longitude: degrees(fields[5], fields[6]) };
+  }
+  if (/^\$..GGA$/.test(fields[0])) {
+    return { latitude: degrees(fields[2], fields[3]), longitude: degrees(fields[4], fields[5]) };
+  }
+  return null;
+};
+
+describe('Scenario Runner', () => {
+  test('chains navigation phases and ends where the scenario expects', async () => {
+    const scenarioPath = path.join(__dirname, '../../fixtures/scenarios/coastal-sailing.json');
+    const scenario = ScenarioRunner.load(scenarioPath);
+
+    // Record own-ship fixes per phase instead of sending them
+    const feeder = new NmeaFeeder({ seed: 7 });
+    const fixes = new Map();
+    let current;
+    feeder.sendTcp = async (sentences) => {
+      fixes.set(current, sentences.map(position).filter(Boolean));
+      return { sent: sentences.length, errors: [] };
+    };
+    feeder.streamFile = async () => ({ sent: 0, errors: [] });
+
+    const runner = new ScenarioRunner({ feeder });
+    runner.baseDir = path.dirname(scenarioPath);
+    for (const phase of scenario.phases) {
+      current = phase.name;
+      const result = await runner.runPhase({ ...phase, pauseAfter: 0 });
+      expect(result.errors).toEqual([]);
+    }
+
+    // Each phase picks up where the previous one stopped
+    const track = scenario.phases.map((p) => fixes.get(p.name)).filter((f) => f?.length > 0);
+    expect(track).toHaveLength(4);
+    for (let i = 1; i < track.length; i++) {
+      const last = track[i - 1][track[i - 1].length - 1];
+      const first = track[i][0];
+      expect(Math.abs(first.latitude - last.latitude)).toBeLessThan(0.0005);
+      expect(Math.abs(first.longitude - last.longitude)).toBeLessThan(0.0005);
+    }
+
+    const end = track[track.length - 1].pop();
+    const { value, tolerance } = scenario.expect.paths['navigation.position'];
+    expect(Math.abs(end.latitude - value.latitude)).toBeLessThanOrEqual(tolerance);
+    expect(Math.abs(end.longitude - value.longitude)).toBeLessThanOrEqual(tolerance);
+  });
+
+  test('rejects invalid scenario files before sending anything', async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scenario-'));
+    const scenarioPath = path.join(tmpDir, 'invalid-scenario.json');
+    await fs.outputJson(scenarioPath, {
+      name: 'Typos',
+      phases: [
+        { name: 'Motor', protcol: 'tcp', generate: { type: 'navigation', count: 5 } },
+        { name: 'Sail', generte: { type: 'navigation', count: 5 } },
+        { name: 'Nothing' },
+        { name: 'Engine', type: 'n2k', format: 'raw', generate: { type: 'engine' } },
+      ],
+    });
+
+    try {
+      const feeder = new NmeaFeeder();
+      feeder.sendTcp = jest.fn();
+      await expect(feeder.runScenario(scenarioPath)).rejects.toThrow('Invalid scenario');
+      expect(feeder.sendTcp).not.toHaveBeenCalled();
+
+      const { valid, errors } = ScenarioRunner.validate(await fs.readJson(scenarioPath));
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        'phases[0] "Motor": unknown property "protcol" (did you mean "protocol"?)',
+        'phases[1] "Sail": must have exactly one of file, sentences or generate',
+        'phases[1] "Sail": unknown property "generte" (did you mean "generate"?)',
+        'phases[2] "Nothing": must have exactly one of file, sentences or generate',
+        'phases[3] "Engine".format: must be equal to one of the allowed values ' +
+          '(canboat-json, actisense, actisense-ngt1, ydraw, candump)',
+      ]);
+
+      // Shipped scenarios stay valid
+      for (const file of await fs.readdir(path.join(__dirname, '../../fixtures/scenarios'))) {
+        const scenario = await fs.readJson(path.join(__dirname, '../../fixtures/scenarios', file));
+        expect(ScenarioRunner.validate(scenario).errors).toEqual([]);
+      }
+    } finally {
+      await fs.remove(tmpDir);
+    }
+  });
+
+  test('a critical server line aborts a wait-for phase and the run', async () => {
+    const failFast = FailFast.install({ settle: 0 });
+    const monitor = new LogMonitor({ knownIssues: false });
+    monitor.on('error', () => {});
+    failFast.begin('scenario abort');
+
+    try {
+      const runner = new ScenarioRunner({ feeder: new NmeaFeeder(), apiUrl: 'http://localhost/signalk/v1/api' });
+      runner.fetch = async () => ({ ok: true, json: async () => ({}) });
+
+      const started = Date.now();
+      const waiting = runner.runWaitForPhase({ name: 'Wait', path: 'environment.depth.belowTransducer', timeout: 60000 });
+      monitor.processLine('FATAL ERROR: Reached heap limit Allocation failed - JavaScript heap out of memory');
+
+      const error = await waiting.catch((e) => e);
+      expect(error.entry.level).toBe('fatal');
+      expect(Date.now() - started).toBeLessThan(5000);
+
+      // Pauses between phases reject too, instead of running on
+      await expect(runner.runPhase({ name: 'Wait', type: 'wait-for', path: 'x', pauseAfter: 60000 })).rejects.toBe(error);
+    } finally {
+      failFast.end();
+      FailFast.active = null;
+    }
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Server Log Report Tests
+ *
+ * Per-phase log files from LogMonitor snapshots, linked from the tests
+ * that set each phase, and the log verdict policy.
+ */
+
+const { LogMonitor } = require('../../lib/log-monitor');
+const CustomReporter = require('../../lib/custom-reporter');
+
+describe('Server Log Reports', () => {
+  test('writes per-phase logs linked from the tests that set the phase', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-logs-'));
+    const snapshotDir = path.join(dir, 'snapshots');
+
+    let currentTest = null;
+    const monitor = new LogMonitor({
+      knownIssues: false,
+      snapshotDir,
+      testFile: '03-nmea0183.test.js',
+      currentTest: () => currentTest,
+    });
+    monitor.on('error', () => {});
+    monitor.setPhase('startup');
+    currentTest = 'NMEA 0183 TCP parses RMC';
+    monitor.setPhase('tcp-rmc');
+    currentTest = null;
+    monitor.processLine('TypeError: a plugin threw');
+    monitor.processLine('Uncaught TypeError: Cannot read properties of undefined');
+    monitor.processLine('(node:1) [DEP0005] DeprecationWarning: Buffer() is deprecated');
+    monitor.detach();
+    expect(fs.existsSync(path.join(snapshotDir, `${monitor.name}.md`))).toBe(true);
+
+    const reporter = new CustomReporter({}, { outputDir: dir });
+    reporter.results.startTime = new Date(Date.now() - 1000).toISOString();
+    reporter.results.summary = { total: 2, passed: 2, failed: 0, success: true };
+    reporter.results.tests = [
+      {
+        file: '03-nmea0183.test.js',
+        category: 'NMEA 0183 Input',
+        tests: [
+          { name: 'parses RMC', fullName: 'NMEA 0183 TCP parses RMC', status: 'passed' },
+          { name: 'parses GGA', fullName: 'NMEA 0183 TCP parses GGA', status: 'passed' },
+        ],
+      },
+    ];
+
+    reporter.logVerdict = 'critical';
+    reporter.collectLogs(snapshotDir);
+    const [testFile] = reporter.results.tests;
+    expect(testFile.logs.phases).toEqual([
+      { phase: 'startup', errors: 0, warnings: 0, tests: [] },
+      { phase: 'tcp-rmc', errors: 2, warnings: 1, tests: ['NMEA 0183 TCP parses RMC'], file: 'logs/03-nmea0183/tcp-rmc.log' },
+    ]);
+    expect(testFile.tests[0].logs).toEqual([
+      { phase: 'tcp-rmc', errors: 2, warnings: 1, file: 'logs/03-nmea0183/tcp-rmc.log' },
+    ]);
+    expect(testFile.tests[1].logs).toBeUndefined();
+    expect(reporter.results.summary).toMatchObject({
+      logErrors: 2,
+      logWarnings: 1,
+      logVerdict: { policy: 'critical', blocking: 1 },
+      success: false,
+    });
+
+    const log = fs.readFileSync(path.join(dir, testFile.logs.phases[1].file), 'utf-8');
+    expect(log).toContain('# Set by: NMEA 0183 TCP parses RMC');
+    expect(log).toContain('ERROR   [');
+    expect(log).toContain('WARNING [');
+    expect(fs.readFileSync(path.join(dir, testFile.logs.report), 'utf-8')).toContain('# Log Analysis Report');
+
+    expect(CustomReporter.logVerdictPolicy(undefined)).toBe('off');
+    expect(CustomReporter.logVerdictPolicy('ERROR')).toBe('error');
+    expect(CustomReporter.logVerdictPolicy('critical')).toBe('critical');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
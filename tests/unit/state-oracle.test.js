@@ -0,0 +1,69 @@
+/**
+ * State Oracle Tests
+ *
+ * Diffs a Signal K tree against a scenario's expected end state.
+ */
+
+const { StateOracle } = require('../../lib/state-oracle');
+
+describe('State Oracle', () => {
+  test('state diff reports missing, wrong, stale and mis-unit paths', () => {
+    const now = Date.parse('2025-06-01T12:10:00Z');
+    const fresh = '2025-06-01T12:09:58Z';
+    const tree = {
+      navigation: {
+        position: {
+          value: { latitude: 60.1501, longitude: 24.9502 },
+          timestamp: fresh,
+          $source: 'nmea0183.GP',
+        },
+        speedOverGround: { value: 3.1, timestamp: fresh, meta: { units: 'm/s' } },
+        courseOverGroundTrue: { value: 3.8, timestamp: '2025-06-01T11:00:00Z' },
+      },
+      environment: {
+        depth: { belowTransducer: { value: 12, timestamp: fresh, meta: { units: 'm' } } },
+        wind: { speedApparent: { value: 7, timestamp: fresh, meta: { units: 'm/s' } } },
+      },
+    };
+
+    const result = StateOracle.diff(
+      tree,
+      {
+        maxAge: 60000,
+        paths: {
+          'navigation.position': {
+            value: { latitude: 60.15, longitude: 24.95 },
+            tolerance: 0.001,
+          },
+          'navigation.speedOverGround': { min: 2, max: 4, units: 'm/s' },
+          'navigation.courseOverGroundTrue': { value: 3.8, tolerance: 0.1 },
+          'navigation.headingTrue': { value: 3.8 },
+          'environment.depth.belowTransducer': { value: 25, tolerance: 1 },
+          'environment.wind.speedApparent': { value: 7, units: 'kn' },
+        },
+      },
+      { now }
+    );
+
+    const status = Object.fromEntries(result.paths.map((p) => [p.path, p.status]));
+    expect(status).toEqual({
+      'navigation.position': 'ok',
+      'navigation.speedOverGround': 'ok',
+      'navigation.courseOverGroundTrue': 'stale',
+      'navigation.headingTrue': 'missing',
+      'environment.depth.belowTransducer': 'wrong-value',
+      'environment.wind.speedApparent': 'wrong-units',
+    });
+    expect(result.checked).toBe(6);
+    expect(result.passed).toBe(2);
+    expect(StateOracle.formatDiff(result).split('\n')).toHaveLength(4);
+
+    // Values written before the run started are stale regardless of maxAge
+    const sinceRun = StateOracle.diff(
+      tree,
+      { paths: { 'navigation.position': { value: { latitude: 60.15 }, tolerance: 0.001 } } },
+      { now, since: '2025-06-01T12:09:59Z' }
+    );
+    expect(sinceRun.failures.map((f) => f.status)).toEqual(['stale']);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Vessel Model Tests
+ *
+ * Fixes generated from a VesselModel passage agree with the speed,
+ * course and heading they report, and with the current and leeway set.
+ */
+
+const { NmeaFeeder } = require('../../lib/nmea-feeder');
+const { VesselModel } = require('../../lib/vessel-model');
+
+describe('Vessel Model', () => {
+  // Two legs with a 90 degree turn, a cross current and leeway
+  const passage = () =>
+    new VesselModel({
+      lat: 60.15,
+      lon: 24.95,
+      heading: 180,
+      speed: 6,
+      legs: [
+        { course: 180, duration: 60 },
+        { course: 270, speed: 5, duration: 120, turnRate: 3 },
+      ],
+      current: { set: 90, drift: 1.2 },
+      leeway: 4,
+      variation: 8,
+      startTime: '2025-06-01T12:00:00Z',
+    });
+
+  const parseRmc = (sentence) => {
+    const f = sentence.split('*')[0].split(',');
+    const coord = (v, h, degDigits) => {
+      const decimal = parseInt(v.substring(0, degDigits), 10) + parseFloat(v.substring(degDigits)) / 60;
+      return h === 'S' || h === 'W' ? -decimal : decimal;
+    };
+    return {
+      lat: coord(f[3], f[4], 2),
+      lon: coord(f[5], f[6], 3),
+      sog: parseFloat(f[7]),
+      cog: parseFloat(f[8]),
+    };
+  };
+
+  test('generated fixes move by the SOG and COG they report', () => {
+    const seeded = new NmeaFeeder({ seed: 'passage', startTime: '2025-06-01T12:00:00Z' });
+    const model = passage();
+    const sentences = seeded.generateVesselBurst(model, 180, { interval: 1 });
+
+    const fixes = sentences.filter((s) => s.startsWith('$GPRMC')).map(parseRmc);
+    const vtg = sentences.filter((s) => s.startsWith('$GPVTG'));
+    const hdt = sentences.filter((s) => s.startsWith('$HEHDT'));
+    expect(fixes).toHaveLength(180);
+    expect(vtg).toHaveLength(180);
+    expect(hdt).toHaveLength(180);
+
+    for (let i = 1; i < fixes.length; i++) {
+      const distance = VesselModel.distance(fixes[i - 1], fixes[i]);
+      // 1 s apart: distance in NM * 3600 = speed in knots
+      expect(distance * 3600).toBeCloseTo(fixes[i].sog, 0);
+      if (distance * 1852 > 1) {
+        const bearing = VesselModel.bearing(fixes[i - 1], fixes[i]);
+        expect(Math.abs(((bearing - fixes[i].cog + 540) % 360) - 180)).toBeLessThan(20);
+      }
+
+      // VTG repeats the RMC course and speed, plus magnetic course
+      const v = vtg[i].split(',');
+      expect(parseFloat(v[1])).toBeCloseTo(fixes[i].cog, 1);
+      expect(parseFloat(v[5])).toBeCloseTo(fixes[i].sog, 1);
+      expect(parseFloat(v[3])).toBeCloseTo((fixes[i].cog - 8 + 360) % 360, 0);
+    }
+
+    // Turn completed: heading settles on the second leg course
+    expect(parseFloat(hdt[hdt.length - 1].split(',')[1])).toBeCloseTo(270, 1);
+
+    // Cross current pushes the boat off its first leg track
+    const start = { lat: 60.15, lon: 24.95 };
+    const legEnd = { lat: 60.15 - 6 / 60, lon: 24.95 };
+    const xte = VesselModel.crossTrackError(fixes[59], start, legEnd);
+    // Set 90 on a southbound leg is to port (negative XTE); leeway to
+    // starboard takes back 6 kn * sin(4 deg) of the 1.2 kn drift
+    const crossSpeed = 1.2 - 6 * Math.sin((4 * Math.PI) / 180);
+    expect(xte).toBeCloseTo(-(crossSpeed * 60) / 3600, 3);
+  });
+});